@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Database migrations from the command line:
+//
+//   node bin/migrate.js migrate [--to <version>]
+//   node bin/migrate.js rollback [--steps <n> | --to <version>]
+//   node bin/migrate.js status
+//
+// Uses DATABASE_URL, like the server.
+
+const { Pool } = require('pg');
+const { migrate, rollback, status } = require('../lib/migrations');
+
+const USAGE = 'Usage: node bin/migrate.js <migrate|rollback|status> [--to <version>] [--steps <n>]';
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a whole number`);
+  }
+  return value;
+}
+
+async function main(args) {
+  const command = args[0];
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  try {
+    if (command === 'migrate') {
+      const applied = await migrate(pool, { to: option(args, 'to') });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'rollback') {
+      const reverted = await rollback(pool, { steps: option(args, 'steps'), to: option(args, 'to') });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+    } else if (command === 'status') {
+      const report = await status(pool);
+      console.log(`Current version: ${report.current === null ? 'none' : report.current}`);
+      for (const row of report.applied) {
+        const note = report.changed.includes(row.version) ? '  (file changed since applied)'
+          : report.missing.includes(row.version) ? '  (file missing)' : '';
+        console.log(`  applied  ${row.version} ${row.name}  ${row.applied_at.toISOString()}${note}`);
+      }
+      for (const row of report.pending) {
+        console.log(`  pending  ${row.version} ${row.name}`);
+      }
+    } else {
+      console.error(USAGE);
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main(process.argv.slice(2));
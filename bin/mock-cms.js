@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+// An in-memory stand-in for the WordPress REST API and the Ghost Admin API,
+// for trying CMS publishing locally:
+//
+//   node bin/mock-cms.js [--port <n>]
+//
+// Then start the server with CMS_ALLOWED_HOSTS=localhost (internal hosts are
+// refused otherwise) and add connections with base_url
+// http://localhost:<port> and
+//
+//   wordpress: { "username": "editor", "application_password": "mock-password" }
+//   ghost:     { "admin_api_key": "<MOCK_GHOST_KEY>" }
+//
+// MOCK_WP_USER, MOCK_WP_PASSWORD and MOCK_GHOST_KEY change the accepted
+// credentials. Only the endpoints the publishers use are implemented, and
+// GET /images/<name>.png serves a tiny PNG to use as a featured image.
+// Every request is logged, and everything is lost on exit. Tests start one
+// in-process with createMockCms().listen(port).
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WP_USER = process.env.MOCK_WP_USER || 'editor';
+const WP_PASSWORD = process.env.MOCK_WP_PASSWORD || 'mock-password';
+const GHOST_KEY = process.env.MOCK_GHOST_KEY || '6489a1f2c0d3e4f5a6b7c8d9:0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+function createMockCms({ port, log = console.log }) {
+  const wordpress = { posts: new Map(), tags: new Map(), media: new Map(), nextId: 1 };
+  const ghost = { posts: new Map() };
+  const origin = `http://localhost:${port}`;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+  const wpAuthorized = req =>
+    req.headers.authorization === `Basic ${Buffer.from(`${WP_USER}:${WP_PASSWORD}`).toString('base64')}`;
+
+  function ghostAuthorized(req) {
+    const match = /^Ghost ([\w-]+)\.([\w-]+)\.([\w-]+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const [id, secret] = GHOST_KEY.split(':');
+    const header = JSON.parse(Buffer.from(match[1], 'base64url'));
+    const payload = JSON.parse(Buffer.from(match[2], 'base64url'));
+    const signature = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(`${match[1]}.${match[2]}`).digest('base64url');
+    return header.kid === id && signature === match[3] && payload.aud === '/admin/' && payload.exp > Date.now() / 1000;
+  }
+
+  function wpPost(post) {
+    return {
+      ...post,
+      title: { raw: post.title, rendered: post.title },
+      content: { raw: post.content, rendered: post.content },
+      link: post.status === 'publish' ? `${origin}/${post.slug}/` : `${origin}/?p=${post.id}`
+    };
+  }
+
+  async function handleWordPress(req, res, url, route) {
+    if (!wpAuthorized(req)) return send(res, 401, { code: 'rest_not_logged_in', message: 'Invalid username or application password.' });
+    const raw = await readBody(req);
+    const body = () => (raw.length ? JSON.parse(raw) : {});
+    let match;
+
+    if (route === 'posts' && req.method === 'GET') {
+      const statuses = (url.searchParams.get('status') || 'publish').split(',');
+      const slug = url.searchParams.get('slug');
+      return send(res, 200, [...wordpress.posts.values()]
+        .filter(post => statuses.includes(post.status) && (!slug || post.slug === slug))
+        .map(wpPost));
+    }
+    if (route === 'posts' && req.method === 'POST') {
+      const post = { id: wordpress.nextId++, slug: '', status: 'draft', tags: [], featured_media: 0, ...body() };
+      post.slug = post.slug || String(post.title).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      wordpress.posts.set(post.id, post);
+      return send(res, 201, wpPost(post));
+    }
+    if ((match = /^posts\/(\d+)$/.exec(route)) && req.method === 'POST') {
+      const post = wordpress.posts.get(Number(match[1]));
+      if (!post) return send(res, 404, { code: 'rest_post_invalid_id', message: 'Invalid post ID.' });
+      Object.assign(post, body());
+      return send(res, 200, wpPost(post));
+    }
+    if (route === 'tags' && req.method === 'GET') {
+      const search = (url.searchParams.get('search') || '').toLowerCase();
+      return send(res, 200, [...wordpress.tags.values()].filter(tag => tag.name.toLowerCase().includes(search)));
+    }
+    if (route === 'tags' && req.method === 'POST') {
+      const tag = { id: wordpress.nextId++, name: body().name };
+      wordpress.tags.set(tag.id, tag);
+      return send(res, 201, tag);
+    }
+    if (route === 'media' && req.method === 'POST') {
+      const filename = /filename="([^"]+)"/.exec(req.headers['content-disposition'] || '');
+      if (!filename || raw.length === 0) return send(res, 400, { code: 'rest_upload_no_data', message: 'No data supplied.' });
+      const media = { id: wordpress.nextId++, source_url: `${origin}/uploads/${filename[1]}`, mime_type: req.headers['content-type'], alt_text: '' };
+      wordpress.media.set(media.id, media);
+      return send(res, 201, media);
+    }
+    if ((match = /^media\/(\d+)$/.exec(route)) && req.method === 'POST') {
+      const media = wordpress.media.get(Number(match[1]));
+      if (!media) return send(res, 404, { code: 'rest_post_invalid_id', message: 'Invalid post ID.' });
+      Object.assign(media, body());
+      return send(res, 200, media);
+    }
+    return send(res, 404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+  }
+
+  function ghostPost(post) {
+    return { ...post, url: post.status === 'published' ? `${origin}/${post.slug}/` : `${origin}/p/${post.uuid}/` };
+  }
+
+  async function handleGhost(req, res, route) {
+    if (!ghostAuthorized(req)) return send(res, 401, { errors: [{ message: 'Invalid token', type: 'UnauthorizedError' }] });
+    const raw = await readBody(req);
+    const input = raw.length ? JSON.parse(raw).posts[0] : {};
+    let match;
+
+    if ((match = /^posts\/slug\/([^/]+)\/$/.exec(route)) && req.method === 'GET') {
+      const post = [...ghost.posts.values()].find(candidate => candidate.slug === decodeURIComponent(match[1]));
+      return post ? send(res, 200, { posts: [ghostPost(post)] }) : send(res, 404, { errors: [{ message: 'Post not found.', type: 'NotFoundError' }] });
+    }
+    if (route === 'posts/' && req.method === 'POST') {
+      const now = new Date().toISOString();
+      const post = {
+        id: crypto.randomBytes(12).toString('hex'),
+        uuid: crypto.randomUUID(),
+        status: 'draft',
+        ...input,
+        slug: input.slug || String(input.title).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        tags: (input.tags || []).map(tag => ({ name: tag.name, slug: tag.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') })),
+        created_at: now,
+        updated_at: now
+      };
+      ghost.posts.set(post.id, post);
+      return send(res, 201, { posts: [ghostPost(post)] });
+    }
+    if ((match = /^posts\/([0-9a-f]+)\/$/.exec(route))) {
+      const post = ghost.posts.get(match[1]);
+      if (!post) return send(res, 404, { errors: [{ message: 'Post not found.', type: 'NotFoundError' }] });
+      if (req.method === 'GET') return send(res, 200, { posts: [ghostPost(post)] });
+      if (req.method === 'PUT') {
+        if (input.updated_at !== post.updated_at) {
+          return send(res, 409, { errors: [{ message: 'Saving failed! Someone else is editing this post.', type: 'UpdateCollisionError' }] });
+        }
+        // updated_at has millisecond precision; make sure every edit moves it
+        const updatedAt = new Date(Math.max(Date.now(), Date.parse(post.updated_at) + 1)).toISOString();
+        Object.assign(post, input, {
+          tags: input.tags ? input.tags.map(tag => ({ name: tag.name })) : post.tags,
+          updated_at: updatedAt
+        });
+        return send(res, 200, { posts: [ghostPost(post)] });
+      }
+    }
+    return send(res, 404, { errors: [{ message: 'Resource not found', type: 'NotFoundError' }] });
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, origin);
+    log(`${req.method} ${url.pathname}${url.search}`);
+    try {
+      if (req.method === 'GET' && /^\/images\/[\w.-]+\.png$/.test(url.pathname)) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(PNG);
+      }
+      if (url.pathname.startsWith('/wp-json/wp/v2/')) {
+        return await handleWordPress(req, res, url, url.pathname.slice('/wp-json/wp/v2/'.length));
+      }
+      if (url.pathname.startsWith('/ghost/api/admin/')) {
+        return await handleGhost(req, res, url.pathname.slice('/ghost/api/admin/'.length));
+      }
+      send(res, 404, { message: 'Not found' });
+    } catch (error) {
+      send(res, 400, { message: error.message });
+    }
+  });
+}
+
+function main(args) {
+  const index = args.indexOf('--port');
+  const port = index === -1 ? parseInt(process.env.MOCK_CMS_PORT, 10) || 4010 : parseInt(args[index + 1], 10);
+  createMockCms({ port }).listen(port, () => {
+    console.log(`✅ Mock CMS listening on http://localhost:${port} (WordPress and Ghost Admin APIs)`);
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { WP_USER, WP_PASSWORD, GHOST_KEY, createMockCms };
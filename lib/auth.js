@@ -0,0 +1,233 @@
+// API key authentication, scopes, rate limits and LLM quotas.
+//
+// Keys look like rai_<8 hex>_<secret> and are only ever shown once; the
+// api_keys table keeps a SHA-256 of the whole key plus the rai_<8 hex>
+// prefix so people can tell keys apart. Clients send the key as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>".
+//
+// Scopes:
+//   read   read the knowledge base, content and analytics
+//   write  create or change content, knowledge and review state
+//   llm    call routes that generate with the LLM (and cost money)
+//   admin  setup, background jobs and key management; implies every scope
+//
+// Routes declare the scopes they need in lib/schemas.js (`scopes`, or read
+// for GET and write otherwise); `public: true` routes need no key. Requests
+// that already carry a principal (MCP tool calls, authenticated by their
+// transport) skip authentication but are still held to their scopes and
+// LLM quota. The quota is charged after validation (registerQuotas), so a
+// rejected request costs nothing; routes marked `batch: true` take a
+// rate-limit token for every entry of an array body. ADMIN_API_KEY, when set, is a bootstrap admin key that isn't
+// stored in the database, for issuing the first real keys. Keys belong to a
+// tenant, except platform keys (`platform`), which a platform key has to
+// grant explicitly (see lib/tenants.js).
+
+const crypto = require('crypto');
+const { createRateLimiter } = require('./rate-limit');
+const { bySpecificity } = require('./schemas');
+
+const SCOPES = ['read', 'write', 'llm', 'admin'];
+
+const KEY_PATTERN = /^rai_([a-f0-9]{8})_[A-Za-z0-9_-]{32,}$/;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A fresh key and what gets stored about it
+function generateKey() {
+  const prefix = `rai_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: hashKey(key) };
+}
+
+function routeScopes(route) {
+  if (route.scopes) return route.scopes;
+  return route.method === 'get' ? ['read'] : ['write'];
+}
+
+function hasScope(principal, scope) {
+  return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+}
+
+function presentedKey(req) {
+  const header = req.get('authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  return req.get('x-api-key') || null;
+}
+
+// Columns safe to show; never the hash
+const PUBLIC_KEY_COLUMNS = `id, tenant_id, platform, name, key_prefix, scopes, rate_limit_per_minute, rate_limit_burst,
+  daily_llm_quota, created_by, created_at, last_used_at, expires_at, revoked_at, rotated_from`;
+
+function createAuth(pool, {
+  enabled = process.env.API_AUTH !== 'off',
+  adminKey = process.env.ADMIN_API_KEY,
+  limiter = createRateLimiter()
+} = {}) {
+  const anonymous = { id: null, name: 'anonymous (API_AUTH=off)', scopes: ['admin'], platform: true };
+  const bootstrap = { id: null, name: 'ADMIN_API_KEY', scopes: ['admin'], platform: true };
+
+  function isBootstrapKey(key) {
+    if (!adminKey) return false;
+    const presented = Buffer.from(hashKey(key));
+    return crypto.timingSafeEqual(presented, Buffer.from(hashKey(adminKey)));
+  }
+
+  // The principal for a key, or null when it is unknown, revoked or expired
+  async function authenticate(key) {
+    if (isBootstrapKey(key)) return bootstrap;
+    if (!KEY_PATTERN.test(key)) return null;
+    const found = await pool.query(`
+      SELECT ${PUBLIC_KEY_COLUMNS} FROM api_keys
+      WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    `, [hashKey(key)]);
+    const apiKey = found.rows[0];
+    if (!apiKey) return null;
+    await pool.query(`
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+    `, [apiKey.id]);
+    return apiKey;
+  }
+
+  // Counts one LLM call against today's (UTC) quota; returns
+  // { allowed, used, quota }
+  async function consumeLlmCall(principal) {
+    if (!principal.id || principal.daily_llm_quota === null || principal.daily_llm_quota === undefined) {
+      return { allowed: true, used: null, quota: null };
+    }
+    const counted = await pool.query(`
+      INSERT INTO api_key_usage (api_key_id, day, llm_calls) VALUES ($1, (NOW() AT TIME ZONE 'UTC')::date, 1)
+      ON CONFLICT (api_key_id, day) DO UPDATE SET llm_calls = api_key_usage.llm_calls + 1
+      WHERE api_key_usage.llm_calls < $2
+      RETURNING llm_calls
+    `, [principal.id, principal.daily_llm_quota]);
+    if (counted.rowCount === 0 || counted.rows[0].llm_calls > principal.daily_llm_quota) {
+      return { allowed: false, used: principal.daily_llm_quota, quota: principal.daily_llm_quota };
+    }
+    return { allowed: true, used: counted.rows[0].llm_calls, quota: principal.daily_llm_quota };
+  }
+
+  function rateLimit(res, principal, cost) {
+    if (!principal.id) return true;
+    const result = limiter.take(principal.id, {
+      perMinute: principal.rate_limit_per_minute,
+      burst: principal.rate_limit_burst,
+      cost
+    });
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (cost > result.limit) {
+      res.status(429).json({
+        error: `A batch of ${cost} calls is more than this key's rate limit burst of ${result.limit}`,
+        code: 'batch_too_large'
+      });
+      return false;
+    }
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      res.status(429).json({
+        error: `Rate limit exceeded; retry in ${result.retryAfterSeconds}s`,
+        retry_after_seconds: result.retryAfterSeconds
+      });
+      return false;
+    }
+    return true;
+  }
+
+  function authorize(route) {
+    const required = routeScopes(route);
+    return async (req, res, next) => {
+      // A request is checked against the most specific matching route only
+      if (req.authorizedRoute) return next();
+      req.authorizedRoute = route;
+      if (route.public) return next();
+
+      try {
+        if (!enabled) {
+          req.principal = req.principal || anonymous;
+          return next();
+        }
+        if (!req.principal) {
+          const key = presentedKey(req);
+          if (!key) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'An API key is required (Authorization: Bearer <key> or X-API-Key)' });
+          }
+          const principal = await authenticate(key);
+          if (!principal) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+          }
+          const cost = route.batch && Array.isArray(req.body) ? Math.max(req.body.length, 1) : 1;
+          if (!rateLimit(res, principal, cost)) return;
+          req.principal = principal;
+        }
+
+        const missing = required.filter(scope => !hasScope(req.principal, scope));
+        if (missing.length > 0) {
+          return res.status(403).json({
+            error: `This API key lacks the ${missing.join(', ')} scope${missing.length === 1 ? '' : 's'}`,
+            required_scopes: required
+          });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Counts a call to an llm route against the caller's daily quota; runs
+  // after the validators, so only requests that will reach the handler pay
+  function chargeQuota(route) {
+    const required = routeScopes(route);
+    return async (req, res, next) => {
+      if (req.chargedRoute) return next();
+      req.chargedRoute = route;
+      if (route.public || !enabled || !required.includes('llm')) return next();
+
+      try {
+        const quota = await consumeLlmCall(req.principal);
+        if (quota.quota !== null) res.set('X-LLM-Quota-Remaining', String(Math.max(quota.quota - quota.used, 0)));
+        if (!quota.allowed) {
+          return res.status(429).json({
+            error: `Daily LLM quota of ${quota.quota} call${quota.quota === 1 ? '' : 's'} used up; it resets at midnight UTC`,
+            code: 'llm_quota_exceeded'
+          });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Registers an authorization check in front of every route, in the same
+  // most-specific-first order as the validators
+  function register(app, routes) {
+    for (const route of bySpecificity(routes)) {
+      app[route.method](route.path, authorize(route));
+    }
+  }
+
+  // Registers the LLM quota check; call after the validators are registered
+  function registerQuotas(app, routes) {
+    for (const route of bySpecificity(routes)) {
+      app[route.method](route.path, chargeQuota(route));
+    }
+  }
+
+  return { enabled, authenticate, register, registerQuotas, limiter };
+}
+
+module.exports = {
+  SCOPES,
+  PUBLIC_KEY_COLUMNS,
+  hashKey,
+  generateKey,
+  routeScopes,
+  hasScope,
+  createAuth
+};
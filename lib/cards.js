@@ -0,0 +1,278 @@
+// Branded social image cards, rendered locally.
+//
+// Cards are plain SVG built from the brand standards and the platform
+// dimensions the style guide hands out; PNGs are rasterized from that SVG
+// with resvg. Nothing leaves the machine: fonts come from the system (plus
+// CARD_FONT_DIR, where the brand's Montserrat / Open Sans files can live)
+// and logos must be passed inline as data URIs.
+//
+// Text can't be measured without a font engine, so widths are estimated
+// from per-character advances that err on the wide side; titles are wrapped
+// and shrunk until they fit their box, and truncated with an ellipsis at
+// the minimum size.
+
+const { Resvg } = require('@resvg/resvg-js');
+
+const BRAND_COLORS = {
+  restaurant_orange: '#FF6B35',
+  professional_blue: '#004E89',
+  accent_green: '#2ECC71'
+};
+
+const BRAND_FONTS = {
+  headline_font: 'Montserrat Bold',
+  body_font: 'Open Sans Regular'
+};
+
+const HEADLINE_FAMILY = "Montserrat, 'Open Sans', 'DejaVu Sans', Arial, sans-serif";
+const BODY_FAMILY = "'Open Sans', 'DejaVu Sans', Arial, sans-serif";
+
+const WHITE = '#FFFFFF';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Card colors name entries of the brand palette, so a tenant's own colors
+// (same keys as BRAND_COLORS) restyle every card
+const CARD_FORMATS = {
+  featured: {
+    width: 1200, height: 630, maxTitleLines: 3,
+    background: 'professional_blue', title: 'white', accent: 'restaurant_orange', text: 'white'
+  },
+  summary: {
+    width: 1200, height: 630, maxTitleLines: 3,
+    background: 'white', title: 'professional_blue', accent: 'accent_green', text: 'professional_blue'
+  },
+  instagram_square: {
+    width: 1080, height: 1080, maxTitleLines: 4,
+    background: 'restaurant_orange', title: 'white', accent: 'professional_blue', text: 'white'
+  },
+  instagram_story: {
+    width: 1080, height: 1920, maxTitleLines: 6,
+    background: 'professional_blue', title: 'white', accent: 'restaurant_orange', text: 'white'
+  },
+  twitter: {
+    width: 1200, height: 628, maxTitleLines: 3,
+    background: 'white', title: 'professional_blue', accent: 'restaurant_orange', text: 'professional_blue'
+  }
+};
+
+// BRAND_COLORS with a tenant's overrides applied
+function brandPalette(overrides = {}) {
+  return { ...BRAND_COLORS, ...overrides };
+}
+
+// Returns an error message for invalid brand color overrides, or null
+function validateBrandColors(colors) {
+  if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+    return `brand_colors must be an object with any of: ${Object.keys(BRAND_COLORS).join(', ')}`;
+  }
+  for (const [name, value] of Object.entries(colors)) {
+    if (!BRAND_COLORS[name]) return `Unknown brand color ${name}; use ${Object.keys(BRAND_COLORS).join(', ')}`;
+    if (!HEX_COLOR.test(value)) return `brand_colors.${name} must be a hex color such as #FF6B35`;
+  }
+  return null;
+}
+
+const LINE_HEIGHT = 1.15;
+const LOGO_DATA_URI = /^data:image\/(png|jpeg|gif|webp|svg\+xml)(;base64)?,/;
+
+// Approximate advance of a character in em, for a bold sans face
+function charWidth(char) {
+  if (char === ' ') return 0.3;
+  if (/[ijlI.,:;'!|()\[\]]/.test(char)) return 0.34;
+  if (/[mwMW@]/.test(char)) return 0.95;
+  if (/[A-Z0-9%$#&?]/.test(char)) return 0.76;
+  return 0.67;
+}
+
+function textWidth(text, fontSize) {
+  return [...text].reduce((sum, char) => sum + charWidth(char), 0) * fontSize;
+}
+
+// Greedy word wrap; words wider than a whole line are broken by character
+function wrapText(text, fontSize, maxWidth) {
+  const lines = [];
+  let current = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = current ? `${current} ${word}` : word;
+    if (textWidth(next, fontSize) <= maxWidth) {
+      current = next;
+      continue;
+    }
+    if (current) lines.push(current);
+    current = word;
+    while (textWidth(current, fontSize) > maxWidth) {
+      let cut = current.length - 1;
+      while (cut > 1 && textWidth(current.slice(0, cut), fontSize) > maxWidth) cut--;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Largest font size between min and max at which the text fits the box
+function fitText(text, { width, height, maxSize, minSize, maxLines }) {
+  for (let size = maxSize; size >= minSize; size -= 2) {
+    const lines = wrapText(text, size, width);
+    if (lines.length <= maxLines && lines.length * size * LINE_HEIGHT <= height) {
+      return { fontSize: size, lines, truncated: false };
+    }
+  }
+  const fitting = Math.max(1, Math.min(maxLines, Math.floor(height / (minSize * LINE_HEIGHT))));
+  const lines = wrapText(text, minSize, width);
+  const kept = lines.slice(0, fitting);
+  let last = kept[kept.length - 1];
+  while (last.length > 1 && textWidth(`${last}…`, minSize) > width) last = last.slice(0, -1);
+  kept[kept.length - 1] = `${last.replace(/[\s.,;:]+$/, '')}…`;
+  return { fontSize: minSize, lines: kept, truncated: lines.length > fitting };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function textLines(lines, { x, y, fontSize, family, weight, fill }) {
+  return lines.map((line, i) => {
+    const baseline = Math.round(y + fontSize * 0.85 + i * fontSize * LINE_HEIGHT);
+    return `<text x="${x}" y="${baseline}" font-family="${family}" font-weight="${weight}" ` +
+      `font-size="${fontSize}" fill="${fill}">${escapeXml(line)}</text>`;
+  }).join('\n  ');
+}
+
+// Returns an error message for invalid card options, or null
+function validateCardOptions({ statistic, logo } = {}) {
+  if (statistic !== undefined && statistic !== null) {
+    if (typeof statistic !== 'object' || statistic.value === undefined || String(statistic.value).trim() === '') {
+      return 'statistic must be an object with a value and an optional label';
+    }
+  }
+  if (logo !== undefined && logo !== null && !LOGO_DATA_URI.test(logo)) {
+    return 'logo must be a data URI (data:image/png;base64,...); remote images are not fetched';
+  }
+  return null;
+}
+
+// Builds the SVG for one card. Layout, top to bottom: logo slot, accent
+// bar, title (auto-fit), optional statistic, optional call to action.
+function renderCardSvg(format, { title, statistic = null, logo = null, brandName = null, cta = null, colors = BRAND_COLORS }) {
+  const { width, height, maxTitleLines, ...roles } = CARD_FORMATS[format];
+  const palette = { white: WHITE, ...brandPalette(colors) };
+  const spec = Object.fromEntries(Object.entries(roles).map(([role, name]) => [role, palette[name]]));
+  const unit = Math.min(width, height);
+  const pad = Math.round(unit * 0.08);
+  const innerWidth = width - 2 * pad;
+
+  const logoHeight = Math.round(unit * 0.09);
+  const logoWidth = Math.round(logoHeight * 3.5);
+  const accentTop = pad + logoHeight + Math.round(pad * 0.5);
+  const accentHeight = Math.max(6, Math.round(unit * 0.012));
+  const titleTop = accentTop + accentHeight + Math.round(pad * 0.5);
+
+  const ctaSize = Math.round(unit * 0.04);
+  const ctaHeight = cta ? Math.round(ctaSize * 2) : 0;
+  const statValueSize = Math.round(unit * (height > width ? 0.16 : 0.11));
+  const statLabelSize = Math.round(unit * 0.04);
+  const statHeight = statistic ? Math.round(statValueSize * 1.1 + (statistic.label ? statLabelSize * 1.6 : 0) + pad * 0.4) : 0;
+  const titleHeight = height - pad - ctaHeight - statHeight - titleTop;
+
+  const fitted = fitText(title, {
+    width: innerWidth,
+    height: titleHeight,
+    maxSize: Math.round(unit * 0.12),
+    minSize: Math.round(unit * 0.045),
+    maxLines: maxTitleLines
+  });
+  // Centre the title block in its box
+  const titleBlock = fitted.lines.length * fitted.fontSize * LINE_HEIGHT;
+  const titleY = titleTop + Math.max(0, Math.round((titleHeight - titleBlock) / 2));
+
+  const parts = [
+    `<rect width="${width}" height="${height}" fill="${spec.background}"/>`,
+    `<g id="logo-slot" transform="translate(${pad} ${pad})">`,
+    `  <rect width="${logoWidth}" height="${logoHeight}" fill="none"/>`
+  ];
+  if (logo) {
+    parts.push(`  <image href="${escapeXml(logo)}" width="${logoWidth}" height="${logoHeight}" preserveAspectRatio="xMinYMid meet"/>`);
+  } else if (brandName) {
+    const brand = fitText(brandName, { width: logoWidth, height: logoHeight, maxSize: Math.round(logoHeight * 0.6), minSize: 12, maxLines: 1 });
+    parts.push('  ' + textLines(brand.lines, {
+      x: 0, y: Math.round((logoHeight - brand.fontSize) / 2), fontSize: brand.fontSize,
+      family: HEADLINE_FAMILY, weight: 700, fill: spec.accent
+    }));
+  }
+  parts.push('</g>');
+  parts.push(`<rect x="${pad}" y="${accentTop}" width="${Math.round(pad * 1.5)}" height="${accentHeight}" fill="${spec.accent}"/>`);
+  parts.push(textLines(fitted.lines, {
+    x: pad, y: titleY, fontSize: fitted.fontSize, family: HEADLINE_FAMILY, weight: 700, fill: spec.title
+  }));
+
+  if (statistic) {
+    const statTop = height - pad - ctaHeight - statHeight + Math.round(pad * 0.4);
+    const value = fitText(String(statistic.value), {
+      width: innerWidth, height: statValueSize * LINE_HEIGHT, maxSize: statValueSize, minSize: Math.round(statValueSize / 2), maxLines: 1
+    });
+    parts.push(textLines(value.lines, {
+      x: pad, y: statTop, fontSize: value.fontSize, family: HEADLINE_FAMILY, weight: 700, fill: spec.accent
+    }));
+    if (statistic.label) {
+      const label = fitText(String(statistic.label), {
+        width: innerWidth, height: statLabelSize * LINE_HEIGHT, maxSize: statLabelSize, minSize: Math.round(statLabelSize * 0.7), maxLines: 1
+      });
+      parts.push(textLines(label.lines, {
+        x: pad, y: statTop + Math.round(statValueSize * 1.1), fontSize: label.fontSize, family: BODY_FAMILY, weight: 400, fill: spec.text
+      }));
+    }
+  }
+
+  if (cta) {
+    const fittedCta = fitText(String(cta), { width: innerWidth, height: ctaSize * LINE_HEIGHT, maxSize: ctaSize, minSize: Math.round(ctaSize * 0.7), maxLines: 1 });
+    parts.push(textLines(fittedCta.lines, {
+      x: pad, y: height - pad - ctaSize, fontSize: fittedCta.fontSize, family: BODY_FAMILY, weight: 700, fill: spec.accent
+    }));
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n  ` +
+    `${parts.join('\n  ')}\n</svg>\n`;
+  return {
+    format,
+    width,
+    height,
+    title,
+    title_font_size: fitted.fontSize,
+    title_lines: fitted.lines,
+    truncated: fitted.truncated,
+    svg
+  };
+}
+
+function renderPng(svg) {
+  const resvg = new Resvg(svg, {
+    font: {
+      loadSystemFonts: true,
+      fontDirs: process.env.CARD_FONT_DIR ? [process.env.CARD_FONT_DIR] : [],
+      defaultFontFamily: 'DejaVu Sans'
+    }
+  });
+  return resvg.render().asPng();
+}
+
+module.exports = {
+  BRAND_COLORS,
+  BRAND_FONTS,
+  CARD_FORMATS,
+  brandPalette,
+  validateBrandColors,
+  textWidth,
+  wrapText,
+  fitText,
+  validateCardOptions,
+  renderCardSvg,
+  renderPng
+};
@@ -0,0 +1,239 @@
+// Matching articles against the knowledge base for /knowledge/get-context.
+//
+// Trends match on their relevant_keywords (and their own topic name),
+// entities on their name or, more weakly, on the vocabulary of their
+// description. Every match carries the evidence it was based on.
+
+const STOPWORDS = new Set([
+  'about', 'across', 'after', 'also', 'and', 'based', 'been', 'both', 'for', 'from', 'have',
+  'into', 'more', 'most', 'only', 'over', 'such', 'than', 'that', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'through', 'very', 'what', 'when', 'which', 'while', 'with'
+]);
+
+// How much an entity's industry_relevance says it matters to operators
+const RELEVANCE_WEIGHTS = { critical: 1, essential: 1, high: 0.9, important: 0.75, medium: 0.6, early: 0.5 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accepts whatever n8n sends: an array, { articles: [...] }, one article or a string
+function normalizeArticles(articles) {
+  if (!articles) return [];
+  if (Array.isArray(articles)) return articles.filter(Boolean);
+  if (typeof articles === 'string') return [{ title: articles }];
+  if (Array.isArray(articles.articles)) return articles.articles.filter(Boolean);
+  return [articles];
+}
+
+function articleText(article) {
+  if (typeof article === 'string') return article;
+  return [article.title, article.description, article.content, article.summary]
+    .filter(value => typeof value === 'string')
+    .join('\n');
+}
+
+function articleTitle(article, index) {
+  return (typeof article === 'object' && article.title) || `Article ${index + 1}`;
+}
+
+function excerptAround(text, index, length) {
+  const start = Math.max(0, index - 60);
+  const end = Math.min(text.length, index + length + 60);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Find a phrase (allowing a plural ending) in each article
+function findPhrase(phrase, articles) {
+  const pattern = new RegExp(`\\b${escapeRegExp(phrase)}(?:s|es)?\\b`, 'i');
+  const hits = [];
+  articles.forEach((article, index) => {
+    const text = articleText(article);
+    const match = pattern.exec(text);
+    if (match) {
+      hits.push({
+        article_index: index,
+        article_title: articleTitle(article, index),
+        excerpt: excerptAround(text, match.index, match[0].length)
+      });
+    }
+  });
+  return hits;
+}
+
+function asArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+}
+
+function matchTrends(trends, articles) {
+  const matched = [];
+  for (const trend of trends) {
+    const phrases = [...asArray(trend.relevant_keywords), String(trend.topic || '').replace(/_/g, ' ')]
+      .filter(Boolean);
+    const evidence = [];
+    for (const phrase of new Set(phrases.map(p => p.toLowerCase()))) {
+      for (const hit of findPhrase(phrase, articles)) {
+        evidence.push({ keyword: phrase, ...hit });
+      }
+    }
+    if (evidence.length === 0) continue;
+
+    matched.push({
+      topic: trend.topic,
+      trend_description: trend.trend_description,
+      significance_level: trend.significance_level,
+      timeline: trend.timeline,
+      impact_areas: asArray(trend.impact_areas),
+      matched_keywords: [...new Set(evidence.map(item => item.keyword))],
+      evidence
+    });
+  }
+  return matched.sort((a, b) =>
+    (b.significance_level || 0) - (a.significance_level || 0) ||
+    b.matched_keywords.length - a.matched_keywords.length
+  );
+}
+
+function contentWords(text) {
+  return [...new Set(String(text || '').toLowerCase().match(/[a-z][a-z-]{3,}/g) || [])]
+    .filter(word => !STOPWORDS.has(word));
+}
+
+function entityRelevance(entity) {
+  const relevance = entity.industry_relevance || {};
+  const weights = Object.values(relevance)
+    .map(value => RELEVANCE_WEIGHTS[String(value).toLowerCase()])
+    .filter(Boolean);
+  return weights.length ? Math.max(...weights) : 0.5;
+}
+
+function matchEntities(entities, articles, { descriptionOverlap = 0.5 } = {}) {
+  const allText = articles.map(articleText).join('\n').toLowerCase();
+  const matched = [];
+
+  for (const entity of entities) {
+    if (!entity.name) continue;
+
+    const nameHits = findPhrase(entity.name, articles);
+    let match;
+    if (nameHits.length > 0) {
+      match = { match_type: 'name', match_strength: 1, evidence: nameHits };
+    } else {
+      // Weaker signal: most of the description's vocabulary shows up in the articles
+      const words = contentWords(entity.description);
+      const found = words.filter(word => new RegExp(`\\b${escapeRegExp(word)}`).test(allText));
+      const overlap = words.length ? found.length / words.length : 0;
+      if (words.length < 2 || overlap < descriptionOverlap) continue;
+      match = {
+        match_type: 'description',
+        match_strength: Math.round(overlap * 0.6 * 100) / 100,
+        evidence: [{ matched_terms: found }]
+      };
+    }
+
+    const relevance = entityRelevance(entity);
+    matched.push({
+      ...entity,
+      match: { ...match, relevance, score: Math.round(match.match_strength * relevance * 100) / 100 }
+    });
+  }
+
+  return matched.sort((a, b) => b.match.score - a.match.score);
+}
+
+// Priority on a 0-10 scale: mostly how significant the strongest matched
+// trend is, plus how many trends and how many relevant entities the story
+// touches. Returns the components so callers can show their working.
+function computePriorityScore(matchedTrends, matchedEntities) {
+  const topSignificance = matchedTrends.length
+    ? Math.max(...matchedTrends.map(trend => trend.significance_level || 0))
+    : 0;
+  const trendBreadth = Math.min(matchedTrends.length, 3) / 3 * 10;
+  const entityStrength = Math.min(
+    matchedEntities.reduce((sum, entity) => sum + entity.match.score, 0),
+    3
+  ) / 3 * 10;
+
+  const score = 0.6 * topSignificance + 0.1 * trendBreadth + 0.3 * entityStrength;
+  return {
+    priority_score: Math.round(score * 10) / 10,
+    breakdown: {
+      top_trend_significance: topSignificance,
+      trend_breadth: Math.round(trendBreadth * 10) / 10,
+      entity_strength: Math.round(entityStrength * 10) / 10,
+      weights: { top_trend_significance: 0.6, trend_breadth: 0.1, entity_strength: 0.3 }
+    }
+  };
+}
+
+// Content angles come from the impact areas of the matched trends, most
+// frequently shared first
+function deriveContentAngles(matchedTrends, limit = 5) {
+  const counts = new Map();
+  for (const trend of matchedTrends) {
+    for (const area of trend.impact_areas) {
+      counts.set(area, (counts.get(area) || 0) + (trend.significance_level || 1));
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([area]) => area);
+}
+
+// Knowledge base section of the context prompt
+function formatKnowledgeForPrompt(matchedTrends, matchedEntities) {
+  const trends = matchedTrends.length
+    ? matchedTrends.map(trend =>
+      `- ${trend.topic} (significance ${trend.significance_level}/10, ${trend.timeline}): ${trend.trend_description}`
+    ).join('\n')
+    : '- None of our tracked trends matched these articles.';
+
+  const entities = matchedEntities.length
+    ? matchedEntities.map(entity => {
+      const facts = asArray(entity.key_facts);
+      return `- ${entity.name} (${entity.type}): ${entity.description}` +
+        (facts.length ? `\n  Key facts: ${facts.join('; ')}` : '') +
+        (entity.strategic_importance ? `\n  Why it matters: ${entity.strategic_importance}` : '');
+    }).join('\n')
+    : '- None of our tracked companies or technologies matched these articles.';
+
+  return `INDUSTRY TRENDS FROM OUR KNOWLEDGE BASE:
+${trends}
+
+COMPANIES AND TECHNOLOGIES FROM OUR KNOWLEDGE BASE:
+${entities}`;
+}
+
+// Earlier posts and analyses on the same subjects (from lib/search.js), so
+// the context can say what's been covered already
+function formatCoverageForPrompt(previous) {
+  if (previous.length === 0) {
+    return 'PREVIOUS COVERAGE:\n- We have not written about these subjects before.';
+  }
+  const lines = previous.map(result => {
+    const date = result.date ? new Date(result.date).toISOString().slice(0, 10) : 'undated';
+    const kind = result.type === 'blog' ? `blog post, ${result.status}` : 'analysis';
+    return `- "${result.title}" (${kind}, ${date})`;
+  });
+  return `PREVIOUS COVERAGE:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  normalizeArticles,
+  matchTrends,
+  matchEntities,
+  computePriorityScore,
+  deriveContentAngles,
+  formatKnowledgeForPrompt,
+  formatCoverageForPrompt
+};
@@ -0,0 +1,262 @@
+// Topic and theme coverage: what the blog has covered each month against
+// the tenant's monthly targets, and calendar slots that close the gaps.
+//
+// Coverage is tracked along three dimensions: the post's topic, its theme
+// (primary_theme, plus an analysis's secondary_themes) and its business
+// impact area. A post counts towards the month it went out, is scheduled
+// for or, until then, was written in; archived posts don't count. A value
+// was last covered by its most recent published post. Analyses are reported
+// alongside as the research pipeline but don't meet targets. Months are
+// calendar months in UTC, and values match case-insensitively.
+
+const { DAY_MS } = require('./metrics');
+
+const COVERAGE_DIMENSIONS = ['topic', 'theme', 'impact_area'];
+
+// Report order: the biggest gaps first
+const STATUS_ORDER = ['under_covered', 'on_track', 'met', 'over_covered', 'untracked'];
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+function coverageKey(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function monthName(month) {
+  const [year, number] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, number - 1)).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// { month, from, to } for a YYYY-MM string (default: the month `now` is in), or null
+function parseMonth(value, now = new Date()) {
+  const month = value === undefined || value === null ? monthKey(now) : String(value);
+  const match = MONTH_PATTERN.exec(month);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const number = Number(match[2]);
+  return { month, from: new Date(Date.UTC(year, number - 1, 1)), to: new Date(Date.UTC(year, number, 1)) };
+}
+
+function daysBetween(earlier, later) {
+  return Math.floor((later.getTime() - earlier.getTime()) / DAY_MS);
+}
+
+async function loadTargets(client, tenantId) {
+  const targets = await client.query(
+    'SELECT * FROM coverage_targets WHERE tenant_id = $1 ORDER BY dimension, LOWER(value)',
+    [tenantId]
+  );
+  return targets.rows;
+}
+
+// One row per dimension and value ever written about: posts and analyses
+// in [from, to), and when it was last published and analysed before `now`
+async function loadCoverage(client, tenantId, { from, to, now = new Date() }) {
+  const coverage = await client.query(`
+    WITH items AS (
+      SELECT id, 'post' AS kind, status,
+             COALESCE(publication_date, scheduled_for, created_at) AS covered_at,
+             primary_topic AS topic, ARRAY[primary_theme]::text[] AS themes, business_impact_area AS impact_area
+      FROM blog_content
+      WHERE tenant_id = $1 AND status IS DISTINCT FROM 'archived'
+      UNION ALL
+      SELECT id, 'analysis', NULL, analysis_date,
+             topic, array_prepend(primary_theme::text, COALESCE(secondary_themes, '{}')::text[]), business_impact_area
+      FROM analysis_history
+      WHERE tenant_id = $1
+    ),
+    tagged AS (
+      SELECT id, kind, status, covered_at, 'topic' AS dimension, TRIM(topic) AS value FROM items
+      UNION ALL
+      SELECT DISTINCT ON (id, LOWER(TRIM(theme))) id, kind, status, covered_at, 'theme', TRIM(theme)
+      FROM items, unnest(themes) AS theme
+      UNION ALL
+      SELECT id, kind, status, covered_at, 'impact_area', TRIM(impact_area) FROM items
+    )
+    SELECT dimension, LOWER(value) AS key, MIN(value) AS value,
+           COUNT(*) FILTER (WHERE kind = 'post' AND covered_at >= $2 AND covered_at < $3)::int AS posts,
+           COUNT(*) FILTER (WHERE kind = 'post' AND status = 'published' AND covered_at >= $2 AND covered_at < $3)::int AS published,
+           COUNT(*) FILTER (WHERE kind = 'analysis' AND covered_at >= $2 AND covered_at < $3)::int AS analyses,
+           MAX(covered_at) FILTER (WHERE kind = 'post' AND status = 'published' AND covered_at <= $4) AS last_covered_at,
+           MAX(covered_at) FILTER (WHERE kind = 'analysis' AND covered_at <= $4) AS last_analysis_at
+    FROM tagged
+    WHERE value IS NOT NULL AND value <> ''
+    GROUP BY dimension, LOWER(value)
+  `, [tenantId, from, to, now]);
+  return coverage.rows;
+}
+
+function coverageStatus({ target, posts, expected }) {
+  if (!target) return 'untracked';
+  if (posts > target) return 'over_covered';
+  if (posts === target) return 'met';
+  return posts >= Math.floor(expected) ? 'on_track' : 'under_covered';
+}
+
+// Every targeted or covered value of each dimension for one month, with
+// its status against the target pro rata to the days elapsed
+function buildCoverageReport(rows, targets, { month, from, to }, now = new Date()) {
+  const daysInMonth = daysBetween(from, to);
+  const daysElapsed = Math.min(Math.max(Math.ceil((now.getTime() - from.getTime()) / DAY_MS), 0), daysInMonth);
+  const elapsed = daysElapsed / daysInMonth;
+
+  const report = {
+    month,
+    period: { from, to },
+    as_of: now,
+    days_elapsed: daysElapsed,
+    days_in_month: daysInMonth,
+    summary: Object.fromEntries(STATUS_ORDER.map(status => [status, 0]))
+  };
+
+  for (const dimension of COVERAGE_DIMENSIONS) {
+    const entries = new Map();
+    for (const row of rows.filter(candidate => candidate.dimension === dimension)) {
+      entries.set(row.key, { value: row.value, target: null, target_id: null, ...row });
+    }
+    for (const target of targets.filter(candidate => candidate.dimension === dimension)) {
+      const key = coverageKey(target.value);
+      const entry = entries.get(key) || {
+        value: target.value, posts: 0, published: 0, analyses: 0, last_covered_at: null, last_analysis_at: null
+      };
+      entries.set(key, { ...entry, value: target.value, target: target.monthly_target, target_id: target.id });
+    }
+
+    report[`${dimension}s`] = [...entries.values()].map(entry => {
+      const expected = entry.target ? entry.target * elapsed : null;
+      const status = coverageStatus({ target: entry.target, posts: entry.posts, expected });
+      report.summary[status] += 1;
+      return {
+        value: entry.value,
+        target: entry.target,
+        target_id: entry.target_id,
+        posts: entry.posts,
+        published: entry.published,
+        analyses: entry.analyses,
+        expected_to_date: expected === null ? null : Math.round(expected * 10) / 10,
+        remaining: entry.target ? Math.max(entry.target - entry.posts, 0) : null,
+        status,
+        last_covered_at: entry.last_covered_at,
+        days_since_last_covered: entry.last_covered_at ? daysBetween(new Date(entry.last_covered_at), now) : null,
+        last_analysis_at: entry.last_analysis_at
+      };
+    }).sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+      (b.remaining || 0) - (a.remaining || 0) ||
+      staleness(b.days_since_last_covered) - staleness(a.days_since_last_covered) ||
+      a.value.localeCompare(b.value));
+  }
+  return report;
+}
+
+// Never covered sorts as the stalest
+function staleness(days) {
+  return days === null ? Infinity : days;
+}
+
+// One line on how a value is doing this month
+function describeCoverage(entry, dimension) {
+  const label = `${entry.value} (${dimension.replace('_', ' ')})`;
+  const last = entry.days_since_last_covered === null
+    ? 'never published'
+    : `last published ${entry.days_since_last_covered} day${entry.days_since_last_covered === 1 ? '' : 's'} ago`;
+  if (!entry.target) {
+    return `${label}: ${entry.posts} post${entry.posts === 1 ? '' : 's'} this month, no monthly target; ${last}`;
+  }
+  const state = {
+    under_covered: `behind (${entry.expected_to_date} expected by now)`,
+    on_track: 'on track',
+    met: 'target met',
+    over_covered: 'over target'
+  }[entry.status];
+  return `${label}: ${entry.posts} of ${entry.target} posts this month, ${state}; ${last}`;
+}
+
+// Evenly spaced dates in [start, start + days)
+function slotDates(start, days, count) {
+  return Array.from({ length: count }, (_, index) => new Date(start.getTime() + Math.floor(index * days / count) * DAY_MS));
+}
+
+// Proposed posts for the open slots of a window. Each slot goes to the
+// target furthest behind in the slot's month; once every target is met,
+// slots rotate through the values that have gone longest without a post.
+// `reports` maps each month the window touches to its coverage report;
+// `booked` are posts already scheduled in the window, which the reports
+// count already and which take a slot each.
+function planCalendar(reports, {
+  start,
+  days,
+  postsPerWeek,
+  booked = [],
+  dimensions = ['topic', 'theme'],
+  now = new Date()
+}) {
+  const total = Math.max(Math.round(days * postsPerWeek / 7), 1);
+  const bookedDays = new Set(booked.map(post => new Date(post.scheduled_for).toISOString().slice(0, 10)));
+  const open = slotDates(start, days, total)
+    .filter(date => !bookedDays.has(date.toISOString().slice(0, 10)))
+    .slice(0, Math.max(total - booked.length, 0));
+
+  const planned = new Map();
+  const lastPlanned = new Map();
+  const entriesFor = month => dimensions.flatMap(dimension =>
+    (reports[month]?.[`${dimension}s`] || []).map(entry => ({ ...entry, dimension, key: `${dimension}:${coverageKey(entry.value)}` })));
+
+  const slots = open.map(date => {
+    const month = monthKey(date);
+    const entries = entriesFor(month);
+    const count = entry => planned.get(`${month}|${entry.key}`) || 0;
+    const daysIdle = entry => lastPlanned.has(entry.key)
+      ? daysBetween(lastPlanned.get(entry.key), date)
+      : entry.days_since_last_covered === null ? Infinity : entry.days_since_last_covered + daysBetween(now, date);
+
+    const gaps = entries
+      .filter(entry => entry.target && entry.target - entry.posts - count(entry) > 0)
+      .sort((a, b) => (b.target - b.posts - count(b)) - (a.target - a.posts - count(a)) || daysIdle(b) - daysIdle(a));
+    const rotation = entries
+      .filter(entry => entry.status !== 'over_covered' && (!entry.target || entry.target - entry.posts - count(entry) > 0))
+      .sort((a, b) => daysIdle(b) - daysIdle(a) || a.value.localeCompare(b.value));
+    const pick = gaps[0] || rotation[0];
+    if (!pick) {
+      return { date, month, dimension: null, value: null, reason: 'No coverage targets or history yet' };
+    }
+
+    const idle = daysIdle(pick);
+    const remaining = pick.target ? pick.target - pick.posts - count(pick) : null;
+    planned.set(`${month}|${pick.key}`, count(pick) + 1);
+    lastPlanned.set(pick.key, date);
+    const reason = gaps[0]
+      ? `${remaining} more post${remaining === 1 ? '' : 's'} needed in ${monthName(month)} to reach the target of ${pick.target}`
+      : idle === Infinity ? 'Never published' : `Not published for ${idle} days`;
+    return {
+      date,
+      month,
+      dimension: pick.dimension,
+      value: pick.value,
+      target: pick.target,
+      reason
+    };
+  });
+
+  return {
+    window: { start, end: new Date(start.getTime() + days * DAY_MS), days },
+    posts_per_week: postsPerWeek,
+    booked,
+    slots
+  };
+}
+
+module.exports = {
+  COVERAGE_DIMENSIONS,
+  coverageKey,
+  monthKey,
+  parseMonth,
+  loadTargets,
+  loadCoverage,
+  buildCoverageReport,
+  describeCoverage,
+  planCalendar
+};
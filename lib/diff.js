@@ -0,0 +1,84 @@
+// Line diffs between blog revisions, as hunks with a few lines of context
+// and as unified diff text.
+
+// Edit script from the longest common subsequence of the two line arrays
+function diffOperations(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && before[i] === after[j]) {
+      operations.push({ type: ' ', text: before[i], from: i + 1, to: j + 1 });
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      operations.push({ type: '-', text: before[i], from: i + 1 });
+      i++;
+    } else {
+      operations.push({ type: '+', text: after[j], to: j + 1 });
+      j++;
+    }
+  }
+  return operations;
+}
+
+// Groups changed lines into hunks, keeping `context` unchanged lines around them
+function toHunks(operations, context) {
+  const ranges = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') return;
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  return ranges.map(range => {
+    const start = Math.max(range.start - context, 0);
+    const lines = operations.slice(start, Math.min(range.end + context + 1, operations.length));
+    const before = lines.filter(line => line.type !== '+');
+    const after = lines.filter(line => line.type !== '-');
+    // An empty side starts after the lines that precede the hunk
+    const preceding = operations.slice(0, start);
+    return {
+      from_start: before.length ? before[0].from : preceding.filter(line => line.type !== '+').length,
+      from_lines: before.length,
+      to_start: after.length ? after[0].to : preceding.filter(line => line.type !== '-').length,
+      to_lines: after.length,
+      lines: lines.map(({ type, text }) => ({ type, text }))
+    };
+  });
+}
+
+function diffText(before, after, { context = 3 } = {}) {
+  const operations = diffOperations(String(before || '').split('\n'), String(after || '').split('\n'));
+  const hunks = toHunks(operations, context);
+  const unified = hunks.map(hunk =>
+    `@@ -${hunk.from_start},${hunk.from_lines} +${hunk.to_start},${hunk.to_lines} @@\n` +
+    hunk.lines.map(line => `${line.type}${line.text}`).join('\n')
+  ).join('\n');
+
+  return {
+    stats: {
+      lines_added: operations.filter(line => line.type === '+').length,
+      lines_removed: operations.filter(line => line.type === '-').length
+    },
+    hunks,
+    unified
+  };
+}
+
+module.exports = { diffText };
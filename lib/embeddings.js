@@ -0,0 +1,116 @@
+// Embedding providers for semantic duplicate detection and related posts.
+//
+// A provider is { name, defaultThreshold, embed(text) -> Promise<number[]> }.
+// Vectors from different providers live in different spaces, so stored
+// embeddings are tagged with the provider name and only compared like for like.
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+function createGeminiEmbedder({
+  apiKey = process.env.GOOGLE_AI_API_KEY,
+  model = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+} = {}) {
+  const embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  return {
+    name: `gemini:${model}`,
+    defaultThreshold: 0.85,
+    async embed(text) {
+      const result = await embeddingModel.embedContent(text);
+      return result.embedding.values;
+    }
+  };
+}
+
+// 32-bit FNV-1a, enough to spread features across the hashed vector
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Deterministic, offline embedder using the hashing trick over words, word
+// pairs and character trigrams. Far weaker than a model, but it catches the
+// same headline rewritten by another outlet and needs no network.
+function createLocalEmbedder({ dimensions = 512 } = {}) {
+  return {
+    name: `local:hash-${dimensions}`,
+    defaultThreshold: 0.6,
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      const words = String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9$%\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOPWORDS.has(word));
+
+      const add = (feature, weight) => {
+        const hash = hashFeature(feature);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+      };
+
+      words.forEach((word, i) => {
+        add(`w:${word}`, 1);
+        if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+        const padded = ` ${word} `;
+        for (let j = 0; j + 3 <= padded.length; j++) {
+          add(`c:${padded.slice(j, j + 3)}`, 0.25);
+        }
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return norm === 0 ? vector : vector.map(value => value / norm);
+    }
+  };
+}
+
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'gemini') {
+  switch (name) {
+    case 'gemini':
+      return createGeminiEmbedder();
+    case 'local':
+      return createLocalEmbedder();
+    default:
+      throw new Error(`Unknown embedding provider: ${name}`);
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// The text that represents an article for similarity purposes
+function articleEmbeddingText(article) {
+  return [article.title, article.description].filter(Boolean).join('\n');
+}
+
+// The text that represents a blog post: its title and opening
+function postEmbeddingText(post) {
+  return [post.title, String(post.content || '').slice(0, 2000)].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createGeminiEmbedder,
+  createLocalEmbedder,
+  cosineSimilarity,
+  articleEmbeddingText,
+  postEmbeddingText
+};
@@ -0,0 +1,97 @@
+// One shape for every error response:
+//
+//   { error: 'Blog post not found', code: 'not_found', request_id: '…', details?: … }
+//
+// Handlers keep answering res.status(4xx).json({ error: '…' }); the envelope
+// middleware adds the code and request ID and moves any other fields (such
+// as a 409's allowed_transitions) into details. MCP tool calls go through
+// the same middleware, so they see the same shape.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'service_unavailable',
+  504: 'upstream_timeout'
+};
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+function toEnvelope(status, body, requestId) {
+  const fields = body && typeof body === 'object' ? body : { error: body };
+  const { error, message, code, details, request_id, ...context } = fields;
+  const envelope = {
+    error: typeof error === 'string' ? error : (message || http.STATUS_CODES[status] || 'Error'),
+    code: code || errorCode(status),
+    request_id: request_id || requestId
+  };
+  const hasContext = Object.keys(context).length > 0;
+  if (details !== undefined) {
+    envelope.details = hasContext ? { ...context, details } : details;
+  } else if (hasContext) {
+    envelope.details = context;
+  }
+  return envelope;
+}
+
+// Reuses a caller's X-Request-Id (so ids can be followed across services)
+// or makes one, and echoes it back
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  };
+}
+
+function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    // JSON-RPC answers carry their own error objects and are left alone
+    res.json = body => json(res.statusCode >= 400 && !(body && body.jsonrpc)
+      ? toEnvelope(res.statusCode, body, req.id)
+      : body);
+    next();
+  };
+}
+
+// Answers requests no route matched
+function notFound() {
+  return (req, res) => {
+    res.status(404).json({ error: `Cannot ${req.method} ${req.path}` });
+  };
+}
+
+// Last-resort handler for errors thrown outside the handlers' own catch
+// blocks, most often unparseable or oversized request bodies
+function errorHandler({ logger = console } = {}) {
+  // Express recognizes error handlers by their four arguments
+  return (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+    }
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large' });
+    }
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) logger.error(`Unhandled error (request ${req.id}):`, err);
+    res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.message });
+  };
+}
+
+module.exports = { ERROR_CODES, toEnvelope, requestId, errorEnvelope, notFound, errorHandler };
@@ -0,0 +1,406 @@
+// Static export of the blog, for static site deploys to pull from.
+//
+// A bundle holds each post as Markdown with YAML front matter (for site
+// generators) and as a rendered HTML page, plus an index page, RSS and
+// Atom feeds, a sitemap and a manifest with every file's checksum:
+//
+//   content/posts/<slug>.md
+//   public/index.html
+//   public/posts/<slug>/index.html
+//   public/feed.xml, public/atom.xml, public/sitemap.xml
+//   manifest.json
+//
+// Bundles are deterministic: the same posts and site settings give the
+// same bytes, with no build timestamps (dates come from the posts) and
+// files in path order, so deploys can diff or cache them. Tarballs are
+// plain ustar, gzipped, with every entry stamped with the latest post's
+// update time.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { escapeHtml, renderMarkdown, excerpt } = require('./markdown');
+
+// Most recent posts listed in the feeds
+const FEED_LIMIT = 50;
+const MAX_SLUG_LENGTH = 80;
+const DESCRIPTION_LENGTH = 200;
+
+function slugify(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+function postDate(post) {
+  return new Date(post.publication_date || post.scheduled_for || post.created_at);
+}
+
+function postUpdated(post) {
+  const updated = post.updated_at ? new Date(post.updated_at) : postDate(post);
+  return updated > postDate(post) ? updated : postDate(post);
+}
+
+// Oldest first, so a post keeps its slug when newer posts share its title
+function byDate(a, b) {
+  return postDate(a) - postDate(b) || String(a.id).localeCompare(String(b.id));
+}
+
+// Unique slug per post; repeats get -2, -3, ... in date order
+function assignSlugs(posts) {
+  const taken = new Set();
+  const slugs = new Map();
+  for (const post of [...posts].sort(byDate)) {
+    const base = slugify(post.title) || `post-${String(post.id).slice(0, 8)}`;
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    taken.add(slug);
+    slugs.set(post.id, slug);
+  }
+  return slugs;
+}
+
+// http(s) site root without a trailing slash, or null
+function normalizeSiteUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) return null;
+    return url.toString().replace(/\/+$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// The post's Markdown without the leading "# Title" line store-blog takes the title from
+function postBody(post) {
+  const lines = String(post.content || '').replace(/\r\n?/g, '\n').split('\n');
+  const first = lines.findIndex(line => line.trim());
+  if (first !== -1 && /^#\s/.test(lines[first]) && lines[first].replace(/^#\s*/, '').trim() === String(post.title || '').trim()) {
+    lines.splice(0, first + 1);
+  }
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// Strings are written JSON-quoted, which YAML reads as double-quoted scalars
+function yamlValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return `[${value.map(item => JSON.stringify(String(item))).join(', ')}]`;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function frontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// One post as front matter + Markdown and as an HTML fragment
+function exportPost(post, { slug = assignSlugs([post]).get(post.id), siteUrl = null } = {}) {
+  const body = postBody(post);
+  const url = siteUrl ? `${siteUrl}/posts/${slug}/` : null;
+  const fields = {
+    title: post.title || slug,
+    slug,
+    date: postDate(post),
+    updated: postUpdated(post),
+    description: excerpt(body, DESCRIPTION_LENGTH) || null,
+    topic: post.primary_topic || null,
+    theme: post.primary_theme || null,
+    keywords: (post.primary_keywords || []).filter(Boolean),
+    read_time: post.estimated_read_time || null,
+    word_count: post.word_count || null,
+    url
+  };
+  return {
+    id: post.id,
+    slug,
+    url,
+    front_matter: fields,
+    markdown: `${frontMatter(fields)}\n${body}`,
+    html: renderMarkdown(body)
+  };
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function page({ site, title, description, canonical, body }) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    description ? `<meta name="description" content="${escapeHtml(description)}">` : null,
+    `<link rel="canonical" href="${escapeHtml(canonical)}">`,
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(site.title)}" href="${escapeHtml(`${site.url}/feed.xml`)}">`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(site.title)}" href="${escapeHtml(`${site.url}/atom.xml`)}">`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function postPage(site, exported) {
+  const { front_matter: fields } = exported;
+  const meta = [
+    `<time datetime="${fields.date.toISOString()}">${formatDate(fields.date)}</time>`,
+    fields.read_time ? `${fields.read_time} min read` : null
+  ].filter(Boolean).join(' · ');
+  return page({
+    site,
+    title: `${fields.title} | ${site.title}`,
+    description: fields.description,
+    canonical: exported.url,
+    body: [
+      `<header><a href="${escapeHtml(`${site.url}/`)}">${escapeHtml(site.title)}</a></header>`,
+      '<article>',
+      `<h1>${escapeHtml(fields.title)}</h1>`,
+      `<p class="meta">${meta}</p>`,
+      exported.html,
+      '</article>'
+    ].join('\n')
+  });
+}
+
+function indexPage(site, exported) {
+  const items = exported.map(post => [
+    '<li>',
+    `<a href="${escapeHtml(post.url)}">${escapeHtml(post.front_matter.title)}</a>`,
+    `<time datetime="${post.front_matter.date.toISOString()}">${formatDate(post.front_matter.date)}</time>`,
+    post.front_matter.description ? `<p>${escapeHtml(post.front_matter.description)}</p>` : null,
+    '</li>'
+  ].filter(Boolean).join('\n'));
+  return page({
+    site,
+    title: site.title,
+    description: site.description,
+    canonical: `${site.url}/`,
+    body: [
+      `<h1>${escapeHtml(site.title)}</h1>`,
+      site.description ? `<p>${escapeHtml(site.description)}</p>` : null,
+      `<ul class="posts">\n${items.join('\n')}\n</ul>`
+    ].filter(Boolean).join('\n')
+  });
+}
+
+function rssFeed(site, exported, updated) {
+  const items = exported.map(post => [
+    '    <item>',
+    `      <title>${escapeHtml(post.front_matter.title)}</title>`,
+    `      <link>${escapeHtml(post.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeHtml(post.url)}</guid>`,
+    `      <pubDate>${post.front_matter.date.toUTCString()}</pubDate>`,
+    post.front_matter.description ? `      <description>${escapeHtml(post.front_matter.description)}</description>` : null,
+    ...[post.front_matter.topic, post.front_matter.theme].filter(Boolean).map(category => `      <category>${escapeHtml(category)}</category>`),
+    `      <content:encoded>${escapeHtml(post.html)}</content:encoded>`,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${escapeHtml(site.title)}</title>`,
+    `    <link>${escapeHtml(`${site.url}/`)}</link>`,
+    `    <description>${escapeHtml(site.description || site.title)}</description>`,
+    `    <atom:link href="${escapeHtml(`${site.url}/feed.xml`)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function atomFeed(site, exported, updated) {
+  const entries = exported.map(post => [
+    '  <entry>',
+    `    <title>${escapeHtml(post.front_matter.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeHtml(post.url)}"/>`,
+    `    <id>${escapeHtml(post.url)}</id>`,
+    `    <published>${post.front_matter.date.toISOString()}</published>`,
+    `    <updated>${post.front_matter.updated.toISOString()}</updated>`,
+    post.front_matter.description ? `    <summary>${escapeHtml(post.front_matter.description)}</summary>` : null,
+    `    <content type="html">${escapeHtml(post.html)}</content>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(site.title)}</title>`,
+    site.description ? `  <subtitle>${escapeHtml(site.description)}</subtitle>` : null,
+    `  <link rel="alternate" type="text/html" href="${escapeHtml(`${site.url}/`)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeHtml(`${site.url}/atom.xml`)}"/>`,
+    `  <id>${escapeHtml(`${site.url}/`)}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function sitemap(site, exported, updated) {
+  const urls = [
+    { loc: `${site.url}/`, lastmod: updated },
+    ...exported.map(post => ({ loc: post.url, lastmod: post.front_matter.updated }))
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => `  <url><loc>${escapeHtml(url.loc)}</loc><lastmod>${url.lastmod.toISOString()}</lastmod></url>`),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Every file of the bundle, in path order. `site` is { url, title, description }.
+function buildBundle(posts, site) {
+  const slugs = assignSlugs(posts);
+  const exported = [...posts]
+    .sort((a, b) => byDate(b, a))
+    .map(post => exportPost(post, { slug: slugs.get(post.id), siteUrl: site.url }));
+  const updated = new Date(Math.max(0, ...exported.map(post => post.front_matter.updated.getTime())));
+  const feedPosts = exported.slice(0, FEED_LIMIT);
+
+  const files = [
+    { path: 'public/index.html', content: indexPage(site, exported) },
+    { path: 'public/feed.xml', content: rssFeed(site, feedPosts, updated) },
+    { path: 'public/atom.xml', content: atomFeed(site, feedPosts, updated) },
+    { path: 'public/sitemap.xml', content: sitemap(site, exported, updated) }
+  ];
+  for (const post of exported) {
+    files.push({ path: `content/posts/${post.slug}.md`, content: post.markdown });
+    files.push({ path: `public/posts/${post.slug}/index.html`, content: postPage(site, post) });
+  }
+  const listed = files
+    .map(file => ({ ...file, content: Buffer.from(file.content, 'utf8') }))
+    .sort((a, b) => (a.path < b.path ? -1 : 1));
+
+  const manifest = {
+    site,
+    updated,
+    posts: exported.map(post => ({
+      id: post.id,
+      slug: post.slug,
+      url: post.url,
+      title: post.front_matter.title,
+      date: post.front_matter.date,
+      updated: post.front_matter.updated
+    })),
+    files: listed.map(file => ({ path: file.path, size: file.content.length, sha256: sha256(file.content) }))
+  };
+  const manifestFile = { path: 'manifest.json', content: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8') };
+  listed.push(manifestFile);
+  listed.sort((a, b) => (a.path < b.path ? -1 : 1));
+
+  return {
+    updated,
+    posts: manifest.posts,
+    files: listed.map(file => ({ ...file, size: file.content.length, sha256: sha256(file.content) })),
+    // The manifest checksums every other file, so its hash identifies the bundle
+    etag: `"${sha256(manifestFile.content)}"`
+  };
+}
+
+function octal(value, length) {
+  return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+// 512-byte ustar header; paths over 100 bytes are split into prefix and name
+function tarHeader(filePath, size, mtime) {
+  let prefix = '';
+  let name = filePath;
+  if (Buffer.byteLength(name) > 100) {
+    const split = [...filePath.matchAll(/\//g)]
+      .map(match => match.index)
+      .find(index => Buffer.byteLength(filePath.slice(0, index)) <= 155 && Buffer.byteLength(filePath.slice(index + 1)) <= 100);
+    if (split === undefined) throw new Error(`Path too long for a tar archive: ${filePath}`);
+    prefix = filePath.slice(0, split);
+    name = filePath.slice(split + 1);
+  }
+
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100, 8, 'ascii');
+  header.write(octal(0, 8), 108, 8, 'ascii');
+  header.write(octal(0, 8), 116, 8, 'ascii');
+  header.write(octal(size, 12), 124, 12, 'ascii');
+  header.write(octal(mtime, 12), 136, 12, 'ascii');
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+// Gzipped tar of the files, every entry stamped with `mtime`
+function createTarball(files, { mtime = new Date(0) } = {}) {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const blocks = [];
+  for (const file of files) {
+    blocks.push(tarHeader(file.path, file.content.length, seconds), file.content);
+    const padding = (512 - (file.content.length % 512)) % 512;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks), { level: 9 });
+}
+
+// `name` under root/tenant, or null if that would leave root
+function exportDirectory(root, tenantSlug, name) {
+  const base = path.resolve(root);
+  const directory = path.resolve(base, tenantSlug, name);
+  return directory.startsWith(base + path.sep) ? directory : null;
+}
+
+// Replaces `directory` with the bundle. Files are written to a sibling
+// staging directory first, so readers never see a half-written export.
+function writeBundle(files, directory) {
+  const parent = path.dirname(directory);
+  fs.mkdirSync(parent, { recursive: true });
+  const staging = fs.mkdtempSync(path.join(parent, `.${path.basename(directory)}-`));
+  try {
+    for (const file of files) {
+      const target = path.join(staging, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content);
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.renameSync(staging, directory);
+  } catch (error) {
+    fs.rmSync(staging, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  FEED_LIMIT,
+  slugify,
+  assignSlugs,
+  normalizeSiteUrl,
+  exportPost,
+  buildBundle,
+  createTarball,
+  exportDirectory,
+  writeBundle
+};
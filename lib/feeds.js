@@ -0,0 +1,269 @@
+// RSS and Atom news feeds: fetching with conditional GET, parsing and
+// normalizing items into the article shape /knowledge/check-duplicates takes.
+//
+// Feeds are parsed with a small tolerant reader rather than a full XML
+// parser: RSS 2.0, RSS 1.0 (RDF) and Atom only need a handful of elements,
+// and real-world feeds are often not well-formed XML anyway.
+//
+// Fetchers are { name, fetch(url, { etag, lastModified }) } and answer
+// { status, notModified, etag, lastModified, body }. The fixture fetcher
+// serves feeds from FEED_FIXTURES_DIR (<dir>/<host>/<path>) so the pipeline
+// runs offline, with ETags so conditional requests behave as they would
+// against a server.
+//
+// Feed URLs come from tenants, so the HTTP fetcher only talks to public
+// addresses, redirects included (lib/outbound.js). FEED_ALLOWED_HOSTS
+// (comma separated host names) lets an operator allow internal feeds by name.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { OutboundError, allowedHostList, checkTarget, guardedFetch } = require('./outbound');
+
+const FEED_TIMEOUT_MS = parseInt(process.env.FEED_TIMEOUT_MS, 10) || 10000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const USER_AGENT = 'restaurant-ai-mcp-server feed reader';
+
+function allowedFeedHosts() {
+  return allowedHostList(process.env.FEED_ALLOWED_HOSTS);
+}
+
+class FeedError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'FeedError';
+    this.status = status;
+  }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Text content of an element: CDATA kept as is, everything else decoded
+function elementText(inner) {
+  let text = '';
+  let rest = inner;
+  let start;
+  while ((start = rest.indexOf('<![CDATA[')) !== -1) {
+    const end = rest.indexOf(']]>', start);
+    if (end === -1) break;
+    text += decodeEntities(rest.slice(0, start)) + rest.slice(start + 9, end);
+    rest = rest.slice(end + 3);
+  }
+  return (text + decodeEntities(rest)).trim();
+}
+
+// Feed descriptions are usually HTML; keep the words
+function plainText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+const escapeName = name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Inner XML of the first child element with one of `names` (in order of preference)
+function child(xml, names) {
+  for (const name of names) {
+    const match = new RegExp(`<${escapeName(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeName(name)}>`, 'i').exec(xml);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function childText(xml, names) {
+  const inner = child(xml, names);
+  return inner === null ? null : elementText(inner) || null;
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, , value] of tag.matchAll(/([\w:-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attrs[name.toLowerCase()] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+// Atom entries link with <link rel="alternate" href="...">; rel defaults to alternate
+function atomLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map(match => attributes(match[1]));
+  const alternate = links.find(link => link.href && (!link.rel || link.rel === 'alternate'));
+  return alternate ? alternate.href : null;
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function resolveUrl(link, base) {
+  if (!link) return null;
+  try {
+    const url = new URL(link.trim(), base || undefined);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function feedFormat(xml) {
+  if (/<feed\b[^>]*>/i.test(xml) && !/<rss\b/i.test(xml)) return 'atom';
+  if (/<rdf:RDF\b/i.test(xml)) return 'rss1';
+  if (/<rss\b/i.test(xml) || /<channel\b/i.test(xml)) return 'rss';
+  return null;
+}
+
+// { format, title, link, items: [{ title, url, description, published_date, author, guid }] }
+// Relative links resolve against `baseUrl`; items without a usable link are dropped.
+function parseFeed(xml, { baseUrl } = {}) {
+  const source = String(xml).replace(/<!--[\s\S]*?-->/g, '');
+  const format = feedFormat(source);
+  if (!format) throw new FeedError('Not an RSS or Atom feed');
+
+  const atom = format === 'atom';
+  const itemPattern = atom ? /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi : /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
+  const head = source.split(atom ? /<entry\b/i : /<item\b/i)[0];
+  const feedLink = atom ? atomLink(head) : childText(head, ['link']);
+
+  const items = [];
+  for (const [, entry] of source.matchAll(itemPattern)) {
+    const guid = childText(entry, atom ? ['id'] : ['guid']);
+    const link = atom ? atomLink(entry) : childText(entry, ['link']) || (/^https?:\/\//.test(guid || '') ? guid : null);
+    const url = resolveUrl(link, baseUrl);
+    if (!url) continue;
+
+    const description = child(entry, atom ? ['summary', 'content'] : ['description', 'content:encoded']);
+    const author = atom ? childText(child(entry, ['author']) || '', ['name']) : childText(entry, ['author', 'dc:creator']);
+    items.push({
+      title: plainText(childText(entry, ['title']) || '') || null,
+      url,
+      description: description === null ? null : plainText(elementText(description)).slice(0, MAX_DESCRIPTION_LENGTH) || null,
+      published_date: isoDate(childText(entry, atom ? ['published', 'updated'] : ['pubDate', 'dc:date', 'published'])),
+      author: author || null,
+      guid: guid || url
+    });
+  }
+
+  return {
+    format,
+    title: plainText(childText(head, ['title']) || '') || null,
+    link: resolveUrl(feedLink, baseUrl),
+    items
+  };
+}
+
+// Feed items in the article shape check-duplicates takes, tagged with their source
+function toArticles(items, source) {
+  return items.map(item => ({
+    title: item.title,
+    url: item.url,
+    description: item.description,
+    published_date: item.published_date,
+    author: item.author,
+    topic: source.topic || null,
+    source: { id: source.id, name: source.name }
+  }));
+}
+
+// Why the server won't fetch this feed URL, or null (see lib/outbound.js)
+function checkFeedTarget(url, { allowedHosts = allowedFeedHosts(), unresolved = 'refuse' } = {}) {
+  return checkTarget(url, { allowedHosts, unresolved });
+}
+
+function createHttpFetcher({ timeoutMs = FEED_TIMEOUT_MS, allowedHosts = allowedFeedHosts() } = {}) {
+  return {
+    name: 'http',
+    async fetch(url, { etag, lastModified } = {}) {
+      const headers = {
+        'User-Agent': USER_AGENT,
+        Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5'
+      };
+      if (etag) headers['If-None-Match'] = etag;
+      if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+      let response;
+      try {
+        response = await guardedFetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) }, { allowedHosts });
+      } catch (error) {
+        if (error instanceof OutboundError) {
+          throw new FeedError(`Fetch ${error.refused ? 'refused' : 'failed'}: ${error.message}`);
+        }
+        const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : (error.cause?.message || error.message);
+        throw new FeedError(`Fetch failed: ${reason}`);
+      }
+
+      if (response.status === 304) {
+        return { status: 304, notModified: true, etag: etag || null, lastModified: lastModified || null };
+      }
+      if (!response.ok) {
+        throw new FeedError(`Feed answered HTTP ${response.status}`, response.status);
+      }
+      if (Number(response.headers.get('content-length')) > MAX_FEED_BYTES) {
+        throw new FeedError(`Feed is larger than ${MAX_FEED_BYTES} bytes`, response.status);
+      }
+      const body = await response.text();
+      if (Buffer.byteLength(body) > MAX_FEED_BYTES) {
+        throw new FeedError(`Feed is larger than ${MAX_FEED_BYTES} bytes`, response.status);
+      }
+      return {
+        status: response.status,
+        notModified: false,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        body
+      };
+    }
+  };
+}
+
+function createFixtureFetcher({ fixturesDir = process.env.FEED_FIXTURES_DIR } = {}) {
+  return {
+    name: 'fixture',
+    async fetch(url, { etag } = {}) {
+      if (!fixturesDir) throw new FeedError('FEED_FIXTURES_DIR is not set');
+      const { hostname, pathname } = new URL(url);
+      const root = path.resolve(fixturesDir);
+      const file = path.resolve(root, hostname, `.${pathname.endsWith('/') ? `${pathname}index.xml` : pathname}`);
+      if (!file.startsWith(root + path.sep) || !fs.existsSync(file)) {
+        throw new FeedError('Feed answered HTTP 404', 404);
+      }
+      const body = fs.readFileSync(file, 'utf8');
+      const current = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      const lastModified = fs.statSync(file).mtime.toUTCString();
+      if (etag === current) {
+        return { status: 304, notModified: true, etag: current, lastModified };
+      }
+      return { status: 200, notModified: false, etag: current, lastModified, body };
+    }
+  };
+}
+
+function createFeedFetcher(name = process.env.FEED_FETCHER || 'http') {
+  switch (name) {
+    case 'http':
+      return createHttpFetcher();
+    case 'fixture':
+      return createFixtureFetcher();
+    default:
+      throw new Error(`Unknown feed fetcher: ${name}`);
+  }
+}
+
+module.exports = {
+  FeedError,
+  checkFeedTarget,
+  parseFeed,
+  toArticles,
+  createHttpFetcher,
+  createFixtureFetcher,
+  createFeedFetcher
+};
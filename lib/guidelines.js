@@ -0,0 +1,126 @@
+// Writing guideline assembly for /knowledge/get-writing-guidelines.
+//
+// A voice profile supplies the persona; brand_guidelines rows (global, or
+// tied to a profile) supply the rules, filtered by channel and ordered by
+// priority (1 = most important); forbidden_phrases lists what never to write.
+
+const CHANNELS = ['blog', 'social', 'image'];
+
+// Prompt section headings for the guideline categories we know about;
+// anything else gets its category name upper-cased.
+const CATEGORY_HEADINGS = {
+  voice_tone: 'VOICE AND TONE',
+  style: 'REQUIRED STYLE',
+  restaurant_context: 'RESTAURANT INDUSTRY SPECIFICS',
+  financial_focus: 'FINANCIAL FOCUS',
+  always_include: 'ALWAYS INCLUDE'
+};
+
+// The house voice, used to seed the database and whenever no profile exists yet
+const DEFAULT_VOICE_PROFILE = {
+  name: 'bill-bryson',
+  display_name: 'Bill Bryson conversational',
+  tone: 'Professional but approachable - Bill Bryson style',
+  perspective: 'Industry insider with authentic experience',
+  personality_traits: ['Observational', 'Self-deprecating humor', 'Genuine curiosity'],
+  base_instructions: 'You are an experienced blogger with a warm, observational writing style similar to Bill Bryson. You write from genuine personal experience and maintain an intimate, conversational tone that immediately connects with readers.',
+  forbidden_phrases: [
+    'Delve into', 'At its core', 'Game-changing', 'Cutting-edge', 'Streamline', 'Harness',
+    'Furthermore', 'Moreover', 'Additionally', "It's worth noting that", 'Complex and multifaceted',
+    'Navigate the landscape', 'That actually', 'The key is'
+  ],
+  guidelines: [
+    ['style', 'First-person perspective', 'Write from first-person perspective with genuine autobiographical elements'],
+    ['style', 'Natural humor', 'Use self-deprecating humor that feels natural, not forced'],
+    ['style', 'Lived-in anecdotes', 'Include personal anecdotes that feel lived-in, not constructed'],
+    ['style', 'Relatable vulnerability', 'Show vulnerability and contradictions that make you relatable'],
+    ['style', 'High burstiness', 'Dramatically vary sentence lengths (high burstiness)'],
+    ['style', 'Long then short', 'Follow long sentences (20-30 words) with short, punchy reactions (3-8 words)'],
+    ['style', 'Contractions', 'Use contractions liberally'],
+    ['style', 'Parentheticals', 'Include parenthetical thoughts that feel spontaneous'],
+    ['style', 'Natural uncertainty', 'Show natural uncertainty with phrases like "I think" or "maybe it\'s just me"'],
+    ['style', 'No filler', 'Eliminate unnecessary words and filler phrases'],
+    ['style', 'Human problems', 'Focus on human problems and experiences, not technical capabilities'],
+    ['restaurant_context', 'Thin margins', 'Reference thin margins (3-5% typical) when relevant'],
+    ['restaurant_context', 'Labor shortage', 'Acknowledge labor shortage crisis when appropriate'],
+    ['restaurant_context', 'Operational framing', 'Frame technology in terms of real operational challenges'],
+    ['restaurant_context', 'Industry knowledge', 'Show genuine understanding through real industry knowledge'],
+    ['always_include', 'Financial impact', 'Financial impact in dollars or percentages'],
+    ['always_include', 'Implementation timeline', 'Implementation timeline and effort'],
+    ['always_include', 'Staff training', 'Staff training implications']
+  ].map(([guideline_category, guideline_name, guideline_description], index) => ({
+    guideline_category,
+    guideline_name,
+    guideline_description,
+    do_examples: [],
+    dont_examples: [],
+    applies_to: ['blog'],
+    priority_level: guideline_category === 'always_include' ? 1 : 2,
+    order: index
+  }))
+};
+
+function appliesToChannel(guideline, channel) {
+  return !guideline.applies_to || guideline.applies_to.length === 0 || guideline.applies_to.includes(channel);
+}
+
+function formatGuideline(guideline) {
+  const lines = [`- ${guideline.guideline_description || guideline.guideline_name}`];
+  if (guideline.do_examples?.length) {
+    lines.push(`  Do: ${guideline.do_examples.map(example => `"${example}"`).join(', ')}`);
+  }
+  if (guideline.dont_examples?.length) {
+    lines.push(`  Don't: ${guideline.dont_examples.map(example => `"${example}"`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+function assembleGuidelines({ profile, guidelines, forbiddenPhrases, channel = 'blog' }) {
+  const applicable = guidelines
+    .filter(guideline => appliesToChannel(guideline, channel))
+    .sort((a, b) => (a.priority_level ?? 99) - (b.priority_level ?? 99) || (a.order ?? 0) - (b.order ?? 0));
+
+  const sections = new Map();
+  for (const guideline of applicable) {
+    const category = guideline.guideline_category || 'general';
+    if (!sections.has(category)) sections.set(category, []);
+    sections.get(category).push(guideline);
+  }
+
+  const prompt = [profile.base_instructions];
+  if (forbiddenPhrases.length) {
+    prompt.push(`FORBIDDEN AI Phrases (NEVER use): ${forbiddenPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+  }
+  for (const [category, rows] of sections) {
+    const heading = CATEGORY_HEADINGS[category] || category.replace(/_/g, ' ').toUpperCase();
+    prompt.push(`${heading}:\n${rows.map(formatGuideline).join('\n')}`);
+  }
+
+  const describe = category => (sections.get(category) || [])
+    .map(guideline => guideline.guideline_description || guideline.guideline_name);
+
+  return {
+    custom_prompt_instructions: prompt.filter(Boolean).join('\n\n'),
+    voice_profile: { id: profile.id || null, name: profile.name, display_name: profile.display_name },
+    channel,
+    brand_voice: {
+      tone: profile.tone,
+      perspective: profile.perspective,
+      personality_traits: profile.personality_traits || []
+    },
+    restaurant_industry_specifics: {
+      always_include: describe('always_include'),
+      forbidden_phrases: forbiddenPhrases,
+      context_framing: describe('restaurant_context')
+    },
+    rules: applicable.map(guideline => ({
+      id: guideline.id || null,
+      category: guideline.guideline_category,
+      name: guideline.guideline_name,
+      description: guideline.guideline_description,
+      priority_level: guideline.priority_level
+    }))
+  };
+}
+
+module.exports = { CHANNELS, DEFAULT_VOICE_PROFILE, assembleGuidelines };
@@ -0,0 +1,181 @@
+// Image assets attached to blog posts: decoding, dimensions, checksums and
+// checks against the style guide's platform dimensions.
+//
+// Files themselves live wherever public_url points; only metadata is
+// stored. When the image data is sent along, dimensions, type and checksum
+// are read from it rather than taken on trust.
+
+const crypto = require('crypto');
+const { CARD_FORMATS } = require('./cards');
+
+const IMAGE_SOURCES = ['generated', 'uploaded'];
+
+// Larger images are fine (retina exports) as long as the aspect ratio
+// matches within this tolerance
+const ASPECT_TOLERANCE = 0.01;
+
+const DATA_URI = /^data:([\w/+.-]+)?(;base64)?,/;
+
+// Raw bytes from a data URI or bare base64
+function decodeImageData(data) {
+  const match = data.match(DATA_URI);
+  if (!match) return Buffer.from(data, 'base64');
+  const body = data.slice(match[0].length);
+  return match[2] ? Buffer.from(body, 'base64') : Buffer.from(decodeURIComponent(body));
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    // Start of frame markers carry the dimensions (C4, C8 and CC are not SOFs)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3FFF), height: 1 + ((bits >> 14) & 0x3FFF) };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  return null;
+}
+
+function svgDimensions(text) {
+  const tag = (text.match(/<svg\b[^>]*>/) || [])[0];
+  if (!tag) return null;
+  const attribute = name => {
+    const value = (tag.match(new RegExp(`\\s${name}="([\\d.]+)(px)?"`)) || [])[1];
+    return value ? Math.round(Number(value)) : null;
+  };
+  const viewBox = (tag.match(/viewBox="[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)"/) || []).slice(1).map(Number);
+  const width = attribute('width') || (viewBox.length ? Math.round(viewBox[0]) : null);
+  const height = attribute('height') || (viewBox.length ? Math.round(viewBox[1]) : null);
+  return width && height ? { width, height } : null;
+}
+
+// { mime_type, width, height } read from the file header, or null for
+// formats we don't recognize
+function inspectImage(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return { mime_type: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { mime_type: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    const dimensions = jpegDimensions(buffer);
+    return dimensions && { mime_type: 'image/jpeg', ...dimensions };
+  }
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const dimensions = webpDimensions(buffer);
+    return dimensions && { mime_type: 'image/webp', ...dimensions };
+  }
+  const head = buffer.toString('utf8', 0, 4096);
+  if (/<svg\b/.test(head)) {
+    const dimensions = svgDimensions(head);
+    return dimensions && { mime_type: 'image/svg+xml', ...dimensions };
+  }
+  return null;
+}
+
+function checksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Returns an error message when the dimensions don't suit the variant, or null
+function checkVariantDimensions(variant, width, height) {
+  const target = CARD_FORMATS[variant];
+  const expected = `${target.width}x${target.height}`;
+  if (width < target.width || height < target.height) {
+    return `${variant} images must be at least ${expected}; got ${width}x${height}`;
+  }
+  const ratio = (width / height) / (target.width / target.height);
+  if (Math.abs(ratio - 1) > ASPECT_TOLERANCE) {
+    return `${variant} images must have the ${expected} aspect ratio; got ${width}x${height}`;
+  }
+  return null;
+}
+
+// Validates an image description and resolves it into the row to store.
+// Returns { image } or { error }.
+function prepareImage(variant, input) {
+  if (!CARD_FORMATS[variant]) {
+    return { error: `variant must be one of: ${Object.keys(CARD_FORMATS).join(', ')}` };
+  }
+  if (!input || typeof input !== 'object') return { error: `${variant}: image must be an object` };
+  const { public_url, alt_text, source = 'uploaded', data } = input;
+
+  if (typeof public_url !== 'string' || !/^https?:\/\//.test(public_url)) {
+    return { error: `${variant}: public_url must be an http(s) URL` };
+  }
+  if (typeof alt_text !== 'string' || !alt_text.trim()) {
+    return { error: `${variant}: alt_text is required` };
+  }
+  if (!IMAGE_SOURCES.includes(source)) {
+    return { error: `${variant}: source must be one of: ${IMAGE_SOURCES.join(', ')}` };
+  }
+
+  let { width, height, checksum: sha256 = null, mime_type = null, byte_size = null } = input;
+  if (data !== undefined) {
+    if (typeof data !== 'string') return { error: `${variant}: data must be base64 or a data URI` };
+    const buffer = decodeImageData(data);
+    const inspected = inspectImage(buffer);
+    if (!inspected) return { error: `${variant}: data is not a PNG, JPEG, GIF, WebP or SVG image` };
+    if ((width !== undefined && width !== inspected.width) || (height !== undefined && height !== inspected.height)) {
+      return { error: `${variant}: width and height don't match the image data (${inspected.width}x${inspected.height})` };
+    }
+    const actual = checksum(buffer);
+    if (sha256 && sha256.toLowerCase() !== actual) {
+      return { error: `${variant}: checksum doesn't match the image data` };
+    }
+    ({ width, height, mime_type } = inspected);
+    sha256 = actual;
+    byte_size = buffer.length;
+  } else {
+    if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+      return { error: `${variant}: width and height are required (positive integers) unless data is given` };
+    }
+    if (sha256 !== null && !/^[a-f0-9]{64}$/i.test(sha256)) {
+      return { error: `${variant}: checksum must be a hex SHA-256 digest` };
+    }
+  }
+
+  const mismatch = checkVariantDimensions(variant, width, height);
+  if (mismatch) return { error: mismatch };
+
+  return {
+    image: {
+      variant,
+      width,
+      height,
+      alt_text: alt_text.trim(),
+      source,
+      checksum: sha256 && sha256.toLowerCase(),
+      public_url,
+      mime_type,
+      byte_size
+    }
+  };
+}
+
+module.exports = {
+  IMAGE_SOURCES,
+  decodeImageData,
+  inspectImage,
+  checksum,
+  checkVariantDimensions,
+  prepareImage
+};
@@ -0,0 +1,64 @@
+// In-process requests against the Express app, so the MCP layer can call the
+// same routes (and middleware) as HTTP clients without opening a socket.
+// `principal` is the already authenticated caller; routes still check its
+// scopes. `tenant` is the tenant it already resolved to.
+
+const http = require('http');
+const { Socket } = require('net');
+
+function inject(app, { method = 'GET', url, query, headers = {}, body, principal, tenant }) {
+  return new Promise((resolve, reject) => {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) search.append(key, String(value));
+    }
+
+    const req = new http.IncomingMessage(new Socket());
+    req.method = method.toUpperCase();
+    req.url = search.toString() ? `${url}?${search}` : url;
+    req.headers = {};
+    for (const [name, value] of Object.entries(headers)) {
+      req.headers[name.toLowerCase()] = value;
+    }
+    if (body !== undefined) {
+      req.headers['content-type'] = 'application/json';
+      req.body = body;
+      // Tells express.json() the body has already been parsed
+      req._body = true;
+    }
+    if (principal) req.principal = principal;
+    if (tenant) req.tenant = tenant;
+    req.push(null);
+
+    const res = new http.ServerResponse(req);
+    const chunks = [];
+    const collect = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+      }
+    };
+    res.write = (chunk, encoding) => {
+      collect(chunk, encoding);
+      return true;
+    };
+    res.end = (chunk, encoding) => {
+      collect(chunk, encoding);
+      const payload = Buffer.concat(chunks);
+      resolve({
+        statusCode: res.statusCode,
+        headers: res.getHeaders(),
+        payload,
+        json: () => JSON.parse(payload.toString('utf8'))
+      });
+      return res;
+    };
+
+    app.handle(req, res, error => {
+      if (error) return reject(error);
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: `Cannot ${req.method} ${url}` }));
+    });
+  });
+}
+
+module.exports = { inject };
@@ -0,0 +1,170 @@
+// Postgres-backed job queue with an in-process worker.
+//
+// Jobs are rows in the `jobs` table. A worker claims the oldest due job
+// with FOR UPDATE SKIP LOCKED, so any number of server instances can poll
+// the same table without running a job twice. Failed jobs are retried with
+// exponential backoff until max_attempts, then left as 'failed'. A job
+// whose worker died mid-run is handed out again once its lock goes stale.
+//
+// Handlers are registered per job type as
+//   { run(payload, job) -> Promise<result>, repeatEveryMs? }
+// and recurring types (repeatEveryMs) keep one pending job scheduled.
+// Jobs queued by hand for a recurring type run once and don't repeat.
+//
+// A job may belong to a tenant (tenant_id); handlers read it from the job
+// row. Jobs without one, like the recurring ones, are platform-wide.
+
+const os = require('os');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+function backoffDelay(attempt, baseMs, maxMs) {
+  return Math.min(baseMs * 2 ** Math.max(attempt - 1, 0), maxMs);
+}
+
+async function enqueueJob(db, type, payload = {}, {
+  runAt,
+  delayMs = 0,
+  maxAttempts = 5,
+  dedupeKey = null,
+  tenantId = null
+} = {}) {
+  const when = runAt ? new Date(runAt) : new Date(Date.now() + delayMs);
+  // A dedupe key allows only one pending or running job with that key
+  const inserted = await db.query(`
+    INSERT INTO jobs (type, payload, run_at, max_attempts, dedupe_key, tenant_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (dedupe_key) WHERE status IN ('pending', 'running') DO NOTHING
+    RETURNING *
+  `, [type, JSON.stringify(payload), when, maxAttempts, dedupeKey, tenantId]);
+  return inserted.rows[0] || null;
+}
+
+function createJobQueue(pool, {
+  handlers = {},
+  pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+  lockTimeoutMs = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+  backoffMs = 30 * 1000,
+  maxBackoffMs = 60 * 60 * 1000,
+  workerId = `${os.hostname()}:${process.pid}`,
+  logger = console
+} = {}) {
+  let timer = null;
+  let running = false;
+  let idle = Promise.resolve();
+
+  const types = () => Object.keys(handlers);
+
+  async function claimNext() {
+    const claimed = await pool.query(`
+      UPDATE jobs SET status = 'running', locked_by = $1, locked_at = NOW(),
+                      attempts = attempts + 1, updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'pending' AND run_at <= NOW() AND type = ANY($2)
+        ORDER BY run_at
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `, [workerId, types()]);
+    return claimed.rows[0] || null;
+  }
+
+  // Put jobs whose worker stopped responding back in the queue
+  async function releaseStaleLocks() {
+    await pool.query(`
+      UPDATE jobs SET status = 'pending', locked_by = NULL, locked_at = NULL, updated_at = NOW()
+      WHERE status = 'running' AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')
+    `, [lockTimeoutMs]);
+  }
+
+  const recurringKey = type => `recurring:${type}`;
+
+  async function scheduleRecurring() {
+    for (const [type, handler] of Object.entries(handlers)) {
+      if (handler.repeatEveryMs) {
+        await enqueueJob(pool, type, {}, { dedupeKey: recurringKey(type) });
+      }
+    }
+  }
+
+  // Recurring jobs queue their next run once they finish, whatever the outcome
+  async function scheduleNext(job, handler) {
+    if (handler.repeatEveryMs && job.dedupe_key === recurringKey(job.type)) {
+      await enqueueJob(pool, job.type, job.payload, {
+        delayMs: handler.repeatEveryMs,
+        dedupeKey: job.dedupe_key,
+        tenantId: job.tenant_id
+      });
+    }
+  }
+
+  // The outcome is recorded only while this claim still holds the job: one
+  // that outlived its lock may have been claimed again (attempts moved on),
+  // and that run owns it now, next run included.
+  async function execute(job) {
+    const handler = handlers[job.type];
+    const claim = [job.id, workerId, job.attempts];
+    let finished;
+    try {
+      const result = await handler.run(job.payload || {}, job);
+      finished = await pool.query(`
+        UPDATE jobs SET status = 'completed', result = $4, last_error = NULL,
+                        locked_by = NULL, locked_at = NULL, completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND locked_by = $2 AND attempts = $3 AND status = 'running'
+      `, [...claim, JSON.stringify(result ?? null)]);
+      if (finished.rowCount > 0) await scheduleNext(job, handler);
+    } catch (error) {
+      const retry = job.attempts < job.max_attempts;
+      logger.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error.message);
+      finished = await pool.query(`
+        UPDATE jobs SET status = $4::varchar, last_error = $5, locked_by = NULL, locked_at = NULL, updated_at = NOW(),
+                        run_at = CASE WHEN $4::varchar = 'pending' THEN NOW() + ($6 * INTERVAL '1 millisecond') ELSE run_at END
+        WHERE id = $1 AND locked_by = $2 AND attempts = $3 AND status = 'running'
+      `, [...claim, retry ? 'pending' : 'failed', error.message, backoffDelay(job.attempts, backoffMs, maxBackoffMs)]);
+      if (!retry && finished.rowCount > 0) await scheduleNext(job, handler);
+    }
+    if (finished.rowCount === 0) {
+      logger.error(`Job ${job.type} ${job.id} lost its lock before finishing; its outcome was not recorded`);
+    }
+  }
+
+  // Runs due jobs until none are left
+  async function drain() {
+    let job;
+    while (running && (job = await claimNext())) {
+      await execute(job);
+    }
+  }
+
+  async function tick() {
+    try {
+      await releaseStaleLocks();
+      await drain();
+    } catch (error) {
+      logger.error('Job worker error:', error.message);
+    }
+    if (running) timer = setTimeout(() => { idle = tick(); }, pollIntervalMs);
+  }
+
+  return {
+    workerId,
+    types,
+    enqueue: (type, payload, options) => enqueueJob(pool, type, payload, options),
+    async start() {
+      if (running) return;
+      running = true;
+      await scheduleRecurring();
+      idle = tick();
+    },
+    // Stops polling and waits for the job in progress, if any
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      await idle;
+    }
+  };
+}
+
+module.exports = { JOB_STATUSES, backoffDelay, enqueueJob, createJobQueue };
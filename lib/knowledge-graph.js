@@ -0,0 +1,60 @@
+// Typed relationships between knowledge entities and neighbourhood traversal.
+
+// Symmetric relationships read the same in both directions; acquired_by
+// points from the acquired company to its acquirer.
+const RELATIONSHIP_TYPES = {
+  competitor_of: { symmetric: true },
+  integrates_with: { symmetric: true },
+  acquired_by: { symmetric: false }
+};
+
+const MAX_DEPTH = 5;
+
+// Entities reachable from `entityId` within `depth` hops, following edges in
+// either direction, plus every edge between the entities found.
+async function getNeighborhood(client, entityId, { depth = 1, types = null } = {}) {
+  const maxDepth = Math.min(Math.max(depth, 1), MAX_DEPTH);
+
+  const walk = await client.query(`
+    WITH RECURSIVE walk(entity_id, depth, path) AS (
+      SELECT $1::uuid, 0, ARRAY[$1::uuid]
+      UNION ALL
+      SELECT next.entity_id, w.depth + 1, w.path || next.entity_id
+      FROM walk w
+      JOIN entity_relationships r
+        ON (r.source_entity_id = w.entity_id OR r.target_entity_id = w.entity_id)
+       AND ($3::text[] IS NULL OR r.relationship_type = ANY($3))
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN r.source_entity_id = w.entity_id
+                    THEN r.target_entity_id ELSE r.source_entity_id END AS entity_id
+      ) next
+      WHERE w.depth < $2 AND NOT next.entity_id = ANY(w.path)
+    )
+    SELECT e.id, e.name, e.type, e.description, MIN(w.depth) AS depth
+    FROM walk w
+    JOIN knowledge_entities e ON e.id = w.entity_id
+    GROUP BY e.id, e.name, e.type, e.description
+    ORDER BY depth, e.name
+  `, [entityId, maxDepth, types]);
+
+  const ids = walk.rows.map(row => row.id);
+  const edges = await client.query(`
+    SELECT id, source_entity_id AS source, target_entity_id AS target,
+           relationship_type, description
+    FROM entity_relationships
+    WHERE source_entity_id = ANY($1) AND target_entity_id = ANY($1)
+      AND ($2::text[] IS NULL OR relationship_type = ANY($2))
+    ORDER BY relationship_type, created_at
+  `, [ids, types]);
+
+  return {
+    depth: maxDepth,
+    nodes: walk.rows,
+    edges: edges.rows.map(edge => ({
+      ...edge,
+      symmetric: RELATIONSHIP_TYPES[edge.relationship_type]?.symmetric ?? false
+    }))
+  };
+}
+
+module.exports = { RELATIONSHIP_TYPES, MAX_DEPTH, getNeighborhood };
@@ -0,0 +1,50 @@
+// Blog post lifecycle: the states a post moves through and which moves are allowed.
+//
+// draft -> in_review -> approved -> scheduled -> published -> archived
+//
+// Reviewers can send a post back to draft, an approved post can be
+// published without scheduling, and an archived post can be revived
+// as a draft. Content can only be edited in draft or in_review.
+
+const BLOG_STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'];
+
+const TRANSITIONS = {
+  draft: ['in_review', 'archived'],
+  in_review: ['draft', 'approved', 'archived'],
+  approved: ['draft', 'scheduled', 'published', 'archived'],
+  scheduled: ['approved', 'published', 'archived'],
+  published: ['archived'],
+  archived: ['draft']
+};
+
+const EDITABLE_STATUSES = ['draft', 'in_review'];
+
+// States a new post may be created in
+const INITIAL_STATUSES = ['draft', 'in_review'];
+
+// Legacy rows (free-text status) may carry anything; unknown states are
+// treated as drafts so those posts can enter the workflow.
+function normalizeStatus(status) {
+  return BLOG_STATUSES.includes(status) ? status : 'draft';
+}
+
+function allowedTransitions(status) {
+  return TRANSITIONS[normalizeStatus(status)];
+}
+
+function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+function isEditable(status) {
+  return EDITABLE_STATUSES.includes(normalizeStatus(status));
+}
+
+module.exports = {
+  BLOG_STATUSES,
+  EDITABLE_STATUSES,
+  INITIAL_STATUSES,
+  allowedTransitions,
+  canTransition,
+  isEditable
+};
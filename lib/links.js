@@ -0,0 +1,271 @@
+// Internal links: related published posts a draft could link to, the
+// phrases in the draft to link from, and putting accepted links into the
+// Markdown.
+//
+// A published post is related when it shares keywords with the draft (its
+// primary keywords appear in the draft or among the draft's keywords and
+// topic), when both mention the same knowledge entities, or when their
+// embeddings are close. Posts the draft already links to are skipped, and
+// a post holds at most `maxLinks` internal links, counting the ones it
+// has. Anchors are the shared keywords, then the entity names, then the
+// target's title and topic, wherever they first appear in ordinary text:
+// never in headings, code, URLs or existing links, and never two links on
+// the same words.
+
+const { canonicalizeUrl } = require('./urls');
+
+const MAX_LINKS_PER_POST = parseInt(process.env.INTERNAL_LINKS_PER_POST, 10) || 5;
+const MAX_ANCHOR_LENGTH = 200;
+const CONTEXT_LENGTH = 60;
+
+// Score weights: embedding similarity, then shared keywords, then shared
+// entities; the counts stop adding after three
+const WEIGHTS = { similarity: 0.5, keywords: 0.3, entities: 0.2 };
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const UNLINKABLE_LINE = /^ {0,3}(#{1,6}\s|\[[^\]]+\]:\s)|^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const UNLINKABLE_SPANS = [
+  /!?\[[^\]]*\]\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"]*")?\)/g,
+  /\[[^\]]*\]\[[^\]]*\]/g,
+  /(`+)[\s\S]*?\1/g,
+  /<[a-z][a-z0-9+.-]*:[^\s<>]*>/gi,
+  /\bhttps?:\/\/[^\s<>()]+/gi
+];
+const LINK_TARGETS = [
+  /\[[^\]]*\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g,
+  /<((?:https?):\/\/[^\s<>]+)>/gi
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The phrase as whole words, any whitespace between them, any case
+function phrasePattern(phrase) {
+  const words = String(phrase).trim().split(/\s+/).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function mentions(text, phrase) {
+  return Boolean(String(phrase || '').trim()) && phrasePattern(phrase).test(text);
+}
+
+function sameUrl(url) {
+  try {
+    return canonicalizeUrl(url);
+  } catch (error) {
+    return url;
+  }
+}
+
+// Canonical URLs of everything the Markdown links to
+function linkedUrls(markdown) {
+  const urls = new Set();
+  for (const pattern of LINK_TARGETS) {
+    for (const match of String(markdown).matchAll(pattern)) {
+      urls.add(sameUrl(match[1]));
+    }
+  }
+  return urls;
+}
+
+// One flag per character: set where a link can't go. The first line is
+// off limits too, since store-blog takes the title from it.
+function unlinkableMask(markdown) {
+  const mask = new Uint8Array(markdown.length);
+  let offset = 0;
+  let fence = null;
+  for (const [index, line] of markdown.split('\n').entries()) {
+    const opening = FENCE.exec(line);
+    const blocked = index === 0 || fence !== null || opening || UNLINKABLE_LINE.test(line);
+    if (opening && fence === null) {
+      fence = opening[1][0];
+    } else if (opening && opening[1][0] === fence) {
+      fence = null;
+    }
+    if (blocked) mask.fill(1, offset, offset + line.length);
+    offset += line.length + 1;
+  }
+  for (const pattern of UNLINKABLE_SPANS) {
+    for (const match of markdown.matchAll(pattern)) {
+      mask.fill(1, match.index, match.index + match[0].length);
+    }
+  }
+  return mask;
+}
+
+// The first place the phrase can become a link, or null
+function findAnchor(markdown, phrase, mask) {
+  for (const match of markdown.matchAll(phrasePattern(phrase))) {
+    const end = match.index + match[0].length;
+    if (!mask.subarray(match.index, end).some(Boolean)) {
+      return { start: match.index, end, text: match[0] };
+    }
+  }
+  return null;
+}
+
+function anchorContext(markdown, { start, end }) {
+  const before = markdown.slice(Math.max(start - CONTEXT_LENGTH, 0), start);
+  const after = markdown.slice(end, end + CONTEXT_LENGTH);
+  return `${start > CONTEXT_LENGTH ? '…' : ''}${before}[${markdown.slice(start, end)}]${after}${end + CONTEXT_LENGTH < markdown.length ? '…' : ''}`
+    .replace(/\s+/g, ' ');
+}
+
+// Markdown link destination; spaces and parentheses would end it early
+function linkDestination(url) {
+  return String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+// Which of the candidates the Markdown links to already
+function linkedCandidates(markdown, candidates) {
+  const linked = linkedUrls(markdown);
+  return candidates.filter(candidate => linked.has(sameUrl(candidate.published_url)));
+}
+
+async function loadLinkCandidates(client, tenantId, excludeId) {
+  const candidates = await client.query(`
+    SELECT id, title, content, published_url, primary_topic, primary_theme, primary_keywords, publication_date
+    FROM blog_content
+    WHERE tenant_id = $1 AND status = 'published' AND published_url IS NOT NULL AND id <> $2
+    ORDER BY publication_date DESC NULLS LAST, id
+  `, [tenantId, excludeId]);
+  return candidates.rows;
+}
+
+// Ranked link suggestions for a draft. `similarities` maps candidate IDs
+// to the embedding similarity with the draft, where there are embeddings.
+function suggestLinks(draft, candidates, {
+  entities = [],
+  similarities = new Map(),
+  similarityThreshold = 1,
+  maxLinks = MAX_LINKS_PER_POST
+} = {}) {
+  const markdown = String(draft.content || '');
+  const draftText = `${draft.title || ''}\n${markdown}`;
+  const linked = linkedUrls(markdown);
+  const alreadyLinked = linkedCandidates(markdown, candidates);
+  const capacity = Math.max(maxLinks - alreadyLinked.length, 0);
+
+  const draftKeywords = new Set([...(draft.primary_keywords || []), draft.primary_topic]
+    .filter(Boolean).map(keyword => String(keyword).trim().toLowerCase()));
+  const draftEntities = entities.filter(entity => mentions(draftText, entity.name));
+
+  const related = candidates
+    .filter(candidate => !linked.has(sameUrl(candidate.published_url)))
+    .map(candidate => {
+      const candidateText = `${candidate.title || ''}\n${candidate.content || ''}`;
+      const sharedKeywords = [...new Set((candidate.primary_keywords || [])
+        .filter(keyword => keyword && (draftKeywords.has(String(keyword).trim().toLowerCase()) || mentions(draftText, keyword))))];
+      const sharedEntities = draftEntities
+        .filter(entity => mentions(candidateText, entity.name))
+        .map(entity => entity.name);
+      const similarity = similarities.has(candidate.id) ? similarities.get(candidate.id) : null;
+      const score = WEIGHTS.similarity * (similarity || 0) +
+        WEIGHTS.keywords * Math.min(sharedKeywords.length, 3) / 3 +
+        WEIGHTS.entities * Math.min(sharedEntities.length, 3) / 3;
+      return { candidate, sharedKeywords, sharedEntities, similarity, score };
+    })
+    .filter(match => match.sharedKeywords.length > 0 || match.sharedEntities.length > 0 ||
+      (match.similarity !== null && match.similarity >= similarityThreshold))
+    .sort((a, b) => b.score - a.score);
+
+  const mask = unlinkableMask(markdown);
+  const suggestions = [];
+  const unanchored = [];
+  for (const match of related) {
+    if (suggestions.length >= capacity) break;
+    const { candidate } = match;
+    const byLength = (a, b) => b.length - a.length;
+    const phrases = [
+      ...[...match.sharedKeywords].sort(byLength),
+      ...[...match.sharedEntities].sort(byLength),
+      candidate.title,
+      candidate.primary_topic,
+      candidate.primary_theme
+    ].filter(phrase => phrase && String(phrase).trim().length <= MAX_ANCHOR_LENGTH);
+
+    let anchor = null;
+    for (const phrase of phrases) {
+      anchor = findAnchor(markdown, phrase, mask);
+      if (anchor) break;
+    }
+    if (!anchor) {
+      unanchored.push(candidate.id);
+      continue;
+    }
+    mask.fill(1, anchor.start, anchor.end);
+    suggestions.push({
+      target_blog_id: candidate.id,
+      target_title: candidate.title,
+      target_url: candidate.published_url,
+      anchor_text: anchor.text,
+      context: anchorContext(markdown, anchor),
+      score: Math.round(match.score * 10000) / 10000,
+      reasons: {
+        shared_keywords: match.sharedKeywords,
+        shared_entities: match.sharedEntities,
+        similarity: match.similarity === null ? null : Math.round(match.similarity * 1000) / 1000
+      }
+    });
+  }
+
+  return {
+    max_links: maxLinks,
+    already_linked: alreadyLinked.map(candidate => candidate.id),
+    capacity,
+    suggestions,
+    related_without_anchor: unanchored
+  };
+}
+
+// Puts links ({ id, anchor_text, target_url }) into the Markdown, each on
+// the first free occurrence of its anchor text. `capacity` is how many more
+// internal links the post may take. Returns the new Markdown and which
+// links went in and which didn't, with why.
+function applyLinks(markdown, links, { capacity = MAX_LINKS_PER_POST } = {}) {
+  const text = String(markdown || '');
+  const linked = linkedUrls(text);
+  const mask = unlinkableMask(text);
+  const placed = [];
+  const skipped = [];
+
+  for (const link of links) {
+    const target = sameUrl(link.target_url);
+    if (linked.has(target)) {
+      skipped.push({ id: link.id, reason: 'already_linked' });
+      continue;
+    }
+    if (placed.length >= capacity) {
+      skipped.push({ id: link.id, reason: 'link_cap_reached' });
+      continue;
+    }
+    const anchor = findAnchor(text, link.anchor_text, mask);
+    if (!anchor) {
+      skipped.push({ id: link.id, reason: 'anchor_not_found' });
+      continue;
+    }
+    mask.fill(1, anchor.start, anchor.end);
+    linked.add(target);
+    placed.push({ ...anchor, link });
+  }
+
+  let output = text;
+  for (const { start, end, link } of [...placed].sort((a, b) => b.start - a.start)) {
+    output = `${output.slice(0, start)}[${output.slice(start, end)}](${linkDestination(link.target_url)})${output.slice(end)}`;
+  }
+  return {
+    markdown: output,
+    applied: placed.map(({ link, text: anchorText }) => ({ id: link.id, anchor_text: anchorText, target_url: link.target_url })),
+    skipped
+  };
+}
+
+module.exports = {
+  MAX_LINKS_PER_POST,
+  linkedUrls,
+  linkedCandidates,
+  loadLinkCandidates,
+  suggestLinks,
+  applyLinks
+};
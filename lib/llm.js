@@ -0,0 +1,222 @@
+// LLM access for the content pipeline.
+//
+// A provider is { name, generate(prompt, { task, schema }) -> Promise<string> }.
+// createLlmClient() wraps a provider with timeouts, retries with exponential
+// backoff and schema-validated JSON output, so route handlers never parse
+// model text themselves.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+
+// Raised when the model fails us (bad output, timeout, upstream error); the
+// HTTP layer reports it as a bad gateway rather than our own failure.
+class LlmError extends Error {
+  constructor(message, { code = 'llm_error', statusCode = 502, details } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function createGeminiProvider({
+  apiKey = process.env.GOOGLE_AI_API_KEY,
+  model = process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+} = {}) {
+  const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  return {
+    name: `gemini:${model}`,
+    async generate(prompt) {
+      const result = await generativeModel.generateContent(prompt);
+      return result.response.text();
+    }
+  };
+}
+
+// Smallest deterministic value that satisfies a JSON Schema
+function sampleFromSchema(schema, key = 'value') {
+  if (!schema) return null;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum) return schema.enum[0];
+  if (schema.anyOf || schema.oneOf) return sampleFromSchema((schema.anyOf || schema.oneOf)[0], key);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const object = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        object[name] = sampleFromSchema(property, name);
+      }
+      return object;
+    }
+    case 'array':
+      return Array.from({ length: Math.max(schema.minItems || 1, 1) }, () => sampleFromSchema(schema.items, key));
+    case 'integer':
+    case 'number': {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? min + 10;
+      const middle = (min + max) / 2;
+      return type === 'integer' ? Math.round(middle) : middle;
+    }
+    case 'boolean':
+      return true;
+    case 'string': {
+      const text = `Fixture ${key.replace(/_/g, ' ')}`;
+      return schema.maxLength ? text.slice(0, schema.maxLength) : text;
+    }
+    default:
+      return null;
+  }
+}
+
+// Offline provider for development and tests. Serves <task>.json or <task>.txt
+// from LLM_FIXTURES_DIR when present, otherwise a deterministic answer derived
+// from the task and its schema.
+function createFixtureProvider({ fixturesDir = process.env.LLM_FIXTURES_DIR } = {}) {
+  return {
+    name: 'fixture',
+    async generate(prompt, { task = 'default', schema } = {}) {
+      if (fixturesDir) {
+        for (const extension of ['.json', '.txt']) {
+          const file = path.join(fixturesDir, `${task}${extension}`);
+          if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8');
+        }
+      }
+      if (schema) return JSON.stringify(sampleFromSchema(schema));
+      const firstLine = prompt.split('\n').find(line => line.trim()) || '';
+      return `Fixture response for ${task}. ${firstLine.trim()}`;
+    }
+  };
+}
+
+function createLlmProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider();
+    case 'fixture':
+      return createFixtureProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+// Pull the JSON value out of model text: code fences, leading prose and
+// trailing commas are all common.
+function extractJson(text) {
+  const unfenced = String(text).replace(/```(?:json)?\s*([\s\S]*?)```/i, '$1').trim();
+  const start = unfenced.search(/[{[]/);
+  if (start === -1) throw new SyntaxError('No JSON object found in model output');
+  const closer = unfenced[start] === '{' ? '}' : ']';
+  const end = unfenced.lastIndexOf(closer);
+  if (end < start) throw new SyntaxError('Unterminated JSON in model output');
+
+  const candidate = unfenced.slice(start, end + 1);
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+// Upstream errors that are worth another attempt: timeouts, rate limits,
+// server errors and network failures. Bad requests and auth errors are not.
+function isRetryable(error) {
+  if (error instanceof LlmError) return error.code === 'llm_timeout';
+  const status = error.status || Number((String(error.message).match(/\[(\d{3})/) || [])[1]);
+  return !status || status === 429 || status >= 500;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new LlmError(`LLM request timed out after ${timeoutMs}ms`, {
+      code: 'llm_timeout',
+      statusCode: 504
+    })), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function formatSchemaErrors(errors) {
+  return (errors || []).map(error => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+function createLlmClient(provider = createLlmProvider(), {
+  timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 30000,
+  retries = process.env.LLM_MAX_RETRIES !== undefined ? Number(process.env.LLM_MAX_RETRIES) : 2,
+  backoffMs = 500
+} = {}) {
+  async function generateText(prompt, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await withTimeout(provider.generate(prompt, options), timeoutMs);
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) {
+          if (error instanceof LlmError) throw error;
+          throw new LlmError(`LLM request failed: ${error.message}`, { code: 'llm_unavailable' });
+        }
+        const delay = backoffMs * 2 ** attempt;
+        console.error(`LLM ${options.task || 'request'} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  function parseAndValidate(text, validate) {
+    let value;
+    try {
+      value = extractJson(text);
+    } catch (error) {
+      return { errors: [`Output is not valid JSON: ${error.message}`] };
+    }
+    if (!validate(value)) return { errors: formatSchemaErrors(validate.errors) };
+    return { value };
+  }
+
+  // Generate JSON matching `schema`. Output that fails validation gets one
+  // repair round-trip with the validation errors before we give up.
+  async function generateJson(prompt, { schema, task } = {}) {
+    const validate = ajv.compile(schema);
+    const text = await generateText(prompt, { task, schema });
+    let parsed = parseAndValidate(text, validate);
+    if (!parsed.errors) return parsed.value;
+
+    const repairPrompt = `Your previous response did not match the required JSON format.
+
+PROBLEMS:
+${parsed.errors.map(error => `- ${error}`).join('\n')}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(schema, null, 2)}
+
+PREVIOUS RESPONSE:
+${text}
+
+Return only the corrected JSON, with no commentary or code fences.`;
+    const repaired = await generateText(repairPrompt, { task: `${task}_repair`, schema });
+    parsed = parseAndValidate(repaired, validate);
+    if (!parsed.errors) return parsed.value;
+
+    throw new LlmError(`Model returned malformed output for ${task || 'request'}`, {
+      code: 'llm_output_invalid',
+      details: { validation_errors: parsed.errors, output_excerpt: String(repaired).slice(0, 500) }
+    });
+  }
+
+  return { name: provider.name, generateText, generateJson };
+}
+
+module.exports = {
+  LlmError,
+  createLlmClient,
+  createLlmProvider,
+  createGeminiProvider,
+  createFixtureProvider,
+  extractJson,
+  sampleFromSchema
+};
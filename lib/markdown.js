@@ -0,0 +1,253 @@
+// Markdown to HTML for exported posts.
+//
+// Covers what the pipeline's posts use: ATX headings, paragraphs, emphasis,
+// links and images, inline and fenced code, block quotes, nested lists,
+// pipe tables and rules. Output is safe by construction: raw HTML in the
+// Markdown is escaped rather than passed through, attribute values are
+// escaped, and links and images only keep http(s), mailto and relative
+// URLs.
+
+const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+const IMAGE_SCHEMES = ['http:', 'https:'];
+
+// Link destinations may contain one level of balanced parentheses
+const DESTINATION = String.raw`<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?`;
+const IMAGE = new RegExp(String.raw`!\[([^\]]*)\]\(\s*${DESTINATION}\s*\)`, 'g');
+const LINK = new RegExp(String.raw`\[([^\]]+)\]\(\s*${DESTINATION}\s*\)`, 'g');
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The URL if it is safe to link to, else null
+function safeUrl(url, schemes = LINK_SCHEMES) {
+  const trimmed = String(url).trim();
+  if (!trimmed || /[\u0000-\u001f\s]/.test(trimmed)) return null;
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(trimmed);
+  if (!scheme) return trimmed;
+  return schemes.includes(`${scheme[1].toLowerCase()}:`) ? trimmed : null;
+}
+
+// Inline spans of one block. Code spans, links and images are set aside as
+// placeholders first so emphasis markers inside them are left alone.
+function renderInline(text) {
+  const held = [];
+  const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+  let out = String(text).replace(/\u0000/g, '')
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(IMAGE, (match, alt, src, title) => {
+      const url = safeUrl(src, IMAGE_SCHEMES);
+      if (!url) return hold(escapeHtml(alt));
+      return hold(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`);
+    })
+    .replace(LINK, (match, label, href, title) => {
+      const url = safeUrl(href);
+      if (!url) return label;
+      return `${hold(`<a href="${escapeHtml(url)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`)}${label}${hold('</a>')}`;
+    })
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) =>
+      hold(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/i, ''))}</a>`));
+
+  out = escapeHtml(out)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n');
+
+  return out.replace(/\u0000(\d+)\u0000/g, (match, index) => held[Number(index)]);
+}
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isBlockStart(line, next) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) ||
+    (line.includes('|') && next !== undefined && TABLE_DIVIDER.test(next) && next.includes('-'));
+}
+
+function renderList(lines, start) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  const continues = line => {
+    const match = LIST_ITEM.exec(line || '');
+    return match && match[1].length === indent && /\d/.test(match[2]) === ordered ? match : null;
+  };
+
+  while (i < lines.length) {
+    if (!lines[i].trim()) {
+      // A blank line between items makes the list loose
+      let next = i;
+      while (next < lines.length && !lines[next].trim()) next++;
+      if (!continues(lines[next])) break;
+      loose = true;
+      i = next;
+    }
+    const match = continues(lines[i]);
+    if (!match) break;
+    const body = [match[3]];
+    const contentIndent = match[1].length + match[2].length + 1;
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const next = lines.slice(i + 1).find(candidate => candidate.trim());
+        if (next !== undefined && next.search(/\S/) > indent) {
+          body.push('');
+          loose = true;
+          i++;
+          continue;
+        }
+        break;
+      }
+      const nested = LIST_ITEM.exec(line);
+      if (nested && nested[1].length <= indent) break;
+      if (!nested && line.search(/\S/) <= indent && isBlockStart(line, lines[i + 1])) break;
+      body.push(line.slice(Math.min(line.search(/\S/), contentIndent)));
+      i++;
+    }
+    items.push(body);
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const html = items.map(body => {
+    const inner = renderBlocks(body);
+    // Tight lists keep their text out of paragraphs
+    return `<li>${loose ? inner : inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/<\/p>\n<(ul|ol)/g, '</p><$1')}</li>`;
+  }).join('\n');
+  return {
+    html: `<${tag}${ordered && startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${html}\n</${tag}>`,
+    next: i
+  };
+}
+
+function renderBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !isBlockStart(lines[i], lines[i + 1]))) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i);
+      blocks.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const header = tableCells(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(tableCells(lines[i]));
+        i++;
+      }
+      const cells = (row, tag) => header.map((_, index) => `<${tag}>${renderInline(row[index] || '')}</${tag}>`).join('');
+      blocks.push(
+        `<table>\n<thead>\n<tr>${cells(header, 'th')}</tr>\n</thead>\n` +
+        (rows.length ? `<tbody>\n${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('\n')}\n</tbody>\n` : '') +
+        '</table>'
+      );
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i], lines[i + 1]))) {
+      paragraph.push(lines[i].replace(/^\s+/, ''));
+      i++;
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+  return blocks.join('\n');
+}
+
+function renderMarkdown(markdown) {
+  return renderBlocks(String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+}
+
+// Plain text of the Markdown's first paragraphs, cut at a word boundary
+function excerpt(markdown, maxLength = 200) {
+  const text = renderMarkdown(markdown)
+    .replace(/<(h[1-6]|pre|table)[^>]*>[\s\S]*?<\/\1>/g, ' ')
+    .replace(/<br>|<\/(p|li|blockquote)>/g, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39);/g, (match, entity) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'' })[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > maxLength / 2 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+module.exports = {
+  escapeHtml,
+  safeUrl,
+  renderInline,
+  renderMarkdown,
+  excerpt
+};
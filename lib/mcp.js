@@ -0,0 +1,210 @@
+// Model Context Protocol server: JSON-RPC 2.0 dispatch with stdio and
+// streamable HTTP transports.
+//
+// The server itself knows nothing about restaurants; server.js supplies the
+// tool and resource callbacks. Transports pass a context (who is calling, and
+// for which tenant) that reaches every callback, so tools and resources can be
+// limited per caller.
+
+const readline = require('readline');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+// A well-formed request the caller isn't allowed to make; data.code is
+// 'forbidden', as in the HTTP error envelope
+const FORBIDDEN = -32003;
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function createMcpServer({
+  name,
+  version,
+  instructions,
+  listTools,
+  callTool,
+  listResources = async () => [],
+  listResourceTemplates = async () => [],
+  readResource
+}) {
+  async function dispatch(method, params = {}, context = {}) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: {
+            tools: { listChanged: false },
+            resources: { subscribe: false, listChanged: false }
+          },
+          serverInfo: { name, version },
+          instructions
+        };
+      }
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return { tools: await listTools(context) };
+
+      case 'tools/call': {
+        if (!params.name) {
+          throw new JsonRpcError(INVALID_PARAMS, 'Tool name is required');
+        }
+        const tools = await listTools(context);
+        if (!tools.some(tool => tool.name === params.name)) {
+          throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+        }
+        return callTool(params.name, params.arguments || {}, context);
+      }
+
+      case 'resources/list':
+        return { resources: await listResources(context) };
+
+      case 'resources/templates/list':
+        return { resourceTemplates: await listResourceTemplates() };
+
+      case 'resources/read': {
+        if (!params.uri) {
+          throw new JsonRpcError(INVALID_PARAMS, 'Resource uri is required');
+        }
+        const contents = await readResource(params.uri, context);
+        if (!contents) {
+          throw new JsonRpcError(RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+        }
+        return { contents };
+      }
+
+      default:
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  // Returns the JSON-RPC response for a request, or null for notifications
+  // and client responses, which get no reply.
+  async function handleMessage(message, context = {}) {
+    if (!message || message.jsonrpc !== '2.0' || (message.method === undefined && message.id === undefined)) {
+      return errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Invalid JSON-RPC message'));
+    }
+    if (message.method === undefined) return null;
+
+    const isNotification = message.id === undefined || message.id === null;
+    try {
+      const result = await dispatch(message.method, message.params, context);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      if (!(error instanceof JsonRpcError)) {
+        console.error('MCP request error:', error);
+      }
+      return errorResponse(message.id, error);
+    }
+  }
+
+  return { handleMessage };
+}
+
+function errorResponse(id, error) {
+  const rpcError = error instanceof JsonRpcError
+    ? error
+    : new JsonRpcError(INTERNAL_ERROR, error.message || 'Internal error');
+  const body = { code: rpcError.code, message: rpcError.message };
+  if (rpcError.data !== undefined) body.data = rpcError.data;
+  return { jsonrpc: '2.0', id, error: body };
+}
+
+// JSON-RPC 2.0 answers an empty batch with a single error, not an empty array
+function isEmptyBatch(message) {
+  return Array.isArray(message) && message.length === 0;
+}
+
+function emptyBatchResponse() {
+  return errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Invalid Request: empty batch'));
+}
+
+// stdio transport: one JSON-RPC message per line on stdin/stdout. Anything
+// else written to stdout corrupts the stream, so callers must keep logging
+// on stderr.
+function serveStdio(server, { input = process.stdin, output = process.stdout, context = {}, onClose } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  const handleLine = async line => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      output.write(JSON.stringify(errorResponse(null, new JsonRpcError(PARSE_ERROR, 'Parse error'))) + '\n');
+      return;
+    }
+    if (isEmptyBatch(message)) {
+      output.write(JSON.stringify(emptyBatchResponse()) + '\n');
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const responses = (await Promise.all(messages.map(each => server.handleMessage(each, context)))).filter(Boolean);
+    if (responses.length === 0) return;
+    const reply = Array.isArray(message) ? responses : responses[0];
+    output.write(JSON.stringify(reply) + '\n');
+  };
+
+  lines.on('line', line => {
+    const handling = handleLine(line).finally(() => pending.delete(handling));
+    pending.add(handling);
+  });
+
+  // Let in-flight requests answer before reporting the client gone
+  lines.on('close', async () => {
+    await Promise.allSettled([...pending]);
+    if (onClose) onClose();
+  });
+
+  return lines;
+}
+
+// Streamable HTTP transport (POST endpoint). The server is stateless and
+// always answers with a plain JSON body rather than an SSE stream. `context`
+// derives the caller's context from the request.
+function httpHandler(server, { context = () => ({}) } = {}) {
+  return async (req, res) => {
+    const message = req.body;
+    if (!message || typeof message !== 'object') {
+      return res.status(400).json(errorResponse(null, new JsonRpcError(PARSE_ERROR, 'Parse error')));
+    }
+    if (isEmptyBatch(message)) {
+      return res.status(400).json(emptyBatchResponse());
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const callerContext = context(req);
+    const responses = (await Promise.all(messages.map(each => server.handleMessage(each, callerContext)))).filter(Boolean);
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+    res.json(Array.isArray(message) ? responses : responses[0]);
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  FORBIDDEN,
+  JsonRpcError,
+  createMcpServer,
+  serveStdio,
+  httpHandler
+};
@@ -0,0 +1,140 @@
+// Engagement metrics for published posts and the reports built from them.
+//
+// Each metrics point is a cumulative snapshot (totals so far) for one post
+// on one platform, as the platforms themselves report it. Performance over
+// a date range is the growth between the last snapshot before the range and
+// the last snapshot inside it.
+
+const METRIC_FIELDS = ['views', 'clicks', 'likes', 'shares', 'comments', 'newsletter_signups'];
+
+const PLATFORMS = ['blog', 'newsletter', 'facebook', 'twitter', 'linkedin', 'instagram_post', 'instagram_story'];
+
+const GROUP_BY = {
+  post: row => ({ key: row.blog_content_id, label: row.title }),
+  topic: row => ({ key: row.primary_topic || 'unassigned', label: row.primary_topic || 'unassigned' }),
+  primary_theme: row => ({ key: row.primary_theme || 'unassigned', label: row.primary_theme || 'unassigned' }),
+  platform: row => ({ key: row.platform, label: row.platform })
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns an error message for an invalid metrics point, or null
+function validateMetricPoint(point) {
+  if (!point || typeof point !== 'object') return 'each metrics point must be an object';
+  if (!PLATFORMS.includes(point.platform)) return `platform must be one of: ${PLATFORMS.join(', ')}`;
+  if (point.recorded_at !== undefined && Number.isNaN(Date.parse(point.recorded_at))) {
+    return 'recorded_at must be an ISO date';
+  }
+  const present = METRIC_FIELDS.filter(field => point[field] !== undefined && point[field] !== null);
+  if (present.length === 0) return `at least one of ${METRIC_FIELDS.join(', ')} is required`;
+  const invalid = present.find(field => !Number.isInteger(point[field]) || point[field] < 0);
+  if (invalid) return `${invalid} must be a non-negative integer`;
+  return null;
+}
+
+// Per post and platform growth in [from, to), for posts with a snapshot in range
+async function loadPerformance(client, { tenantId, from, to, platform = null, blogId = null }) {
+  const growth = METRIC_FIELDS
+    .map(field => `GREATEST(e.${field} - COALESCE(s.${field}, 0), 0)::int AS ${field}`)
+    .join(',\n           ');
+  const snapshot = (comparison) => `
+    SELECT DISTINCT ON (blog_content_id, platform) blog_content_id, platform, recorded_at, ${METRIC_FIELDS.join(', ')}
+    FROM publication_metrics
+    WHERE tenant_id = $5 AND recorded_at ${comparison}
+      AND ($3::text IS NULL OR platform = $3)
+      AND ($4::uuid IS NULL OR blog_content_id = $4)
+    ORDER BY blog_content_id, platform, recorded_at DESC`;
+
+  const result = await client.query(`
+    WITH ending AS (${snapshot('< $2')}),
+         starting AS (${snapshot('< $1')})
+    SELECT e.blog_content_id, e.platform, b.title, b.primary_topic, b.primary_theme,
+           ${growth}
+    FROM ending e
+    LEFT JOIN starting s ON s.blog_content_id = e.blog_content_id AND s.platform = e.platform
+    JOIN blog_content b ON b.id = e.blog_content_id
+    WHERE e.recorded_at >= $1
+  `, [from, to, platform, blogId, tenantId]);
+  return result.rows;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(METRIC_FIELDS.map(field => [field, 0]));
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function summarize(rows) {
+  const totals = emptyTotals();
+  const posts = new Set();
+  for (const row of rows) {
+    posts.add(row.blog_content_id);
+    for (const field of METRIC_FIELDS) totals[field] += row[field];
+  }
+  totals.engagement = totals.likes + totals.shares + totals.comments;
+  const perPost = Object.fromEntries(
+    Object.entries(totals).map(([field, value]) => [field, posts.size ? round(value / posts.size) : 0])
+  );
+  return { posts: posts.size, totals, per_post: perPost };
+}
+
+// Percentage lift of each per-post average over the baseline's
+function compareToBaseline(perPost, baseline) {
+  if (!baseline || baseline.posts === 0) return null;
+  return Object.fromEntries(Object.entries(perPost).map(([field, value]) => {
+    const base = baseline.per_post[field];
+    return [field, {
+      value,
+      baseline: base,
+      lift_pct: base > 0 ? round((value - base) / base * 100, 1) : null
+    }];
+  }));
+}
+
+// Groups the rows and compares each group with the baseline rows. Platform
+// groups compare against the same platform's baseline; every other grouping
+// compares against the overall baseline.
+function buildReport(rows, baselineRows, groupBy) {
+  const groups = new Map();
+  for (const row of rows) {
+    const { key, label } = GROUP_BY[groupBy](row);
+    if (!groups.has(key)) groups.set(key, { key, label, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  const overallBaseline = summarize(baselineRows);
+  const report = [...groups.values()].map(group => {
+    const summary = summarize(group.rows);
+    const baseline = groupBy === 'platform'
+      ? summarize(baselineRows.filter(row => row.platform === group.key))
+      : overallBaseline;
+    return {
+      key: group.key,
+      label: group.label,
+      ...summary,
+      platforms: [...new Set(group.rows.map(row => row.platform))],
+      baseline_comparison: compareToBaseline(summary.per_post, baseline)
+    };
+  });
+
+  return {
+    summary: summarize(rows),
+    baseline: overallBaseline,
+    groups: report.sort((a, b) => b.totals.engagement - a.totals.engagement || b.totals.views - a.totals.views)
+  };
+}
+
+module.exports = {
+  METRIC_FIELDS,
+  PLATFORMS,
+  GROUP_BY,
+  DAY_MS,
+  validateMetricPoint,
+  loadPerformance,
+  summarize,
+  compareToBaseline,
+  buildReport
+};
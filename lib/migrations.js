@@ -0,0 +1,176 @@
+// Versioned schema migrations.
+//
+// Each file in migrations/ is named <version>_<name>.js and exports
+// up(client) and down(client). They run in version order, each in its own
+// transaction, and every applied version is recorded in schema_migrations
+// with a checksum of its file. A Postgres advisory lock serializes
+// migrators, so several instances booting at once apply each migration
+// exactly once.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Any constant works as long as every instance uses the same one
+const LOCK_KEY = 4820137;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(migration, direction, cause) {
+    super(`Migration ${migration.version} (${migration.name}) failed on ${direction}: ${cause.message}`);
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.cause = cause;
+  }
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) throw new Error(`Migration file names look like 001_name.js; got ${file}`);
+      const fullPath = path.join(dir, file);
+      const { up, down } = require(fullPath);
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up(client) and down(client)`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+        up,
+        down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Runs fn with a client that holds the migration lock and sees an existing
+// schema_migrations table
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(200) NOT NULL,
+          checksum CHAR(64) NOT NULL,
+          applied_at TIMESTAMP DEFAULT NOW()
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const applied = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return applied.rows;
+}
+
+async function runStep(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new MigrationError(migration, direction, error);
+  }
+}
+
+// Applies pending migrations up to `to` (all by default); returns the
+// versions applied. Stops at the first failure, leaving earlier ones applied.
+async function migrate(pool, { to = Infinity, dir, logger = console } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async client => {
+    const applied = await appliedMigrations(client);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    for (const row of applied) {
+      const migration = migrations.find(each => each.version === row.version);
+      if (migration && migration.checksum !== row.checksum) {
+        logger.warn(`⚠️  Migration ${row.version} (${row.name}) changed after it was applied`);
+      }
+    }
+
+    const done = [];
+    for (const migration of migrations) {
+      if (migration.version > to || appliedVersions.has(migration.version)) continue;
+      await runStep(client, migration, 'up');
+      logger.log(`⬆️  Applied migration ${migration.version} (${migration.name})`);
+      done.push(migration.version);
+    }
+    return done;
+  });
+}
+
+// Reverts the latest `steps` migrations, or every one above version `to`;
+// returns the versions reverted
+async function rollback(pool, { steps = 1, to, dir, logger = console } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async client => {
+    const applied = (await appliedMigrations(client)).reverse();
+    const targets = to === undefined ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+
+    const done = [];
+    for (const row of targets) {
+      const migration = migrations.find(each => each.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} (${row.name}) is applied but its file is missing`);
+      }
+      await runStep(client, migration, 'down');
+      logger.log(`⬇️  Reverted migration ${migration.version} (${migration.name})`);
+      done.push(migration.version);
+    }
+    return done;
+  });
+}
+
+// { current, applied, pending, changed, missing }
+async function status(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async client => {
+    const applied = await appliedMigrations(client);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    return {
+      current: applied.length ? applied[applied.length - 1].version : null,
+      applied: applied.map(row => ({ version: row.version, name: row.name, applied_at: row.applied_at })),
+      pending: migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+      changed: applied
+        .filter(row => migrations.some(migration => migration.version === row.version && migration.checksum !== row.checksum))
+        .map(row => row.version),
+      missing: applied
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .map(row => row.version)
+    };
+  });
+}
+
+module.exports = { MIGRATIONS_DIR, MigrationError, loadMigrations, migrate, rollback, status };
@@ -0,0 +1,142 @@
+// OpenAPI 3.1 document generated from the route schemas in lib/schemas.js,
+// plus the HTML page for the interactive docs (Swagger UI, served from the
+// swagger-ui-dist package rather than a CDN).
+//
+// 3.1 because its schemas are plain JSON Schema, so the route schemas are
+// used as they are (type arrays such as ['string', 'null'] included).
+
+const { routeScopes } = require('./auth');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', description: 'Human readable message' },
+    code: { type: 'string', description: 'Machine readable code, e.g. not_found, validation_failed, conflict' },
+    request_id: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+    details: { description: 'Field-level problems for validation failures, or extra context' }
+  },
+  required: ['error', 'code', 'request_id']
+};
+
+const VALIDATION_DETAILS = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'e.g. body.articles[0].url' },
+      message: { type: 'string' }
+    }
+  }
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+function withoutDescription({ description, ...schema }) {
+  return schema;
+}
+
+const TENANT_HEADER = {
+  name: 'X-Tenant',
+  in: 'header',
+  required: false,
+  description: 'Tenant slug or ID to work in. Only platform keys may choose; tenant keys always work in their own tenant.',
+  schema: { type: 'string' }
+};
+
+function parameters(route) {
+  const pathNames = (route.path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+  const pathParams = pathNames.map(name => {
+    const schema = route.params?.properties?.[name] || { type: 'string' };
+    return {
+      name,
+      in: 'path',
+      required: true,
+      description: schema.description,
+      schema: withoutDescription(schema)
+    };
+  });
+  const queryParams = Object.entries(route.query?.properties || {}).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: (route.query.required || []).includes(name),
+    description: schema.description,
+    schema: withoutDescription(schema)
+  }));
+  const headerParams = route.public || route.platform ? [] : [TENANT_HEADER];
+  return [...pathParams, ...queryParams, ...headerParams];
+}
+
+function operation(route) {
+  const responses = {
+    200: { description: 'Success', content: { 'application/json': { schema: { type: 'object' } } } },
+    400: errorResponse('The request failed validation'),
+    500: errorResponse('Unexpected server error')
+  };
+  if (route.path.includes(':')) responses[404] = errorResponse('Not found');
+  const scopes = route.public ? [] : routeScopes(route);
+  if (!route.public) {
+    responses[401] = errorResponse('No API key, or an invalid, expired or revoked one');
+    responses[429] = errorResponse('Rate limit or daily LLM quota exceeded');
+  }
+  if (scopes.length > 0) responses[403] = errorResponse(`The API key lacks a required scope (${scopes.join(', ')})`);
+  if (route.platform) responses[403] = errorResponse('Not a platform API key, or it lacks a required scope');
+
+  const op = {
+    operationId: route.operation,
+    summary: route.description.split(/(?<=\.)\s/)[0],
+    description: route.description,
+    tags: [route.path.split('/')[1] || 'default'],
+    parameters: parameters(route),
+    responses,
+    security: route.public ? [] : [{ ApiKey: scopes }, { Bearer: scopes }]
+  };
+  if (route.body) {
+    op.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+  }
+  return op;
+}
+
+function buildOpenApiDocument(routes, { title, version, description }) {
+  const paths = {};
+  for (const route of routes) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation(route);
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title, version, description },
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA, ValidationDetails: VALIDATION_DETAILS },
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        Bearer: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' }
+      }
+    }
+  };
+}
+
+function docsPage({ title, specUrl, assetsPath }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" href="${assetsPath}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsPath}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildOpenApiDocument, docsPage };
@@ -0,0 +1,103 @@
+// Outbound requests to URLs that tenants supply: news feeds, featured images
+// and CMS sites.
+//
+// The server only talks to public addresses on a tenant's behalf. A URL's
+// host is resolved and refused when any of its addresses is loopback,
+// private, link-local (cloud metadata) or otherwise internal, and redirects
+// are followed by hand so every hop is checked before it is requested. An
+// operator can allow internal hosts by name, e.g. a mock CMS on localhost.
+
+const dns = require('dns');
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, shared (CGNAT), link-local (cloud metadata), unspecified,
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+  INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// A refused target (`refused`), or a redirect chain too long to follow
+class OutboundError extends Error {
+  constructor(message, { refused = true } = {}) {
+    super(message);
+    this.name = 'OutboundError';
+    this.refused = refused;
+  }
+}
+
+// Host names from a comma separated list (FEED_ALLOWED_HOSTS, CMS_ALLOWED_HOSTS)
+function allowedHostList(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Why the server won't request this URL, or null. The host is resolved, and
+// any internal address among the answers rules it out unless the host is in
+// `allowedHosts`. With `unresolved: 'allow'` a host that doesn't resolve
+// passes (for storing a URL whose DNS is down for now).
+async function checkTarget(rawUrl, { allowedHosts = [], unresolved = 'refuse' } = {}) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    return 'must be an absolute URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'must be an http or https URL';
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.includes(hostname)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return unresolved === 'allow' ? null : `host ${hostname} could not be resolved`;
+  }
+  return addresses.some(({ address }) => isInternalAddress(address))
+    ? `host ${hostname} is a loopback, private or link-local address`
+    : null;
+}
+
+// fetch() for GET requests to a tenant's URL, checking it and every redirect
+// before requesting it. Throws OutboundError when a hop is refused; network
+// errors are fetch's own.
+async function guardedFetch(url, init = {}, { allowedHosts = [], fetch = globalThis.fetch } = {}) {
+  let target = String(url);
+  for (let redirects = 0; ; redirects++) {
+    const refused = await checkTarget(target, { allowedHosts });
+    if (refused) {
+      throw new OutboundError(target === String(url) ? refused : `redirect to ${target}: ${refused}`);
+    }
+    const response = await fetch(target, { ...init, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) return response;
+    if (redirects === MAX_REDIRECTS) {
+      throw new OutboundError(`more than ${MAX_REDIRECTS} redirects`, { refused: false });
+    }
+    await response.body?.cancel();
+    target = new URL(location, target).toString();
+  }
+}
+
+module.exports = {
+  REDIRECT_STATUSES,
+  OutboundError,
+  allowedHostList,
+  isInternalAddress,
+  checkTarget,
+  guardedFetch
+};
@@ -0,0 +1,343 @@
+// CMS publisher adapters: push blog posts to WordPress (REST API with an
+// application password) or Ghost (Admin API key), update them later and
+// take them down again.
+//
+// Adapters share one interface:
+//
+//   find(post)                      -> remote | null
+//   publish(post, { remoteId, media }) -> { remote, media }
+//   unpublish(remoteId)             -> remote
+//
+// `post` is { title, slug, html, tags, featured_image, status } with status
+// 'published' or 'draft'; `remote` is { id, url, status }. publish creates
+// the post without a remoteId and updates it otherwise. `media` remembers
+// which featured image was uploaded (WordPress needs a media library ID),
+// so re-publishing doesn't upload it again.
+//
+// find() recognizes a post on the CMS by slug and title. The server uses it
+// before creating, so a retry after a push whose answer was lost adopts the
+// post instead of posting it twice.
+//
+// Adapters only talk HTTP to the base URL they are given, so a local mock
+// CMS (bin/mock-cms.js) stands in for both in development and tests. Base
+// URLs and featured image URLs come from tenants, so both are refused when
+// they resolve to internal addresses (lib/outbound.js); CMS_ALLOWED_HOSTS
+// (comma separated host names) allows internal hosts by name, such as
+// localhost for the mock CMS. Image downloads follow redirects only after
+// checking each hop, and API calls don't follow them at all.
+
+const crypto = require('crypto');
+const { exportPost } = require('./export');
+const { REDIRECT_STATUSES, OutboundError, allowedHostList, checkTarget, guardedFetch } = require('./outbound');
+
+const PUBLISHER_ADAPTERS = ['wordpress', 'ghost'];
+
+// Credential fields each adapter needs
+const CREDENTIAL_FIELDS = {
+  wordpress: ['username', 'application_password'],
+  ghost: ['admin_api_key']
+};
+
+const CMS_TIMEOUT_MS = parseInt(process.env.CMS_TIMEOUT_MS, 10) || 15000;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+function allowedCmsHosts() {
+  return allowedHostList(process.env.CMS_ALLOWED_HOSTS);
+}
+
+// Why the server won't talk to this CMS or image URL, or null
+function checkCmsTarget(url, { allowedHosts = allowedCmsHosts(), unresolved = 'refuse' } = {}) {
+  return checkTarget(url, { allowedHosts, unresolved });
+}
+
+class PublisherError extends Error {
+  constructor(message, status = null, details = null) {
+    super(message);
+    this.name = 'PublisherError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// What gets pushed for a blog_content row: the exported HTML, the primary
+// keywords as tags and the featured image ({ url, alt_text }) if it has one
+function buildPost(post, { status, featuredImage = null }) {
+  const exported = exportPost(post);
+  return {
+    title: exported.front_matter.title,
+    slug: exported.slug,
+    html: exported.html,
+    tags: [...new Set((post.primary_keywords || []).map(keyword => String(keyword).trim()).filter(Boolean))],
+    featured_image: featuredImage ? { url: featuredImage.public_url, alt_text: featuredImage.alt_text || null } : null,
+    status
+  };
+}
+
+// Identifies a pushed version, so pushing it again can be skipped
+function payloadHash(post) {
+  return crypto.createHash('sha256').update(JSON.stringify(post)).digest('hex');
+}
+
+// Error message for credentials an adapter can't use, or null
+function checkCredentials(adapter, credentials) {
+  if (!credentials || typeof credentials !== 'object') return 'credentials must be an object';
+  const missing = CREDENTIAL_FIELDS[adapter].filter(field => typeof credentials[field] !== 'string' || !credentials[field]);
+  if (missing.length) return `${adapter} credentials need ${missing.join(', ')}`;
+  if (adapter === 'ghost' && !/^[0-9a-f]+:[0-9a-f]+$/i.test(credentials.admin_api_key)) {
+    return 'admin_api_key must be the Admin API key in id:secret form';
+  }
+  return null;
+}
+
+function createHttp({ baseUrl, headers, timeoutMs, fetch, allowedHosts }) {
+  return async function request(method, url, { body, raw, contentType, extraHeaders = {} } = {}) {
+    const target = new URL(url, `${baseUrl}/`);
+    const refused = await checkCmsTarget(target, { allowedHosts });
+    if (refused) {
+      throw new PublisherError(`${method} ${target.pathname} refused: ${refused}`);
+    }
+    let response;
+    try {
+      response = await fetch(target, {
+        method,
+        redirect: 'manual',
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': contentType || 'application/json' }),
+          ...(await headers()),
+          ...extraHeaders
+        },
+        body: body === undefined ? undefined : raw ? body : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : (error.cause?.message || error.message);
+      throw new PublisherError(`${method} ${target.pathname} failed: ${reason}`, 502);
+    }
+    if (REDIRECT_STATUSES.includes(response.status)) {
+      await response.body?.cancel();
+      const location = response.headers.get('location');
+      throw new PublisherError(
+        `${method} ${target.pathname} was redirected${location ? ` to ${location}` : ''}; set base_url to the address the CMS answers on`,
+        response.status
+      );
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = { body: text.slice(0, 500) };
+    }
+    if (response.status === 404 && method === 'GET') return null;
+    if (!response.ok) {
+      const message = data?.message || data?.errors?.[0]?.message || `HTTP ${response.status}`;
+      throw new PublisherError(`${method} ${target.pathname} failed: ${message}`, response.status, data);
+    }
+    return data;
+  };
+}
+
+// The featured image's bytes, for CMSs that want an upload rather than a URL
+async function downloadImage(url, { fetch, timeoutMs, allowedHosts }) {
+  let response;
+  try {
+    response = await guardedFetch(url, { signal: AbortSignal.timeout(timeoutMs) }, { allowedHosts, fetch });
+  } catch (error) {
+    if (error instanceof OutboundError && error.refused) {
+      throw new PublisherError(`Featured image refused: ${error.message}`);
+    }
+    throw new PublisherError(`Could not download the featured image: ${error.cause?.message || error.message}`, 502);
+  }
+  if (!response.ok) {
+    throw new PublisherError(`Could not download the featured image: HTTP ${response.status}`, 502);
+  }
+  const bytes = Buffer.from(await response.arrayBuffer());
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    throw new PublisherError(`Featured image is larger than ${MAX_IMAGE_BYTES} bytes`, 400);
+  }
+  return { bytes, contentType: response.headers.get('content-type') || 'application/octet-stream' };
+}
+
+function imageFilename(url, contentType) {
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '').replace(/[^\w.-]+/g, '-');
+  if (/\.\w{2,5}$/.test(name)) return name;
+  const extension = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' }[contentType] || 'bin';
+  return `${name || 'featured'}.${extension}`;
+}
+
+function createWordPressPublisher({
+  baseUrl,
+  credentials,
+  timeoutMs = CMS_TIMEOUT_MS,
+  fetch = globalThis.fetch,
+  allowedHosts = allowedCmsHosts()
+}) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/wp-json/wp/v2`;
+  const authorization = `Basic ${Buffer.from(`${credentials.username}:${credentials.application_password}`).toString('base64')}`;
+  const request = createHttp({ baseUrl: root, headers: async () => ({ Authorization: authorization }), timeoutMs, fetch, allowedHosts });
+
+  const toRemote = post => ({
+    id: String(post.id),
+    url: post.link || null,
+    status: post.status === 'publish' ? 'published' : post.status
+  });
+
+  // Tag IDs for names, creating the tags that don't exist yet
+  async function tagIds(names) {
+    const ids = [];
+    for (const name of names) {
+      const found = await request('GET', `tags?search=${encodeURIComponent(name)}&per_page=100`) || [];
+      const tag = found.find(candidate => candidate.name.toLowerCase() === name.toLowerCase()) ||
+        await request('POST', 'tags', { body: { name } });
+      ids.push(tag.id);
+    }
+    return ids;
+  }
+
+  async function featuredMedia(image, media) {
+    if (!image) return { id: 0, media: null };
+    if (media && media.url === image.url && media.id) return { id: Number(media.id), media };
+    const { bytes, contentType } = await downloadImage(image.url, { fetch, timeoutMs, allowedHosts });
+    const uploaded = await request('POST', 'media', {
+      body: bytes,
+      raw: true,
+      contentType,
+      extraHeaders: { 'Content-Disposition': `attachment; filename="${imageFilename(image.url, contentType)}"` }
+    });
+    if (image.alt_text) {
+      await request('POST', `media/${uploaded.id}`, { body: { alt_text: image.alt_text } });
+    }
+    return { id: uploaded.id, media: { url: image.url, id: String(uploaded.id) } };
+  }
+
+  return {
+    name: 'wordpress',
+
+    async find(post) {
+      const found = await request('GET', `posts?slug=${encodeURIComponent(post.slug)}&status=publish,future,draft,pending,private&context=edit`) || [];
+      const match = found.find(candidate => (candidate.title?.raw ?? candidate.title?.rendered) === post.title);
+      return match ? toRemote(match) : null;
+    },
+
+    async publish(post, { remoteId = null, media = null } = {}) {
+      const featured = await featuredMedia(post.featured_image, media);
+      const body = {
+        title: post.title,
+        content: post.html,
+        slug: post.slug,
+        status: post.status === 'published' ? 'publish' : 'draft',
+        tags: await tagIds(post.tags),
+        featured_media: featured.id
+      };
+      const saved = remoteId
+        ? await request('POST', `posts/${encodeURIComponent(remoteId)}`, { body })
+        : await request('POST', 'posts', { body });
+      return { remote: toRemote(saved), media: featured.media };
+    },
+
+    async unpublish(remoteId) {
+      const saved = await request('POST', `posts/${encodeURIComponent(remoteId)}`, { body: { status: 'draft' } });
+      return toRemote(saved);
+    }
+  };
+}
+
+// Admin API tokens are short-lived HS256 JWTs signed with the key's secret
+function ghostToken(adminApiKey, now = Date.now()) {
+  const [id, secret] = adminApiKey.split(':');
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const iat = Math.floor(now / 1000);
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT', kid: id })}.${encode({ iat, exp: iat + 300, aud: '/admin/' })}`;
+  const signature = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+function createGhostPublisher({
+  baseUrl,
+  credentials,
+  timeoutMs = CMS_TIMEOUT_MS,
+  fetch = globalThis.fetch,
+  allowedHosts = allowedCmsHosts()
+}) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/ghost/api/admin`;
+  const request = createHttp({
+    baseUrl: root,
+    headers: async () => ({ Authorization: `Ghost ${ghostToken(credentials.admin_api_key)}`, 'Accept-Version': 'v5.0' }),
+    timeoutMs,
+    fetch,
+    allowedHosts
+  });
+
+  const toRemote = post => ({ id: post.id, url: post.url || null, status: post.status });
+
+  return {
+    name: 'ghost',
+
+    async find(post) {
+      const found = await request('GET', `posts/slug/${encodeURIComponent(post.slug)}/`);
+      const match = found?.posts?.[0];
+      return match && match.title === post.title ? toRemote(match) : null;
+    },
+
+    async publish(post, { remoteId = null } = {}) {
+      const fields = {
+        title: post.title,
+        html: post.html,
+        slug: post.slug,
+        status: post.status === 'published' ? 'published' : 'draft',
+        tags: post.tags.map(name => ({ name })),
+        feature_image: post.featured_image ? post.featured_image.url : null,
+        feature_image_alt: post.featured_image ? post.featured_image.alt_text || null : null
+      };
+      if (!remoteId) {
+        const created = await request('POST', 'posts/?source=html', { body: { posts: [fields] } });
+        return { remote: toRemote(created.posts[0]), media: null };
+      }
+      // Ghost rejects edits that don't carry the post's current updated_at
+      const current = await request('GET', `posts/${encodeURIComponent(remoteId)}/`);
+      if (!current) throw new PublisherError('The post no longer exists on Ghost', 404);
+      const updated = await request('PUT', `posts/${encodeURIComponent(remoteId)}/?source=html`, {
+        body: { posts: [{ ...fields, updated_at: current.posts[0].updated_at }] }
+      });
+      return { remote: toRemote(updated.posts[0]), media: null };
+    },
+
+    async unpublish(remoteId) {
+      const current = await request('GET', `posts/${encodeURIComponent(remoteId)}/`);
+      if (!current) throw new PublisherError('The post no longer exists on Ghost', 404);
+      const updated = await request('PUT', `posts/${encodeURIComponent(remoteId)}/`, {
+        body: { posts: [{ status: 'draft', updated_at: current.posts[0].updated_at }] }
+      });
+      return toRemote(updated.posts[0]);
+    }
+  };
+}
+
+// The adapter for a stored CMS connection ({ adapter, base_url, credentials })
+function createPublisher(connection, options = {}) {
+  const config = { baseUrl: connection.base_url, credentials: connection.credentials, ...options };
+  switch (connection.adapter) {
+    case 'wordpress':
+      return createWordPressPublisher(config);
+    case 'ghost':
+      return createGhostPublisher(config);
+    default:
+      throw new Error(`Unknown publisher adapter: ${connection.adapter}`);
+  }
+}
+
+module.exports = {
+  PUBLISHER_ADAPTERS,
+  CREDENTIAL_FIELDS,
+  PublisherError,
+  checkCmsTarget,
+  checkCredentials,
+  buildPost,
+  payloadHash,
+  ghostToken,
+  createWordPressPublisher,
+  createGhostPublisher,
+  createPublisher
+};
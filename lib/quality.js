@@ -0,0 +1,272 @@
+// Local content quality analysis for blog drafts.
+//
+// Everything here is deterministic text analysis: forbidden phrase linting,
+// sentence-length burstiness, contraction use, Flesch-Kincaid readability
+// and the "always include" checks from the writing guidelines. Findings
+// carry line and column numbers in the original Markdown.
+
+const CONTRACTION_PATTERN = /\b[a-z]+(?:'(?:s|t|re|ve|ll|d|m)|n't)\b/gi;
+
+const INDUSTRY_TERMS = [
+  'restaurant', 'operator', 'kitchen', 'menu', 'margin', 'labor', 'staff', 'guest', 'diner',
+  'server', 'chef', 'pos', 'delivery', 'takeout', 'franchise', 'food cost', 'ticket time',
+  'table', 'front of house', 'back of house', 'hospitality', 'catering', 'payroll'
+];
+
+// Detectors for the always-include rules we know how to check, matched
+// against the rule text from the guidelines
+const ALWAYS_INCLUDE_DETECTORS = [
+  {
+    key: 'financial_impact',
+    matches: /financial|dollar|percent|roi|cost/i,
+    pattern: /\$\s?\d|\b\d+(?:\.\d+)?\s?(?:%|percent\b)|\b\d+(?:\.\d+)?\s?(?:k|thousand|million|billion)\s+(?:dollars|in savings|a year|per year)/i,
+    message: 'State the financial impact in dollars or percentages'
+  },
+  {
+    key: 'implementation_timeline',
+    matches: /timeline|implementation|effort/i,
+    pattern: /\b\d+(?:\s?(?:-|–|to)\s?\d+)?\s?(?:days?|weeks?|months?|years?|quarters?)\b|\b(?:one|two|three|four|five|six|eight|ten|twelve|few|couple of)\s+(?:days?|weeks?|months?|quarters?)\b/i,
+    message: 'Give an implementation timeline (e.g. "six to eight weeks")'
+  },
+  {
+    key: 'staff_training',
+    matches: /training/i,
+    pattern: /\btrain(?:ing|ed|s)?\b|\bonboard(?:ing)?\b/i,
+    message: 'Cover what staff need to learn (training implications)'
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeQuotes(text) {
+  return text.replace(/[‘’]/g, "'").replace(/[“”]/g, '"');
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!cleaned) return 0;
+  if (cleaned.length <= 3) return 1;
+  const groups = cleaned
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(groups ? groups.length : 1, 1);
+}
+
+// Prose lines of the Markdown with their line numbers: headings, code
+// blocks, images and link targets are left out of the sentence metrics.
+function proseLines(markdown) {
+  const lines = markdown.split('\n');
+  const prose = [];
+  let inCode = false;
+  lines.forEach((raw, index) => {
+    if (/^\s*```/.test(raw)) {
+      inCode = !inCode;
+      return;
+    }
+    if (inCode || /^\s*#/.test(raw) || !raw.trim()) return;
+    const text = raw
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+      .replace(/^\s*>\s?/, '')
+      .replace(/[*_`]/g, '')
+      .trim();
+    if (text) prose.push({ line: index + 1, text });
+  });
+  return prose;
+}
+
+function splitSentences(prose) {
+  const sentences = [];
+  for (const { line, text } of prose) {
+    for (const sentence of text.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)) {
+      const words = sentence.match(/[A-Za-z0-9$%'’-]+/g) || [];
+      if (words.length > 0) sentences.push({ line, text: sentence, words });
+    }
+  }
+  return sentences;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function clamp(value, min = 0, max = 10) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function findForbiddenPhrases(markdown, forbiddenPhrases) {
+  const findings = [];
+  const lines = normalizeQuotes(markdown).split('\n');
+  for (const phrase of forbiddenPhrases) {
+    const pattern = new RegExp(`(?<![A-Za-z])${escapeRegExp(normalizeQuotes(phrase))}(?![A-Za-z])`, 'gi');
+    lines.forEach((text, index) => {
+      for (const match of text.matchAll(pattern)) {
+        findings.push({
+          rule: 'forbidden_phrase',
+          severity: 'error',
+          line: index + 1,
+          column: match.index + 1,
+          excerpt: match[0],
+          message: `Forbidden phrase "${phrase}"`,
+          suggestion: 'Rephrase in plain, specific language'
+        });
+      }
+    });
+  }
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function checkAlwaysInclude(markdown, alwaysInclude) {
+  const lines = markdown.split('\n');
+  return alwaysInclude.map(rule => {
+    const detector = ALWAYS_INCLUDE_DETECTORS.find(candidate => candidate.matches.test(rule));
+    if (!detector) return { rule, check: null, satisfied: null };
+
+    const index = lines.findIndex(line => detector.pattern.test(line));
+    return {
+      rule,
+      check: detector.key,
+      satisfied: index !== -1,
+      line: index === -1 ? null : index + 1,
+      evidence: index === -1 ? null : lines[index].match(detector.pattern)[0],
+      message: detector.message
+    };
+  });
+}
+
+function analyzeContent(markdown, { forbiddenPhrases = [], alwaysInclude = [] } = {}) {
+  const text = normalizeQuotes(String(markdown || ''));
+  const prose = proseLines(text);
+  const sentences = splitSentences(prose);
+  const words = sentences.flatMap(sentence => sentence.words);
+  const wordCount = words.length;
+  const findings = [];
+
+  // Readability (Flesch-Kincaid)
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordsPerSentence = sentences.length ? wordCount / sentences.length : 0;
+  const syllablesPerWord = wordCount ? syllables / wordCount : 0;
+  const gradeLevel = wordCount ? 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59 : 0;
+  const readingEase = wordCount ? 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord : 0;
+
+  // Burstiness: how much sentence lengths vary (coefficient of variation)
+  const lengths = sentences.map(sentence => sentence.words.length);
+  const burstiness = lengths.length > 1 ? standardDeviation(lengths) / mean(lengths) : 0;
+
+  for (const sentence of sentences) {
+    if (sentence.words.length > 35) {
+      findings.push({
+        rule: 'long_sentence',
+        severity: 'warning',
+        line: sentence.line,
+        column: null,
+        excerpt: sentence.text.slice(0, 80),
+        message: `Sentence has ${sentence.words.length} words`,
+        suggestion: 'Split it, or follow it with a short punchy line'
+      });
+    }
+  }
+  if (sentences.length >= 5 && burstiness < 0.35) {
+    findings.push({
+      rule: 'low_burstiness',
+      severity: 'warning',
+      line: null,
+      column: null,
+      message: `Sentence lengths barely vary (burstiness ${round(burstiness, 2)}, aim for 0.5+)`,
+      suggestion: 'Follow long sentences (20-30 words) with short reactions (3-8 words)'
+    });
+  }
+
+  const contractions = (text.match(CONTRACTION_PATTERN) || []).length;
+  const contractionsPer100 = wordCount ? contractions / wordCount * 100 : 0;
+  if (wordCount >= 150 && contractionsPer100 < 1) {
+    findings.push({
+      rule: 'few_contractions',
+      severity: 'warning',
+      line: null,
+      column: null,
+      message: `Only ${contractions} contractions in ${wordCount} words`,
+      suggestion: 'Use contractions liberally ("it\'s", "don\'t", "we\'re")'
+    });
+  }
+
+  const forbidden = findForbiddenPhrases(text, forbiddenPhrases);
+  findings.push(...forbidden);
+
+  const alwaysIncludeChecks = checkAlwaysInclude(text, alwaysInclude);
+  for (const check of alwaysIncludeChecks) {
+    if (check.satisfied === false) {
+      findings.push({
+        rule: `missing_${check.check}`,
+        severity: 'error',
+        line: null,
+        column: null,
+        message: `Missing required element: ${check.rule}`,
+        suggestion: check.message
+      });
+    }
+  }
+
+  const lowerText = text.toLowerCase();
+  const industryMentions = INDUSTRY_TERMS.reduce(
+    (sum, term) => sum + (lowerText.match(new RegExp(`\\b${escapeRegExp(term)}s?\\b`, 'g')) || []).length,
+    0
+  );
+  const industryPer100 = wordCount ? industryMentions / wordCount * 100 : 0;
+
+  // Scores on a 0-10 scale
+  const readabilityScore = wordCount ? clamp(10 - Math.max(0, gradeLevel - 8)) : 0;
+  const brandVoiceScore = wordCount ? clamp(
+    10
+    - 1.5 * forbidden.length
+    - (burstiness < 0.35 ? 2 : burstiness < 0.5 ? 1 : 0)
+    - (contractionsPer100 < 0.5 ? 2 : contractionsPer100 < 1.5 ? 1 : 0)
+  ) : 0;
+  const checked = alwaysIncludeChecks.filter(check => check.satisfied !== null);
+  const satisfiedRatio = checked.length
+    ? checked.filter(check => check.satisfied).length / checked.length
+    : 1;
+  const industryRelevanceScore = wordCount
+    ? clamp(10 * (0.6 * satisfiedRatio + 0.4 * Math.min(industryPer100 / 2, 1)))
+    : 0;
+  const overallQualityScore = (readabilityScore + brandVoiceScore + industryRelevanceScore) / 3;
+
+  return {
+    word_count: wordCount,
+    metrics: {
+      sentence_count: sentences.length,
+      average_sentence_length: round(wordsPerSentence),
+      sentence_length_stddev: round(standardDeviation(lengths)),
+      burstiness: round(burstiness, 2),
+      contractions,
+      contractions_per_100_words: round(contractionsPer100),
+      flesch_kincaid_grade: round(gradeLevel),
+      flesch_reading_ease: round(readingEase),
+      industry_terms_per_100_words: round(industryPer100)
+    },
+    scores: {
+      readability_score: round(readabilityScore),
+      brand_voice_score: round(brandVoiceScore),
+      industry_relevance_score: round(industryRelevanceScore),
+      overall_quality_score: round(overallQualityScore)
+    },
+    always_include_checks: alwaysIncludeChecks,
+    findings
+  };
+}
+
+module.exports = { analyzeContent, countSyllables };
@@ -0,0 +1,37 @@
+// In-memory token buckets, one per API key.
+//
+// A bucket holds up to `burst` tokens and refills at `perMinute` tokens a
+// minute; each request takes one, or `cost` when it stands for several
+// calls (a JSON-RPC batch). Buckets live in this process, so with
+// several instances behind a load balancer each enforces the limit on its
+// own share of the traffic.
+
+function createRateLimiter({ now = () => Date.now() } = {}) {
+  const buckets = new Map();
+
+  // Returns { allowed, limit, remaining, retryAfterSeconds }
+  function take(key, { perMinute, burst, cost = 1 }) {
+    const capacity = Math.max(burst || perMinute, 1);
+    const refillPerMs = perMinute / 60000;
+    const at = now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: at };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (at - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = at;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < cost) {
+      return {
+        allowed: false,
+        limit: capacity,
+        remaining: Math.floor(bucket.tokens),
+        retryAfterSeconds: Math.ceil((Math.min(cost, capacity) - bucket.tokens) / refillPerMs / 1000)
+      };
+    }
+    bucket.tokens -= cost;
+    return { allowed: true, limit: capacity, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+  }
+
+  return { take, reset: key => buckets.delete(key) };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,1496 @@
+// Route definitions shared by the HTTP API and the MCP layer.
+//
+// Each entry describes one Express route: the operation name (used as the
+// MCP tool name), a human description and JSON Schemas for its path params,
+// query string and body. Requests are validated against these before the
+// handlers run (lib/validation.js), and the MCP tool input schemas and the
+// OpenAPI document are generated from them. Entries marked `mcp: false` are
+// plumbing that isn't offered as a tool.
+//
+// `scopes` lists the API key scopes a route needs (lib/auth.js); without it
+// GET routes need read and everything else write. `public: true` routes need
+// no key at all. `platform: true` routes manage tenants and are for platform
+// keys only (lib/tenants.js). `batch: true` routes take an array of calls
+// as their body, each counted against the caller's rate limit.
+
+const articleSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    url: { type: 'string', description: 'Canonical link to the story' },
+    description: { type: 'string' },
+    published_date: { type: 'string', description: 'ISO 8601 date' },
+    key_entities: { type: 'array', description: 'Companies, technologies or people the story is about' }
+  },
+  required: ['url']
+};
+
+// n8n sometimes wraps the list as { articles: [...] }, which the handlers accept.
+const articleListSchema = {
+  anyOf: [
+    { type: 'array', items: articleSchema },
+    {
+      type: 'object',
+      properties: { articles: { type: 'array', items: articleSchema } },
+      required: ['articles']
+    }
+  ]
+};
+
+const idParam = (description = 'Record ID') => ({
+  type: 'object',
+  properties: { id: { type: 'string', format: 'uuid', description } },
+  required: ['id']
+});
+
+const paginationQuery = {
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 25 },
+  offset: { type: 'integer', minimum: 0, default: 0 }
+};
+
+const entityFields = {
+  name: { type: 'string', maxLength: 200 },
+  type: { type: 'string', maxLength: 50, description: 'company, technology or trend' },
+  description: { type: 'string' },
+  industry_relevance: { type: 'object' },
+  key_facts: { type: 'array', items: { type: 'string' } },
+  strategic_importance: { type: 'string' }
+};
+
+const trendFields = {
+  topic: { type: 'string', maxLength: 100 },
+  trend_description: { type: 'string' },
+  significance_level: { type: 'integer', minimum: 1, maximum: 10 },
+  timeline: { type: 'string', maxLength: 100 },
+  impact_areas: { type: 'array', items: { type: 'string' } },
+  relevant_keywords: { type: 'array', items: { type: 'string' } }
+};
+
+const sourceFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  feed_url: { type: 'string', maxLength: 1000, description: 'RSS or Atom feed URL (http or https, on a public address)' },
+  topic: { type: ['string', 'null'], maxLength: 100, description: 'Topic the feed\'s items are checked and registered under' },
+  enabled: { type: 'boolean', description: 'Disabled sources are skipped unless fetched by ID' }
+};
+
+const coverageDimensions = ['topic', 'theme', 'impact_area'];
+
+const targetFields = {
+  dimension: { type: 'string', enum: coverageDimensions },
+  value: { type: 'string', minLength: 1, maxLength: 100, description: 'Topic, theme or impact area (matched case-insensitively)' },
+  monthly_target: { type: 'integer', minimum: 1, description: 'Posts wanted per calendar month' },
+  notes: { type: ['string', 'null'] }
+};
+
+const exportFields = {
+  blog_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, minItems: 1, description: 'Export these posts, whatever their status; all published posts by default' },
+  site_url: { type: 'string', description: 'Blog root URL for links, feeds and the sitemap; defaults to BLOG_SITE_URL' },
+  site_title: { type: 'string', maxLength: 200, description: 'Defaults to BLOG_TITLE or the tenant name' },
+  site_description: { type: 'string', maxLength: 500 },
+  directory: { type: 'string', description: 'Write the bundle to this folder under EXPORT_DIR/<tenant> instead of returning the files' }
+};
+
+const searchTypes = ['article', 'analysis', 'blog', 'entity'];
+
+const publisherAdapters = ['wordpress', 'ghost'];
+
+const connectionFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  adapter: { type: 'string', enum: publisherAdapters },
+  base_url: { type: 'string', maxLength: 1000, description: 'Site root URL, e.g. https://blog.example.com' },
+  credentials: {
+    type: 'object',
+    description: 'WordPress: username and application_password. Ghost: admin_api_key (id:secret). Never returned.',
+    properties: {
+      username: { type: 'string' },
+      application_password: { type: 'string' },
+      admin_api_key: { type: 'string' }
+    }
+  },
+  enabled: { type: 'boolean' }
+};
+
+const relationshipTypes = ['competitor_of', 'integrates_with', 'acquired_by'];
+
+const channels = ['blog', 'social', 'image'];
+
+const metricPlatforms = ['blog', 'newsletter', 'facebook', 'twitter', 'linkedin', 'instagram_post', 'instagram_story'];
+
+const socialPlatforms = ['facebook', 'twitter', 'linkedin', 'instagram'];
+
+const cardFormats = ['featured', 'summary', 'instagram_square', 'instagram_story', 'twitter'];
+
+const blogImage = {
+  type: 'object',
+  properties: {
+    public_url: { type: 'string', description: 'Where the image is hosted' },
+    alt_text: { type: 'string' },
+    source: { type: 'string', enum: ['generated', 'uploaded'], default: 'uploaded' },
+    width: { type: 'integer', minimum: 1, description: 'Required unless data is given' },
+    height: { type: 'integer', minimum: 1, description: 'Required unless data is given' },
+    checksum: { type: 'string', description: 'Hex SHA-256 of the file; computed when data is given' },
+    data: { type: 'string', description: 'The image itself (base64 or data URI), used to read its dimensions and checksum; not stored' }
+  },
+  required: ['public_url', 'alt_text']
+};
+
+const socialReview = {
+  type: 'object',
+  properties: {
+    reviewed_by: { type: 'string' },
+    note: { type: 'string' }
+  }
+};
+
+const apiKeyScopes = ['read', 'write', 'llm', 'admin'];
+
+const apiKeyLimits = {
+  rate_limit_per_minute: { type: 'integer', minimum: 1, default: 60 },
+  rate_limit_burst: { type: 'integer', minimum: 1, default: 20 },
+  daily_llm_quota: { type: ['integer', 'null'], minimum: 0, default: 100, description: 'LLM calls a day (UTC); null for no limit' }
+};
+
+const jobStatuses = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const jobTypes = ['publication_checkin', 'recompute_trends', 'cleanup_drafts'];
+
+const blogStatuses = ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'];
+
+const revisionParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid', description: 'Blog post ID' },
+    revision: { type: 'integer', minimum: 1 }
+  },
+  required: ['id', 'revision']
+};
+
+const voiceProfileFields = {
+  name: { type: 'string', maxLength: 100, description: 'Unique slug, e.g. bill-bryson' },
+  display_name: { type: 'string', maxLength: 200 },
+  tone: { type: 'string' },
+  perspective: { type: 'string' },
+  personality_traits: { type: 'array', items: { type: 'string' } },
+  base_instructions: { type: 'string', description: 'Persona paragraph that opens the writing prompt' },
+  is_default: { type: 'boolean' }
+};
+
+const guidelineFields = {
+  voice_profile_id: { type: ['string', 'null'], format: 'uuid', description: 'Omit or null for a guideline that applies to every profile' },
+  guideline_category: { type: 'string', maxLength: 100, description: 'e.g. voice_tone, style, restaurant_context, always_include' },
+  guideline_name: { type: 'string', maxLength: 200 },
+  guideline_description: { type: 'string' },
+  examples: { type: 'string' },
+  do_examples: { type: 'array', items: { type: 'string' } },
+  dont_examples: { type: 'array', items: { type: 'string' } },
+  applies_to: { type: 'array', items: { type: 'string', enum: channels } },
+  priority_level: { type: 'integer', minimum: 1, description: '1 is the most important' }
+};
+
+const tenantFields = {
+  slug: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,62}$', description: 'Used in the X-Tenant header, e.g. pizza-group' },
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  brand_colors: {
+    type: 'object',
+    additionalProperties: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+    description: 'Overrides of the style guide palette by color name, e.g. { "primary_orange": "#C0392B" }'
+  },
+  social_hashtags: {
+    type: 'object',
+    propertyNames: { enum: socialPlatforms },
+    additionalProperties: { type: 'array', items: { type: 'string' } },
+    description: 'Hashtags per platform used instead of the defaults in generated social posts'
+  }
+};
+
+const tenantParam = {
+  type: 'object',
+  properties: { id: { type: 'string', description: 'Tenant ID or slug' } },
+  required: ['id']
+};
+
+const routes = [
+  {
+    method: 'post',
+    path: '/knowledge/check-duplicates',
+    operation: 'check_duplicates',
+    description: 'Filter a batch of news articles against articles already processed for the topic.',
+    body: {
+      type: 'object',
+      properties: {
+        articles: articleListSchema,
+        topic: { type: 'string' },
+        lookback_days: { type: 'integer', minimum: 1, default: 30 },
+        similarity_threshold: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          maximum: 1,
+          description: 'Cosine similarity at or above which an article counts as a duplicate'
+        },
+        scope: {
+          type: 'string',
+          enum: ['topic', 'all_topics'],
+          default: 'topic',
+          description: 'Compare against articles of the same topic only, or of every topic'
+        },
+        commit: {
+          type: 'boolean',
+          default: false,
+          description: 'Register the accepted articles as processed; ones already stored under another topic or outside the lookback window are listed in skipped_articles'
+        }
+      },
+      required: ['articles']
+    }
+  },
+  {
+    method: 'post',
+    path: '/knowledge/register-articles',
+    operation: 'register_articles',
+    description: 'Record articles as processed so later duplicate checks filter them.',
+    body: {
+      type: 'object',
+      properties: {
+        articles: articleListSchema,
+        topic: { type: 'string' }
+      },
+      required: ['articles']
+    }
+  },
+  {
+    method: 'post',
+    path: '/knowledge/get-context',
+    operation: 'get_context',
+    description: 'Build restaurant-industry context (backdrop, trends, entities, and our earlier posts and analyses on the same subjects) for a set of articles.',
+    scopes: ['read', 'llm'],
+    body: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string' },
+        articles: articleListSchema,
+        audience: { type: 'string' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/knowledge/store-analysis',
+    operation: 'store_analysis',
+    description: 'Extract structured insights from a content analysis and store it in the analysis history.',
+    scopes: ['write', 'llm'],
+    body: {
+      type: 'object',
+      properties: {
+        analysis: { type: 'string' },
+        topic: { type: 'string' },
+        date: { type: 'string', description: 'ISO 8601 date of the analysis' },
+        selected_story: {
+          anyOf: [
+            { type: 'string' },
+            { type: 'object', properties: { title: { type: 'string' } } }
+          ]
+        }
+      },
+      required: ['analysis']
+    }
+  },
+  {
+    method: 'post',
+    path: '/knowledge/get-writing-guidelines',
+    operation: 'get_writing_guidelines',
+    description: 'Get the brand voice and writing guidelines for a voice profile and channel.',
+    scopes: ['read'],
+    body: {
+      type: 'object',
+      properties: {
+        voice_profile: { type: 'string', description: 'Voice profile name or ID; the default profile when omitted' },
+        channel: { type: 'string', enum: channels, default: 'blog' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/store-blog',
+    operation: 'store_blog',
+    description: 'Store a Markdown blog draft, or a new revision of an existing post when blog_id is given, and return its quality scores, line-level brand voice findings and suggested internal links to related published posts.',
+    body: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Markdown body; the first line is used as the title' },
+        blog_id: { type: 'string', format: 'uuid', description: 'Existing post to revise instead of creating a new one' },
+        topic: { type: 'string' },
+        date: { type: 'string' },
+        source_analysis: { type: 'string' },
+        status: { type: 'string', enum: blogStatuses, default: 'draft' },
+        analysis_id: { type: 'string', format: 'uuid', description: 'Stored analysis the post was written from; supplies its primary theme' },
+        primary_theme: { type: 'string' },
+        author: { type: 'string' },
+        change_note: { type: 'string', description: 'What changed in this revision' },
+        voice_profile: { type: 'string', description: 'Voice profile id or name to lint against (default profile otherwise)' }
+      },
+      required: ['content']
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/analyze-quality',
+    operation: 'analyze_content_quality',
+    description: 'Score a Markdown draft for readability, brand voice and industry relevance without storing it. Findings carry line numbers.',
+    scopes: ['read'],
+    body: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Markdown body of the draft' },
+        voice_profile: { type: 'string', description: 'Voice profile id or name to lint against (default profile otherwise)' }
+      },
+      required: ['content']
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/mark-published',
+    operation: 'mark_published',
+    description: 'Mark an approved or scheduled blog post as published.',
+    body: {
+      type: 'object',
+      properties: {
+        blog_id: { type: 'string', format: 'uuid' },
+        published_url: { type: 'string' },
+        publication_date: { type: 'string' },
+        images: {
+          type: 'object',
+          description: 'Images that went out with the post, keyed by variant; each is checked against the style guide dimensions',
+          properties: Object.fromEntries(cardFormats.map(format => [format, blogImage]))
+        },
+        actor: { type: 'string' },
+        connection: { type: 'string', description: 'CMS connection ID or name to publish the post on first; its URL there becomes published_url unless one is given' }
+      },
+      required: ['blog_id']
+    }
+  },
+  {
+    method: 'post',
+    path: '/images/get-style-guide',
+    operation: 'get_image_style_guide',
+    description: 'Get brand image standards and platform-optimized image titles for a post.',
+    scopes: ['read', 'llm'],
+    body: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string' },
+        content_title: { type: 'string' },
+        platform_requirements: { type: 'object' }
+      },
+      required: ['content_title']
+    }
+  },
+  {
+    method: 'post',
+    path: '/images/render-cards',
+    operation: 'render_image_cards',
+    description: 'Render branded SVG and PNG image cards in the style guide\'s dimensions and colors, with wrapped, auto-fitted titles, an optional key statistic and a logo slot. Rendering is local; PNGs are returned base64 encoded.',
+    scopes: ['read'],
+    body: {
+      type: 'object',
+      properties: {
+        optimized_titles: {
+          type: 'object',
+          description: 'Title per format, as returned by get_image_style_guide',
+          properties: Object.fromEntries(cardFormats.map(format => [format, { type: 'string' }]))
+        },
+        content_title: { type: 'string', description: 'Title for formats without an optimized title' },
+        formats: { type: 'array', items: { type: 'string', enum: cardFormats }, description: 'Cards to render; all by default' },
+        statistic: {
+          type: 'object',
+          properties: {
+            value: { type: 'string', description: 'e.g. "23%"' },
+            label: { type: 'string', description: 'e.g. "lower food costs"' }
+          },
+          required: ['value']
+        },
+        logo: { type: 'string', description: 'Logo as a data URI (data:image/png;base64,...)' },
+        brand_name: { type: 'string', description: 'Wordmark shown in the logo slot when no logo is given' },
+        cta: { type: 'string', description: 'Call to action along the bottom, e.g. "Link in bio"' },
+        output: { type: 'string', enum: ['svg', 'png', 'both'], default: 'both' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/social/get-optimization',
+    operation: 'get_social_optimization',
+    description: 'Generate platform-optimized social posts for a blog post and check them against each platform\'s rules. With blog_id the posts are saved for review; long tweets are split into a numbered thread.',
+    scopes: ['write', 'llm'],
+    body: {
+      type: 'object',
+      properties: {
+        blog_id: { type: 'string', format: 'uuid', description: 'Stored post to write for; its content and URL are used when not given' },
+        blog_content: { type: 'string', description: 'Markdown body of the post (required without blog_id)' },
+        topic: { type: 'string' },
+        platforms: {
+          type: ['array', 'object'],
+          items: { type: 'string', enum: socialPlatforms },
+          description: `Platforms to write posts for (${socialPlatforms.join(', ')}); all by default`
+        },
+        blog_url: { type: 'string' },
+        timezone: { type: 'string', description: 'Audience time zone for the recommended posting times (IANA name, e.g. America/Chicago)' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/analytics/track-publication',
+    operation: 'track_publication',
+    description: 'Start tracking the social posts published for a blog post and get the recent per-post baseline.',
+    body: {
+      type: 'object',
+      properties: {
+        blog_id: { type: 'string', format: 'uuid' },
+        publication_date: { type: 'string' },
+        platforms: {
+          type: 'object',
+          description: 'Platform post IDs keyed by platform',
+          properties: {
+            facebook: { type: 'string' },
+            twitter: { type: 'string' },
+            linkedin: { type: 'string' },
+            instagram_post: { type: 'string' },
+            instagram_story: { type: 'string' }
+          }
+        },
+        topic: { type: 'string' }
+      },
+      required: ['blog_id', 'platforms']
+    }
+  },
+  {
+    method: 'post',
+    path: '/setup/populate-knowledge-base',
+    operation: 'populate_knowledge_base',
+    description: 'Seed the knowledge base with the default companies, technologies, trends and guidelines.',
+    scopes: ['admin'],
+    body: { type: 'object', properties: {} }
+  },
+  {
+    method: 'get',
+    path: '/knowledge/entities',
+    operation: 'list_entities',
+    description: 'List knowledge entities with optional search and type filters.',
+    query: {
+      type: 'object',
+      properties: {
+        search: { type: 'string', description: 'Matches name or description' },
+        type: { type: 'string', description: 'Comma separated entity types' },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/knowledge/entities/:id',
+    operation: 'get_entity',
+    description: 'Get a knowledge entity with its relationships.',
+    params: idParam('Entity ID')
+  },
+  {
+    method: 'post',
+    path: '/knowledge/entities',
+    operation: 'create_entity',
+    description: 'Create a knowledge entity.',
+    body: { type: 'object', properties: entityFields, required: ['name', 'type'] }
+  },
+  {
+    method: 'patch',
+    path: '/knowledge/entities/:id',
+    operation: 'update_entity',
+    description: 'Update fields of a knowledge entity.',
+    params: idParam('Entity ID'),
+    body: { type: 'object', properties: entityFields }
+  },
+  {
+    method: 'delete',
+    path: '/knowledge/entities/:id',
+    operation: 'delete_entity',
+    description: 'Delete a knowledge entity and its relationships.',
+    params: idParam('Entity ID')
+  },
+  {
+    method: 'post',
+    path: '/knowledge/entities/:id/relationships',
+    operation: 'create_entity_relationship',
+    description: 'Relate one knowledge entity to another.',
+    params: idParam('Source entity ID'),
+    body: {
+      type: 'object',
+      properties: {
+        target_id: { type: 'string', format: 'uuid' },
+        relationship_type: { type: 'string', enum: relationshipTypes },
+        description: { type: 'string' }
+      },
+      required: ['target_id', 'relationship_type']
+    }
+  },
+  {
+    method: 'delete',
+    path: '/knowledge/entities/:id/relationships/:relationshipId',
+    operation: 'delete_entity_relationship',
+    description: 'Remove a relationship from a knowledge entity.',
+    params: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        relationshipId: { type: 'string', format: 'uuid' }
+      },
+      required: ['id', 'relationshipId']
+    }
+  },
+  {
+    method: 'get',
+    path: '/knowledge/entities/:id/graph',
+    operation: 'get_entity_graph',
+    description: "Get an entity's neighbourhood in the relationship graph to a given depth.",
+    params: idParam('Entity ID'),
+    query: {
+      type: 'object',
+      properties: {
+        depth: { type: 'integer', minimum: 1, maximum: 5, default: 1 },
+        relationship_types: { type: 'string', description: `Comma separated subset of ${relationshipTypes.join(', ')}` }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/knowledge/trends',
+    operation: 'list_trends',
+    description: 'List industry trends with optional search and minimum significance.',
+    query: {
+      type: 'object',
+      properties: {
+        search: { type: 'string' },
+        min_significance: { type: 'integer', minimum: 1, maximum: 10 },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/knowledge/trends/:id',
+    operation: 'get_trend',
+    description: 'Get an industry trend.',
+    params: idParam('Trend ID')
+  },
+  {
+    method: 'post',
+    path: '/knowledge/trends',
+    operation: 'create_trend',
+    description: 'Create an industry trend.',
+    body: { type: 'object', properties: trendFields, required: ['topic'] }
+  },
+  {
+    method: 'patch',
+    path: '/knowledge/trends/:id',
+    operation: 'update_trend',
+    description: 'Update fields of an industry trend.',
+    params: idParam('Trend ID'),
+    body: { type: 'object', properties: trendFields }
+  },
+  {
+    method: 'delete',
+    path: '/knowledge/trends/:id',
+    operation: 'delete_trend',
+    description: 'Delete an industry trend.',
+    params: idParam('Trend ID')
+  },
+  {
+    method: 'get',
+    path: '/knowledge/sources',
+    operation: 'list_news_sources',
+    description: 'List RSS and Atom news sources with the outcome of their last fetch.',
+    query: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string' },
+        enabled: { type: 'boolean' },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/knowledge/sources/:id',
+    operation: 'get_news_source',
+    description: 'Get a news source, including its last fetch status and error.',
+    params: idParam('News source ID')
+  },
+  {
+    method: 'post',
+    path: '/knowledge/sources',
+    operation: 'create_news_source',
+    description: 'Register an RSS or Atom feed as a news source for a topic.',
+    body: { type: 'object', properties: sourceFields, required: ['name', 'feed_url'] }
+  },
+  {
+    method: 'patch',
+    path: '/knowledge/sources/:id',
+    operation: 'update_news_source',
+    description: 'Update a news source. Changing feed_url forgets the old feed\'s ETag and Last-Modified.',
+    params: idParam('News source ID'),
+    body: { type: 'object', properties: sourceFields }
+  },
+  {
+    method: 'delete',
+    path: '/knowledge/sources/:id',
+    operation: 'delete_news_source',
+    description: 'Delete a news source.',
+    params: idParam('News source ID')
+  },
+  {
+    method: 'post',
+    path: '/knowledge/sources/fetch',
+    operation: 'fetch_news_sources',
+    description: 'Fetch the enabled news sources (or the ones given) and return only the items that are not duplicates of processed articles, in the article shape check_duplicates takes. With commit the new items are registered and unchanged feeds are skipped next time (conditional GET); without it the fetch is a repeatable preview.',
+    body: {
+      type: 'object',
+      properties: {
+        source_ids: { type: 'array', items: { type: 'string', format: 'uuid' }, minItems: 1, description: 'Fetch these sources, enabled or not' },
+        topic: { type: 'string', description: 'Only sources of this topic' },
+        lookback_days: { type: 'integer', minimum: 1, default: 30 },
+        similarity_threshold: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          maximum: 1,
+          description: 'Cosine similarity at or above which an article counts as a duplicate'
+        },
+        scope: {
+          type: 'string',
+          enum: ['topic', 'all_topics'],
+          default: 'topic',
+          description: 'Compare against articles of the source\'s topic only, or of every topic'
+        },
+        commit: {
+          type: 'boolean',
+          default: false,
+          description: 'Register the new items as processed and remember the feeds\' ETag and Last-Modified'
+        }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/brand/voice-profiles',
+    operation: 'list_voice_profiles',
+    description: 'List the brand voice profiles.'
+  },
+  {
+    method: 'get',
+    path: '/brand/voice-profiles/:id',
+    operation: 'get_voice_profile',
+    description: 'Get a brand voice profile.',
+    params: idParam('Voice profile ID')
+  },
+  {
+    method: 'post',
+    path: '/brand/voice-profiles',
+    operation: 'create_voice_profile',
+    description: 'Create a brand voice profile.',
+    body: { type: 'object', properties: voiceProfileFields, required: ['name', 'base_instructions'] }
+  },
+  {
+    method: 'patch',
+    path: '/brand/voice-profiles/:id',
+    operation: 'update_voice_profile',
+    description: 'Update a brand voice profile.',
+    params: idParam('Voice profile ID'),
+    body: { type: 'object', properties: voiceProfileFields }
+  },
+  {
+    method: 'delete',
+    path: '/brand/voice-profiles/:id',
+    operation: 'delete_voice_profile',
+    description: 'Delete a brand voice profile with its own guidelines and forbidden phrases.',
+    params: idParam('Voice profile ID')
+  },
+  {
+    method: 'get',
+    path: '/brand/guidelines',
+    operation: 'list_brand_guidelines',
+    description: 'List brand guidelines, optionally for one voice profile, channel or category.',
+    query: {
+      type: 'object',
+      properties: {
+        voice_profile_id: { type: 'string', format: 'uuid' },
+        applies_to: { type: 'string', enum: channels },
+        category: { type: 'string' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/brand/guidelines',
+    operation: 'create_brand_guideline',
+    description: 'Create a brand guideline.',
+    body: { type: 'object', properties: guidelineFields, required: ['guideline_category', 'guideline_name'] }
+  },
+  {
+    method: 'patch',
+    path: '/brand/guidelines/:id',
+    operation: 'update_brand_guideline',
+    description: 'Update a brand guideline.',
+    params: idParam('Guideline ID'),
+    body: { type: 'object', properties: guidelineFields }
+  },
+  {
+    method: 'delete',
+    path: '/brand/guidelines/:id',
+    operation: 'delete_brand_guideline',
+    description: 'Delete a brand guideline.',
+    params: idParam('Guideline ID')
+  },
+  {
+    method: 'get',
+    path: '/brand/forbidden-phrases',
+    operation: 'list_forbidden_phrases',
+    description: 'List forbidden phrases, optionally those that apply to one voice profile.',
+    query: {
+      type: 'object',
+      properties: { voice_profile_id: { type: 'string', format: 'uuid' } }
+    }
+  },
+  {
+    method: 'post',
+    path: '/brand/forbidden-phrases',
+    operation: 'create_forbidden_phrase',
+    description: 'Forbid a phrase globally or for one voice profile.',
+    body: {
+      type: 'object',
+      properties: {
+        phrase: { type: 'string', maxLength: 200 },
+        voice_profile_id: { type: ['string', 'null'], format: 'uuid' },
+        reason: { type: 'string' }
+      },
+      required: ['phrase']
+    }
+  },
+  {
+    method: 'delete',
+    path: '/brand/forbidden-phrases/:id',
+    operation: 'delete_forbidden_phrase',
+    description: 'Allow a previously forbidden phrase again.',
+    params: idParam('Forbidden phrase ID')
+  },
+  {
+    method: 'get',
+    path: '/content/blogs',
+    operation: 'list_blog_posts',
+    description: 'List blog posts, optionally by lifecycle status or topic.',
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: blogStatuses },
+        topic: { type: 'string' },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id',
+    operation: 'get_blog_post',
+    description: 'Get a blog post with its allowed status transitions, status history and review comments.',
+    params: idParam('Blog post ID')
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/transition',
+    operation: 'transition_blog_post',
+    description: 'Move a blog post through its lifecycle (draft, in_review, approved, scheduled, published, archived).',
+    params: idParam('Blog post ID'),
+    body: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: blogStatuses },
+        actor: { type: 'string' },
+        comment: { type: 'string', description: 'Reviewer comment recorded with the transition' },
+        scheduled_for: { type: 'string', format: 'date-time', description: 'Required when scheduling' }
+      },
+      required: ['status']
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/comments',
+    operation: 'add_blog_review_comment',
+    description: 'Add a reviewer comment to a blog post, optionally on a line of a revision.',
+    params: idParam('Blog post ID'),
+    body: {
+      type: 'object',
+      properties: {
+        comment: { type: 'string' },
+        author: { type: 'string' },
+        line_number: { type: 'integer', minimum: 1 },
+        revision_number: { type: 'integer', minimum: 1, description: 'Defaults to the current revision' }
+      },
+      required: ['comment']
+    }
+  },
+  {
+    method: 'patch',
+    path: '/content/blogs/:id/comments/:commentId',
+    operation: 'update_blog_review_comment',
+    description: 'Edit or resolve a reviewer comment.',
+    params: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        commentId: { type: 'string', format: 'uuid' }
+      },
+      required: ['id', 'commentId']
+    },
+    body: {
+      type: 'object',
+      properties: {
+        comment: { type: 'string' },
+        resolved: { type: 'boolean' }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/revisions',
+    operation: 'list_blog_revisions',
+    description: 'List the revisions of a blog post, newest first.',
+    params: idParam('Blog post ID')
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/revisions/:revision',
+    operation: 'get_blog_revision',
+    description: 'Get the content of one revision of a blog post.',
+    params: revisionParams
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/diff',
+    operation: 'diff_blog_revisions',
+    description: 'Line diff between two revisions of a blog post (default: the current revision against the previous one).',
+    params: idParam('Blog post ID'),
+    query: {
+      type: 'object',
+      properties: {
+        from: { type: 'integer', minimum: 1 },
+        to: { type: 'integer', minimum: 1 },
+        context: { type: 'integer', minimum: 0, maximum: 20, default: 3 }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/revisions/:revision/restore',
+    operation: 'restore_blog_revision',
+    description: 'Restore an earlier revision of a draft or in-review post as a new revision.',
+    params: revisionParams,
+    body: {
+      type: 'object',
+      properties: {
+        author: { type: 'string' },
+        change_note: { type: 'string' },
+        voice_profile: { type: 'string', description: 'Voice profile id or name to rescore against' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/analytics/metrics',
+    operation: 'ingest_publication_metrics',
+    description: 'Record engagement metrics for a published post. Each point is a cumulative snapshot for one platform at one time.',
+    body: {
+      type: 'object',
+      properties: {
+        blog_id: { type: 'string', format: 'uuid' },
+        metrics: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              platform: { type: 'string', enum: metricPlatforms },
+              recorded_at: { type: 'string', format: 'date-time', description: 'Defaults to now' },
+              views: { type: 'integer', minimum: 0 },
+              clicks: { type: 'integer', minimum: 0 },
+              likes: { type: 'integer', minimum: 0 },
+              shares: { type: 'integer', minimum: 0 },
+              comments: { type: 'integer', minimum: 0 },
+              newsletter_signups: { type: 'integer', minimum: 0 }
+            },
+            required: ['platform']
+          }
+        }
+      },
+      required: ['blog_id', 'metrics']
+    }
+  },
+  {
+    method: 'get',
+    path: '/analytics/publications/:id/metrics',
+    operation: 'get_publication_metrics',
+    description: 'Get the recorded metrics time series of a blog post, per platform.',
+    params: idParam('Blog post ID'),
+    query: {
+      type: 'object',
+      properties: {
+        platform: { type: 'string', enum: metricPlatforms }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/analytics/report',
+    operation: 'get_performance_report',
+    description: 'Aggregate engagement over a date range by post, topic, primary theme or platform, compared with the per-post baseline of the preceding period.',
+    query: {
+      type: 'object',
+      properties: {
+        group_by: { type: 'string', enum: ['post', 'topic', 'primary_theme', 'platform'], default: 'post' },
+        from: { type: 'string', description: 'ISO date; defaults to 30 days before `to`' },
+        to: { type: 'string', description: 'ISO date (a bare date includes the whole day); defaults to now' },
+        platform: { type: 'string', enum: metricPlatforms },
+        baseline_days: { type: 'integer', minimum: 1, maximum: 365, default: 90 }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/content/coverage-targets',
+    operation: 'list_coverage_targets',
+    description: 'List the monthly post targets per topic, theme and business impact area.',
+    query: {
+      type: 'object',
+      properties: { dimension: { type: 'string', enum: coverageDimensions } }
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/coverage-targets',
+    operation: 'create_coverage_target',
+    description: 'Set how many posts a month a topic, theme or business impact area should get.',
+    body: { type: 'object', properties: targetFields, required: ['dimension', 'value', 'monthly_target'] }
+  },
+  {
+    method: 'patch',
+    path: '/content/coverage-targets/:id',
+    operation: 'update_coverage_target',
+    description: 'Change a monthly coverage target.',
+    params: idParam('Coverage target ID'),
+    body: { type: 'object', properties: targetFields }
+  },
+  {
+    method: 'delete',
+    path: '/content/coverage-targets/:id',
+    operation: 'delete_coverage_target',
+    description: 'Delete a monthly coverage target.',
+    params: idParam('Coverage target ID')
+  },
+  {
+    method: 'get',
+    path: '/content/coverage',
+    operation: 'get_coverage_report',
+    description: 'Posts and analyses per topic, theme and business impact area in one month against the monthly targets: which are under- or over-covered and how many days since each was last published.',
+    query: {
+      type: 'object',
+      properties: {
+        month: { type: 'string', pattern: '^\\d{4}-\\d{2}$', description: 'YYYY-MM (UTC); defaults to the current month' },
+        dimensions: { type: 'string', description: `Comma separated dimensions (${coverageDimensions.join(', ')}); all by default` }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/content/calendar',
+    operation: 'get_content_calendar',
+    description: 'Propose upcoming posting slots that fill coverage gaps: each slot gets the topic or theme furthest behind its monthly target, or the one longest without a post once targets are met. Already scheduled posts keep their slots.',
+    query: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', description: 'ISO date of the first slot; defaults to tomorrow' },
+        days: { type: 'integer', minimum: 1, maximum: 92, default: 28 },
+        posts_per_week: { type: 'number', minimum: 0.25, maximum: 21, description: 'Defaults to CONTENT_POSTS_PER_WEEK or 3' },
+        dimensions: { type: 'string', description: `Comma separated dimensions to plan by (${coverageDimensions.join(', ')}); topic and theme by default` }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/export',
+    operation: 'export_blog_post',
+    description: 'Render one blog post, whatever its status, as Markdown with YAML front matter (title, date, topic, keywords, read time) and as sanitized HTML.',
+    params: idParam('Blog post ID'),
+    query: {
+      type: 'object',
+      properties: {
+        site_url: { type: 'string', description: 'Blog root URL the post URL is built on; defaults to BLOG_SITE_URL' }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/export/blog',
+    operation: 'export_blog',
+    description: 'Build the static blog bundle (Markdown with front matter, HTML pages, RSS and Atom feeds, sitemap.xml and a checksummed manifest) from the published posts or the posts given. Returns the files, or writes them to a directory under the server\'s EXPORT_DIR. The same posts and settings always give the same bytes.',
+    body: {
+      type: 'object',
+      properties: exportFields
+    }
+  },
+  {
+    method: 'get',
+    path: '/export/blog.tar.gz',
+    operation: 'download_blog_export',
+    description: 'The static blog bundle as a gzipped tarball.',
+    mcp: false,
+    query: {
+      type: 'object',
+      properties: {
+        blog_ids: { type: 'string', description: 'Comma separated blog post IDs; all published posts by default' },
+        site_url: exportFields.site_url,
+        site_title: exportFields.site_title,
+        site_description: exportFields.site_description
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/publishing/connections',
+    operation: 'list_cms_connections',
+    description: 'List the WordPress and Ghost sites posts can be published to (credentials omitted).',
+    scopes: ['admin']
+  },
+  {
+    method: 'post',
+    path: '/publishing/connections',
+    operation: 'create_cms_connection',
+    description: 'Add a WordPress (REST API, application password) or Ghost (Admin API key) site to publish to.',
+    scopes: ['admin'],
+    body: { type: 'object', properties: connectionFields, required: ['name', 'adapter', 'base_url', 'credentials'] }
+  },
+  {
+    method: 'patch',
+    path: '/publishing/connections/:id',
+    operation: 'update_cms_connection',
+    description: 'Update a CMS connection; credentials are replaced as a whole.',
+    scopes: ['admin'],
+    params: idParam('CMS connection ID'),
+    body: { type: 'object', properties: connectionFields }
+  },
+  {
+    method: 'delete',
+    path: '/publishing/connections/:id',
+    operation: 'delete_cms_connection',
+    description: 'Remove a CMS connection and its publication records; posts already on the CMS stay there.',
+    scopes: ['admin'],
+    params: idParam('CMS connection ID')
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/publications',
+    operation: 'list_cms_publications',
+    description: 'Where a blog post is on each CMS: remote ID and URL, status there, last push and last error.',
+    params: idParam('Blog post ID')
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/publications',
+    operation: 'push_cms_publication',
+    description: 'Create or update a blog post on a CMS with its HTML, keywords as tags and featured image. Retries are safe: an unchanged post isn\'t sent again and a post already on the CMS is updated, not duplicated.',
+    params: idParam('Blog post ID'),
+    body: {
+      type: 'object',
+      properties: {
+        connection: { type: 'string', description: 'CMS connection ID or name' },
+        status: { type: 'string', enum: ['published', 'draft'], description: 'Defaults to published for published posts and draft otherwise; only published posts can go live' }
+      },
+      required: ['connection']
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/publications/:publicationId/unpublish',
+    operation: 'unpublish_cms_publication',
+    description: 'Take a blog post down on a CMS (it becomes a draft there); the local post keeps its status.',
+    params: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        publicationId: { type: 'string', format: 'uuid' }
+      },
+      required: ['id', 'publicationId']
+    }
+  },
+  {
+    method: 'get',
+    path: '/search',
+    operation: 'search',
+    description: 'Full-text search across processed articles, analyses, blog posts and knowledge entities ("have we written about ghost kitchens?"). Web search syntax: "quoted phrases", or, -word. Results are ranked together with highlighted snippets; words that match nothing get corrected query suggestions.',
+    query: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', minLength: 1, maxLength: 500 },
+        types: { type: 'string', description: `Comma separated result types (${searchTypes.join(', ')}); all by default` },
+        topic: { type: 'string', description: 'Only articles, analyses and posts on this topic' },
+        status: { type: 'string', enum: blogStatuses, description: 'Only blog posts with this status' },
+        entity_type: { type: 'string', description: 'Only knowledge entities of this type (company, technology, trend)' },
+        from: { type: 'string', description: 'Only dated results on or after this date' },
+        to: { type: 'string', description: 'Only dated results up to this date (a whole day when given as YYYY-MM-DD)' },
+        ...paginationQuery
+      },
+      required: ['q']
+    }
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/link-suggestions',
+    operation: 'suggest_internal_links',
+    description: 'Suggest links from a blog post to related published posts (shared keywords and entities, or similar embeddings), each with an anchor phrase from the post and the target URL. Posts it already links to are left out, and a post takes at most a set number of internal links.',
+    params: idParam('Blog post ID')
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/links',
+    operation: 'apply_internal_links',
+    description: 'Put accepted link suggestions into a draft or in-review post as Markdown links, saved as a new revision. Suggestions whose target is already linked, whose anchor is gone or that would go over the link cap are skipped.',
+    params: idParam('Blog post ID'),
+    body: {
+      type: 'object',
+      properties: {
+        suggestion_ids: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', format: 'uuid' },
+          description: 'Suggestions to apply, in order of preference'
+        },
+        author: { type: 'string' }
+      },
+      required: ['suggestion_ids']
+    }
+  },
+  {
+    method: 'get',
+    path: '/jobs',
+    operation: 'list_jobs',
+    description: 'List background jobs (publication check-ins, trend recomputation, draft cleanup), newest run time first.',
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: jobStatuses },
+        type: { type: 'string', enum: jobTypes },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/jobs/:id',
+    operation: 'get_job',
+    description: 'Get a background job with its result or last error.',
+    params: idParam('Job ID')
+  },
+  {
+    method: 'post',
+    path: '/jobs',
+    operation: 'create_job',
+    description: 'Queue a background job by hand, now or at run_at.',
+    scopes: ['admin'],
+    body: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: jobTypes },
+        payload: { type: 'object', description: 'publication_checkin takes { blog_id, check_type }' },
+        run_at: { type: 'string', format: 'date-time' },
+        max_attempts: { type: 'integer', minimum: 1, maximum: 20, default: 5 }
+      },
+      required: ['type']
+    }
+  },
+  {
+    method: 'post',
+    path: '/jobs/:id/cancel',
+    operation: 'cancel_job',
+    description: 'Cancel a pending background job.',
+    scopes: ['admin'],
+    params: idParam('Job ID')
+  },
+  {
+    method: 'post',
+    path: '/jobs/:id/rerun',
+    operation: 'rerun_job',
+    description: 'Queue a fresh copy of a completed, failed or cancelled job.',
+    scopes: ['admin'],
+    params: idParam('Job ID')
+  },
+  {
+    method: 'get',
+    path: '/social/posts',
+    operation: 'list_social_posts',
+    description: 'List generated social posts, optionally for one blog post, platform or review status.',
+    query: {
+      type: 'object',
+      properties: {
+        blog_id: { type: 'string', format: 'uuid' },
+        platform: { type: 'string', enum: socialPlatforms },
+        status: { type: 'string', enum: ['pending_review', 'approved', 'rejected', 'superseded', 'published'] },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/social/posts/:id',
+    operation: 'get_social_post',
+    description: 'Get a generated social post with its validation results and thread.',
+    params: idParam('Social post ID')
+  },
+  {
+    method: 'patch',
+    path: '/social/posts/:id',
+    operation: 'edit_social_post',
+    description: 'Replace the text of a social post. It is revalidated and goes back to review.',
+    params: idParam('Social post ID'),
+    body: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        edited_by: { type: 'string' },
+        blog_url: { type: 'string', description: 'URL the post must link to; defaults to the published blog URL' }
+      },
+      required: ['text']
+    }
+  },
+  {
+    method: 'post',
+    path: '/social/posts/:id/approve',
+    operation: 'approve_social_post',
+    description: 'Approve a social post for publishing. Posts that break platform rules cannot be approved.',
+    params: idParam('Social post ID'),
+    body: socialReview
+  },
+  {
+    method: 'post',
+    path: '/social/posts/:id/reject',
+    operation: 'reject_social_post',
+    description: 'Reject a social post.',
+    params: idParam('Social post ID'),
+    body: socialReview
+  },
+  {
+    method: 'get',
+    path: '/content/blogs/:id/images',
+    operation: 'list_blog_images',
+    description: 'List the images attached to a blog post, optionally for one variant.',
+    params: idParam('Blog post ID'),
+    query: {
+      type: 'object',
+      properties: {
+        variant: { type: 'string', enum: cardFormats }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/content/blogs/:id/images',
+    operation: 'attach_blog_image',
+    description: 'Attach an image to a blog post for a platform variant. Its dimensions must match the style guide (same aspect ratio, at least the listed size).',
+    params: idParam('Blog post ID'),
+    body: {
+      ...blogImage,
+      properties: { variant: { type: 'string', enum: cardFormats }, ...blogImage.properties },
+      required: ['variant', ...blogImage.required]
+    }
+  },
+  {
+    method: 'delete',
+    path: '/content/blogs/:id/images/:imageId',
+    operation: 'delete_blog_image',
+    description: 'Remove an image from a blog post.',
+    params: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        imageId: { type: 'string', format: 'uuid' }
+      },
+      required: ['id', 'imageId']
+    }
+  },
+  {
+    method: 'get',
+    path: '/social/posting-schedule',
+    operation: 'get_posting_schedule',
+    description: 'Recommend weekday and hour posting slots per platform from recorded engagement, in the audience time zone. Platforms with too little history get the default time; every slot explains why it was chosen.',
+    query: {
+      type: 'object',
+      properties: {
+        timezone: { type: 'string', description: 'Audience time zone (IANA name, e.g. America/Chicago)' },
+        platforms: { type: 'string', description: `Comma separated platforms (${socialPlatforms.join(', ')}); all by default` },
+        min_samples: { type: 'integer', minimum: 1, description: 'Tracked posts a platform needs before its history is used' },
+        slots: { type: 'integer', minimum: 1, maximum: 10, default: 3 }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/admin/api-keys',
+    operation: 'list_api_keys',
+    description: 'List API keys (never the keys themselves) with today\'s LLM call count.',
+    scopes: ['admin'],
+    query: {
+      type: 'object',
+      properties: {
+        include_revoked: { type: 'boolean', default: false },
+        ...paginationQuery
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/admin/api-keys',
+    operation: 'create_api_key',
+    description: 'Issue an API key. The key is returned once and only its hash is stored.',
+    scopes: ['admin'],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        scopes: { type: 'array', items: { type: 'string', enum: apiKeyScopes }, minItems: 1 },
+        ...apiKeyLimits,
+        expires_at: { type: 'string', format: 'date-time' },
+        platform: {
+          type: 'boolean',
+          default: false,
+          description: 'Issue a platform key that is not tied to a tenant (platform keys only)'
+        }
+      },
+      required: ['name', 'scopes']
+    }
+  },
+  {
+    method: 'post',
+    path: '/admin/api-keys/:id/rotate',
+    operation: 'rotate_api_key',
+    description: 'Issue a replacement key with the same scopes and limits. The old key is revoked now, or expires after the grace period.',
+    scopes: ['admin'],
+    params: idParam('API key ID'),
+    body: {
+      type: 'object',
+      properties: {
+        grace_period_minutes: { type: 'integer', minimum: 0, maximum: 10080, default: 0 }
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/admin/api-keys/:id/revoke',
+    operation: 'revoke_api_key',
+    description: 'Revoke an API key immediately.',
+    scopes: ['admin'],
+    params: idParam('API key ID')
+  },
+  {
+    method: 'get',
+    path: '/admin/tenants',
+    operation: 'list_tenants',
+    description: 'List tenants (platform keys only).',
+    scopes: ['admin'],
+    platform: true,
+    query: { type: 'object', properties: { ...paginationQuery } }
+  },
+  {
+    method: 'get',
+    path: '/admin/tenants/:id',
+    operation: 'get_tenant',
+    description: 'Get a tenant with its brand color and hashtag overrides (platform keys only).',
+    scopes: ['admin'],
+    platform: true,
+    params: tenantParam
+  },
+  {
+    method: 'post',
+    path: '/admin/tenants',
+    operation: 'create_tenant',
+    description: 'Create a tenant (platform keys only). Issue it API keys with X-Tenant set to its slug.',
+    scopes: ['admin'],
+    platform: true,
+    body: { type: 'object', properties: tenantFields, required: ['slug', 'name'] }
+  },
+  {
+    method: 'patch',
+    path: '/admin/tenants/:id',
+    operation: 'update_tenant',
+    description: 'Update a tenant\'s name, slug, brand colors or hashtags (platform keys only).',
+    scopes: ['admin'],
+    platform: true,
+    params: tenantParam,
+    body: { type: 'object', properties: tenantFields }
+  },
+  {
+    method: 'delete',
+    path: '/admin/tenants/:id',
+    operation: 'delete_tenant',
+    description: 'Delete a tenant and everything it owns (platform keys only). The default tenant can\'t be deleted.',
+    scopes: ['admin'],
+    platform: true,
+    params: tenantParam
+  },
+  {
+    method: 'post',
+    path: '/mcp',
+    operation: 'mcp',
+    description: 'Model Context Protocol endpoint (streamable HTTP transport). Takes a JSON-RPC 2.0 message or batch.',
+    scopes: [],
+    mcp: false,
+    batch: true,
+    body: { type: ['object', 'array'] }
+  },
+  {
+    method: 'get',
+    path: '/openapi.json',
+    operation: 'get_openapi_document',
+    description: 'This API described as an OpenAPI 3.1 document.',
+    mcp: false,
+    public: true
+  },
+  {
+    method: 'get',
+    path: '/docs',
+    operation: 'get_api_docs',
+    description: 'Interactive API documentation.',
+    mcp: false,
+    public: true
+  },
+  {
+    method: 'get',
+    path: '/health',
+    operation: 'health_check',
+    description: 'Liveness check.',
+    mcp: false,
+    public: true
+  }
+];
+
+// Merge params, query and body schemas into the single object schema an MCP
+// tool takes as its arguments.
+function toolInputSchema(route) {
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const part of [route.params, route.query, route.body]) {
+    if (!part) continue;
+    Object.assign(schema.properties, part.properties);
+    schema.required.push(...(part.required || []));
+  }
+  if (schema.required.length === 0) delete schema.required;
+  return schema;
+}
+
+// Routes with fewer path params first, so that middleware registered per
+// route sees "/content/blogs/search" before "/content/blogs/:id"
+function bySpecificity(list) {
+  const paramCount = route => (route.path.match(/:/g) || []).length;
+  return [...list].sort((a, b) => paramCount(a) - paramCount(b));
+}
+
+module.exports = { routes, toolInputSchema, bySpecificity };
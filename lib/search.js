@@ -0,0 +1,196 @@
+// Full-text search across the knowledge base and the content it produced:
+// processed articles, analyses, blog posts and knowledge entities.
+//
+// Queries use web search syntax ("quoted phrases", or, -excluded) with
+// English stemming, against the weighted search_vector columns (see
+// migrations/007). Results from all four are ranked together by
+// ts_rank_cd, normalized to 0..1, and carry a snippet with the matched
+// words in <mark>; everything else in the snippet is HTML-escaped.
+//
+// Filters apply to what has the field: topic to articles, analyses and
+// posts, status to posts, the date range to everything but entities and
+// entity_type to entities, so any of them leaves out the rest.
+//
+// Words that match nothing get "did you mean" suggestions from the words
+// of the tenant's titles, names, topics, themes and keywords, by trigram
+// similarity.
+
+const { escapeHtml } = require('./markdown');
+
+const SEARCH_TYPES = ['article', 'analysis', 'blog', 'entity'];
+
+const MARK_START = '\u0002';
+const MARK_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_STOP}, MaxWords=35, MinWords=15, ` +
+  'MaxFragments=2, FragmentDelimiter=" … "';
+
+const MAX_SUGGESTIONS = 3;
+
+// Below pg_trgm's default of 0.3, which misses swapped letters in short
+// words ("gohst" is 0.2 from "ghost")
+const SUGGESTION_SIMILARITY = 0.2;
+
+// Everything searchable, in one shape
+const DOCUMENTS = `
+  SELECT 'article'::text AS type, id, tenant_id, title, description AS body, topic,
+         NULL::text AS status, NULL::text AS entity_type, COALESCE(canonical_url, url) AS url,
+         COALESCE(published_date, processed_date) AS date, search_vector
+  FROM processed_articles
+  UNION ALL
+  SELECT 'analysis', id, tenant_id, COALESCE(selected_story_title, topic), raw_analysis, topic,
+         NULL, NULL, NULL, analysis_date, search_vector
+  FROM analysis_history
+  UNION ALL
+  SELECT 'blog', id, tenant_id, title, content, primary_topic,
+         status, NULL, published_url, COALESCE(publication_date, scheduled_for, created_at), search_vector
+  FROM blog_content
+  UNION ALL
+  SELECT 'entity', id, tenant_id, name, concat_ws(' ', description, strategic_importance), NULL,
+         NULL, type, NULL, NULL, search_vector
+  FROM knowledge_entities
+`;
+
+// Snippet text with the marked words in <mark>, safe to insert as HTML
+function formatSnippet(headline) {
+  return escapeHtml(String(headline || '').replace(/\s+/g, ' ').trim())
+    .split(MARK_START).join('<mark>')
+    .split(MARK_STOP).join('</mark>');
+}
+
+// Ranked matches for `text` and how many there are in all
+async function searchDocuments(client, tenantId, text, {
+  types = SEARCH_TYPES,
+  topic = null,
+  status = null,
+  entityType = null,
+  from = null,
+  to = null,
+  limit = 25,
+  offset = 0
+} = {}) {
+  const results = await client.query(`
+    WITH query AS (SELECT websearch_to_tsquery('english', $2) AS q),
+    hits AS (
+      SELECT documents.*, ts_rank_cd(search_vector, query.q, 32) AS rank, COUNT(*) OVER() AS total
+      FROM (${DOCUMENTS}) documents, query
+      WHERE tenant_id = $1
+        AND type = ANY($3::text[])
+        AND search_vector @@ query.q
+        AND ($4::text IS NULL OR LOWER(topic) = LOWER($4))
+        AND ($5::text IS NULL OR status = $5)
+        AND ($6::text IS NULL OR entity_type = $6)
+        AND ($7::timestamp IS NULL OR date >= $7)
+        AND ($8::timestamp IS NULL OR date < $8)
+      ORDER BY rank DESC, date DESC NULLS LAST, id
+      LIMIT $9 OFFSET $10
+    )
+    SELECT type, id, title, topic, status, entity_type, url, date, rank, total,
+           ts_headline('english', COALESCE(body, ''), query.q, $11) AS headline
+    FROM hits, query
+    ORDER BY rank DESC, date DESC NULLS LAST, id
+  `, [tenantId, text, types, topic, status, entityType, from, to, limit, offset, HEADLINE_OPTIONS]);
+
+  return {
+    total: results.rows.length ? parseInt(results.rows[0].total, 10) : 0,
+    results: results.rows.map(({ total, headline, rank, ...row }) => ({
+      ...row,
+      rank: Math.round(rank * 10000) / 10000,
+      snippet: formatSnippet(headline)
+    }))
+  };
+}
+
+// The plain words of a web search query, without operators and short words
+function queryWords(text) {
+  const words = String(text).toLowerCase()
+    .replace(/(^|\s)-\S*/g, ' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && word !== 'or');
+  return [...new Set(words)];
+}
+
+// Corrected queries for words that match nothing, closest first. Stop
+// words never count as misspelled.
+async function suggestQueries(client, tenantId, text) {
+  const words = queryWords(text);
+  if (words.length === 0) return [];
+
+  const unmatched = await client.query(`
+    SELECT word FROM unnest($2::text[]) AS word
+    WHERE numnode(plainto_tsquery('english', word)) > 0
+      AND NOT EXISTS (
+        SELECT 1 FROM (${DOCUMENTS}) documents
+        WHERE tenant_id = $1 AND search_vector @@ plainto_tsquery('english', word)
+      )
+  `, [tenantId, words]);
+  if (unmatched.rowCount === 0) return [];
+
+  const candidates = await client.query(`
+    WITH vocabulary AS MATERIALIZED (
+      SELECT DISTINCT word FROM (
+        SELECT regexp_split_to_table(LOWER(concat_ws(' ', title, topic)), '[^[:alnum:]]+') AS word
+        FROM processed_articles WHERE tenant_id = $1
+        UNION ALL
+        SELECT regexp_split_to_table(LOWER(concat_ws(' ', selected_story_title, topic, primary_theme,
+          business_impact_area, search_array_text(secondary_themes))), '[^[:alnum:]]+')
+        FROM analysis_history WHERE tenant_id = $1
+        UNION ALL
+        SELECT regexp_split_to_table(LOWER(concat_ws(' ', title, primary_topic, primary_theme,
+          search_array_text(primary_keywords), search_array_text(secondary_topics))), '[^[:alnum:]]+')
+        FROM blog_content WHERE tenant_id = $1
+        UNION ALL
+        SELECT regexp_split_to_table(LOWER(name), '[^[:alnum:]]+')
+        FROM knowledge_entities WHERE tenant_id = $1
+      ) words
+      WHERE LENGTH(word) >= 3
+    )
+    SELECT misspelled, candidate.word, similarity(candidate.word, misspelled) AS similarity
+    FROM unnest($2::text[]) AS misspelled
+    CROSS JOIN LATERAL (
+      SELECT word FROM vocabulary
+      WHERE similarity(word, misspelled) >= $3
+      ORDER BY similarity(word, misspelled) DESC, word
+      LIMIT ${MAX_SUGGESTIONS}
+    ) candidate
+    ORDER BY misspelled, similarity DESC, candidate.word
+  `, [tenantId, unmatched.rows.map(row => row.word), SUGGESTION_SIMILARITY]);
+
+  const options = new Map();
+  for (const row of candidates.rows) {
+    if (!options.has(row.misspelled)) options.set(row.misspelled, []);
+    options.get(row.misspelled).push({ word: row.word, similarity: Math.round(row.similarity * 100) / 100 });
+  }
+  if (options.size === 0) return [];
+
+  // The best correction for every word, then the runners-up one word at a time
+  const best = new Map([...options].map(([word, list]) => [word, list[0]]));
+  const variants = [best];
+  for (const [word, list] of options) {
+    for (const alternative of list.slice(1)) {
+      variants.push(new Map([...best, [word, alternative]]));
+    }
+  }
+
+  return variants
+    .map(choice => ({
+      query: String(text).replace(/[\p{L}\p{N}]+/gu, word =>
+        choice.has(word.toLowerCase()) ? choice.get(word.toLowerCase()).word : word),
+      corrections: [...choice].map(([word, correction]) => ({ word, suggestion: correction.word, similarity: correction.similarity }))
+    }))
+    .sort((a, b) => b.corrections.reduce((sum, c) => sum + c.similarity, 0) - a.corrections.reduce((sum, c) => sum + c.similarity, 0))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+// A web search query matching any of the phrases
+function anyOfQuery(phrases) {
+  return [...new Set(phrases.map(phrase => String(phrase || '').replace(/["\s]+/g, ' ').trim()).filter(Boolean))]
+    .map(phrase => `"${phrase}"`)
+    .join(' or ');
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  searchDocuments,
+  suggestQueries,
+  anyOfQuery
+};
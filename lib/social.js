@@ -0,0 +1,157 @@
+// Per-platform rules for generated social posts, validation and Twitter threads.
+//
+// Limits are the house rules from the generation prompt, not the platforms'
+// own (far higher) maximums, except on Twitter where 280 is both. Twitter
+// counts every link as 23 characters, whatever its length.
+
+const SOCIAL_PLATFORMS = ['facebook', 'twitter', 'linkedin', 'instagram'];
+
+const PLATFORM_RULES = {
+  facebook: { maxLength: 400, maxHashtags: 3, minEmojis: 0, maxEmojis: 2, requiresUrl: true },
+  twitter: { maxLength: 280, maxHashtags: 2, minEmojis: 0, maxEmojis: 2, requiresUrl: true, thread: true },
+  linkedin: { maxLength: 500, maxHashtags: 3, minEmojis: 0, maxEmojis: 1, requiresUrl: true },
+  instagram: { maxLength: 300, maxHashtags: 5, minEmojis: 1, maxEmojis: 5, requiresUrl: true }
+};
+
+// Hashtags the generation prompt asks for, unless a tenant sets its own
+const DEFAULT_HASHTAGS = {
+  facebook: ['#RestaurantTech', '#RestaurantBusiness'],
+  twitter: ['#RestaurantTech', '#FoodService'],
+  linkedin: ['#RestaurantIndustry', '#HospitalityTech'],
+  instagram: ['#RestaurantLife', '#FoodTech', '#RestaurantOwner']
+};
+
+// publication_tracking column keys for each platform
+const TRACKING_KEYS = {
+  facebook: 'facebook',
+  twitter: 'twitter',
+  linkedin: 'linkedin',
+  instagram: 'instagram_post'
+};
+
+const URL_PATTERN = /https?:\/\/[^\s)]+/g;
+const HASHTAG_PATTERN = /(?:^|\s)(#[\p{L}\p{N}_]+)/gu;
+const SINGLE_HASHTAG = /^#[\p{L}\p{N}_]+$/u;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const TWITTER_URL_LENGTH = 23;
+
+// Models answer with a string, { optimized_text }, or for Twitter sometimes
+// an array of tweets
+function postText(post) {
+  if (typeof post === 'string') return post.trim();
+  if (Array.isArray(post)) return post.map(postText).join(' ').trim();
+  if (post && typeof post === 'object') return postText(post.optimized_text ?? post.text ?? '');
+  return '';
+}
+
+// Returns an error message for invalid per-platform hashtag lists, or null
+function validateHashtags(hashtags) {
+  if (!hashtags || typeof hashtags !== 'object' || Array.isArray(hashtags)) {
+    return `social_hashtags must be an object keyed by platform (${SOCIAL_PLATFORMS.join(', ')})`;
+  }
+  for (const [platform, tags] of Object.entries(hashtags)) {
+    if (!PLATFORM_RULES[platform]) return `Unknown platform ${platform} in social_hashtags`;
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && SINGLE_HASHTAG.test(tag))) {
+      return `social_hashtags.${platform} must be a list of hashtags such as #RestaurantTech`;
+    }
+    if (tags.length > PLATFORM_RULES[platform].maxHashtags) {
+      return `social_hashtags.${platform} has ${tags.length} hashtags; ${platform} posts allow at most ${PLATFORM_RULES[platform].maxHashtags}`;
+    }
+  }
+  return null;
+}
+
+function platformLength(platform, text) {
+  if (platform !== 'twitter') return [...text].length;
+  return [...text.replace(URL_PATTERN, 'x'.repeat(TWITTER_URL_LENGTH))].length;
+}
+
+function validatePost(platform, text, { blogUrl } = {}) {
+  const rules = PLATFORM_RULES[platform];
+  const length = platformLength(platform, text);
+  const hashtags = [...text.matchAll(HASHTAG_PATTERN)].map(match => match[1]);
+  const emojis = (text.match(EMOJI_PATTERN) || []).length;
+  const urls = text.match(URL_PATTERN) || [];
+  const hasUrl = blogUrl ? text.includes(blogUrl) : urls.length > 0;
+
+  const issues = [];
+  const issue = (rule, message, severity = 'error') => issues.push({ rule, severity, message });
+
+  if (!text) issue('empty', 'Post text is empty');
+  if (length > rules.maxLength) {
+    issue('max_length', `${length} characters; the limit is ${rules.maxLength}`, rules.thread ? 'warning' : 'error');
+  }
+  if (hashtags.length > rules.maxHashtags) issue('max_hashtags', `${hashtags.length} hashtags; at most ${rules.maxHashtags}`);
+  if (emojis > rules.maxEmojis) issue('max_emojis', `${emojis} emoji; at most ${rules.maxEmojis}`);
+  if (emojis < rules.minEmojis) issue('min_emojis', `Use at least ${rules.minEmojis} emoji`, 'warning');
+  if (rules.requiresUrl && !hasUrl) {
+    issue('url_missing', blogUrl ? `The blog URL ${blogUrl} is missing` : 'The post has no link');
+  }
+
+  return {
+    valid: !issues.some(item => item.severity === 'error'),
+    length,
+    max_length: rules.maxLength,
+    hashtags,
+    emoji_count: emojis,
+    has_url: hasUrl,
+    issues
+  };
+}
+
+// Splits text into numbered tweets ("… 1/3") at sentence boundaries, falling
+// back to word boundaries for very long sentences
+function splitThread(text, { maxLength = PLATFORM_RULES.twitter.maxLength } = {}) {
+  if (platformLength('twitter', text) <= maxLength) return [text];
+
+  // Room for the " 12/12" counter
+  const budget = maxLength - 6;
+  const pieces = text
+    .split(/(?<=[.!?])\s+/)
+    .flatMap(sentence => {
+      if (platformLength('twitter', sentence) <= budget) return [sentence];
+      const words = [];
+      let current = '';
+      for (const word of sentence.split(/\s+/)) {
+        const next = current ? `${current} ${word}` : word;
+        if (current && platformLength('twitter', next) > budget) {
+          words.push(current);
+          current = word;
+        } else {
+          current = next;
+        }
+      }
+      if (current) words.push(current);
+      return words;
+    });
+
+  const tweets = [];
+  for (const piece of pieces) {
+    const last = tweets[tweets.length - 1];
+    if (last !== undefined && platformLength('twitter', `${last} ${piece}`) <= budget) {
+      tweets[tweets.length - 1] = `${last} ${piece}`;
+    } else {
+      tweets.push(piece);
+    }
+  }
+  return tweets.map((tweet, index) => `${tweet} ${index + 1}/${tweets.length}`);
+}
+
+// Validation plus, for Twitter, the thread the text becomes
+function preparePost(platform, text, options) {
+  const validation = validatePost(platform, text, options);
+  const thread = PLATFORM_RULES[platform].thread ? splitThread(text) : null;
+  return { text, validation, thread: thread && thread.length > 1 ? thread : null };
+}
+
+module.exports = {
+  SOCIAL_PLATFORMS,
+  PLATFORM_RULES,
+  DEFAULT_HASHTAGS,
+  TRACKING_KEYS,
+  postText,
+  validateHashtags,
+  validatePost,
+  splitThread,
+  preparePost
+};
@@ -0,0 +1,60 @@
+// Small helpers shared by the CRUD routes.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// limit/offset from a query string, clamped to sane bounds
+function parsePagination(query, { defaultLimit = 25, maxLimit = 100 } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Builds "col = $n" assignments for the columns present in `body`.
+// `columns` maps column name to 'json' for JSONB columns, or true otherwise.
+// Parameter numbering starts after `startIndex` existing parameters.
+function buildUpdate(body, columns, startIndex = 0) {
+  const assignments = [];
+  const values = [];
+  for (const [column, kind] of Object.entries(columns)) {
+    if (body[column] === undefined) continue;
+    values.push(kind === 'json' && body[column] !== null ? JSON.stringify(body[column]) : body[column]);
+    assignments.push(`${column} = $${startIndex + values.length}`);
+  }
+  return { assignments, values };
+}
+
+// Column list, placeholders and values for an INSERT of the columns present
+// in `body`, plus `fixed` columns the server sets itself (such as tenant_id)
+function buildInsert(body, columns, fixed = {}) {
+  const names = [];
+  const values = [];
+  for (const [column, kind] of Object.entries(columns)) {
+    if (body[column] === undefined) continue;
+    names.push(column);
+    values.push(kind === 'json' && body[column] !== null ? JSON.stringify(body[column]) : body[column]);
+  }
+  for (const [column, value] of Object.entries(fixed)) {
+    names.push(column);
+    values.push(value);
+  }
+  return {
+    columns: names.join(', '),
+    placeholders: values.map((value, i) => `$${i + 1}`).join(', '),
+    values
+  };
+}
+
+// Splits a comma separated query parameter ("company,technology") into a list
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return items.length ? items : null;
+}
+
+module.exports = { isUuid, parsePagination, buildUpdate, buildInsert, parseList };
@@ -0,0 +1,111 @@
+// Tenants: the restaurant groups one deployment serves.
+//
+// Every row belongs to a tenant and every query filters on the request's
+// tenant (req.tenant). Keys issued for a tenant only ever see that tenant.
+// Platform keys, which have no tenant (ADMIN_API_KEY, the stdio operator,
+// any caller with API_AUTH=off, and keys issued with `platform`), pick one
+// with the X-Tenant header (slug or ID) and otherwise get DEFAULT_TENANT
+// ("default"). Only the `platform` flag makes a key a platform key; a key
+// without it and without a tenant gets nowhere.
+//
+// Routes marked `platform: true` in lib/schemas.js (tenant management) are
+// for platform keys only and run without a tenant.
+
+const { isUuid } = require('./sql');
+const { bySpecificity } = require('./schemas');
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+const TENANT_COLUMNS = {
+  slug: true,
+  name: true,
+  brand_colors: 'json',
+  social_hashtags: 'json'
+};
+
+function isPlatformPrincipal(principal) {
+  return principal.platform === true;
+}
+
+// Platform routes are for platform keys only, however the request arrives
+function mayUseRoute(principal, route) {
+  return !route.platform || isPlatformPrincipal(principal);
+}
+
+// SQL condition, with its two parameters, for rows that belong to a tenant
+// or to the platform (jobs, API keys): a caller sees the tenant's own, and
+// platform keys see the platform-wide ones as well
+function visibleTo(req, first) {
+  return {
+    condition: `(tenant_id = $${first} OR ($${first + 1} AND tenant_id IS NULL))`,
+    params: [req.tenant.id, isPlatformPrincipal(req.principal)]
+  };
+}
+
+async function findTenant(db, ref) {
+  if (!ref) return null;
+  const found = await db.query(
+    isUuid(ref) ? 'SELECT * FROM tenants WHERE id = $1' : 'SELECT * FROM tenants WHERE slug = $1',
+    [ref]
+  );
+  return found.rows[0] || null;
+}
+
+function createTenantResolver(pool, { defaultTenant = process.env.DEFAULT_TENANT || 'default' } = {}) {
+  // The tenant a principal works in, or { error } with the status to answer
+  async function tenantFor(principal, requested) {
+    if (!isPlatformPrincipal(principal)) {
+      const tenant = await findTenant(pool, principal.tenant_id);
+      if (requested && tenant && requested !== tenant.slug && requested !== tenant.id) {
+        return { status: 403, error: `This API key belongs to tenant ${tenant.slug}` };
+      }
+      return tenant ? { tenant } : { status: 403, error: 'This API key\'s tenant no longer exists' };
+    }
+    const tenant = await findTenant(pool, requested || defaultTenant);
+    return tenant ? { tenant } : { status: 404, error: `Tenant not found: ${requested || defaultTenant}` };
+  }
+
+  function resolve(route) {
+    return async (req, res, next) => {
+      // A request is resolved against the most specific matching route only
+      if (req.tenantRoute) return next();
+      req.tenantRoute = route;
+      // Checked before anything else: MCP tool calls arrive with req.tenant
+      // already set
+      if (!mayUseRoute(req.principal, route)) {
+        return res.status(403).json({ error: 'Only platform API keys can manage tenants' });
+      }
+      if (route.public || route.platform || req.tenant) return next();
+
+      try {
+        const { tenant, status, error } = await tenantFor(req.principal, req.get('x-tenant'));
+        if (!tenant) {
+          return res.status(status).json({ error });
+        }
+        req.tenant = tenant;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Registers tenant resolution in front of every route, after authentication
+  function register(app, routes) {
+    for (const route of bySpecificity(routes)) {
+      app[route.method](route.path, resolve(route));
+    }
+  }
+
+  return { register, tenantFor, defaultTenant };
+}
+
+module.exports = {
+  SLUG_PATTERN,
+  TENANT_COLUMNS,
+  isPlatformPrincipal,
+  mayUseRoute,
+  visibleTo,
+  findTenant,
+  createTenantResolver
+};
@@ -0,0 +1,65 @@
+// URL canonicalization for article de-duplication.
+//
+// Outlets syndicate the same story under tracking parameters, AMP pages,
+// mobile hosts and Google's AMP cache, so URLs are reduced to one canonical
+// form before they are compared or stored.
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ref', 'ref_src', 'ref_url', 'cmpid', 'ocid', 'sr_share', 's_cid',
+  'smid', 'amp', 'outputtype', 'guccounter', 'guce_referrer', 'guce_referrer_sig',
+  'spm', 'ito', 'icid', 'ncid', 'soc_src', 'soc_trk'
+]);
+
+const HOST_PREFIXES = /^(www\d?|m|mobile|amp)\./;
+
+// https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story
+// https://www.google.com/amp/s/www.example.com/story
+function unwrapAmpCache(url) {
+  const ampCache = url.hostname.endsWith('.cdn.ampproject.org');
+  const googleAmp = /(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname.startsWith('/amp/');
+  if (!ampCache && !googleAmp) return url;
+
+  const match = url.pathname.match(/^\/(?:amp\/|[a-z]\/)*(s\/)?(.+)$/);
+  if (!match) return url;
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${url.search}`);
+  } catch (error) {
+    return url;
+  }
+}
+
+function canonicalizeUrl(rawUrl) {
+  if (!rawUrl) return null;
+  const trimmed = String(rawUrl).trim();
+
+  let url;
+  try {
+    url = unwrapAmpCache(new URL(trimmed));
+  } catch (error) {
+    return trimmed.toLowerCase();
+  }
+
+  const host = url.hostname.toLowerCase().replace(HOST_PREFIXES, '');
+
+  let path = url.pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/amp(?=\/)/, '')
+    .replace(/\/amp\/?$/, '')
+    .replace(/\.amp(\.html?)?$/, '$1')
+    .replace(/\/index\.html?$/, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => {
+      const name = key.toLowerCase();
+      return !name.startsWith('utm_') && !TRACKING_PARAMS.has(name);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  // Scheme and port are deliberately dropped: http/https copies are the same story
+  return `https://${host}${path || ''}${query ? `?${query}` : ''}`;
+}
+
+module.exports = { canonicalizeUrl };
@@ -0,0 +1,79 @@
+// Request validation against the route schemas in lib/schemas.js.
+//
+// Each route's query string and body are checked before its handler runs;
+// failures answer 400 with one entry per problem ({ field, message }).
+// Query values arrive as strings, so they are validated with type coercion
+// against a copy, leaving req.query as the handlers expect it. Path params
+// are left to the handlers, which answer 404 for ids that can't exist.
+
+const Ajv = require('ajv');
+const { isUuid } = require('./sql');
+const { bySpecificity } = require('./schemas');
+
+function createAjv(options = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  ajv.addFormat('uuid', { type: 'string', validate: isUuid });
+  ajv.addFormat('date-time', { type: 'string', validate: value => !Number.isNaN(Date.parse(value)) });
+  return ajv;
+}
+
+const bodyAjv = createAjv();
+const queryAjv = createAjv({ coerceTypes: 'array' });
+
+// "/articles/0/url" -> "articles[0].url"
+function fieldPath(location, instancePath, missingProperty) {
+  const segments = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (missingProperty) segments.push(missingProperty);
+  return segments.reduce((path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : `${path}.${segment}`), location);
+}
+
+// When an anyOf fails deeper inside one of its branches (an array item
+// missing a field), the other branches' "must be object" complaints at the
+// anyOf's own level are noise
+function relevantErrors(errors) {
+  const explained = errors
+    .filter(error => error.keyword === 'anyOf')
+    .map(error => error.instancePath)
+    .filter(path => errors.some(other => other.instancePath.startsWith(`${path}/`)));
+  return errors.filter(error => !explained.includes(error.instancePath));
+}
+
+function fieldErrors(errors, location) {
+  return relevantErrors(errors).map(error => ({
+    field: fieldPath(location, error.instancePath, error.params.missingProperty),
+    message: error.keyword === 'enum'
+      ? `must be one of: ${error.params.allowedValues.join(', ')}`
+      : error.message
+  }));
+}
+
+function validateRoute(route) {
+  const validateBody = route.body && bodyAjv.compile(route.body);
+  const validateQuery = route.query && queryAjv.compile(route.query);
+  return (req, res, next) => {
+    // A request is checked against the most specific matching route only
+    if (req.validatedRoute) return next();
+    req.validatedRoute = route;
+
+    const problems = [];
+    if (validateQuery && !validateQuery({ ...req.query })) {
+      problems.push(...fieldErrors(validateQuery.errors, 'query'));
+    }
+    if (validateBody && !validateBody(req.body === undefined ? {} : req.body)) {
+      problems.push(...fieldErrors(validateBody.errors, 'body'));
+    }
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Request validation failed', code: 'validation_failed', details: problems });
+    }
+    next();
+  };
+}
+
+// Registers a validator in front of every route
+function registerValidators(app, routes) {
+  for (const route of bySpecificity(routes)) {
+    app[route.method](route.path, validateRoute(route));
+  }
+}
+
+module.exports = { validateRoute, registerValidators };
@@ -0,0 +1,365 @@
+// Baseline: the schema initializeDatabase() used to create on every boot.
+//
+// Every statement is IF NOT EXISTS, so databases created before migrations
+// existed adopt this version without changes. Embeddings are plain
+// DOUBLE PRECISION[] compared in the application; pgvector isn't needed.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS processed_articles (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(500),
+      description TEXT,
+      url VARCHAR(1000) UNIQUE,
+      published_date TIMESTAMP,
+      processed_date TIMESTAMP DEFAULT NOW(),
+      topic VARCHAR(100),
+      key_entities JSONB,
+      blog_published BOOLEAN DEFAULT FALSE,
+      blog_url VARCHAR(1000)
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE processed_articles
+      ADD COLUMN IF NOT EXISTS embedding DOUBLE PRECISION[],
+      ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS canonical_url VARCHAR(1000)
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS processed_articles_canonical_url_key
+    ON processed_articles (canonical_url)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_entities (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(200),
+      type VARCHAR(50),
+      description TEXT,
+      industry_relevance JSONB,
+      key_facts JSONB,
+      strategic_importance TEXT,
+      related_entities JSONB
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS analysis_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      analysis_date TIMESTAMP DEFAULT NOW(),
+      topic VARCHAR(100),
+      raw_analysis TEXT,
+      selected_story_title VARCHAR(500),
+      selection_reasoning TEXT,
+      analysis_depth_score INTEGER,
+      business_relevance_score INTEGER,
+      content_uniqueness_score INTEGER,
+      primary_theme VARCHAR(100),
+      secondary_themes VARCHAR(200)[],
+      business_impact_area VARCHAR(100)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_content (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(500),
+      content TEXT,
+      status VARCHAR(50) DEFAULT 'draft',
+      word_count INTEGER,
+      estimated_read_time INTEGER,
+      primary_topic VARCHAR(100),
+      secondary_topics VARCHAR(100)[],
+      business_impact_area VARCHAR(100),
+      primary_keywords VARCHAR(200)[],
+      brand_voice_score DECIMAL,
+      industry_relevance_score DECIMAL,
+      overall_quality_score DECIMAL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      published_url VARCHAR(1000),
+      publication_date TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE blog_content
+      ADD COLUMN IF NOT EXISTS readability_score DECIMAL,
+      ADD COLUMN IF NOT EXISTS quality_report JSONB,
+      ADD COLUMN IF NOT EXISTS current_revision INTEGER,
+      ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS primary_theme VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS analysis_id UUID REFERENCES analysis_history(id) ON DELETE SET NULL
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_revisions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      revision_number INTEGER NOT NULL,
+      title VARCHAR(500),
+      content TEXT,
+      word_count INTEGER,
+      overall_quality_score DECIMAL,
+      author VARCHAR(200),
+      change_note TEXT,
+      restored_from INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (blog_content_id, revision_number)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_status_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      actor VARCHAR(200),
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_review_comments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      revision_number INTEGER,
+      line_number INTEGER,
+      author VARCHAR(200),
+      comment TEXT NOT NULL,
+      resolved BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blog_images (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      variant VARCHAR(30) NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      alt_text TEXT NOT NULL,
+      source VARCHAR(20) NOT NULL DEFAULT 'uploaded',
+      checksum VARCHAR(64),
+      public_url TEXT NOT NULL,
+      mime_type VARCHAR(50),
+      byte_size INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // The same file can only be attached once per post and variant
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS blog_images_checksum_key
+    ON blog_images (blog_content_id, variant, checksum) WHERE checksum IS NOT NULL
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS brand_guidelines (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      guideline_category VARCHAR(100),
+      guideline_name VARCHAR(200),
+      guideline_description TEXT,
+      examples TEXT,
+      do_examples TEXT[],
+      dont_examples TEXT[],
+      applies_to VARCHAR(100)[],
+      priority_level INTEGER
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS industry_trends (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      topic VARCHAR(100) UNIQUE,
+      trend_description TEXT,
+      significance_level INTEGER,
+      timeline VARCHAR(100),
+      impact_areas JSONB,
+      relevant_keywords JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS publication_tracking (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID REFERENCES blog_content(id),
+      tracking_start_date TIMESTAMP DEFAULT NOW(),
+      facebook_post_id VARCHAR(200),
+      twitter_post_id VARCHAR(200),
+      linkedin_post_id VARCHAR(200),
+      instagram_post_id VARCHAR(200),
+      instagram_story_id VARCHAR(200)
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE industry_trends
+      ADD COLUMN IF NOT EXISTS recent_mentions INTEGER,
+      ADD COLUMN IF NOT EXISTS previous_mentions INTEGER,
+      ADD COLUMN IF NOT EXISTS mention_momentum DECIMAL,
+      ADD COLUMN IF NOT EXISTS recomputed_at TIMESTAMP
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      type VARCHAR(100) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      dedupe_key VARCHAR(200),
+      last_error TEXT,
+      result JSONB,
+      locked_by VARCHAR(200),
+      locked_at TIMESTAMP,
+      rerun_of UUID REFERENCES jobs(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (run_at) WHERE status = 'pending'
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS jobs_dedupe_key ON jobs (dedupe_key)
+    WHERE status IN ('pending', 'running')
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS social_posts (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      text TEXT NOT NULL,
+      generated_text TEXT,
+      thread TEXT[],
+      validation JSONB,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending_review',
+      edited_by VARCHAR(200),
+      reviewed_by VARCHAR(200),
+      review_note TEXT,
+      reviewed_at TIMESTAMP,
+      platform_post_id VARCHAR(200),
+      publication_tracking_id UUID REFERENCES publication_tracking(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS publication_metrics (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      recorded_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      views INTEGER NOT NULL DEFAULT 0,
+      clicks INTEGER NOT NULL DEFAULT 0,
+      likes INTEGER NOT NULL DEFAULT 0,
+      shares INTEGER NOT NULL DEFAULT 0,
+      comments INTEGER NOT NULL DEFAULT 0,
+      newsletter_signups INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (blog_content_id, platform, recorded_at)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS voice_profiles (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) UNIQUE NOT NULL,
+      display_name VARCHAR(200),
+      tone TEXT,
+      perspective TEXT,
+      personality_traits TEXT[],
+      base_instructions TEXT,
+      is_default BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE brand_guidelines
+      ADD COLUMN IF NOT EXISTS voice_profile_id UUID REFERENCES voice_profiles(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW()
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS forbidden_phrases (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      phrase VARCHAR(200) NOT NULL,
+      voice_profile_id UUID REFERENCES voice_profiles(id) ON DELETE CASCADE,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS forbidden_phrases_phrase_profile_key
+    ON forbidden_phrases (LOWER(phrase), COALESCE(voice_profile_id, '00000000-0000-0000-0000-000000000000'))
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS entity_relationships (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      source_entity_id UUID NOT NULL REFERENCES knowledge_entities(id) ON DELETE CASCADE,
+      target_entity_id UUID NOT NULL REFERENCES knowledge_entities(id) ON DELETE CASCADE,
+      relationship_type VARCHAR(50) NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (source_entity_id, target_entity_id, relationship_type),
+      CHECK (source_entity_id <> target_entity_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(200) NOT NULL,
+      key_prefix VARCHAR(20) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      scopes TEXT[] NOT NULL,
+      rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+      rate_limit_burst INTEGER NOT NULL DEFAULT 20,
+      daily_llm_quota INTEGER DEFAULT 100,
+      created_by VARCHAR(200),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_used_at TIMESTAMP,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      rotated_from UUID REFERENCES api_keys(id) ON DELETE SET NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+      day DATE NOT NULL,
+      llm_calls INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (api_key_id, day)
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      api_key_usage, api_keys, entity_relationships, forbidden_phrases, publication_metrics,
+      social_posts, jobs, publication_tracking, industry_trends, brand_guidelines, voice_profiles,
+      blog_images, blog_review_comments, blog_status_history, blog_revisions, blog_content,
+      analysis_history, knowledge_entities, processed_articles
+  `);
+}
+
+module.exports = { up, down };
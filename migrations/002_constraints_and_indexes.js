@@ -0,0 +1,79 @@
+// Unique constraints the seed and create endpoints assumed but never had,
+// and indexes for the lookups the endpoints actually make.
+//
+// Re-running /setup/populate-knowledge-base used to duplicate every entity
+// and guideline, so existing duplicates are merged first: the oldest row is
+// kept and the copies' relationships move to it. That part isn't undone by
+// down().
+
+const NO_PROFILE = `'00000000-0000-0000-0000-000000000000'`;
+
+const INDEXES = [
+  'processed_articles_topic_processed_idx ON processed_articles (topic, processed_date DESC)',
+  'processed_articles_processed_idx ON processed_articles (processed_date DESC)',
+  'analysis_history_topic_date_idx ON analysis_history (topic, analysis_date DESC)',
+  'blog_content_status_idx ON blog_content (status, updated_at DESC)',
+  'blog_content_topic_idx ON blog_content (primary_topic, created_at DESC)',
+  'blog_content_publication_date_idx ON blog_content (publication_date) WHERE publication_date IS NOT NULL',
+  'blog_status_history_post_idx ON blog_status_history (blog_content_id, created_at)',
+  'blog_review_comments_post_idx ON blog_review_comments (blog_content_id)',
+  'blog_images_post_variant_idx ON blog_images (blog_content_id, variant)',
+  'publication_tracking_post_idx ON publication_tracking (blog_content_id)',
+  'social_posts_post_idx ON social_posts (blog_content_id, platform)',
+  'entity_relationships_target_idx ON entity_relationships (target_entity_id)',
+  'brand_guidelines_profile_idx ON brand_guidelines (voice_profile_id)'
+];
+
+async function up(client) {
+  // Merge duplicate entities into the first of each name and type
+  await client.query(`
+    CREATE TEMP TABLE entity_duplicates ON COMMIT DROP AS
+    SELECT id, FIRST_VALUE(id) OVER (PARTITION BY LOWER(name), type ORDER BY id::text) AS keep_id
+    FROM knowledge_entities
+  `);
+  await client.query(`
+    INSERT INTO entity_relationships (source_entity_id, target_entity_id, relationship_type, description, created_at)
+    SELECT COALESCE(s.keep_id, r.source_entity_id), COALESCE(t.keep_id, r.target_entity_id),
+      r.relationship_type, r.description, r.created_at
+    FROM entity_relationships r
+    LEFT JOIN entity_duplicates s ON s.id = r.source_entity_id
+    LEFT JOIN entity_duplicates t ON t.id = r.target_entity_id
+    WHERE COALESCE(s.keep_id, r.source_entity_id) <> COALESCE(t.keep_id, r.target_entity_id)
+    ON CONFLICT DO NOTHING
+  `);
+  await client.query(`
+    DELETE FROM knowledge_entities e
+    USING entity_duplicates d
+    WHERE d.id = e.id AND d.id <> d.keep_id
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX knowledge_entities_name_type_key ON knowledge_entities (LOWER(name), type)
+  `);
+
+  await client.query(`
+    DELETE FROM brand_guidelines g
+    USING brand_guidelines earlier
+    WHERE LOWER(earlier.guideline_name) = LOWER(g.guideline_name)
+      AND COALESCE(earlier.voice_profile_id, ${NO_PROFILE}) = COALESCE(g.voice_profile_id, ${NO_PROFILE})
+      AND (COALESCE(earlier.created_at, 'epoch'), earlier.id::text) < (COALESCE(g.created_at, 'epoch'), g.id::text)
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX brand_guidelines_profile_name_key
+    ON brand_guidelines (COALESCE(voice_profile_id, ${NO_PROFILE}), LOWER(guideline_name))
+  `);
+
+  for (const index of INDEXES) {
+    await client.query(`CREATE INDEX IF NOT EXISTS ${index}`);
+  }
+}
+
+async function down(client) {
+  const names = [
+    'knowledge_entities_name_type_key',
+    'brand_guidelines_profile_name_key',
+    ...INDEXES.map(index => index.split(' ')[0])
+  ];
+  await client.query(`DROP INDEX IF EXISTS ${names.join(', ')}`);
+}
+
+module.exports = { up, down };
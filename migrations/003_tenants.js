@@ -0,0 +1,127 @@
+// Tenants: every row belongs to one restaurant group.
+//
+// Existing data moves to a "default" tenant. Uniqueness that used to be
+// global (article URLs, trend topics, voice profile names, entity names,
+// guideline names, forbidden phrases) becomes per tenant, and the hot
+// lookup indexes lead with tenant_id. Jobs and API keys may have no tenant:
+// those are platform-wide.
+
+const NO_PROFILE = `'00000000-0000-0000-0000-000000000000'`;
+
+const TENANT_TABLES = [
+  'processed_articles',
+  'knowledge_entities',
+  'entity_relationships',
+  'analysis_history',
+  'industry_trends',
+  'voice_profiles',
+  'brand_guidelines',
+  'forbidden_phrases',
+  'blog_content',
+  'blog_revisions',
+  'blog_status_history',
+  'blog_review_comments',
+  'blog_images',
+  'publication_tracking',
+  'publication_metrics',
+  'social_posts'
+];
+
+const PLATFORM_TABLES = ['jobs', 'api_keys'];
+
+// [name, global definition, per-tenant definition]
+const UNIQUE_INDEXES = [
+  ['processed_articles_canonical_url_key', 'processed_articles (canonical_url)', 'processed_articles (tenant_id, canonical_url)'],
+  ['knowledge_entities_name_type_key', 'knowledge_entities (LOWER(name), type)', 'knowledge_entities (tenant_id, LOWER(name), type)'],
+  [
+    'brand_guidelines_profile_name_key',
+    `brand_guidelines (COALESCE(voice_profile_id, ${NO_PROFILE}), LOWER(guideline_name))`,
+    `brand_guidelines (tenant_id, COALESCE(voice_profile_id, ${NO_PROFILE}), LOWER(guideline_name))`
+  ],
+  [
+    'forbidden_phrases_phrase_profile_key',
+    `forbidden_phrases (LOWER(phrase), COALESCE(voice_profile_id, ${NO_PROFILE}))`,
+    `forbidden_phrases (tenant_id, LOWER(phrase), COALESCE(voice_profile_id, ${NO_PROFILE}))`
+  ]
+];
+
+// [table, constraint, global columns, per-tenant columns]
+const UNIQUE_CONSTRAINTS = [
+  ['processed_articles', 'processed_articles_url_key', 'url', 'tenant_id, url'],
+  ['industry_trends', 'industry_trends_topic_key', 'topic', 'tenant_id, topic'],
+  ['voice_profiles', 'voice_profiles_name_key', 'name', 'tenant_id, name']
+];
+
+// [name, without tenant, with tenant]
+const INDEXES = [
+  ['processed_articles_topic_processed_idx', 'processed_articles (topic, processed_date DESC)', 'processed_articles (tenant_id, topic, processed_date DESC)'],
+  ['processed_articles_processed_idx', 'processed_articles (processed_date DESC)', 'processed_articles (tenant_id, processed_date DESC)'],
+  ['analysis_history_topic_date_idx', 'analysis_history (topic, analysis_date DESC)', 'analysis_history (tenant_id, topic, analysis_date DESC)'],
+  ['blog_content_status_idx', 'blog_content (status, updated_at DESC)', 'blog_content (tenant_id, status, updated_at DESC)'],
+  ['blog_content_topic_idx', 'blog_content (primary_topic, created_at DESC)', 'blog_content (tenant_id, primary_topic, created_at DESC)']
+];
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE tenants (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      slug VARCHAR(63) NOT NULL UNIQUE,
+      name VARCHAR(200) NOT NULL,
+      brand_colors JSONB NOT NULL DEFAULT '{}',
+      social_hashtags JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  const created = await client.query(`
+    INSERT INTO tenants (slug, name) VALUES ('default', 'Default') RETURNING id
+  `);
+  const defaultTenant = created.rows[0].id;
+
+  for (const table of TENANT_TABLES) {
+    await client.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN tenant_id UUID NOT NULL DEFAULT '${defaultTenant}' REFERENCES tenants(id) ON DELETE CASCADE
+    `);
+    await client.query(`ALTER TABLE ${table} ALTER COLUMN tenant_id DROP DEFAULT`);
+  }
+  for (const table of PLATFORM_TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE`);
+  }
+  // Jobs that belonged to a blog post belong to its tenant
+  await client.query(`UPDATE jobs SET tenant_id = '${defaultTenant}' WHERE type = 'publication_checkin'`);
+
+  for (const [table, constraint, , columns] of UNIQUE_CONSTRAINTS) {
+    await client.query(`ALTER TABLE ${table} DROP CONSTRAINT ${constraint}`);
+    await client.query(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} UNIQUE (${columns})`);
+  }
+  for (const [name, , definition] of UNIQUE_INDEXES) {
+    await client.query(`DROP INDEX ${name}`);
+    await client.query(`CREATE UNIQUE INDEX ${name} ON ${definition}`);
+  }
+  for (const [name, , definition] of INDEXES) {
+    await client.query(`DROP INDEX IF EXISTS ${name}`);
+    await client.query(`CREATE INDEX ${name} ON ${definition}`);
+  }
+  await client.query('CREATE INDEX api_keys_tenant_idx ON api_keys (tenant_id)');
+}
+
+// Fails if two tenants have since stored the same URL, topic or name
+async function down(client) {
+  for (const table of [...TENANT_TABLES, ...PLATFORM_TABLES]) {
+    // Drops the per-tenant constraints and indexes along with the column
+    await client.query(`ALTER TABLE ${table} DROP COLUMN tenant_id`);
+  }
+  for (const [table, constraint, columns] of UNIQUE_CONSTRAINTS) {
+    await client.query(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} UNIQUE (${columns})`);
+  }
+  for (const [name, definition] of UNIQUE_INDEXES) {
+    await client.query(`CREATE UNIQUE INDEX ${name} ON ${definition}`);
+  }
+  for (const [name, definition] of INDEXES) {
+    await client.query(`CREATE INDEX ${name} ON ${definition}`);
+  }
+  await client.query('DROP TABLE tenants');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// News sources: the RSS and Atom feeds a tenant pulls candidate articles
+// from, with the validators for conditional requests and the outcome of the
+// last fetch.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE news_sources (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      feed_url VARCHAR(1000) NOT NULL,
+      topic VARCHAR(100),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      feed_title VARCHAR(500),
+      etag VARCHAR(500),
+      last_modified VARCHAR(100),
+      last_fetched_at TIMESTAMP,
+      last_success_at TIMESTAMP,
+      last_status VARCHAR(20) CHECK (last_status IN ('ok', 'not_modified', 'error')),
+      last_http_status INTEGER,
+      last_error TEXT,
+      last_item_count INTEGER,
+      consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT news_sources_feed_url_key UNIQUE (tenant_id, feed_url)
+    )
+  `);
+  await client.query('CREATE INDEX news_sources_tenant_topic_idx ON news_sources (tenant_id, topic)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE news_sources');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Coverage targets: how many posts a month a tenant wants on a topic, a
+// theme or a business impact area. Values match case-insensitively, so a
+// tenant has at most one target per dimension and value.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE coverage_targets (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      dimension VARCHAR(20) NOT NULL CHECK (dimension IN ('topic', 'theme', 'impact_area')),
+      value VARCHAR(100) NOT NULL,
+      monthly_target INTEGER NOT NULL CHECK (monthly_target > 0),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX coverage_targets_dimension_value_key
+      ON coverage_targets (tenant_id, dimension, LOWER(value))
+  `);
+  // Reports look posts up by the month they went out
+  await client.query(`
+    CREATE INDEX blog_content_coverage_idx
+      ON blog_content (tenant_id, (COALESCE(publication_date, scheduled_for, created_at)))
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP INDEX blog_content_coverage_idx');
+  await client.query('DROP TABLE coverage_targets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// CMS publishing: the WordPress and Ghost sites a tenant publishes to, and
+// where each blog post lives on each of them. A post has at most one
+// publication per connection, and a remote post belongs to at most one
+// local post, so retried pushes update rather than duplicate.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE cms_connections (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      adapter VARCHAR(20) NOT NULL CHECK (adapter IN ('wordpress', 'ghost')),
+      base_url VARCHAR(1000) NOT NULL,
+      credentials JSONB NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT cms_connections_name_key UNIQUE (tenant_id, name)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE cms_publications (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      connection_id UUID NOT NULL REFERENCES cms_connections(id) ON DELETE CASCADE,
+      remote_id VARCHAR(100),
+      remote_url VARCHAR(1000),
+      remote_status VARCHAR(20) CHECK (remote_status IN ('draft', 'published', 'unpublished')),
+      featured_image_url VARCHAR(1000),
+      featured_media_id VARCHAR(100),
+      payload_hash CHAR(64),
+      last_action VARCHAR(20) CHECK (last_action IN ('created', 'updated', 'unchanged', 'adopted', 'unpublished')),
+      last_error TEXT,
+      published_at TIMESTAMP,
+      last_synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT cms_publications_post_connection_key UNIQUE (blog_content_id, connection_id),
+      CONSTRAINT cms_publications_remote_key UNIQUE (connection_id, remote_id)
+    )
+  `);
+  await client.query('CREATE INDEX cms_publications_tenant_idx ON cms_publications (tenant_id, blog_content_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE cms_publications');
+  await client.query('DROP TABLE cms_connections');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Full-text search: a weighted tsvector on articles, analyses, blog posts
+// and knowledge entities (titles and names A, topics, themes and keywords
+// B, summaries C, bodies D), each with a GIN index. pg_trgm backs the
+// "did you mean" suggestions for misspelled search terms.
+//
+// The vectors are generated columns, so they follow every write without
+// triggers; array_to_string isn't immutable, hence search_array_text.
+
+const VECTORS = {
+  processed_articles: `
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(topic, '')), 'B') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(key_entities, '[]'::jsonb), '["string"]'), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+  `,
+  analysis_history: `
+    setweight(to_tsvector('english', COALESCE(selected_story_title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(topic, '') || ' ' || COALESCE(primary_theme, '') || ' ' ||
+      COALESCE(business_impact_area, '') || ' ' || search_array_text(secondary_themes)), 'B') ||
+    setweight(to_tsvector('english', COALESCE(selection_reasoning, '')), 'C') ||
+    setweight(to_tsvector('english', COALESCE(raw_analysis, '')), 'D')
+  `,
+  blog_content: `
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(primary_topic, '') || ' ' || COALESCE(primary_theme, '') || ' ' ||
+      search_array_text(primary_keywords) || ' ' || search_array_text(secondary_topics)), 'B') ||
+    setweight(to_tsvector('english', COALESCE(content, '')), 'D')
+  `,
+  knowledge_entities: `
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(type, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '') || ' ' || COALESCE(strategic_importance, '')), 'C') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(key_facts, '[]'::jsonb), '["string"]'), 'C')
+  `
+};
+
+async function up(client) {
+  await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+  await client.query(`
+    CREATE FUNCTION search_array_text(text[]) RETURNS text
+      LANGUAGE sql IMMUTABLE PARALLEL SAFE
+      AS $$ SELECT COALESCE(array_to_string($1, ' '), '') $$
+  `);
+  for (const [table, vector] of Object.entries(VECTORS)) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (${vector}) STORED`);
+    await client.query(`CREATE INDEX ${table}_search_idx ON ${table} USING GIN (search_vector)`);
+  }
+}
+
+async function down(client) {
+  for (const table of Object.keys(VECTORS)) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN search_vector`);
+  }
+  await client.query('DROP FUNCTION search_array_text(text[])');
+  // pg_trgm stays: other objects in the database may use it
+}
+
+module.exports = { up, down };
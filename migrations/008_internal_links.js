@@ -0,0 +1,41 @@
+// Internal links: embeddings of blog posts for finding related coverage
+// (kept apart from blog_content so they don't ride along with every post),
+// and the links suggested from a post to earlier published posts. A post
+// gets at most one suggestion per target.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE blog_embeddings (
+      blog_content_id UUID PRIMARY KEY REFERENCES blog_content(id) ON DELETE CASCADE,
+      tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      embedding FLOAT8[] NOT NULL,
+      embedding_model VARCHAR(100) NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE blog_link_suggestions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      blog_content_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      target_blog_id UUID NOT NULL REFERENCES blog_content(id) ON DELETE CASCADE,
+      target_url VARCHAR(1000) NOT NULL,
+      anchor_text VARCHAR(200) NOT NULL,
+      context TEXT,
+      score NUMERIC(5, 4) NOT NULL,
+      reasons JSONB NOT NULL DEFAULT '{}'::jsonb,
+      status VARCHAR(20) NOT NULL DEFAULT 'suggested' CHECK (status IN ('suggested', 'applied')),
+      created_at TIMESTAMP DEFAULT NOW(),
+      applied_at TIMESTAMP,
+      CONSTRAINT blog_link_suggestions_target_key UNIQUE (blog_content_id, target_blog_id)
+    )
+  `);
+  await client.query('CREATE INDEX blog_link_suggestions_tenant_idx ON blog_link_suggestions (tenant_id, blog_content_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE blog_link_suggestions');
+  await client.query('DROP TABLE blog_embeddings');
+}
+
+module.exports = { up, down };
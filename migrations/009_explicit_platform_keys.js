@@ -0,0 +1,44 @@
+// Platform keys become an explicit grant. Migration 003 left every key that
+// existed before tenants with no tenant, which made it a platform key that
+// could reach any tenant through X-Tenant. Those keys move to the default
+// tenant with the rest of the data from back then. Keys without a tenant
+// that were issued (or rotated from a key issued) after tenants existed
+// were asked for as platform keys, and keep that; from now on `platform`
+// says so, and a key has a tenant exactly when it isn't one.
+
+async function up(client) {
+  await client.query('ALTER TABLE api_keys ADD COLUMN platform BOOLEAN NOT NULL DEFAULT false');
+
+  // 003 created the default tenant first; it can't be deleted
+  const found = await client.query(`
+    SELECT id, created_at FROM tenants ORDER BY slug = 'default' DESC, created_at LIMIT 1
+  `);
+  const defaultTenant = found.rows[0];
+  if (defaultTenant) {
+    await client.query(`
+      WITH RECURSIVE chain AS (
+        SELECT id, created_at AS issued_at FROM api_keys WHERE rotated_from IS NULL
+        UNION ALL
+        SELECT api_keys.id, chain.issued_at FROM api_keys JOIN chain ON api_keys.rotated_from = chain.id
+      )
+      UPDATE api_keys SET platform = true
+      FROM chain
+      WHERE chain.id = api_keys.id AND api_keys.tenant_id IS NULL AND chain.issued_at >= $1
+    `, [defaultTenant.created_at]);
+    await client.query(
+      'UPDATE api_keys SET tenant_id = $1 WHERE tenant_id IS NULL AND NOT platform',
+      [defaultTenant.id]
+    );
+  }
+
+  await client.query(`
+    ALTER TABLE api_keys ADD CONSTRAINT api_keys_platform_check CHECK (platform = (tenant_id IS NULL))
+  `);
+}
+
+// Keys moved to the default tenant stay there
+async function down(client) {
+  await client.query('ALTER TABLE api_keys DROP COLUMN platform');
+}
+
+module.exports = { up, down };
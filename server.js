@@ -1,18 +1,139 @@
 const express = require('express');
 const { Pool } = require('pg');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { inject } = require('./lib/inject');
+const { FORBIDDEN, JsonRpcError, createMcpServer, serveStdio, httpHandler: mcpHttpHandler } = require('./lib/mcp');
+const { routes, toolInputSchema } = require('./lib/schemas');
+const { createEmbeddingProvider, cosineSimilarity, articleEmbeddingText, postEmbeddingText } = require('./lib/embeddings');
+const { canonicalizeUrl } = require('./lib/urls');
+const { createLlmClient, LlmError } = require('./lib/llm');
+const {
+  normalizeArticles,
+  matchTrends,
+  matchEntities,
+  computePriorityScore,
+  deriveContentAngles,
+  formatKnowledgeForPrompt,
+  formatCoverageForPrompt
+} = require('./lib/context');
+const { isUuid, parsePagination, buildUpdate, buildInsert, parseList } = require('./lib/sql');
+const { RELATIONSHIP_TYPES, getNeighborhood } = require('./lib/knowledge-graph');
+const { CHANNELS, DEFAULT_VOICE_PROFILE, assembleGuidelines } = require('./lib/guidelines');
+const { analyzeContent } = require('./lib/quality');
+const {
+  BLOG_STATUSES,
+  INITIAL_STATUSES,
+  allowedTransitions,
+  canTransition,
+  isEditable
+} = require('./lib/lifecycle');
+const { diffText } = require('./lib/diff');
+const {
+  METRIC_FIELDS,
+  PLATFORMS,
+  GROUP_BY,
+  DAY_MS,
+  validateMetricPoint,
+  loadPerformance,
+  summarize,
+  compareToBaseline,
+  buildReport
+} = require('./lib/metrics');
+const { JOB_STATUSES, enqueueJob, createJobQueue } = require('./lib/jobs');
+const {
+  SOCIAL_PLATFORMS,
+  DEFAULT_HASHTAGS,
+  TRACKING_KEYS,
+  postText,
+  validateHashtags,
+  preparePost
+} = require('./lib/social');
+const { isValidTimeZone, loadPostingHistory, recommendSchedule } = require('./lib/schedule');
+const {
+  BRAND_FONTS,
+  CARD_FORMATS,
+  brandPalette,
+  validateBrandColors,
+  validateCardOptions,
+  renderCardSvg,
+  renderPng
+} = require('./lib/cards');
+const { prepareImage } = require('./lib/images');
+const { requestId, errorEnvelope, notFound, errorHandler } = require('./lib/errors');
+const { registerValidators } = require('./lib/validation');
+const { SCOPES, PUBLIC_KEY_COLUMNS, generateKey, routeScopes, hasScope, createAuth } = require('./lib/auth');
+const { buildOpenApiDocument, docsPage } = require('./lib/openapi');
+const { migrate, status: migrationStatus } = require('./lib/migrations');
+const { SLUG_PATTERN, TENANT_COLUMNS, isPlatformPrincipal, mayUseRoute, visibleTo, findTenant, createTenantResolver } = require('./lib/tenants');
+const { checkFeedTarget, parseFeed, toArticles, createFeedFetcher } = require('./lib/feeds');
+const {
+  COVERAGE_DIMENSIONS,
+  coverageKey,
+  monthKey,
+  parseMonth,
+  loadTargets,
+  loadCoverage,
+  buildCoverageReport,
+  describeCoverage,
+  planCalendar
+} = require('./lib/coverage');
+const {
+  normalizeSiteUrl,
+  exportPost,
+  buildBundle,
+  createTarball,
+  exportDirectory,
+  writeBundle
+} = require('./lib/export');
+const { SEARCH_TYPES, searchDocuments, suggestQueries, anyOfQuery } = require('./lib/search');
+const {
+  PUBLISHER_ADAPTERS,
+  PublisherError,
+  checkCmsTarget,
+  checkCredentials,
+  buildPost,
+  payloadHash,
+  createPublisher
+} = require('./lib/publishers');
+const {
+  MAX_LINKS_PER_POST,
+  linkedCandidates,
+  loadLinkCandidates,
+  suggestLinks,
+  applyLinks
+} = require('./lib/links');
+const swaggerUi = require('swagger-ui-dist');
+const { version } = require('./package.json');
 
 const app = express();
 const port = process.env.PORT || 3001;
+const useStdio = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+
+// Browsers may call the API only from CORS_ORIGINS (comma separated, or *);
+// with none configured, cross-origin requests are refused
+const corsOrigins = parseList(process.env.CORS_ORIGINS) || [];
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: corsOrigins.includes('*') ? true : corsOrigins,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'X-Tenant'],
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'Retry-After', 'X-LLM-Quota-Remaining']
+}));
+app.use(requestId());
+app.use(errorEnvelope());
 app.use(express.json({ limit: '10mb' }));
 
-// Initialize Gemini 2.5 Flash
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+// LLM client (LLM_PROVIDER=gemini|fixture, Gemini 2.5 Flash by default)
+const llm = createLlmClient();
+
+// Embeddings for semantic duplicate detection (EMBEDDING_PROVIDER=gemini|local)
+const embedder = createEmbeddingProvider();
+const DEFAULT_SIMILARITY_THRESHOLD = process.env.DUPLICATE_SIMILARITY_THRESHOLD
+  ? Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD)
+  : embedder.defaultThreshold;
+
+// News feeds for /knowledge/sources (FEED_FETCHER=http|fixture)
+const feedFetcher = createFeedFetcher();
 
 // PostgreSQL connection
 const pool = new Pool({
@@ -20,235 +141,309 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Initialize database tables
-async function initializeDatabase() {
-  const client = await pool.connect();
-  try {
-    // Enable pgvector extension
-    // await client.query('CREATE EXTENSION IF NOT EXISTS vector');
-    
-    // Create tables
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS processed_articles (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        title VARCHAR(500),
-        description TEXT,
-        url VARCHAR(1000) UNIQUE,
-        published_date TIMESTAMP,
-        processed_date TIMESTAMP DEFAULT NOW(),
-        topic VARCHAR(100),
-        key_entities JSONB,
-        blog_published BOOLEAN DEFAULT FALSE,
-        blog_url VARCHAR(1000)
-      )
-    `);
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS knowledge_entities (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        name VARCHAR(200),
-        type VARCHAR(50),
-        description TEXT,
-        industry_relevance JSONB,
-        key_facts JSONB,
-        strategic_importance TEXT,
-        related_entities JSONB
-      )
-    `);
+// API keys with scopes, rate limits and LLM quotas (API_AUTH=off disables)
+const auth = createAuth(pool);
+auth.register(app, routes);
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS analysis_history (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        analysis_date TIMESTAMP DEFAULT NOW(),
-        topic VARCHAR(100),
-        raw_analysis TEXT,
-        selected_story_title VARCHAR(500),
-        selection_reasoning TEXT,
-        analysis_depth_score INTEGER,
-        business_relevance_score INTEGER,
-        content_uniqueness_score INTEGER,
-        primary_theme VARCHAR(100),
-        secondary_themes VARCHAR(200)[],
-        business_impact_area VARCHAR(100)
-      )
-    `);
+// Every request works in one tenant (req.tenant), from its key or X-Tenant
+const tenants = createTenantResolver(pool);
+tenants.register(app, routes);
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS blog_content (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        title VARCHAR(500),
-        content TEXT,
-        status VARCHAR(50) DEFAULT 'draft',
-        word_count INTEGER,
-        estimated_read_time INTEGER,
-        primary_topic VARCHAR(100),
-        secondary_topics VARCHAR(100)[],
-        business_impact_area VARCHAR(100),
-        primary_keywords VARCHAR(200)[],
-        brand_voice_score DECIMAL,
-        industry_relevance_score DECIMAL,
-        overall_quality_score DECIMAL,
-        created_at TIMESTAMP DEFAULT NOW(),
-        published_url VARCHAR(1000),
-        publication_date TIMESTAMP
-      )
-    `);
+// Query strings and bodies are checked against lib/schemas.js before any handler runs
+registerValidators(app, routes);
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS brand_guidelines (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        guideline_category VARCHAR(100),
-        guideline_name VARCHAR(200),
-        guideline_description TEXT,
-        examples TEXT,
-        do_examples TEXT[],
-        dont_examples TEXT[],
-        applies_to VARCHAR(100)[],
-        priority_level INTEGER
-      )
-    `);
-    
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS industry_trends (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        topic VARCHAR(100) UNIQUE,
-        trend_description TEXT,
-        significance_level INTEGER,
-        timeline VARCHAR(100),
-        impact_areas JSONB,
-        relevant_keywords JSONB,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS publication_tracking (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        blog_content_id UUID REFERENCES blog_content(id),
-        tracking_start_date TIMESTAMP DEFAULT NOW(),
-        facebook_post_id VARCHAR(200),
-        twitter_post_id VARCHAR(200),
-        linkedin_post_id VARCHAR(200),
-        instagram_post_id VARCHAR(200),
-        instagram_story_id VARCHAR(200)
-      )
-    `);
+// LLM quotas are charged only for requests that passed validation
+auth.registerQuotas(app, routes);
 
+// Bring the schema up to date (migrations/). With MIGRATE_ON_START=false the
+// migrations are left to `npm run migrate` and the server only checks that
+// none are pending. Either way it won't start against a schema it can't use.
+async function initializeDatabase() {
+  try {
+    if (process.env.MIGRATE_ON_START === 'false') {
+      const { pending } = await migrationStatus(pool);
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migration(s), starting with ${pending[0].version} (${pending[0].name}); run npm run migrate`);
+      }
+    } else {
+      await migrate(pool);
+    }
     console.log('✅ Database initialized successfully');
   } catch (error) {
     console.error('❌ Database initialization error:', error);
-  } finally {
-    client.release();
+    process.exit(1);
   }
 }
 
-// Helper function to get embeddings from Gemini
+// Helper function to get embeddings from the configured provider
 async function getEmbedding(text) {
   try {
-    const result = await model.embedContent(text);
-    return result.embedding.values;
+    return await embedder.embed(text);
   } catch (error) {
     console.error('Embedding error:', error);
     return null;
   }
 }
 
-// Helper function to calculate similarity
-function cosineSimilarity(a, b) {
-  if (!a || !b || a.length !== b.length) return 0;
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dotProduct += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
+// n8n sends either an array of articles or { articles: [...] }
+function toArticleArray(articles) {
+  if (Array.isArray(articles)) return articles;
+  if (articles && typeof articles === 'object' && Array.isArray(articles.articles)) {
+    return articles.articles;
+  }
+  return null;
+}
+
+// Record an article as processed so later duplicate checks see it.
+// Returns the stored row, or null if its URL was already registered.
+async function registerArticle(client, tenantId, article, topic, embedding) {
+  const publishedDate = new Date(article.published_date || article.publishedAt);
+  const result = await client.query(`
+    INSERT INTO processed_articles (
+      title, description, url, canonical_url, published_date, topic,
+      key_entities, embedding, embedding_model, tenant_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT DO NOTHING
+    RETURNING id, title, url, canonical_url, published_date, topic
+  `, [
+    article.title ? String(article.title).slice(0, 500) : null,
+    article.description || null,
+    String(article.url).slice(0, 1000),
+    canonicalizeUrl(article.url).slice(0, 1000),
+    isNaN(publishedDate) ? null : publishedDate,
+    topic,
+    article.key_entities ? JSON.stringify(article.key_entities) : null,
+    embedding || null,
+    embedding ? embedder.name : null,
+    tenantId
+  ]);
+  return result.rows[0] || null;
+}
+
+// The stored article registerArticle ran into: same URL, or same canonical URL
+async function findRegisteredArticle(client, tenantId, article) {
+  const existing = await client.query(`
+    SELECT id, title, url, canonical_url, published_date, topic
+    FROM processed_articles
+    WHERE tenant_id = $1 AND (url = $2 OR canonical_url = $3)
+    ORDER BY processed_date
+    LIMIT 1
+  `, [tenantId, String(article.url).slice(0, 1000), canonicalizeUrl(article.url).slice(0, 1000)]);
+  return existing.rows[0] || null;
+}
+
+// Registers the accepted articles from dedupeArticles. Those already stored
+// (outside the lookback window, or under another topic) are skipped, with
+// the article they collided with.
+async function registerAccepted(client, tenantId, accepted, topic) {
+  const registered = [];
+  const skipped = [];
+  for (const { article, embedding } of accepted) {
+    const row = await registerArticle(client, tenantId, article, article.topic || topic, embedding);
+    if (row) {
+      registered.push(row);
+    } else {
+      skipped.push({
+        title: article.title,
+        url: article.url,
+        reason: 'Already registered',
+        existing_article: await findRegisteredArticle(client, tenantId, article)
+      });
+    }
+  }
+  return { registered, skipped };
+}
+
+// Splits articles into new ones and duplicates of articles processed in the
+// last lookbackDays (same canonical URL, or semantically similar); earlier
+// articles in the batch count too. Returns { filtered_articles, filtered_out,
+// accepted }, accepted holding each new article with its embedding.
+async function dedupeArticles(client, tenantId, articles, {
+  topic,
+  lookbackDays = 30,
+  threshold = DEFAULT_SIMILARITY_THRESHOLD,
+  scope = 'topic'
+}) {
+  const filtered_articles = [];
+  const filtered_out = [];
+  
+  // Get existing articles from last N days
+  const lookbackDate = new Date();
+  lookbackDate.setDate(lookbackDate.getDate() - lookbackDays);
+  
+  // With scope 'all_topics' (or no topic) every processed article is a candidate
+  const existingArticles = await client.query(`
+    SELECT id, title, description, url, canonical_url, published_date, topic,
+           embedding, embedding_model
+    FROM processed_articles 
+    WHERE tenant_id = $3 AND processed_date > $1 AND ($2::varchar IS NULL OR topic = $2)
+  `, [lookbackDate, scope === 'all_topics' ? null : topic || null, tenantId]);
+
+  for (const existing of existingArticles.rows) {
+    existing.canonical_url = existing.canonical_url || canonicalizeUrl(existing.url);
+  }
+
+  // Backfill embeddings for articles stored without one (or by another provider)
+  for (const existing of existingArticles.rows) {
+    if (existing.embedding && existing.embedding_model === embedder.name) continue;
+    existing.embedding = await getEmbedding(articleEmbeddingText(existing));
+    if (existing.embedding) {
+      await client.query(`
+        UPDATE processed_articles SET embedding = $1, embedding_model = $2 WHERE id = $3
+      `, [existing.embedding, embedder.name, existing.id]);
+    }
+  }
+
+  // Accepted articles from this batch count as candidates for later ones
+  const known = [...existingArticles.rows];
+  const compared = existingArticles.rows.filter(existing => existing.embedding);
+  const accepted = [];
+  
+  for (const article of articles) {
+    if (!article || !article.url) {
+      console.log('Skipping invalid article:', article);
+      continue;
+    }
+    
+    const canonicalUrl = canonicalizeUrl(article.url);
+    const urlExists = known.find(existing => existing.canonical_url === canonicalUrl);
+    if (urlExists) {
+      filtered_out.push({
+        title: article.title,
+        url: article.url,
+        reason: 'Duplicate URL found',
+        canonical_url: canonicalUrl,
+        similar_to: {
+          id: urlExists.id,
+          title: urlExists.title,
+          url: urlExists.url,
+          topic: urlExists.topic,
+          published_date: urlExists.published_date
+        }
+      });
+      continue;
+    }
+
+    const embedding = await getEmbedding(articleEmbeddingText(article));
+
+    if (embedding) {
+      let bestMatch = null;
+      let bestScore = 0;
+      for (const candidate of compared) {
+        const score = cosineSimilarity(embedding, candidate.embedding);
+        if (score > bestScore) {
+          bestScore = score;
+          bestMatch = candidate;
+        }
+      }
+
+      if (bestMatch && bestScore >= threshold) {
+        filtered_out.push({
+          title: article.title,
+          url: article.url,
+          reason: 'Semantically similar article found',
+          similarity_score: Math.round(bestScore * 1000) / 1000,
+          similar_to: {
+            id: bestMatch.id,
+            title: bestMatch.title,
+            url: bestMatch.url,
+            topic: bestMatch.topic,
+            published_date: bestMatch.published_date
+          }
+        });
+        continue;
+      }
+
+      compared.push({ ...article, topic, embedding });
+      known.push({ ...article, canonical_url: canonicalUrl, topic });
+      accepted.push({ article, embedding });
+      filtered_articles.push(article);
+      continue;
+    }
+    
+    // Embeddings unavailable: fall back to a title prefix check
+    const titleExists = existingArticles.rows.find(existing => 
+      existing.title && article.title && 
+      existing.title.toLowerCase().includes(article.title.toLowerCase().substring(0, 20))
+    );
+    
+    if (titleExists) {
+      filtered_out.push({
+        title: article.title,
+        reason: 'Similar title found',
+        similar_to: { title: titleExists.title, published_date: titleExists.published_date }
+      });
+    } else {
+      known.push({ ...article, canonical_url: canonicalUrl, topic });
+      accepted.push({ article, embedding: null });
+      filtered_articles.push(article);
+    }
   }
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+
+  return { filtered_articles, filtered_out, accepted };
 }
 
 // ENDPOINT 1: /knowledge/check-duplicates
 app.post('/knowledge/check-duplicates', async (req, res) => {
   try {
-    const { articles, topic, lookback_days = 30 } = req.body;
+    const {
+      articles,
+      topic,
+      lookback_days = 30,
+      similarity_threshold = DEFAULT_SIMILARITY_THRESHOLD,
+      scope = 'topic',
+      commit = false
+    } = req.body;
     
     // Debug: Log what we're receiving
     console.log('Received data:', JSON.stringify({ articles: typeof articles, topic, lookback_days }));
     console.log('Articles content:', articles);
     
     // Validate and normalize articles data
-    let articlesArray = [];
     if (!articles) {
       return res.status(400).json({ error: 'Articles parameter is required' });
     }
     
-    // Handle different possible data structures
-    if (Array.isArray(articles)) {
-      articlesArray = articles;
-    } else if (articles.articles && Array.isArray(articles.articles)) {
-      articlesArray = articles.articles;
-    } else if (typeof articles === 'object' && articles.articles) {
-      articlesArray = articles.articles;
-    } else {
+    const articlesArray = toArticleArray(articles);
+    if (!articlesArray) {
       return res.status(400).json({ 
         error: 'Articles must be an array', 
         received_type: typeof articles,
         received_data: articles 
       });
     }
+
+    const threshold = Number(similarity_threshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+      return res.status(400).json({ error: 'similarity_threshold must be a number between 0 and 1' });
+    }
+
+    if (!['topic', 'all_topics'].includes(scope)) {
+      return res.status(400).json({ error: "scope must be 'topic' or 'all_topics'" });
+    }
     
     console.log('Processing', articlesArray.length, 'articles');
     
     const client = await pool.connect();
-    
-    const filtered_articles = [];
-    const filtered_out = [];
-    
-    // Get existing articles from last N days (simplified - just check URLs)
-    const lookbackDate = new Date();
-    lookbackDate.setDate(lookbackDate.getDate() - lookback_days);
-    
-    const existingArticles = await client.query(`
-      SELECT title, url, published_date 
-      FROM processed_articles 
-      WHERE processed_date > $1 AND topic = $2
-    `, [lookbackDate, topic]);
-    
-    for (const article of articlesArray) {
-      if (!article || !article.url) {
-        console.log('Skipping invalid article:', article);
-        continue;
-      }
-      
-      // Check URL duplication only (no embedding similarity)
-      const urlExists = existingArticles.rows.find(existing => existing.url === article.url);
-      if (urlExists) {
-        filtered_out.push({
-          title: article.title,
-          reason: 'Duplicate URL found',
-          similar_to: { title: urlExists.title, published_date: urlExists.published_date }
-        });
-        continue;
-      }
-      
-      // Simple title similarity check (no embeddings)
-      const titleExists = existingArticles.rows.find(existing => 
-        existing.title && article.title && 
-        existing.title.toLowerCase().includes(article.title.toLowerCase().substring(0, 20))
-      );
-      
-      if (titleExists) {
-        filtered_out.push({
-          title: article.title,
-          reason: 'Similar title found',
-          similar_to: { title: titleExists.title, published_date: titleExists.published_date }
-        });
-      } else {
-        filtered_articles.push(article);
+    let deduped;
+    let registration = { registered: [], skipped: [] };
+    try {
+      deduped = await dedupeArticles(client, req.tenant.id, articlesArray, {
+        topic,
+        lookbackDays: lookback_days,
+        threshold,
+        scope
+      });
+
+      // Commit mode: register the accepted articles so the next run filters them
+      if (commit) {
+        registration = await registerAccepted(client, req.tenant.id, deduped.accepted, topic);
       }
+    } finally {
+      client.release();
     }
-    
-    client.release();
+    const { filtered_articles, filtered_out } = deduped;
+    const { registered, skipped } = registration;
     
     res.json({
       filtered_articles,
@@ -256,8 +451,14 @@ app.post('/knowledge/check-duplicates', async (req, res) => {
       statistics: {
         total_input: articlesArray.length,
         duplicates_removed: filtered_out.length,
-        unique_articles: filtered_articles.length
-      }
+        unique_articles: filtered_articles.length,
+        similarity_threshold: threshold,
+        embedding_provider: embedder.name,
+        scope,
+        registered: registered.length,
+        already_registered: skipped.length
+      },
+      ...(commit && { registered_articles: registered, skipped_articles: skipped })
     });
     
   } catch (error) {
@@ -266,21 +467,85 @@ app.post('/knowledge/check-duplicates', async (req, res) => {
   }
 });
 
+// ENDPOINT: /knowledge/register-articles
+app.post('/knowledge/register-articles', async (req, res) => {
+  try {
+    const { articles, topic } = req.body;
+    const articlesArray = toArticleArray(articles);
+    if (!articlesArray) {
+      return res.status(400).json({ error: 'Articles must be an array' });
+    }
+
+    const client = await pool.connect();
+    const registered = [];
+    const skipped = [];
+    try {
+      for (const article of articlesArray) {
+        if (!article || !article.url) {
+          skipped.push({ title: article?.title, reason: 'Missing url' });
+          continue;
+        }
+        const embedding = await getEmbedding(articleEmbeddingText(article));
+        const row = await registerArticle(client, req.tenant.id, article, article.topic || topic, embedding);
+        if (row) {
+          registered.push(row);
+        } else {
+          skipped.push({ title: article.title, url: article.url, reason: 'Already registered' });
+        }
+      }
+    } finally {
+      client.release();
+    }
+
+    res.json({
+      registered,
+      skipped,
+      statistics: {
+        total_input: articlesArray.length,
+        registered: registered.length,
+        skipped: skipped.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Register articles error:', error);
+    res.status(500).json({ error: 'Failed to register articles', details: error.message });
+  }
+});
+
+// Earlier posts and analyses on the same subjects listed in the context
+const PREVIOUS_COVERAGE_LIMIT = 5;
+
 // ENDPOINT 2: /knowledge/get-context
 app.post('/knowledge/get-context', async (req, res) => {
   try {
     const { topic, articles, audience } = req.body;
     const client = await pool.connect();
+    let trends;
+    let entities;
+    try {
+      // Match the articles against our trends and entities
+      trends = await client.query('SELECT * FROM industry_trends WHERE tenant_id = $1', [req.tenant.id]);
+      entities = await client.query(`
+        SELECT * FROM knowledge_entities 
+        WHERE tenant_id = $1 AND type IN ('company', 'technology', 'trend')
+      `, [req.tenant.id]);
+    } finally {
+      client.release();
+    }
+
+    const articleList = normalizeArticles(articles);
+    const matchedTrends = matchTrends(trends.rows, articleList);
+    const matchedEntities = matchEntities(entities.rows, articleList);
+    const priority = computePriorityScore(matchedTrends, matchedEntities);
+
+    // What we've already written about the topic and the matched trends and companies
+    const coverageQuery = anyOfQuery([topic, ...matchedTrends.map(trend => trend.topic), ...matchedEntities.map(entity => entity.name)]);
+    const previousCoverage = coverageQuery
+      ? (await searchDocuments(pool, req.tenant.id, coverageQuery, { types: ['blog', 'analysis'], limit: PREVIOUS_COVERAGE_LIMIT })).results
+      : [];
     
-    // Get relevant knowledge entities
-    const entities = await client.query(`
-      SELECT * FROM knowledge_entities 
-      WHERE type IN ('company', 'technology', 'trend') 
-      ORDER BY industry_relevance->>'restaurant_industry' DESC NULLS LAST
-      LIMIT 10
-    `);
-    
-    // Generate context using Gemini
+    // Generate context using the LLM, grounded in the matched knowledge
     const contextPrompt = `As a restaurant industry expert, provide strategic context for these news articles:
 
 ARTICLES TO ANALYZE:
@@ -289,6 +554,13 @@ ${JSON.stringify(articles, null, 2)}
 TARGET AUDIENCE: ${audience}
 INDUSTRY FOCUS: ${topic}
 
+${formatKnowledgeForPrompt(matchedTrends, matchedEntities)}
+
+${formatCoverageForPrompt(previousCoverage)}
+
+Ground the backdrop in the trends and companies above where they apply, and do not contradict their facts.
+Where we have covered a subject before, say what is new since then rather than repeating it.
+
 PROVIDE:
 1. Industry backdrop and current market conditions
 2. Key trends that make these stories relevant
@@ -298,19 +570,19 @@ PROVIDE:
 
 Keep response focused on actionable insights for restaurant owners.`;
 
-    const result = await model.generateContent(contextPrompt);
-    const contextAnalysis = result.response.text();
-    
-    client.release();
+    const contextAnalysis = await llm.generateText(contextPrompt, { task: 'industry_context' });
     
     res.json({
       context: {
         industry_backdrop: contextAnalysis,
-        key_trends: ["labor_shortage", "automation_adoption", "delivery_transformation"],
+        key_trends: matchedTrends.map(trend => trend.topic),
+        trend_matches: matchedTrends,
         entity_context: {
-          companies_mentioned: entities.rows.filter(e => e.type === 'company').slice(0, 5),
-          technologies: entities.rows.filter(e => e.type === 'technology').slice(0, 5)
+          companies_mentioned: matchedEntities.filter(e => e.type === 'company'),
+          technologies: matchedEntities.filter(e => e.type === 'technology'),
+          trends: matchedEntities.filter(e => e.type === 'trend')
         },
+        previous_coverage: previousCoverage,
         audience_angles: {
           cost_impact: "Always frame in terms of ROI and payback period",
           implementation: "Include realistic timelines and effort estimates",
@@ -318,8 +590,9 @@ Keep response focused on actionable insights for restaurant owners.`;
         }
       },
       content_recommendations: {
-        priority_score: 8.5,
-        content_angles: ["cost_reduction", "operational_efficiency", "competitive_advantage"],
+        priority_score: priority.priority_score,
+        priority_breakdown: priority.breakdown,
+        content_angles: deriveContentAngles(matchedTrends),
         key_questions_to_address: [
           "What's the real ROI for restaurant operators?",
           "How complex is implementation?",
@@ -330,17 +603,34 @@ Keep response focused on actionable insights for restaurant owners.`;
     
   } catch (error) {
     console.error('Context error:', error);
+    if (error instanceof LlmError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     res.status(500).json({ error: 'Failed to get context' });
   }
 });
 
+const ANALYSIS_INSIGHTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    primary_theme: { type: 'string' },
+    business_impact_area: { type: 'string' },
+    selection_reasoning: { type: 'string' },
+    analysis_quality_score: { type: 'integer', minimum: 1, maximum: 10 },
+    content_uniqueness_score: { type: 'integer', minimum: 1, maximum: 10 }
+  },
+  required: [
+    'primary_theme', 'business_impact_area', 'selection_reasoning',
+    'analysis_quality_score', 'content_uniqueness_score'
+  ]
+};
+
 // ENDPOINT 3: /knowledge/store-analysis
 app.post('/knowledge/store-analysis', async (req, res) => {
   try {
     const { analysis, topic, date, selected_story } = req.body;
-    const client = await pool.connect();
     
-    // Extract insights using Gemini
+    // Extract insights using the LLM
     const analysisPrompt = `Analyze this content analysis and extract structured insights:
 
 ANALYSIS TEXT:
@@ -355,27 +645,44 @@ EXTRACT:
 
 Return as JSON with these exact keys: primary_theme, business_impact_area, selection_reasoning, analysis_quality_score, content_uniqueness_score`;
 
-    const result = await model.generateContent(analysisPrompt);
-    const responseText = result.response.text();
-    const cleanedText = responseText.replace(/```json\n?/g, '').replace(/\n?```/g, '');
-    const insights = JSON.parse(cleanedText);
-    
-    // Store in database
-    const stored = await client.query(`
-      INSERT INTO analysis_history (
-        analysis_date, topic, raw_analysis, selected_story_title, 
-        selection_reasoning, analysis_depth_score, business_relevance_score,
-        content_uniqueness_score, primary_theme, business_impact_area
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING id
-    `, [
-      date, topic, analysis, 
-      typeof selected_story === 'string' ? selected_story : selected_story?.title || 'Unknown',
-      insights.selection_reasoning, insights.analysis_quality_score, 8,
-      insights.content_uniqueness_score, insights.primary_theme, insights.business_impact_area
-    ]);
+    const insights = await llm.generateJson(analysisPrompt, {
+      task: 'analysis_insights',
+      schema: ANALYSIS_INSIGHTS_SCHEMA
+    });
     
-    client.release();
+    // Store in database, with the coverage it leaves in the same transaction
+    // so that a failure can't answer 500 for a stored analysis
+    const client = await pool.connect();
+    let stored;
+    let coverage;
+    try {
+      await client.query('BEGIN');
+      stored = await client.query(`
+        INSERT INTO analysis_history (
+          analysis_date, topic, raw_analysis, selected_story_title,
+          selection_reasoning, analysis_depth_score, business_relevance_score,
+          content_uniqueness_score, primary_theme, business_impact_area, tenant_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id
+      `, [
+        date, topic, analysis,
+        typeof selected_story === 'string' ? selected_story : selected_story?.title || 'Unknown',
+        insights.selection_reasoning, insights.analysis_quality_score, 8,
+        insights.content_uniqueness_score, insights.primary_theme, insights.business_impact_area,
+        req.tenant.id
+      ]);
+      coverage = await coverageInsights(client, req.tenant.id, {
+        topic: [topic],
+        theme: [insights.primary_theme],
+        impact_area: [insights.business_impact_area]
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
     
     res.json({
       stored_analysis: {
@@ -386,68 +693,83 @@ Return as JSON with these exact keys: primary_theme, business_impact_area, selec
         }
       },
       learning_insights: {
-        pattern_updates: ["Theme tracking updated", "Quality metrics recorded"],
-        content_strategy_recommendations: ["Continue focus on practical ROI stories"]
+        pattern_updates: coverage.coverage.map(entry => entry.description),
+        content_strategy_recommendations: coverage.under_covered.length
+          ? coverage.under_covered.map(gap =>
+            `Cover ${gap.value} (${gap.dimension.replace('_', ' ')}): ${gap.remaining} more post${gap.remaining === 1 ? '' : 's'} needed this month`)
+          : coverage.calendar_suggestions,
+        coverage_month: coverage.month
       }
     });
     
   } catch (error) {
     console.error('Store analysis error:', error);
+    if (error instanceof LlmError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     res.status(500).json({ error: 'Failed to store analysis' });
   }
 });
 
+// Assemble the writing guidelines for a voice profile (by ID or name, else the
+// default profile). Returns null when a named profile does not exist.
+async function loadWritingGuidelines(client, { tenantId, voiceProfile, channel = 'blog' }) {
+  const profiles = voiceProfile
+    ? await client.query('SELECT * FROM voice_profiles WHERE tenant_id = $2 AND (id::text = $1 OR name = $1)', [voiceProfile, tenantId])
+    : await client.query('SELECT * FROM voice_profiles WHERE tenant_id = $1 ORDER BY is_default DESC, created_at LIMIT 1', [tenantId]);
+
+  const profile = profiles.rows[0];
+  if (!profile && voiceProfile) return null;
+  if (!profile) {
+    // Nothing configured yet: use the built-in house voice
+    return assembleGuidelines({
+      profile: DEFAULT_VOICE_PROFILE,
+      guidelines: DEFAULT_VOICE_PROFILE.guidelines,
+      forbiddenPhrases: DEFAULT_VOICE_PROFILE.forbidden_phrases,
+      channel
+    });
+  }
+
+  const guidelines = await client.query(`
+    SELECT * FROM brand_guidelines
+    WHERE tenant_id = $2 AND (voice_profile_id IS NULL OR voice_profile_id = $1)
+    ORDER BY priority_level NULLS LAST, created_at
+  `, [profile.id, tenantId]);
+  const phrases = await client.query(`
+    SELECT DISTINCT phrase FROM forbidden_phrases
+    WHERE tenant_id = $2 AND (voice_profile_id IS NULL OR voice_profile_id = $1)
+    ORDER BY phrase
+  `, [profile.id, tenantId]);
+
+  return assembleGuidelines({
+    profile,
+    guidelines: guidelines.rows,
+    forbiddenPhrases: phrases.rows.map(row => row.phrase),
+    channel
+  });
+}
+
 // ENDPOINT 4: /knowledge/get-writing-guidelines
 app.post('/knowledge/get-writing-guidelines', async (req, res) => {
   try {
-    const billBrysonGuidelines = `You are an experienced blogger with a warm, observational writing style similar to Bill Bryson. You write from genuine personal experience and maintain an intimate, conversational tone that immediately connects with readers.
-
-FORBIDDEN AI Phrases (NEVER use): "Delve into", "At its core", "Game-changing", "Cutting-edge", "Streamline", "Harness", "Furthermore", "Moreover", "Additionally", "It's worth noting that", "Complex and multifaceted", "Navigate the landscape", "That actually", "The key is"
-
-REQUIRED STYLE:
-- Write from first-person perspective with genuine autobiographical elements
-- Use self-deprecating humor that feels natural, not forced
-- Include personal anecdotes that feel lived-in, not constructed
-- Show vulnerability and contradictions that make you relatable
-- Dramatically vary sentence lengths (high burstiness)
-- Follow long sentences (20-30 words) with short, punchy reactions (3-8 words)
-- Use contractions liberally
-- Include parenthetical thoughts that feel spontaneous
-- Show natural uncertainty with phrases like "I think" or "maybe it's just me"
-- Eliminate unnecessary words and filler phrases
-- Focus on human problems and experiences, not technical capabilities
-
-RESTAURANT INDUSTRY SPECIFICS:
-- Always include financial impact in dollars or percentages
-- Reference thin margins (3-5% typical) when relevant
-- Acknowledge labor shortage crisis when appropriate
-- Frame technology in terms of real operational challenges
-- Include implementation timeline and effort estimates
-- Show genuine understanding through real industry knowledge`;
+    const { voice_profile, channel = 'blog' } = req.body;
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+
+    const client = await pool.connect();
+    let guidelines;
+    try {
+      guidelines = await loadWritingGuidelines(client, { tenantId: req.tenant.id, voiceProfile: voice_profile, channel });
+    } finally {
+      client.release();
+    }
+    if (!guidelines) {
+      return res.status(404).json({ error: `Voice profile not found: ${voice_profile}` });
+    }
 
     res.json({
-      guidelines: {
-        custom_prompt_instructions: billBrysonGuidelines,
-        brand_voice: {
-          tone: "Professional but approachable - Bill Bryson style",
-          perspective: "Industry insider with authentic experience",
-          personality_traits: ["Observational", "Self-deprecating humor", "Genuine curiosity"]
-        },
-        restaurant_industry_specifics: {
-          always_include: [
-            "Financial impact in dollars or percentages",
-            "Implementation timeline and effort",
-            "Staff training implications"
-          ],
-          forbidden_phrases: [
-            "Delve into", "Game-changing", "Streamline", "At its core"
-          ],
-          context_framing: [
-            "Acknowledge thin margins (3-5% typical)",
-            "Reference labor shortage when relevant"
-          ]
-        }
-      },
+      guidelines,
       story_specific_guidance: {
         recommended_headline_format: "How [Technology] Cuts Restaurant [Cost] by [Percentage]",
         key_angles_to_explore: ["ROI analysis", "Implementation reality", "Competitive implications"],
@@ -465,50 +787,236 @@ RESTAURANT INDUSTRY SPECIFICS:
   }
 });
 
+// Runs the local quality analysis against the forbidden phrases and
+// always-include rules of the given (or default) voice profile.
+// Returns null when a named voice profile does not exist.
+async function analyzeBlogQuality(client, tenantId, content, voiceProfile) {
+  const guidelines = await loadWritingGuidelines(client, { tenantId, voiceProfile, channel: 'blog' });
+  if (!guidelines) return null;
+  const { forbidden_phrases, always_include } = guidelines.restaurant_industry_specifics;
+  return {
+    voice_profile: guidelines.voice_profile,
+    ...analyzeContent(content, { forbiddenPhrases: forbidden_phrases, alwaysInclude: always_include })
+  };
+}
+
+// Appends a revision for the post's current content and points the post at it.
+// Rows about a post (revisions, status history, images, tracking) take the
+// post's tenant.
+async function saveBlogRevision(client, blogId, { title, content, word_count, overall_quality_score, author, change_note, restored_from }) {
+  const revision = await client.query(`
+    INSERT INTO blog_revisions (
+      blog_content_id, revision_number, title, content, word_count,
+      overall_quality_score, author, change_note, restored_from, tenant_id
+    )
+    SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8,
+      (SELECT tenant_id FROM blog_content WHERE id = $1)
+    FROM blog_revisions WHERE blog_content_id = $1
+    RETURNING id, revision_number, author, change_note, restored_from, created_at
+  `, [blogId, title, content, word_count, overall_quality_score, author || null, change_note || null, restored_from || null]);
+  await client.query('UPDATE blog_content SET current_revision = $1 WHERE id = $2', [revision.rows[0].revision_number, blogId]);
+  return revision.rows[0];
+}
+
+async function recordStatusChange(client, blogId, fromStatus, toStatus, { actor, comment } = {}) {
+  await client.query(`
+    INSERT INTO blog_status_history (blog_content_id, from_status, to_status, actor, comment, tenant_id)
+    SELECT $1, $2, $3, $4, $5, tenant_id FROM blog_content WHERE id = $1
+  `, [blogId, fromStatus, toStatus, actor || null, comment || null]);
+}
+
 // ENDPOINT 5: /content/store-blog
+// Creates a post, or with blog_id stores a new revision of an existing one
 app.post('/content/store-blog', async (req, res) => {
   try {
-    const { content, topic, date, source_analysis, status = 'draft' } = req.body;
+    const { content, topic, date, source_analysis, voice_profile, blog_id, author, change_note, analysis_id } = req.body;
+    const status = req.body.status || 'draft';
+    if (blog_id !== undefined && !isUuid(blog_id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    if (analysis_id !== undefined && !isUuid(analysis_id)) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    if (!BLOG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BLOG_STATUSES.join(', ')}` });
+    }
+    if (!blog_id && !INITIAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `New posts must start as ${INITIAL_STATUSES.join(' or ')}` });
+    }
     const client = await pool.connect();
     
-    // Extract title and calculate metrics
-    const contentString = typeof content === 'string' ? content : JSON.stringify(content);
-    const title = contentString.split('\n')[0].replace(/^#\s*/, '');
-    const word_count = content.split(/\s+/).length;
-    const estimated_read_time = Math.ceil(word_count / 200);
-    
-    // Store blog content
-    const stored = await client.query(`
-      INSERT INTO blog_content (
-        title, content, status, word_count, estimated_read_time,
-        primary_topic, overall_quality_score, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id
-    `, [title, content, status, word_count, estimated_read_time, topic, 8.5, date]);
-    
-    client.release();
-    
-    res.json({
-      stored_content: {
-        blog_id: stored.rows[0].id,
-        content_analysis: {
-          word_count,
-          readability_score: 8.2,
-          content_structure: {
-            sections: content.split('\n##').length - 1,
-            has_introduction: content.includes('introduction') || content.split('\n').length > 3,
-            has_conclusion: content.toLowerCase().includes('conclusion') || content.toLowerCase().includes('takeaway')
+    try {
+      // Extract title and calculate metrics
+      const contentString = typeof content === 'string' ? content : JSON.stringify(content);
+      const title = contentString.split('\n')[0].replace(/^#\s*/, '');
+      const quality = await analyzeBlogQuality(client, req.tenant.id, contentString, voice_profile);
+      if (!quality) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      const word_count = quality.word_count;
+      const estimated_read_time = Math.ceil(word_count / 200);
+      const { scores } = quality;
+
+      // The theme comes from the analysis the post was written from, unless given
+      let primary_theme = req.body.primary_theme || null;
+      if (analysis_id) {
+        const analysis = await client.query(
+          'SELECT primary_theme FROM analysis_history WHERE id = $1 AND tenant_id = $2',
+          [analysis_id, req.tenant.id]
+        );
+        if (analysis.rowCount === 0) {
+          return res.status(404).json({ error: 'Analysis not found' });
+        }
+        primary_theme = primary_theme || analysis.rows[0].primary_theme;
+      }
+      const scoreValues = [
+        scores.brand_voice_score, scores.industry_relevance_score, scores.overall_quality_score,
+        scores.readability_score, JSON.stringify(quality)
+      ];
+
+      await client.query('BEGIN');
+      let blogId = blog_id;
+      let currentStatus = status;
+      let contentChanged = true;
+
+      if (blog_id) {
+        const existing = await client.query(
+          'SELECT id, status, content FROM blog_content WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+          [blog_id, req.tenant.id]
+        );
+        if (existing.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'Blog post not found' });
+        }
+        const previous = existing.rows[0];
+        if (!isEditable(previous.status)) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            error: `Blog post is ${previous.status} and can no longer be edited`,
+            status: previous.status,
+            allowed_transitions: allowedTransitions(previous.status)
+          });
+        }
+        currentStatus = previous.status;
+        contentChanged = previous.content !== contentString;
+
+        if (req.body.status && req.body.status !== previous.status) {
+          if (!canTransition(previous.status, status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+              error: `Cannot move blog post from ${previous.status} to ${status}`,
+              status: previous.status,
+              allowed_transitions: allowedTransitions(previous.status)
+            });
           }
-        },
-        quality_assessment: {
-          overall_quality_score: 8.6
+          await recordStatusChange(client, blog_id, previous.status, status, { actor: author, comment: change_note });
+          currentStatus = status;
         }
-      },
-      content_strategy_insights: {
-        topic_coverage_status: "On track for monthly targets",
-        content_calendar_suggestions: ["Consider follow-up implementation guide", "Plan comparative analysis piece"]
+
+        await client.query(`
+          UPDATE blog_content SET
+            title = $1, content = $2, status = $3, word_count = $4, estimated_read_time = $5,
+            primary_topic = COALESCE($6, primary_topic),
+            brand_voice_score = $7, industry_relevance_score = $8, overall_quality_score = $9,
+            readability_score = $10, quality_report = $11,
+            primary_theme = COALESCE($12, primary_theme), analysis_id = COALESCE($13, analysis_id),
+            updated_at = NOW()
+          WHERE id = $14
+        `, [
+          title, contentString, currentStatus, word_count, estimated_read_time, topic || null,
+          ...scoreValues, primary_theme, analysis_id || null, blog_id
+        ]);
+      } else {
+        // Store blog content
+        const stored = await client.query(`
+          INSERT INTO blog_content (
+            title, content, status, word_count, estimated_read_time, primary_topic,
+            brand_voice_score, industry_relevance_score, overall_quality_score,
+            readability_score, quality_report, primary_theme, analysis_id, created_at, tenant_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, COALESCE($14, NOW()), $15)
+          RETURNING id
+        `, [
+          title, contentString, status, word_count, estimated_read_time, topic,
+          ...scoreValues, primary_theme, analysis_id || null, date || null, req.tenant.id
+        ]);
+        blogId = stored.rows[0].id;
+        await recordStatusChange(client, blogId, null, status, { actor: author });
       }
-    });
+
+      const revision = contentChanged
+        ? await saveBlogRevision(client, blogId, {
+          title, content: contentString, word_count,
+          overall_quality_score: scores.overall_quality_score, author, change_note
+        })
+        : null;
+
+      // Before COMMIT, so that a failure here can't answer 500 for a stored post
+      const stored = await client.query(
+        'SELECT primary_topic, primary_theme, business_impact_area FROM blog_content WHERE id = $1',
+        [blogId]
+      );
+      const coverage = await coverageInsights(client, req.tenant.id, {
+        topic: [stored.rows[0].primary_topic],
+        theme: [stored.rows[0].primary_theme],
+        impact_area: [stored.rows[0].business_impact_area]
+      });
+      await client.query('COMMIT');
+
+      // After COMMIT, since they may wait on the embedding provider; the post
+      // is stored either way, so a failure only leaves the suggestions empty
+      let linkSuggestions;
+      try {
+        linkSuggestions = await refreshLinkSuggestions(
+          client, req.tenant.id, await findBlogPost(client, req.tenant.id, blogId)
+        );
+      } catch (error) {
+        console.error('Link suggestions error:', error);
+        linkSuggestions = {
+          suggestions: [],
+          error: `Internal links could not be suggested; GET /content/blogs/${blogId}/link-suggestions tries again`
+        };
+      }
+      
+      res.json({
+        stored_content: {
+          blog_id: blogId,
+          status: currentStatus,
+          created: !blog_id,
+          revision: revision ? revision.revision_number : null,
+          content_analysis: {
+            word_count,
+            readability_score: scores.readability_score,
+            metrics: quality.metrics,
+            content_structure: {
+              sections: contentString.split('\n##').length - 1,
+              has_introduction: contentString.includes('introduction') || contentString.split('\n').length > 3,
+              has_conclusion: contentString.toLowerCase().includes('conclusion') || contentString.toLowerCase().includes('takeaway')
+            }
+          },
+          quality_assessment: {
+            ...scores,
+            voice_profile: quality.voice_profile,
+            always_include_checks: quality.always_include_checks,
+            findings: quality.findings
+          }
+        },
+        content_strategy_insights: {
+          topic_coverage_status: coverage.coverage.length
+            ? coverage.coverage.map(entry => entry.description).join('. ')
+            : 'No topic or theme to track',
+          month: coverage.month,
+          coverage: coverage.coverage,
+          under_covered: coverage.under_covered,
+          content_calendar_suggestions: coverage.calendar_suggestions
+        },
+        internal_link_suggestions: linkSuggestions
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
     
   } catch (error) {
     console.error('Store blog error:', error);
@@ -516,51 +1024,185 @@ app.post('/content/store-blog', async (req, res) => {
   }
 });
 
+// ENDPOINT: /content/analyze-quality
+// Same analysis as store-blog without storing anything, for checking a draft
+app.post('/content/analyze-quality', async (req, res) => {
+  try {
+    const { content, voice_profile } = req.body;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content must be a non-empty string' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const quality = await analyzeBlogQuality(client, req.tenant.id, content, voice_profile);
+      if (!quality) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      res.json(quality);
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Analyze quality error:', error);
+    res.status(500).json({ error: 'Failed to analyze content quality' });
+  }
+});
+
+// Attaches a prepared image (see lib/images.js) to a post; returns null
+// when the same file is already attached for that variant
+async function insertBlogImage(client, blogId, image) {
+  const inserted = await client.query(`
+    INSERT INTO blog_images (blog_content_id, variant, width, height, alt_text, source, checksum, public_url, mime_type, byte_size, tenant_id)
+    SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, tenant_id FROM blog_content WHERE id = $1
+    ON CONFLICT (blog_content_id, variant, checksum) WHERE checksum IS NOT NULL DO NOTHING
+    RETURNING *
+  `, [blogId, image.variant, image.width, image.height, image.alt_text, image.source,
+    image.checksum, image.public_url, image.mime_type, image.byte_size]);
+  return inserted.rows[0] || null;
+}
+
 // ENDPOINT 6: /content/mark-published  
+// With `connection`, the post goes live on that CMS first and its URL there
+// is the published URL unless one is given; if the CMS fails, nothing changes
+// here. The CMS is called before the transaction starts, so a slow one holds
+// no locks; a post that stopped being publishable meanwhile is refused with
+// the push reported, and marking it again is safe.
 app.post('/content/mark-published', async (req, res) => {
   try {
-    const { blog_id, published_url, publication_date, images } = req.body;
+    const { blog_id, published_url, publication_date, images = {}, actor } = req.body;
+    if (!isUuid(blog_id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    if (!images || typeof images !== 'object' || Array.isArray(images)) {
+      return res.status(400).json({ error: 'images must be an object keyed by variant' });
+    }
+    const prepared = Object.entries(images).map(([variant, image]) => prepareImage(variant, image));
+    const invalidImages = prepared.filter(result => result.error).map(result => result.error);
+    if (invalidImages.length > 0) {
+      return res.status(400).json({ error: 'Invalid images', details: invalidImages });
+    }
     const client = await pool.connect();
+    let status;
+    let checkIns;
+    let publication = null;
+    const storedImages = [];
+    const notPublishable = current => res.status(409).json({
+      error: `Cannot publish a blog post that is ${current}`,
+      status: current,
+      allowed_transitions: allowedTransitions(current),
+      ...(publication ? { cms_publication: publication } : {})
+    });
     
-    // Update blog content with publication details
-    await client.query(`
-      UPDATE blog_content 
-      SET status = 'published', published_url = $1, publication_date = $2
-      WHERE id = $3
-    `, [published_url, publication_date, blog_id]);
-    
-    client.release();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, blog_id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      if (!canTransition(post.status, 'published')) {
+        return notPublishable(post.status);
+      }
+      if (req.body.connection) {
+        const connection = await findConnection(client, req.tenant.id, req.body.connection);
+        if (!connection) {
+          return res.status(404).json({ error: 'CMS connection not found' });
+        }
+        if (!connection.enabled) {
+          return connectionDisabled(res, connection);
+        }
+        const featured = prepared.find(({ image }) => image.variant === 'featured');
+        const row = await ensurePublication(client, req.tenant.id, blog_id, connection.id);
+        publication = await withPublicationLock(client, row.id, () => pushPublication(client, row.id, post, connection, {
+          status: 'published',
+          featuredImage: featured && featured.image
+        }));
+        if (publication === undefined) {
+          return publicationBusy(res, connection);
+        }
+      }
+
+      await client.query('BEGIN');
+      try {
+        const existing = await findBlogPost(client, req.tenant.id, blog_id, { forUpdate: true });
+        if (!existing) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'Blog post not found' });
+        }
+        status = existing.status;
+        if (!canTransition(status, 'published')) {
+          await client.query('ROLLBACK');
+          return notPublishable(status);
+        }
+
+        for (const { image } of prepared) {
+          const stored = await insertBlogImage(client, blog_id, image);
+          if (stored) storedImages.push(stored);
+        }
+
+        // Update blog content with publication details
+        await client.query(`
+          UPDATE blog_content 
+          SET status = 'published', published_url = $1, publication_date = COALESCE($2, NOW()), updated_at = NOW()
+          WHERE id = $3
+        `, [published_url || (publication && publication.remote_url) || null, publication_date || null, blog_id]);
+        await recordStatusChange(client, blog_id, status, 'published', { actor });
+        checkIns = await scheduleCheckIns(client, req.tenant.id, blog_id, publication_date ? new Date(publication_date) : new Date());
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      client.release();
+    }
     
     res.json({
       publication_confirmed: {
         status: "published",
-        images_stored: `${Object.keys(images || {}).length} images stored successfully`
+        previous_status: status,
+        images_stored: `${storedImages.length} images stored successfully`,
+        images: storedImages,
+        cms_publication: publication
       },
       content_strategy_updates: {
         topic_coverage_updated: "Monthly statistics updated"
       },
       performance_tracking_initialized: {
-        scheduled_check_ins: [
-          {
-            check_type: "initial_performance",
-            scheduled_time: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-          }
-        ]
+        scheduled_check_ins: checkIns
       }
     });
     
   } catch (error) {
     console.error('Mark published error:', error);
+    if (error instanceof PublisherError) {
+      return publishFailed(res, error);
+    }
     res.status(500).json({ error: 'Failed to mark as published' });
   }
 });
 
+const IMAGE_TITLES_SCHEMA = {
+  type: 'object',
+  properties: {
+    featured: { type: 'string', maxLength: 60 },
+    summary: { type: 'string', maxLength: 50 },
+    instagram_square: { type: 'string', maxLength: 40 },
+    instagram_story: { type: 'string', maxLength: 35 },
+    twitter: { type: 'string', maxLength: 50 }
+  },
+  required: ['featured', 'summary', 'instagram_square', 'instagram_story', 'twitter']
+};
+
+function cardDimensions(format) {
+  return `${CARD_FORMATS[format].width}x${CARD_FORMATS[format].height}`;
+}
+
 // ENDPOINT 7: /images/get-style-guide
 app.post('/images/get-style-guide', async (req, res) => {
   try {
     const { topic, content_title, platform_requirements } = req.body;
     
-    // Generate optimized titles for each platform using Gemini
+    // Generate optimized titles for each platform using the LLM
     const titlePrompt = `Create platform-optimized image titles for this blog post:
 
 ORIGINAL TITLE: ${content_title}
@@ -576,23 +1218,16 @@ Create titles for these platforms:
 Make them engaging, action-oriented, and platform-appropriate.
 Return as JSON with exact platform keys.`;
 
-    const result = await model.generateContent(titlePrompt);
-    const responseText = result.response.text();
-    const cleanedText = responseText.replace(/```json\n?/g, '').replace(/\n?```/g, '');
-    const optimizedTitles = JSON.parse(cleanedText);
+    const optimizedTitles = await llm.generateJson(titlePrompt, {
+      task: 'image_titles',
+      schema: IMAGE_TITLES_SCHEMA
+    });
     
     res.json({
       style_guide: {
         brand_standards: {
-          primary_colors: {
-            restaurant_orange: "#FF6B35",
-            professional_blue: "#004E89",
-            accent_green: "#2ECC71"
-          },
-          typography: {
-            headline_font: "Montserrat Bold",
-            body_font: "Open Sans Regular"
-          }
+          primary_colors: brandPalette(req.tenant.brand_colors),
+          typography: BRAND_FONTS
         },
         performance_optimizations: [
           "Use high contrast colors for mobile viewing",
@@ -601,27 +1236,27 @@ Return as JSON with exact platform keys.`;
         ],
         platform_optimized_guidelines: {
           featured: {
-            dimensions: "1200x630",
+            dimensions: cardDimensions('featured'),
             design_approach: "Professional and data-focused",
             recommended_elements: ["Title", "Key statistic", "Brand logo", "Clean background"]
           },
           summary: {
-            dimensions: "1200x630", 
+            dimensions: cardDimensions('summary'),
             design_approach: "Action-oriented takeaways",
             recommended_elements: ["Title", "Bullet points", "Call to action", "Brand colors"]
           },
           instagram_square: {
-            dimensions: "1080x1080",
+            dimensions: cardDimensions('instagram_square'),
             design_approach: "Visual and engaging",
             recommended_elements: ["Large title", "Minimal text", "Brand colors", "Icon/graphic"]
           },
           instagram_story: {
-            dimensions: "1080x1920",
+            dimensions: cardDimensions('instagram_story'),
             design_approach: "Vertical mobile-first",
             recommended_elements: ["Large title", "Swipe up CTA", "Brand logo", "Bright colors"]
           },
           twitter: {
-            dimensions: "1200x628",
+            dimensions: cardDimensions('twitter'),
             design_approach: "News-focused and shareable",
             recommended_elements: ["Clear title", "Key insight", "Professional look", "Brand mark"]
           }
@@ -632,150 +1267,4345 @@ Return as JSON with exact platform keys.`;
     
   } catch (error) {
     console.error('Style guide error:', error);
+    if (error instanceof LlmError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     res.status(500).json({ error: 'Failed to get style guide' });
   }
 });
 
-// ENDPOINT 8: /social/get-optimization
-app.post('/social/get-optimization', async (req, res) => {
+// ENDPOINT: POST /images/render-cards
+// Renders branded SVG/PNG cards from the style guide's optimized titles.
+// Purely local: no LLM call and no remote assets.
+app.post('/images/render-cards', async (req, res) => {
   try {
-    const { blog_content, topic, platforms, blog_url } = req.body;
-    
-    // Extract title and key points from blog content
-    const title = blog_content.split('\n')[0].replace(/^#\s*/, '');
-    
-    // Generate platform-specific content using Gemini
-    const socialPrompt = `Create platform-optimized social media posts for this blog content:
+    const { optimized_titles = {}, content_title, statistic, logo, brand_name, cta, output = 'both' } = req.body;
+    const formats = req.body.formats || Object.keys(CARD_FORMATS);
+    const unknown = [].concat(formats).filter(format => !CARD_FORMATS[format]);
+    if (!Array.isArray(formats) || formats.length === 0 || unknown.length > 0) {
+      return res.status(400).json({ error: `formats must be a list of: ${Object.keys(CARD_FORMATS).join(', ')}` });
+    }
+    if (!['svg', 'png', 'both'].includes(output)) {
+      return res.status(400).json({ error: 'output must be svg, png or both' });
+    }
+    const untitled = formats.filter(format => !(optimized_titles[format] || content_title || '').trim());
+    if (untitled.length > 0) {
+      return res.status(400).json({ error: `No title for ${untitled.join(', ')}; pass optimized_titles or content_title` });
+    }
+    const invalid = validateCardOptions({ statistic, logo });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
-BLOG TITLE: ${title}
-BLOG URL: ${blog_url}
-TOPIC: ${topic}
+    const cards = {};
+    for (const format of formats) {
+      const { svg, ...card } = renderCardSvg(format, {
+        title: (optimized_titles[format] || content_title).trim(),
+        statistic,
+        logo,
+        brandName: brand_name,
+        cta,
+        colors: req.tenant.brand_colors
+      });
+      cards[format] = {
+        ...card,
+        svg: output === 'png' ? undefined : svg,
+        png_base64: output === 'svg' ? undefined : renderPng(svg).toString('base64')
+      };
+    }
 
-Create posts for these platforms with these requirements:
+    res.json({ cards });
 
-FACEBOOK (max 400 chars):
-- Professional tone
-- Include key benefit/statistic
+  } catch (error) {
+    console.error('Render cards error:', error);
+    res.status(500).json({ error: 'Failed to render image cards' });
+  }
+});
+
+const socialPostSchema = {
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: { optimized_text: { type: 'string' } },
+      required: ['optimized_text']
+    }
+  ]
+};
+
+const SOCIAL_POSTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    facebook: socialPostSchema,
+    twitter: socialPostSchema,
+    linkedin: socialPostSchema,
+    instagram: socialPostSchema
+  },
+  required: ['facebook', 'twitter', 'linkedin', 'instagram']
+};
+
+// Which of SOCIAL_PLATFORMS a request asked for: an array of names, an
+// object keyed by platform, or everything
+function requestedSocialPlatforms(platforms) {
+  if (!platforms) return SOCIAL_PLATFORMS;
+  const names = Array.isArray(platforms) ? platforms : Object.keys(platforms);
+  return SOCIAL_PLATFORMS.filter(platform => names.includes(platform));
+}
+
+// Posting times are recommended in the audience's time zone; a platform
+// needs this many tracked posts before its history outweighs the defaults
+const AUDIENCE_TIMEZONE = process.env.AUDIENCE_TIMEZONE || 'UTC';
+const POSTING_SCHEDULE_MIN_SAMPLES = Number(process.env.POSTING_SCHEDULE_MIN_SAMPLES) || 5;
+
+async function postingSchedule(client, tenantId, { timeZone = AUDIENCE_TIMEZONE, platforms, minSamples, slots } = {}) {
+  const history = await loadPostingHistory(client, tenantId);
+  return recommendSchedule(history, {
+    platforms,
+    timeZone,
+    minSamples: minSamples || POSTING_SCHEDULE_MIN_SAMPLES,
+    slots
+  });
+}
+
+// Saves freshly generated posts for review; they replace any earlier
+// posts for the same platforms that haven't been published yet
+async function saveSocialPosts(client, blogId, prepared) {
+  const saved = {};
+  await client.query('BEGIN');
+  try {
+    await client.query(`
+      UPDATE social_posts SET status = 'superseded', updated_at = NOW()
+      WHERE blog_content_id = $1 AND platform = ANY($2) AND status IN ('pending_review', 'approved', 'rejected')
+    `, [blogId, Object.keys(prepared)]);
+    for (const [platform, post] of Object.entries(prepared)) {
+      const row = await client.query(`
+        INSERT INTO social_posts (blog_content_id, platform, text, generated_text, thread, validation, tenant_id)
+        SELECT $1, $2, $3, $3, $4, $5, tenant_id FROM blog_content WHERE id = $1
+        RETURNING *
+      `, [blogId, platform, post.text, post.thread, JSON.stringify(post.validation)]);
+      saved[platform] = row.rows[0];
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  return saved;
+}
+
+// ENDPOINT 8: /social/get-optimization
+app.post('/social/get-optimization', async (req, res) => {
+  try {
+    const { topic, platforms, blog_id, timezone = AUDIENCE_TIMEZONE } = req.body;
+    if (blog_id !== undefined && !isUuid(blog_id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as America/New_York' });
+    }
+    const requested = requestedSocialPlatforms(platforms);
+    if (requested.length === 0) {
+      return res.status(400).json({ error: `platforms must include at least one of: ${SOCIAL_PLATFORMS.join(', ')}` });
+    }
+
+    const client = await pool.connect();
+    try {
+      let { blog_content, blog_url } = req.body;
+      if (blog_id) {
+        const post = await client.query(
+          'SELECT content, published_url FROM blog_content WHERE id = $1 AND tenant_id = $2',
+          [blog_id, req.tenant.id]
+        );
+        if (post.rowCount === 0) {
+          return res.status(404).json({ error: 'Blog post not found' });
+        }
+        blog_content = blog_content || post.rows[0].content;
+        blog_url = blog_url || post.rows[0].published_url;
+      }
+      if (typeof blog_content !== 'string' || !blog_content.trim()) {
+        return res.status(400).json({ error: 'blog_content is required unless blog_id refers to a stored post' });
+      }
+      
+      // Extract title and key points from blog content
+      const title = blog_content.split('\n')[0].replace(/^#\s*/, '');
+      const hashtags = { ...DEFAULT_HASHTAGS, ...req.tenant.social_hashtags };
+      
+      // Generate platform-specific content using the LLM
+      const socialPrompt = `Create platform-optimized social media posts for this blog content:
+
+BLOG TITLE: ${title}
+BLOG URL: ${blog_url}
+TOPIC: ${topic}
+
+Create posts for these platforms with these requirements:
+
+FACEBOOK (max 400 chars):
+- Professional tone
+- Include key benefit/statistic
 - Add relevant emoji (1-2 only)
 - Include blog URL
-- Use hashtags: #RestaurantTech #RestaurantBusiness
+- Use hashtags: ${hashtags.facebook.join(' ')}
+
+TWITTER (max 280 chars):
+- News-style headline
+- Key statistic or insight
+- Professional but engaging
+- Include blog URL
+- Hashtags: ${hashtags.twitter.join(' ')}
+
+LINKEDIN (max 500 chars):
+- Business professional tone
+- Industry insights focus
+- Thought leadership angle
+- Include blog URL
+- Hashtags: ${hashtags.linkedin.join(' ')}
+
+INSTAGRAM (max 300 chars):
+- Visual and engaging
+- More casual tone
+- Include relevant emoji
+- Include blog URL
+- Hashtags: ${hashtags.instagram.join(' ')}
+
+Return as JSON with platform keys and optimized_text for each, e.g.
+{"facebook": {"optimized_text": "..."}, "twitter": {"optimized_text": "..."}, "linkedin": {"optimized_text": "..."}, "instagram": {"optimized_text": "..."}}`;
+
+      const generated = await llm.generateJson(socialPrompt, {
+        task: 'social_posts',
+        schema: SOCIAL_POSTS_SCHEMA
+      });
+      // Check every post against its platform's rules; long tweets become threads
+      const prepared = {};
+      for (const platform of requested) {
+        prepared[platform] = preparePost(platform, postText(generated[platform]), { blogUrl: blog_url });
+      }
+      const saved = blog_id ? await saveSocialPosts(client, blog_id, prepared) : {};
+      const schedule = await postingSchedule(client, req.tenant.id, { timeZone: timezone, platforms: requested, slots: 1 });
+
+      const content = {};
+      for (const [platform, post] of Object.entries(prepared)) {
+        content[platform] = {
+          post_id: saved[platform]?.id || null,
+          status: saved[platform]?.status || null,
+          optimized_text: post.text,
+          validation: post.validation,
+          optimal_post_time: schedule[platform].recommended_slots[0].next_occurrence
+        };
+      }
+      if (content.facebook) {
+        content.facebook.hashtags = content.facebook.validation.hashtags;
+      }
+      if (content.twitter) {
+        content.twitter.thread = prepared.twitter.thread;
+        content.twitter.thread_opportunity = Boolean(prepared.twitter.thread);
+      }
+      if (content.linkedin) {
+        content.linkedin.discussion_starters = ["What's your experience with restaurant technology?", "How do you evaluate ROI for new systems?"];
+      }
+      if (content.instagram) {
+        content.instagram.visual_elements_needed = true;
+      }
+      
+      res.json({
+        platform_optimized_content: content,
+        review: {
+          saved: Boolean(blog_id),
+          all_valid: Object.values(prepared).every(post => post.validation.valid),
+          next_step: blog_id ? 'Approve or edit each post via /social/posts/:id before publishing' : 'Pass blog_id to save these posts for review'
+        },
+        cross_platform_strategy: {
+          timezone,
+          posting_schedule: Object.fromEntries(Object.entries(schedule).map(([platform, recommendation]) => [
+            platform,
+            recommendation.recommended_slots[0].local_time
+          ])),
+          posting_schedule_reasons: Object.fromEntries(Object.entries(schedule).map(([platform, recommendation]) => [
+            platform,
+            { source: recommendation.source, explanation: recommendation.recommended_slots[0].explanation }
+          ])),
+          engagement_monitoring: ["Track click-through rates", "Monitor comments for engagement opportunities"]
+        }
+      });
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Social optimization error:', error);
+    if (error instanceof LlmError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    res.status(500).json({ error: 'Failed to optimize social content' });
+  }
+});
+
+// ENDPOINT 9: /analytics/track-publication
+app.post('/analytics/track-publication', async (req, res) => {
+  try {
+    const { blog_id, publication_date, platforms = {}, topic } = req.body;
+    if (!isUuid(blog_id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    const client = await pool.connect();
+    let tracking;
+    let baseline;
+    let checkIns;
+    let socialPosts;
+    
+    try {
+      const post = await client.query(
+        'SELECT id, publication_date FROM blog_content WHERE id = $1 AND tenant_id = $2',
+        [blog_id, req.tenant.id]
+      );
+      if (post.rowCount === 0) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+
+      // Social posts saved for review must be approved before they are tracked
+      const reviewed = await client.query(`
+        SELECT id, platform, status FROM social_posts
+        WHERE blog_content_id = $1 AND status IN ('pending_review', 'approved', 'rejected')
+      `, [blog_id]);
+      const unapproved = reviewed.rows
+        .filter(social => social.status !== 'approved' && platforms[TRACKING_KEYS[social.platform]])
+        .map(social => ({ platform: social.platform, post_id: social.id, status: social.status }));
+      if (unapproved.length) {
+        return res.status(409).json({ error: 'Social posts must be approved before they are tracked', unapproved });
+      }
+
+      await client.query('BEGIN');
+      // Store publication tracking
+      tracking = await client.query(`
+        INSERT INTO publication_tracking (
+          blog_content_id, tracking_start_date, facebook_post_id, 
+          twitter_post_id, linkedin_post_id, instagram_post_id, instagram_story_id, tenant_id
+        ) VALUES ($1, COALESCE($2, NOW()), $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `, [
+        blog_id, publication_date || null,
+        platforms.facebook || null,
+        platforms.twitter || null, 
+        platforms.linkedin || null,
+        platforms.instagram_post || null,
+        platforms.instagram_story || null,
+        req.tenant.id
+      ]);
+
+      socialPosts = [];
+      for (const social of reviewed.rows) {
+        const platformPostId = platforms[TRACKING_KEYS[social.platform]];
+        if (!platformPostId) continue;
+        const published = await client.query(`
+          UPDATE social_posts
+          SET status = 'published', platform_post_id = $1, publication_tracking_id = $2, updated_at = NOW()
+          WHERE id = $3
+          RETURNING id, platform, platform_post_id
+        `, [platformPostId, tracking.rows[0].id, social.id]);
+        socialPosts.push(published.rows[0]);
+      }
+
+      checkIns = await scheduleCheckIns(
+        client,
+        req.tenant.id,
+        blog_id,
+        new Date(publication_date || post.rows[0].publication_date || Date.now())
+      );
+      await client.query('COMMIT');
+
+      // What a post has typically done recently, from recorded metrics
+      const now = new Date();
+      baseline = summarize(await loadPerformance(client, {
+        tenantId: req.tenant.id,
+        from: new Date(now.getTime() - BASELINE_DAYS * DAY_MS),
+        to: now
+      }));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    res.json({
+      tracking_initialized: {
+        tracking_id: tracking.rows[0].id,
+        monitoring_start: publication_date,
+        platforms_tracked: Object.keys(platforms).length,
+        social_posts_published: socialPosts
+      },
+      initial_performance_baseline: {
+        baseline_days: BASELINE_DAYS,
+        posts_measured: baseline.posts,
+        per_post_average: baseline.posts ? baseline.per_post : null
+      },
+      real_time_tracking_setup: {
+        automated_check_ins: checkIns,
+        metrics_ingestion: 'POST /analytics/metrics'
+      },
+      learning_framework_activated: {
+        data_collection_focus: ["engagement_patterns", "content_themes", "platform_performance"],
+        hypothesis_testing: ["optimal_posting_times", "content_format_preferences", "audience_segments"]
+      }
+    });
+    
+  } catch (error) {
+    console.error('Analytics tracking error:', error);
+    res.status(500).json({ error: 'Failed to initialize tracking' });
+  }
+});
+
+// KNOWLEDGE BASE MANAGEMENT: entities, trends and entity relationships
+
+const ENTITY_COLUMNS = {
+  name: true,
+  type: true,
+  description: true,
+  industry_relevance: 'json',
+  key_facts: 'json',
+  strategic_importance: true
+};
+
+const TREND_COLUMNS = {
+  topic: true,
+  trend_description: true,
+  significance_level: true,
+  timeline: true,
+  impact_areas: 'json',
+  relevant_keywords: 'json'
+};
+
+// ENDPOINT: GET /knowledge/entities
+app.get('/knowledge/entities', async (req, res) => {
+  try {
+    const { search } = req.query;
+    const types = parseList(req.query.type);
+    const { limit, offset } = parsePagination(req.query);
+    const client = await pool.connect();
+
+    try {
+      const filters = `
+        WHERE tenant_id = $1
+          AND ($2::text IS NULL OR name ILIKE '%' || $2 || '%' OR description ILIKE '%' || $2 || '%')
+          AND ($3::text[] IS NULL OR type = ANY($3))
+      `;
+      const params = [req.tenant.id, search || null, types];
+      const total = await client.query(`SELECT COUNT(*)::int AS count FROM knowledge_entities ${filters}`, params);
+      const entities = await client.query(`
+        SELECT * FROM knowledge_entities ${filters}
+        ORDER BY name
+        LIMIT $4 OFFSET $5
+      `, [...params, limit, offset]);
+
+      res.json({
+        entities: entities.rows,
+        pagination: { total: total.rows[0].count, limit, offset }
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List entities error:', error);
+    res.status(500).json({ error: 'Failed to list entities' });
+  }
+});
+
+// ENDPOINT: GET /knowledge/entities/:id
+app.get('/knowledge/entities/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+    const client = await pool.connect();
+
+    try {
+      const entity = await client.query(
+        'SELECT * FROM knowledge_entities WHERE id = $1 AND tenant_id = $2',
+        [req.params.id, req.tenant.id]
+      );
+      if (entity.rowCount === 0) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+
+      const relationships = await client.query(`
+        SELECT r.id, r.relationship_type, r.description,
+               CASE WHEN r.source_entity_id = $1 THEN 'outgoing' ELSE 'incoming' END AS direction,
+               e.id AS entity_id, e.name AS entity_name, e.type AS entity_type
+        FROM entity_relationships r
+        JOIN knowledge_entities e
+          ON e.id = CASE WHEN r.source_entity_id = $1 THEN r.target_entity_id ELSE r.source_entity_id END
+        WHERE r.source_entity_id = $1 OR r.target_entity_id = $1
+        ORDER BY r.relationship_type, e.name
+      `, [req.params.id]);
+
+      res.json({ entity: { ...entity.rows[0], relationships: relationships.rows } });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get entity error:', error);
+    res.status(500).json({ error: 'Failed to get entity' });
+  }
+});
+
+// ENDPOINT: POST /knowledge/entities
+app.post('/knowledge/entities', async (req, res) => {
+  try {
+    const { name, type } = req.body;
+    if (!name || !type) {
+      return res.status(400).json({ error: 'name and type are required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { columns, placeholders, values } = buildInsert(req.body, ENTITY_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO knowledge_entities (${columns})
+        VALUES (${placeholders})
+        RETURNING *
+      `, values);
+
+      res.status(201).json({ entity: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create entity error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An entity with this name and type already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create entity' });
+  }
+});
+
+// ENDPOINT: PATCH /knowledge/entities/:id
+app.patch('/knowledge/entities/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+    const { assignments, values } = buildUpdate(req.body, ENTITY_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(ENTITY_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      const updated = await client.query(`
+        UPDATE knowledge_entities SET ${assignments.join(', ')}
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING *
+      `, [req.params.id, req.tenant.id, ...values]);
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+
+      res.json({ entity: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update entity error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An entity with this name and type already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update entity' });
+  }
+});
+
+// ENDPOINT: DELETE /knowledge/entities/:id
+app.delete('/knowledge/entities/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+    const client = await pool.connect();
+    try {
+      // Relationships go with the entity (ON DELETE CASCADE)
+      const deleted = await client.query(
+        'DELETE FROM knowledge_entities WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete entity error:', error);
+    res.status(500).json({ error: 'Failed to delete entity' });
+  }
+});
+
+// ENDPOINT: POST /knowledge/entities/:id/relationships
+app.post('/knowledge/entities/:id/relationships', async (req, res) => {
+  try {
+    const { target_id, relationship_type, description } = req.body;
+    if (!RELATIONSHIP_TYPES[relationship_type]) {
+      return res.status(400).json({
+        error: 'Invalid relationship_type',
+        allowed_types: Object.keys(RELATIONSHIP_TYPES)
+      });
+    }
+    if (!isUuid(req.params.id) || !isUuid(target_id)) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+    if (req.params.id === target_id) {
+      return res.status(400).json({ error: 'An entity cannot be related to itself' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const found = await client.query(
+        'SELECT id FROM knowledge_entities WHERE id = ANY($1) AND tenant_id = $2',
+        [[req.params.id, target_id], req.tenant.id]
+      );
+      if (found.rowCount < 2) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+
+      // A symmetric relationship already recorded the other way round is the same relationship
+      const symmetric = RELATIONSHIP_TYPES[relationship_type].symmetric;
+      const created = await client.query(`
+        INSERT INTO entity_relationships (source_entity_id, target_entity_id, relationship_type, description, tenant_id)
+        SELECT $1::uuid, $2::uuid, $3::varchar, $4::text, $6::uuid
+        WHERE NOT ($5 AND EXISTS (
+          SELECT 1 FROM entity_relationships
+          WHERE source_entity_id = $2 AND target_entity_id = $1 AND relationship_type = $3
+        ))
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `, [req.params.id, target_id, relationship_type, description || null, symmetric, req.tenant.id]);
+      if (created.rowCount === 0) {
+        return res.status(409).json({ error: 'Relationship already exists' });
+      }
+
+      res.status(201).json({ relationship: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create relationship error:', error);
+    res.status(500).json({ error: 'Failed to create relationship' });
+  }
+});
+
+// ENDPOINT: DELETE /knowledge/entities/:id/relationships/:relationshipId
+app.delete('/knowledge/entities/:id/relationships/:relationshipId', async (req, res) => {
+  try {
+    const { id, relationshipId } = req.params;
+    if (!isUuid(id) || !isUuid(relationshipId)) {
+      return res.status(404).json({ error: 'Relationship not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(`
+        DELETE FROM entity_relationships
+        WHERE id = $2 AND tenant_id = $3 AND (source_entity_id = $1 OR target_entity_id = $1)
+        RETURNING id
+      `, [id, relationshipId, req.tenant.id]);
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Relationship not found' });
+      }
+
+      res.json({ deleted: true, id: relationshipId });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete relationship error:', error);
+    res.status(500).json({ error: 'Failed to delete relationship' });
+  }
+});
+
+// ENDPOINT: GET /knowledge/entities/:id/graph
+app.get('/knowledge/entities/:id/graph', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+    const types = parseList(req.query.relationship_types);
+    const unknownTypes = (types || []).filter(type => !RELATIONSHIP_TYPES[type]);
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        error: `Unknown relationship types: ${unknownTypes.join(', ')}`,
+        allowed_types: Object.keys(RELATIONSHIP_TYPES)
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      // Relationships never cross tenants, so the walk stays inside the root's tenant
+      const root = await client.query(
+        'SELECT id, name, type, description FROM knowledge_entities WHERE id = $1 AND tenant_id = $2',
+        [req.params.id, req.tenant.id]
+      );
+      if (root.rowCount === 0) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+
+      const neighborhood = await getNeighborhood(client, req.params.id, {
+        depth: parseInt(req.query.depth, 10) || 1,
+        types
+      });
+
+      res.json({ root: root.rows[0], ...neighborhood });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Entity graph error:', error);
+    res.status(500).json({ error: 'Failed to traverse entity graph' });
+  }
+});
+
+// ENDPOINT: GET /knowledge/trends
+app.get('/knowledge/trends', async (req, res) => {
+  try {
+    const { search } = req.query;
+    const minSignificance = req.query.min_significance ? Number(req.query.min_significance) : null;
+    const { limit, offset } = parsePagination(req.query);
+    const client = await pool.connect();
+
+    try {
+      const filters = `
+        WHERE tenant_id = $1
+          AND ($2::text IS NULL OR topic ILIKE '%' || $2 || '%' OR trend_description ILIKE '%' || $2 || '%')
+          AND ($3::int IS NULL OR significance_level >= $3)
+      `;
+      const params = [req.tenant.id, search || null, minSignificance];
+      const total = await client.query(`SELECT COUNT(*)::int AS count FROM industry_trends ${filters}`, params);
+      const trends = await client.query(`
+        SELECT * FROM industry_trends ${filters}
+        ORDER BY significance_level DESC NULLS LAST, topic
+        LIMIT $4 OFFSET $5
+      `, [...params, limit, offset]);
+
+      res.json({
+        trends: trends.rows,
+        pagination: { total: total.rows[0].count, limit, offset }
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List trends error:', error);
+    res.status(500).json({ error: 'Failed to list trends' });
+  }
+});
+
+// ENDPOINT: GET /knowledge/trends/:id
+app.get('/knowledge/trends/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Trend not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const trend = await client.query(
+        'SELECT * FROM industry_trends WHERE id = $1 AND tenant_id = $2',
+        [req.params.id, req.tenant.id]
+      );
+      if (trend.rowCount === 0) {
+        return res.status(404).json({ error: 'Trend not found' });
+      }
+
+      res.json({ trend: trend.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get trend error:', error);
+    res.status(500).json({ error: 'Failed to get trend' });
+  }
+});
+
+// ENDPOINT: POST /knowledge/trends
+app.post('/knowledge/trends', async (req, res) => {
+  try {
+    if (!req.body.topic) {
+      return res.status(400).json({ error: 'topic is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { columns, placeholders, values } = buildInsert(req.body, TREND_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO industry_trends (${columns})
+        VALUES (${placeholders})
+        RETURNING *
+      `, values);
+
+      res.status(201).json({ trend: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create trend error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A trend with this topic already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create trend' });
+  }
+});
+
+// ENDPOINT: PATCH /knowledge/trends/:id
+app.patch('/knowledge/trends/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Trend not found' });
+    }
+    const { assignments, values } = buildUpdate(req.body, TREND_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(TREND_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      const updated = await client.query(`
+        UPDATE industry_trends SET ${assignments.join(', ')}
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING *
+      `, [req.params.id, req.tenant.id, ...values]);
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'Trend not found' });
+      }
+
+      res.json({ trend: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update trend error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A trend with this topic already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update trend' });
+  }
+});
+
+// ENDPOINT: DELETE /knowledge/trends/:id
+app.delete('/knowledge/trends/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Trend not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM industry_trends WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Trend not found' });
+      }
+
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete trend error:', error);
+    res.status(500).json({ error: 'Failed to delete trend' });
+  }
+});
+
+// BRAND VOICE MANAGEMENT: voice profiles, guidelines and forbidden phrases
+
+const VOICE_PROFILE_COLUMNS = {
+  name: true,
+  display_name: true,
+  tone: true,
+  perspective: true,
+  personality_traits: true,
+  base_instructions: true,
+  is_default: true
+};
+
+const GUIDELINE_COLUMNS = {
+  voice_profile_id: true,
+  guideline_category: true,
+  guideline_name: true,
+  guideline_description: true,
+  examples: true,
+  do_examples: true,
+  dont_examples: true,
+  applies_to: true,
+  priority_level: true
+};
+
+function invalidChannels(appliesTo) {
+  return (appliesTo || []).filter(channel => !CHANNELS.includes(channel));
+}
+
+// Only one profile per tenant can be the default; setting a new one clears the old
+async function clearDefaultVoiceProfile(client, tenantId, exceptId) {
+  await client.query(`
+    UPDATE voice_profiles SET is_default = FALSE
+    WHERE tenant_id = $1 AND is_default AND ($2::uuid IS NULL OR id <> $2)
+  `, [tenantId, exceptId || null]);
+}
+
+// Guidelines and phrases may only point at a profile of their own tenant
+async function voiceProfileBelongs(client, tenantId, profileId) {
+  if (!profileId) return true;
+  if (!isUuid(profileId)) return false;
+  const found = await client.query('SELECT 1 FROM voice_profiles WHERE id = $1 AND tenant_id = $2', [profileId, tenantId]);
+  return found.rowCount > 0;
+}
+
+// ENDPOINT: GET /brand/voice-profiles
+app.get('/brand/voice-profiles', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const profiles = await client.query(
+        'SELECT * FROM voice_profiles WHERE tenant_id = $1 ORDER BY is_default DESC, name',
+        [req.tenant.id]
+      );
+      res.json({ voice_profiles: profiles.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List voice profiles error:', error);
+    res.status(500).json({ error: 'Failed to list voice profiles' });
+  }
+});
+
+// ENDPOINT: GET /brand/voice-profiles/:id
+app.get('/brand/voice-profiles/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const profile = await client.query(
+        'SELECT * FROM voice_profiles WHERE id = $1 AND tenant_id = $2',
+        [req.params.id, req.tenant.id]
+      );
+      if (profile.rowCount === 0) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      res.json({ voice_profile: profile.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get voice profile error:', error);
+    res.status(500).json({ error: 'Failed to get voice profile' });
+  }
+});
+
+// ENDPOINT: POST /brand/voice-profiles
+app.post('/brand/voice-profiles', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.base_instructions) {
+      return res.status(400).json({ error: 'name and base_instructions are required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (req.body.is_default) await clearDefaultVoiceProfile(client, req.tenant.id);
+      const { columns, placeholders, values } = buildInsert(req.body, VOICE_PROFILE_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO voice_profiles (${columns}) VALUES (${placeholders}) RETURNING *
+      `, values);
+      await client.query('COMMIT');
+
+      res.status(201).json({ voice_profile: created.rows[0] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create voice profile error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A voice profile with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create voice profile' });
+  }
+});
+
+// ENDPOINT: PATCH /brand/voice-profiles/:id
+app.patch('/brand/voice-profiles/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+    const { assignments, values } = buildUpdate(req.body, VOICE_PROFILE_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(VOICE_PROFILE_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (req.body.is_default) await clearDefaultVoiceProfile(client, req.tenant.id, req.params.id);
+      const updated = await client.query(`
+        UPDATE voice_profiles SET ${assignments.join(', ')} WHERE id = $1 AND tenant_id = $2 RETURNING *
+      `, [req.params.id, req.tenant.id, ...values]);
+      await client.query('COMMIT');
+
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      res.json({ voice_profile: updated.rows[0] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update voice profile error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A voice profile with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update voice profile' });
+  }
+});
+
+// ENDPOINT: DELETE /brand/voice-profiles/:id
+app.delete('/brand/voice-profiles/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+    const client = await pool.connect();
+    try {
+      // The profile's own guidelines and forbidden phrases go with it (ON DELETE CASCADE)
+      const deleted = await client.query(
+        'DELETE FROM voice_profiles WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete voice profile error:', error);
+    res.status(500).json({ error: 'Failed to delete voice profile' });
+  }
+});
+
+// ENDPOINT: GET /brand/guidelines
+app.get('/brand/guidelines', async (req, res) => {
+  try {
+    const { voice_profile_id, applies_to, category } = req.query;
+    if (voice_profile_id && !isUuid(voice_profile_id)) {
+      return res.status(400).json({ error: 'voice_profile_id must be a UUID' });
+    }
+
+    const client = await pool.connect();
+    try {
+      // A profile's guidelines include the global ones (no profile)
+      const guidelines = await client.query(`
+        SELECT * FROM brand_guidelines
+        WHERE tenant_id = $4
+          AND ($1::uuid IS NULL OR voice_profile_id IS NULL OR voice_profile_id = $1)
+          AND ($2::text IS NULL OR applies_to IS NULL OR $2 = ANY(applies_to))
+          AND ($3::text IS NULL OR guideline_category = $3)
+        ORDER BY priority_level NULLS LAST, guideline_category, guideline_name
+      `, [voice_profile_id || null, applies_to || null, category || null, req.tenant.id]);
+
+      res.json({ guidelines: guidelines.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List guidelines error:', error);
+    res.status(500).json({ error: 'Failed to list guidelines' });
+  }
+});
+
+// ENDPOINT: POST /brand/guidelines
+app.post('/brand/guidelines', async (req, res) => {
+  try {
+    if (!req.body.guideline_name || !req.body.guideline_category) {
+      return res.status(400).json({ error: 'guideline_name and guideline_category are required' });
+    }
+    const unknownChannels = invalidChannels(req.body.applies_to);
+    if (unknownChannels.length > 0) {
+      return res.status(400).json({ error: `Unknown channels in applies_to: ${unknownChannels.join(', ')}`, allowed_channels: CHANNELS });
+    }
+
+    const client = await pool.connect();
+    try {
+      if (!await voiceProfileBelongs(client, req.tenant.id, req.body.voice_profile_id)) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      const { columns, placeholders, values } = buildInsert(req.body, GUIDELINE_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO brand_guidelines (${columns}) VALUES (${placeholders}) RETURNING *
+      `, values);
+
+      res.status(201).json({ guideline: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create guideline error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This voice profile already has a guideline with this name' });
+    }
+    if (error.code === '23503') {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+    res.status(500).json({ error: 'Failed to create guideline' });
+  }
+});
+
+// ENDPOINT: PATCH /brand/guidelines/:id
+app.patch('/brand/guidelines/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Guideline not found' });
+    }
+    const unknownChannels = invalidChannels(req.body.applies_to);
+    if (unknownChannels.length > 0) {
+      return res.status(400).json({ error: `Unknown channels in applies_to: ${unknownChannels.join(', ')}`, allowed_channels: CHANNELS });
+    }
+    const { assignments, values } = buildUpdate(req.body, GUIDELINE_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(GUIDELINE_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      if (!await voiceProfileBelongs(client, req.tenant.id, req.body.voice_profile_id)) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      const updated = await client.query(`
+        UPDATE brand_guidelines SET ${assignments.join(', ')} WHERE id = $1 AND tenant_id = $2 RETURNING *
+      `, [req.params.id, req.tenant.id, ...values]);
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'Guideline not found' });
+      }
+      res.json({ guideline: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update guideline error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This voice profile already has a guideline with this name' });
+    }
+    if (error.code === '23503') {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+    res.status(500).json({ error: 'Failed to update guideline' });
+  }
+});
+
+// ENDPOINT: DELETE /brand/guidelines/:id
+app.delete('/brand/guidelines/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Guideline not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM brand_guidelines WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Guideline not found' });
+      }
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete guideline error:', error);
+    res.status(500).json({ error: 'Failed to delete guideline' });
+  }
+});
+
+// ENDPOINT: GET /brand/forbidden-phrases
+app.get('/brand/forbidden-phrases', async (req, res) => {
+  try {
+    const { voice_profile_id } = req.query;
+    if (voice_profile_id && !isUuid(voice_profile_id)) {
+      return res.status(400).json({ error: 'voice_profile_id must be a UUID' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const phrases = await client.query(`
+        SELECT * FROM forbidden_phrases
+        WHERE tenant_id = $2 AND ($1::uuid IS NULL OR voice_profile_id IS NULL OR voice_profile_id = $1)
+        ORDER BY phrase
+      `, [voice_profile_id || null, req.tenant.id]);
+
+      res.json({ forbidden_phrases: phrases.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List forbidden phrases error:', error);
+    res.status(500).json({ error: 'Failed to list forbidden phrases' });
+  }
+});
+
+// ENDPOINT: POST /brand/forbidden-phrases
+app.post('/brand/forbidden-phrases', async (req, res) => {
+  try {
+    const { phrase, voice_profile_id, reason } = req.body;
+    if (!phrase || !String(phrase).trim()) {
+      return res.status(400).json({ error: 'phrase is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      if (!await voiceProfileBelongs(client, req.tenant.id, voice_profile_id)) {
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      const created = await client.query(`
+        INSERT INTO forbidden_phrases (phrase, voice_profile_id, reason, tenant_id)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [String(phrase).trim(), voice_profile_id || null, reason || null, req.tenant.id]);
+
+      res.status(201).json({ forbidden_phrase: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create forbidden phrase error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Phrase is already forbidden' });
+    }
+    if (error.code === '23503' || error.code === '22P02') {
+      return res.status(404).json({ error: 'Voice profile not found' });
+    }
+    res.status(500).json({ error: 'Failed to create forbidden phrase' });
+  }
+});
+
+// ENDPOINT: DELETE /brand/forbidden-phrases/:id
+app.delete('/brand/forbidden-phrases/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Forbidden phrase not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM forbidden_phrases WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Forbidden phrase not found' });
+      }
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete forbidden phrase error:', error);
+    res.status(500).json({ error: 'Failed to delete forbidden phrase' });
+  }
+});
+
+// BLOG WORKFLOW: lifecycle transitions, review comments and revision history
+
+async function findBlogPost(client, tenantId, id, { forUpdate = false } = {}) {
+  if (!isUuid(id)) return null;
+  const post = await client.query(
+    `SELECT * FROM blog_content WHERE id = $1 AND tenant_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id, tenantId]
+  );
+  return post.rows[0] || null;
+}
+
+async function findRevision(client, blogId, revisionNumber) {
+  const revision = await client.query(
+    'SELECT * FROM blog_revisions WHERE blog_content_id = $1 AND revision_number = $2',
+    [blogId, revisionNumber]
+  );
+  return revision.rows[0] || null;
+}
+
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// ENDPOINT: GET /content/blogs
+app.get('/content/blogs', async (req, res) => {
+  try {
+    const { status, topic } = req.query;
+    if (status && !BLOG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BLOG_STATUSES.join(', ')}` });
+    }
+    const { limit, offset } = parsePagination(req.query);
+
+    const client = await pool.connect();
+    try {
+      const posts = await client.query(`
+        SELECT id, title, status, primary_topic, word_count, overall_quality_score,
+               current_revision, scheduled_for, published_url, publication_date,
+               created_at, updated_at, COUNT(*) OVER() AS total
+        FROM blog_content
+        WHERE tenant_id = $5
+          AND ($1::text IS NULL OR status = $1)
+          AND ($2::text IS NULL OR primary_topic = $2)
+        ORDER BY COALESCE(updated_at, created_at) DESC
+        LIMIT $3 OFFSET $4
+      `, [status || null, topic || null, limit, offset, req.tenant.id]);
+
+      res.json({
+        blogs: posts.rows.map(({ total, ...post }) => post),
+        total: posts.rows.length ? parseInt(posts.rows[0].total, 10) : 0,
+        limit,
+        offset
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List blogs error:', error);
+    res.status(500).json({ error: 'Failed to list blog posts' });
+  }
+});
+
+// ENDPOINT: GET /content/blogs/:id
+app.get('/content/blogs/:id', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const history = await client.query(`
+        SELECT from_status, to_status, actor, comment, created_at
+        FROM blog_status_history WHERE blog_content_id = $1
+        ORDER BY created_at
+      `, [post.id]);
+      const comments = await client.query(`
+        SELECT * FROM blog_review_comments WHERE blog_content_id = $1
+        ORDER BY created_at
+      `, [post.id]);
+
+      res.json({
+        blog: post,
+        allowed_transitions: allowedTransitions(post.status),
+        editable: isEditable(post.status),
+        status_history: history.rows,
+        review_comments: comments.rows
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get blog error:', error);
+    res.status(500).json({ error: 'Failed to get blog post' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/transition
+app.post('/content/blogs/:id/transition', async (req, res) => {
+  try {
+    const { status, actor, comment, scheduled_for } = req.body;
+    if (!BLOG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BLOG_STATUSES.join(', ')}` });
+    }
+    if (status === 'scheduled' && (!scheduled_for || Number.isNaN(Date.parse(scheduled_for)))) {
+      return res.status(400).json({ error: 'scheduled_for (ISO date) is required when scheduling' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const post = await findBlogPost(client, req.tenant.id, req.params.id, { forUpdate: true });
+      if (!post) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      if (!canTransition(post.status, status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Cannot move blog post from ${post.status} to ${status}`,
+          status: post.status,
+          allowed_transitions: allowedTransitions(post.status)
+        });
+      }
+
+      const updated = await client.query(`
+        UPDATE blog_content SET
+          status = $1::varchar,
+          scheduled_for = CASE WHEN $1 = 'scheduled' THEN $2::timestamp
+                               WHEN $1 = 'published' THEN scheduled_for
+                               ELSE NULL END,
+          publication_date = CASE WHEN $1 = 'published' THEN COALESCE(publication_date, NOW())
+                                  ELSE publication_date END,
+          updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [status, scheduled_for || null, post.id]);
+      await recordStatusChange(client, post.id, post.status, status, { actor, comment });
+      await client.query('COMMIT');
+
+      res.json({
+        blog: updated.rows[0],
+        previous_status: post.status,
+        allowed_transitions: allowedTransitions(status)
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Blog transition error:', error);
+    res.status(500).json({ error: 'Failed to change blog status' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/comments
+app.post('/content/blogs/:id/comments', async (req, res) => {
+  try {
+    const { comment, author, line_number, revision_number } = req.body;
+    if (!comment || typeof comment !== 'string') {
+      return res.status(400).json({ error: 'comment is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const revision = revision_number === undefined ? post.current_revision : parseRevisionNumber(revision_number);
+      if (revision_number !== undefined && !(revision && await findRevision(client, post.id, revision))) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      const created = await client.query(`
+        INSERT INTO blog_review_comments (blog_content_id, revision_number, line_number, author, comment, tenant_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [post.id, revision, line_number || null, author || null, comment, post.tenant_id]);
+
+      res.status(201).json({ comment: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create review comment error:', error);
+    res.status(500).json({ error: 'Failed to add review comment' });
+  }
+});
+
+// ENDPOINT: PATCH /content/blogs/:id/comments/:commentId
+app.patch('/content/blogs/:id/comments/:commentId', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id) || !isUuid(req.params.commentId)) {
+      return res.status(404).json({ error: 'Review comment not found' });
+    }
+    const { assignments, values } = buildUpdate(req.body, { comment: true, resolved: true }, 3);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const updated = await client.query(`
+        UPDATE blog_review_comments SET ${assignments.join(', ')}
+        WHERE id = $1 AND blog_content_id = $2 AND tenant_id = $3
+        RETURNING *
+      `, [req.params.commentId, req.params.id, req.tenant.id, ...values]);
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'Review comment not found' });
+      }
+      res.json({ comment: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update review comment error:', error);
+    res.status(500).json({ error: 'Failed to update review comment' });
+  }
+});
+
+// ENDPOINT: GET /content/blogs/:id/revisions
+app.get('/content/blogs/:id/revisions', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const revisions = await client.query(`
+        SELECT id, revision_number, title, word_count, overall_quality_score,
+               author, change_note, restored_from, created_at
+        FROM blog_revisions WHERE blog_content_id = $1
+        ORDER BY revision_number DESC
+      `, [post.id]);
+
+      res.json({ blog_id: post.id, current_revision: post.current_revision, revisions: revisions.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({ error: 'Failed to list revisions' });
+  }
+});
+
+// ENDPOINT: GET /content/blogs/:id/revisions/:revision
+app.get('/content/blogs/:id/revisions/:revision', async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    if (!isUuid(req.params.id) || !revisionNumber) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      const revision = post && await findRevision(client, post.id, revisionNumber);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json({ revision });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Failed to get revision' });
+  }
+});
+
+// ENDPOINT: GET /content/blogs/:id/diff
+// Compares two revisions; defaults to the current revision against the one before it
+app.get('/content/blogs/:id/diff', async (req, res) => {
+  try {
+    const context = Math.min(Math.max(parseInt(req.query.context, 10) || 3, 0), 20);
+
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const to = req.query.to === undefined ? post.current_revision : parseRevisionNumber(req.query.to);
+      const from = req.query.from === undefined ? to - 1 : parseRevisionNumber(req.query.from);
+      if ((req.query.to !== undefined && !to) || (req.query.from !== undefined && !from)) {
+        return res.status(400).json({ error: 'from and to must be revision numbers' });
+      }
+      if (!to) {
+        return res.status(404).json({ error: 'Blog post has no revisions' });
+      }
+
+      const toRevision = await findRevision(client, post.id, to);
+      const fromRevision = from > 0 ? await findRevision(client, post.id, from) : null;
+      if (!toRevision || (from > 0 && !fromRevision)) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({
+        blog_id: post.id,
+        from_revision: from || null,
+        to_revision: to,
+        ...diffText(fromRevision ? fromRevision.content : '', toRevision.content, { context })
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Blog diff error:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/revisions/:revision/restore
+// Restoring never rewrites history: the old content becomes a new revision
+app.post('/content/blogs/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    const { author, change_note, voice_profile } = req.body;
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    if (!isUuid(req.params.id) || !revisionNumber) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const post = await findBlogPost(client, req.tenant.id, req.params.id, { forUpdate: true });
+      const revision = post && await findRevision(client, post.id, revisionNumber);
+      if (!revision) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: post ? 'Revision not found' : 'Blog post not found' });
+      }
+      if (!isEditable(post.status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Blog post is ${post.status} and can no longer be edited`,
+          status: post.status,
+          allowed_transitions: allowedTransitions(post.status)
+        });
+      }
+
+      const quality = await analyzeBlogQuality(client, req.tenant.id, revision.content, voice_profile);
+      if (!quality) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Voice profile not found' });
+      }
+      const { scores } = quality;
+      await client.query(`
+        UPDATE blog_content SET
+          title = $1, content = $2, word_count = $3, estimated_read_time = $4,
+          brand_voice_score = $5, industry_relevance_score = $6, overall_quality_score = $7,
+          readability_score = $8, quality_report = $9, updated_at = NOW()
+        WHERE id = $10
+      `, [
+        revision.title, revision.content, quality.word_count, Math.ceil(quality.word_count / 200),
+        scores.brand_voice_score, scores.industry_relevance_score, scores.overall_quality_score,
+        scores.readability_score, JSON.stringify(quality), post.id
+      ]);
+      const restored = await saveBlogRevision(client, post.id, {
+        title: revision.title,
+        content: revision.content,
+        word_count: quality.word_count,
+        overall_quality_score: scores.overall_quality_score,
+        author,
+        change_note: change_note || `Restored revision ${revisionNumber}`,
+        restored_from: revisionNumber
+      });
+      await client.query('COMMIT');
+
+      res.json({ blog_id: post.id, restored_from: revisionNumber, revision: restored, quality_assessment: scores });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// PERFORMANCE ANALYTICS: metrics ingestion and reports
+
+// Default look-back for the baseline a report is compared against
+const BASELINE_DAYS = 90;
+
+// from/to query parameters; a bare date for `to` includes that whole day
+function parseDateRange(query, { defaultDays = 30 } = {}) {
+  const to = query.to
+    ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? Date.parse(query.to) + DAY_MS : Date.parse(query.to))
+    : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return null;
+  if (from >= to) return null;
+  return { from, to };
+}
+
+// ENDPOINT: POST /analytics/metrics
+// Cumulative metrics snapshots for one post; re-sending a snapshot for the
+// same platform and time replaces it
+app.post('/analytics/metrics', async (req, res) => {
+  try {
+    const { blog_id } = req.body;
+    const points = Array.isArray(req.body.metrics) ? req.body.metrics : null;
+    if (!points || points.length === 0) {
+      return res.status(400).json({ error: 'metrics must be a non-empty array' });
+    }
+    const errors = points
+      .map((point, index) => ({ index, error: validateMetricPoint(point) }))
+      .filter(item => item.error);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid metrics', details: errors });
+    }
+    if (!isUuid(blog_id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const post = await client.query('SELECT id FROM blog_content WHERE id = $1 AND tenant_id = $2', [blog_id, req.tenant.id]);
+      if (post.rowCount === 0) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+
+      await client.query('BEGIN');
+      const stored = [];
+      for (const point of points) {
+        const row = await client.query(`
+          INSERT INTO publication_metrics (
+            tenant_id, blog_content_id, platform, recorded_at, ${METRIC_FIELDS.join(', ')}
+          ) VALUES ($1, $2, $3, COALESCE($4::timestamp, NOW()), ${METRIC_FIELDS.map((field, i) => `$${i + 5}`).join(', ')})
+          ON CONFLICT (blog_content_id, platform, recorded_at) DO UPDATE SET
+            ${METRIC_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ')}
+          RETURNING *
+        `, [req.tenant.id, blog_id, point.platform, point.recorded_at || null, ...METRIC_FIELDS.map(field => point[field] || 0)]);
+        stored.push(row.rows[0]);
+      }
+      await client.query('COMMIT');
+
+      res.status(201).json({ blog_id, ingested: stored.length, metrics: stored });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Ingest metrics error:', error);
+    res.status(500).json({ error: 'Failed to ingest metrics' });
+  }
+});
+
+// ENDPOINT: GET /analytics/publications/:id/metrics
+app.get('/analytics/publications/:id/metrics', async (req, res) => {
+  try {
+    const { platform } = req.query;
+    if (platform && !PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of: ${PLATFORMS.join(', ')}` });
+    }
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const post = await client.query(
+        'SELECT id, title, primary_topic, primary_theme, publication_date FROM blog_content WHERE id = $1 AND tenant_id = $2',
+        [req.params.id, req.tenant.id]
+      );
+      if (post.rowCount === 0) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const points = await client.query(`
+        SELECT platform, recorded_at, ${METRIC_FIELDS.join(', ')}
+        FROM publication_metrics
+        WHERE blog_content_id = $1 AND ($2::text IS NULL OR platform = $2)
+        ORDER BY platform, recorded_at
+      `, [req.params.id, platform || null]);
+
+      const series = {};
+      for (const { platform: name, ...point } of points.rows) {
+        (series[name] = series[name] || []).push(point);
+      }
+      res.json({ blog: post.rows[0], series });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get publication metrics error:', error);
+    res.status(500).json({ error: 'Failed to get publication metrics' });
+  }
+});
+
+// ENDPOINT: GET /analytics/report
+// Performance over a date range grouped by post, topic, primary_theme or
+// platform, each group compared with the per-post baseline of the
+// preceding baseline_days
+app.get('/analytics/report', async (req, res) => {
+  try {
+    const groupBy = req.query.group_by || 'post';
+    if (!GROUP_BY[groupBy]) {
+      return res.status(400).json({ error: `group_by must be one of: ${Object.keys(GROUP_BY).join(', ')}` });
+    }
+    const { platform } = req.query;
+    if (platform && !PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of: ${PLATFORMS.join(', ')}` });
+    }
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ error: 'from and to must be ISO dates with from before to' });
+    }
+    const baselineDays = Math.min(Math.max(parseInt(req.query.baseline_days, 10) || BASELINE_DAYS, 1), 365);
+    const baselineRange = { from: new Date(range.from.getTime() - baselineDays * DAY_MS), to: range.from };
+
+    const client = await pool.connect();
+    try {
+      const rows = await loadPerformance(client, { tenantId: req.tenant.id, ...range, platform: platform || null });
+      const baselineRows = await loadPerformance(client, { tenantId: req.tenant.id, ...baselineRange, platform: platform || null });
+      const report = buildReport(rows, baselineRows, groupBy);
+
+      res.json({
+        group_by: groupBy,
+        range,
+        baseline_range: { ...baselineRange, days: baselineDays },
+        platform: platform || null,
+        ...report
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Analytics report error:', error);
+    res.status(500).json({ error: 'Failed to build analytics report' });
+  }
+});
+
+// BACKGROUND JOBS: publication check-ins, trend recomputation and draft cleanup
+
+// Performance check-ins after a post is published
+const CHECK_INS = [
+  { check_type: '24h', delay_ms: DAY_MS },
+  { check_type: '7d', delay_ms: 7 * DAY_MS },
+  { check_type: '30d', delay_ms: 30 * DAY_MS }
+];
+
+const TREND_RECOMPUTE_INTERVAL_MS = (Number(process.env.TREND_RECOMPUTE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const DRAFT_RETENTION_DAYS = Number(process.env.DRAFT_RETENTION_DAYS) || 30;
+
+// Queues the check-ins a post doesn't have yet and returns all of them
+async function scheduleCheckIns(client, tenantId, blogId, publishedAt) {
+  const existing = await client.query(`
+    SELECT id, payload->>'check_type' AS check_type, run_at, status
+    FROM jobs
+    WHERE type = 'publication_checkin' AND payload->>'blog_id' = $1 AND status <> 'cancelled'
+  `, [blogId]);
+  const scheduled = new Map(existing.rows.map(job => [job.check_type, job]));
+
+  for (const { check_type, delay_ms } of CHECK_INS) {
+    if (scheduled.has(check_type)) continue;
+    const job = await enqueueJob(client, 'publication_checkin', { blog_id: blogId, check_type }, {
+      runAt: new Date(publishedAt.getTime() + delay_ms),
+      dedupeKey: `checkin:${blogId}:${check_type}`,
+      tenantId
+    });
+    if (job) scheduled.set(check_type, job);
+  }
+
+  return CHECK_INS
+    .filter(({ check_type }) => scheduled.has(check_type))
+    .map(({ check_type }) => {
+      const job = scheduled.get(check_type);
+      return { check_type, job_id: job.id, scheduled_time: job.run_at, status: job.status };
+    });
+}
+
+async function recomputeTrends(client, tenantId) {
+  const trends = await client.query('SELECT * FROM industry_trends WHERE tenant_id = $1', [tenantId]);
+  const articles = await client.query(`
+    SELECT title, processed_date >= NOW() - INTERVAL '30 days' AS recent
+    FROM processed_articles
+    WHERE tenant_id = $1 AND processed_date >= NOW() - INTERVAL '60 days'
+  `, [tenantId]);
+  const recent = articles.rows.filter(article => article.recent);
+  const previous = articles.rows.filter(article => !article.recent);
+  const mentions = list => new Map(matchTrends(trends.rows, list).map(trend => [
+    trend.topic,
+    new Set(trend.evidence.map(item => item.article_index)).size
+  ]));
+  const recentMentions = mentions(recent);
+  const previousMentions = mentions(previous);
+
+  const updated = [];
+  for (const trend of trends.rows) {
+    const now = recentMentions.get(trend.topic) || 0;
+    const before = previousMentions.get(trend.topic) || 0;
+    const momentum = Math.round((now - before) / Math.max(before, 1) * 100) / 100;
+    await client.query(`
+      UPDATE industry_trends
+      SET recent_mentions = $1, previous_mentions = $2, mention_momentum = $3, recomputed_at = NOW()
+      WHERE id = $4
+    `, [now, before, momentum, trend.id]);
+    updated.push({ topic: trend.topic, recent_mentions: now, previous_mentions: before, mention_momentum: momentum });
+  }
+  return { articles_considered: articles.rowCount, trends: updated };
+}
+
+const jobHandlers = {
+  // Measures a post over its check-in window (publication until 24h, 7d or
+  // 30d later) against the recent per-post baseline
+  publication_checkin: {
+    async run({ blog_id, check_type }, job) {
+      const client = await pool.connect();
+      try {
+        const post = await client.query(`
+          SELECT id, tenant_id, title, status, publication_date, created_at FROM blog_content
+          WHERE id = $1 AND ($2::uuid IS NULL OR tenant_id = $2)
+        `, [blog_id, job.tenant_id || null]);
+        if (post.rowCount === 0) return { skipped: 'Blog post no longer exists' };
+        const tenantId = post.rows[0].tenant_id;
+
+        const now = new Date();
+        const since = post.rows[0].publication_date || post.rows[0].created_at;
+        const window = CHECK_INS.find(checkIn => checkIn.check_type === check_type);
+        const until = window ? new Date(Math.min(now.getTime(), since.getTime() + window.delay_ms)) : now;
+        const performance = summarize(await loadPerformance(client, { tenantId, from: since, to: until, blogId: blog_id }));
+        const baseline = summarize(await loadPerformance(client, {
+          tenantId,
+          from: new Date(now.getTime() - BASELINE_DAYS * DAY_MS),
+          to: now
+        }));
+
+        return {
+          blog_id,
+          title: post.rows[0].title,
+          check_type,
+          measured_from: since,
+          measured_to: until,
+          totals: performance.totals,
+          baseline_per_post: baseline.posts ? baseline.per_post : null,
+          baseline_comparison: compareToBaseline(performance.totals, baseline)
+        };
+      } finally {
+        client.release();
+      }
+    }
+  },
+
+  // How often each trend's keywords showed up in the last 30 days of the
+  // tenant's processed articles, compared with the 30 days before. Runs for
+  // the job's tenant, or for every tenant when the job has none.
+  recompute_trends: {
+    repeatEveryMs: TREND_RECOMPUTE_INTERVAL_MS,
+    async run(payload, job) {
+      const client = await pool.connect();
+      try {
+        const tenantIds = job.tenant_id
+          ? [job.tenant_id]
+          : (await client.query('SELECT id FROM tenants ORDER BY created_at')).rows.map(tenant => tenant.id);
+        const results = [];
+        for (const tenantId of tenantIds) {
+          results.push({ tenant_id: tenantId, ...await recomputeTrends(client, tenantId) });
+        }
+        return { tenants: results };
+      } finally {
+        client.release();
+      }
+    }
+  },
+
+  // Archives drafts nobody has touched in DRAFT_RETENTION_DAYS, for the
+  // job's tenant or for every tenant
+  cleanup_drafts: {
+    repeatEveryMs: DAY_MS,
+    async run(payload, job) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const archived = await client.query(`
+          UPDATE blog_content SET status = 'archived', updated_at = NOW()
+          WHERE status = 'draft'
+            AND ($2::uuid IS NULL OR tenant_id = $2)
+            AND COALESCE(updated_at, created_at) < NOW() - ($1 * INTERVAL '1 day')
+          RETURNING id, title
+        `, [DRAFT_RETENTION_DAYS, job.tenant_id || null]);
+        for (const post of archived.rows) {
+          await recordStatusChange(client, post.id, 'draft', 'archived', {
+            actor: 'system:cleanup_drafts',
+            comment: `No changes in ${DRAFT_RETENTION_DAYS} days`
+          });
+        }
+        await client.query('COMMIT');
+        return { retention_days: DRAFT_RETENTION_DAYS, archived: archived.rows };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+  }
+};
+
+const jobQueue = createJobQueue(pool, { handlers: jobHandlers });
+
+// ENDPOINT: GET /jobs
+app.get('/jobs', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const { limit, offset } = parsePagination(req.query);
+
+    const client = await pool.connect();
+    try {
+      const visible = visibleTo(req, 5);
+      const jobs = await client.query(`
+        SELECT *, COUNT(*) OVER() AS total FROM jobs
+        WHERE ${visible.condition}
+          AND ($1::text IS NULL OR status = $1)
+          AND ($2::text IS NULL OR type = $2)
+        ORDER BY run_at DESC
+        LIMIT $3 OFFSET $4
+      `, [status || null, type || null, limit, offset, ...visible.params]);
+
+      res.json({
+        jobs: jobs.rows.map(({ total, ...job }) => job),
+        total: jobs.rows.length ? parseInt(jobs.rows[0].total, 10) : 0,
+        limit,
+        offset
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// ENDPOINT: GET /jobs/:id
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const visible = visibleTo(req, 2);
+      const job = await client.query(`SELECT * FROM jobs WHERE id = $1 AND ${visible.condition}`, [req.params.id, ...visible.params]);
+      if (job.rowCount === 0) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      res.json({ job: job.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// ENDPOINT: POST /jobs
+// Queue a job by hand, e.g. to recompute trends now; it runs for the
+// request's tenant only
+app.post('/jobs', async (req, res) => {
+  try {
+    const { type, payload = {}, run_at, max_attempts } = req.body;
+    if (!jobHandlers[type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(jobHandlers).join(', ')}` });
+    }
+    if (run_at !== undefined && Number.isNaN(Date.parse(run_at))) {
+      return res.status(400).json({ error: 'run_at must be an ISO date' });
+    }
+
+    const job = await enqueueJob(pool, type, payload, { runAt: run_at, maxAttempts: max_attempts, tenantId: req.tenant.id });
+    res.status(201).json({ job });
+
+  } catch (error) {
+    console.error('Create job error:', error);
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+// ENDPOINT: POST /jobs/:id/cancel
+app.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const visible = visibleTo(req, 2);
+      const cancelled = await client.query(`
+        UPDATE jobs SET status = 'cancelled', updated_at = NOW()
+        WHERE id = $1 AND status = 'pending' AND ${visible.condition}
+        RETURNING *
+      `, [req.params.id, ...visible.params]);
+      if (cancelled.rowCount === 0) {
+        const job = await client.query(`SELECT status FROM jobs WHERE id = $1 AND ${visible.condition}`, [req.params.id, ...visible.params]);
+        if (job.rowCount === 0) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        return res.status(409).json({ error: `Only pending jobs can be cancelled; this one is ${job.rows[0].status}` });
+      }
+      res.json({ job: cancelled.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// ENDPOINT: POST /jobs/:id/rerun
+// Queues a fresh copy of a finished job; the original keeps its history
+app.post('/jobs/:id/rerun', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const visible = visibleTo(req, 2);
+      const original = await client.query(`SELECT * FROM jobs WHERE id = $1 AND ${visible.condition}`, [req.params.id, ...visible.params]);
+      if (original.rowCount === 0) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      const job = original.rows[0];
+      if (job.status === 'pending' || job.status === 'running') {
+        return res.status(409).json({ error: `Job is ${job.status}; only finished jobs can be rerun` });
+      }
+
+      const rerun = await client.query(`
+        INSERT INTO jobs (type, payload, max_attempts, rerun_of, tenant_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [job.type, JSON.stringify(job.payload), job.max_attempts, job.id, job.tenant_id]);
+      res.status(201).json({ job: rerun.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Rerun job error:', error);
+    res.status(500).json({ error: 'Failed to rerun job' });
+  }
+});
+
+// SOCIAL POST REVIEW: edit, approve or reject generated posts before publishing
+
+// Posts that can still change; published and superseded ones are history
+const REVIEWABLE_SOCIAL_STATUSES = ['pending_review', 'approved', 'rejected'];
+
+async function findSocialPost(client, tenantId, id) {
+  if (!isUuid(id)) return null;
+  const post = await client.query('SELECT * FROM social_posts WHERE id = $1 AND tenant_id = $2', [id, tenantId]);
+  return post.rows[0] || null;
+}
+
+function notReviewable(res, post) {
+  return res.status(409).json({ error: `Social post is ${post.status} and can no longer be changed` });
+}
+
+// ENDPOINT: GET /social/posts
+app.get('/social/posts', async (req, res) => {
+  try {
+    const { blog_id, platform, status } = req.query;
+    if (blog_id && !isUuid(blog_id)) {
+      return res.status(400).json({ error: 'blog_id must be a UUID' });
+    }
+    const { limit, offset } = parsePagination(req.query);
+
+    const client = await pool.connect();
+    try {
+      const posts = await client.query(`
+        SELECT *, COUNT(*) OVER() AS total FROM social_posts
+        WHERE tenant_id = $6
+          AND ($1::uuid IS NULL OR blog_content_id = $1)
+          AND ($2::text IS NULL OR platform = $2)
+          AND ($3::text IS NULL OR status = $3)
+        ORDER BY created_at DESC, platform
+        LIMIT $4 OFFSET $5
+      `, [blog_id || null, platform || null, status || null, limit, offset, req.tenant.id]);
+
+      res.json({
+        posts: posts.rows.map(({ total, ...post }) => post),
+        total: posts.rows.length ? parseInt(posts.rows[0].total, 10) : 0,
+        limit,
+        offset
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List social posts error:', error);
+    res.status(500).json({ error: 'Failed to list social posts' });
+  }
+});
+
+// ENDPOINT: GET /social/posts/:id
+app.get('/social/posts/:id', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const post = await findSocialPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Social post not found' });
+      }
+      res.json({ post });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get social post error:', error);
+    res.status(500).json({ error: 'Failed to get social post' });
+  }
+});
+
+// ENDPOINT: PATCH /social/posts/:id
+// An edit is revalidated and goes back to review
+app.patch('/social/posts/:id', async (req, res) => {
+  try {
+    const { text, edited_by } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text must be a non-empty string' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const post = await findSocialPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Social post not found' });
+      }
+      if (!REVIEWABLE_SOCIAL_STATUSES.includes(post.status)) {
+        return notReviewable(res, post);
+      }
+
+      const blog = await client.query('SELECT published_url FROM blog_content WHERE id = $1', [post.blog_content_id]);
+      const prepared = preparePost(post.platform, text.trim(), { blogUrl: req.body.blog_url || blog.rows[0]?.published_url });
+      const updated = await client.query(`
+        UPDATE social_posts SET
+          text = $1, thread = $2, validation = $3, status = 'pending_review', edited_by = $4,
+          reviewed_by = NULL, reviewed_at = NULL, review_note = NULL, updated_at = NOW()
+        WHERE id = $5
+        RETURNING *
+      `, [prepared.text, prepared.thread, JSON.stringify(prepared.validation), edited_by || null, post.id]);
+
+      res.json({ post: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update social post error:', error);
+    res.status(500).json({ error: 'Failed to update social post' });
+  }
+});
+
+// ENDPOINT: POST /social/posts/:id/approve
+app.post('/social/posts/:id/approve', async (req, res) => {
+  try {
+    const { reviewed_by, note } = req.body;
+    const client = await pool.connect();
+    try {
+      const post = await findSocialPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Social post not found' });
+      }
+      if (!REVIEWABLE_SOCIAL_STATUSES.includes(post.status)) {
+        return notReviewable(res, post);
+      }
+      if (post.validation && post.validation.valid === false) {
+        return res.status(409).json({
+          error: 'Social post breaks platform rules; edit it before approving',
+          issues: post.validation.issues
+        });
+      }
+
+      const approved = await client.query(`
+        UPDATE social_posts SET status = 'approved', reviewed_by = $1, review_note = $2,
+                                reviewed_at = NOW(), updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [reviewed_by || null, note || null, post.id]);
+      res.json({ post: approved.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Approve social post error:', error);
+    res.status(500).json({ error: 'Failed to approve social post' });
+  }
+});
+
+// ENDPOINT: POST /social/posts/:id/reject
+app.post('/social/posts/:id/reject', async (req, res) => {
+  try {
+    const { reviewed_by, note } = req.body;
+    const client = await pool.connect();
+    try {
+      const post = await findSocialPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Social post not found' });
+      }
+      if (!REVIEWABLE_SOCIAL_STATUSES.includes(post.status)) {
+        return notReviewable(res, post);
+      }
+
+      const rejected = await client.query(`
+        UPDATE social_posts SET status = 'rejected', reviewed_by = $1, review_note = $2,
+                                reviewed_at = NOW(), updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [reviewed_by || null, note || null, post.id]);
+      res.json({ post: rejected.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Reject social post error:', error);
+    res.status(500).json({ error: 'Failed to reject social post' });
+  }
+});
+
+// ENDPOINT: GET /social/posting-schedule
+// Best weekday and hour slots per platform from past engagement, in the
+// audience's time zone
+app.get('/social/posting-schedule', async (req, res) => {
+  try {
+    const timezone = req.query.timezone || AUDIENCE_TIMEZONE;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as America/New_York' });
+    }
+    const platforms = requestedSocialPlatforms(parseList(req.query.platforms));
+    if (platforms.length === 0) {
+      return res.status(400).json({ error: `platforms must include at least one of: ${SOCIAL_PLATFORMS.join(', ')}` });
+    }
+    const minSamples = Math.min(Math.max(parseInt(req.query.min_samples, 10) || POSTING_SCHEDULE_MIN_SAMPLES, 1), 1000);
+    const slots = Math.min(Math.max(parseInt(req.query.slots, 10) || 3, 1), 10);
+
+    const client = await pool.connect();
+    try {
+      const schedule = await postingSchedule(client, req.tenant.id, { timeZone: timezone, platforms, minSamples, slots });
+      res.json({ timezone, min_samples: minSamples, platforms: schedule });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Posting schedule error:', error);
+    res.status(500).json({ error: 'Failed to build posting schedule' });
+  }
+});
+
+// BLOG IMAGES: the creative that goes out with each post, per platform variant
+
+// ENDPOINT: GET /content/blogs/:id/images
+app.get('/content/blogs/:id/images', async (req, res) => {
+  try {
+    const { variant } = req.query;
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const images = await client.query(`
+        SELECT * FROM blog_images
+        WHERE blog_content_id = $1 AND ($2::text IS NULL OR variant = $2)
+        ORDER BY variant, created_at DESC
+      `, [post.id, variant || null]);
+      res.json({ images: images.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List blog images error:', error);
+    res.status(500).json({ error: 'Failed to list blog images' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/images
+app.post('/content/blogs/:id/images', async (req, res) => {
+  try {
+    const { image, error } = prepareImage(req.body.variant, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const stored = await insertBlogImage(client, post.id, image);
+      if (!stored) {
+        return res.status(409).json({ error: `This image is already attached to the post as ${image.variant}` });
+      }
+      res.status(201).json({ image: stored });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Attach blog image error:', error);
+    res.status(500).json({ error: 'Failed to attach blog image' });
+  }
+});
+
+// ENDPOINT: DELETE /content/blogs/:id/images/:imageId
+app.delete('/content/blogs/:id/images/:imageId', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id) || !isUuid(req.params.imageId)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM blog_images WHERE id = $1 AND blog_content_id = $2 AND tenant_id = $3 RETURNING id',
+        [req.params.imageId, req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      res.json({ deleted: true, id: req.params.imageId });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete blog image error:', error);
+    res.status(500).json({ error: 'Failed to delete blog image' });
+  }
+});
+
+// API KEYS: issue, rotate and revoke the keys clients authenticate with
+
+// Scopes as given, or an error message
+function checkScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` };
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}; use ${SCOPES.join(', ')}` };
+  }
+  return { scopes: [...new Set(scopes)] };
+}
+
+// Stores a new key and returns the stored row; the key itself is only in
+// the returned `key`
+async function insertApiKey(client, fields) {
+  const { key, prefix, hash } = generateKey();
+  const inserted = await client.query(`
+    INSERT INTO api_keys (
+      name, key_prefix, key_hash, scopes, rate_limit_per_minute, rate_limit_burst,
+      daily_llm_quota, created_by, expires_at, rotated_from, tenant_id, platform
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING ${PUBLIC_KEY_COLUMNS}
+  `, [
+    fields.name,
+    prefix,
+    hash,
+    fields.scopes,
+    fields.rate_limit_per_minute,
+    fields.rate_limit_burst,
+    fields.daily_llm_quota,
+    fields.created_by,
+    fields.expires_at,
+    fields.rotated_from || null,
+    fields.platform ? null : fields.tenant_id,
+    Boolean(fields.platform)
+  ]);
+  return { api_key: inserted.rows[0], key };
+}
+
+// ENDPOINT: GET /admin/api-keys
+// The tenant's keys; platform keys also see the other platform keys
+app.get('/admin/api-keys', async (req, res) => {
+  try {
+    const includeRevoked = req.query.include_revoked === 'true';
+    const { limit, offset } = parsePagination(req.query);
+
+    const client = await pool.connect();
+    try {
+      const visible = visibleTo(req, 4);
+      const keys = await client.query(`
+        SELECT ${PUBLIC_KEY_COLUMNS},
+          COALESCE((
+            SELECT llm_calls FROM api_key_usage
+            WHERE api_key_id = api_keys.id AND day = (NOW() AT TIME ZONE 'UTC')::date
+          ), 0) AS llm_calls_today,
+          COUNT(*) OVER() AS total
+        FROM api_keys
+        WHERE ${visible.condition} AND ($1 OR revoked_at IS NULL)
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [includeRevoked, limit, offset, ...visible.params]);
+
+      res.json({
+        api_keys: keys.rows.map(({ total, ...key }) => key),
+        total: keys.rows.length ? parseInt(keys.rows[0].total, 10) : 0,
+        limit,
+        offset
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// ENDPOINT: POST /admin/api-keys
+// The key is in the response once and can't be recovered afterwards. It
+// belongs to the request's tenant unless a platform key asks for a platform key.
+app.post('/admin/api-keys', async (req, res) => {
+  try {
+    const {
+      name,
+      rate_limit_per_minute = 60,
+      rate_limit_burst = 20,
+      daily_llm_quota = 100,
+      expires_at = null,
+      platform = false
+    } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (platform && !isPlatformPrincipal(req.principal)) {
+      return res.status(403).json({ error: 'Only platform API keys can issue platform keys' });
+    }
+    const { scopes, error } = checkScopes(req.body.scopes);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!(rate_limit_per_minute >= 1) || !(rate_limit_burst >= 1)) {
+      return res.status(400).json({ error: 'rate_limit_per_minute and rate_limit_burst must be at least 1' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const issued = await insertApiKey(client, {
+        name,
+        scopes,
+        rate_limit_per_minute,
+        rate_limit_burst,
+        daily_llm_quota,
+        created_by: req.principal.name,
+        expires_at,
+        tenant_id: req.tenant.id,
+        platform
+      });
+      res.status(201).json(issued);
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// ENDPOINT: POST /admin/api-keys/:id/rotate
+// Issues a replacement with the same settings. The old key stops working now,
+// or after grace_period_minutes so clients can switch over.
+app.post('/admin/api-keys/:id/rotate', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const { grace_period_minutes = 0 } = req.body;
+    if (!(grace_period_minutes >= 0)) {
+      return res.status(400).json({ error: 'grace_period_minutes must be 0 or more' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      try {
+        const visible = visibleTo(req, 2);
+        const found = await client.query(`
+          SELECT ${PUBLIC_KEY_COLUMNS} FROM api_keys WHERE id = $1 AND ${visible.condition} FOR UPDATE
+        `, [req.params.id, ...visible.params]);
+        const old = found.rows[0];
+        if (!old) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'API key not found' });
+        }
+        if (old.revoked_at || (old.expires_at && old.expires_at <= new Date())) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Revoked or expired keys can\'t be rotated; issue a new key instead' });
+        }
+
+        const issued = await insertApiKey(client, {
+          ...old,
+          created_by: req.principal.name,
+          rotated_from: old.id
+        });
+        const retired = grace_period_minutes > 0
+          ? await client.query(`
+              UPDATE api_keys SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + $2 * INTERVAL '1 minute')
+              WHERE id = $1 RETURNING ${PUBLIC_KEY_COLUMNS}
+            `, [old.id, grace_period_minutes])
+          : await client.query(`
+              UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 RETURNING ${PUBLIC_KEY_COLUMNS}
+            `, [old.id]);
+        await client.query('COMMIT');
+
+        res.status(201).json({ ...issued, previous_key: retired.rows[0] });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// ENDPOINT: POST /admin/api-keys/:id/revoke
+app.post('/admin/api-keys/:id/revoke', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const visible = visibleTo(req, 2);
+      const revoked = await client.query(`
+        UPDATE api_keys SET revoked_at = NOW()
+        WHERE id = $1 AND revoked_at IS NULL AND ${visible.condition}
+        RETURNING ${PUBLIC_KEY_COLUMNS}
+      `, [req.params.id, ...visible.params]);
+      if (revoked.rowCount === 0) {
+        const key = await client.query(`SELECT revoked_at FROM api_keys WHERE id = $1 AND ${visible.condition}`, [req.params.id, ...visible.params]);
+        if (key.rowCount === 0) {
+          return res.status(404).json({ error: 'API key not found' });
+        }
+        return res.status(409).json({ error: 'API key is already revoked' });
+      }
+      auth.limiter.reset(req.params.id);
+      res.json({ api_key: revoked.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// TENANTS: the restaurant groups this deployment serves (platform keys only)
+
+// An error message for invalid tenant fields, or null
+function checkTenantFields(body) {
+  if (body.slug !== undefined && !SLUG_PATTERN.test(body.slug)) {
+    return 'slug must be lowercase letters, digits and dashes (up to 63), starting with a letter or digit';
+  }
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'name must not be empty';
+  }
+  if (body.brand_colors !== undefined) {
+    const error = validateBrandColors(body.brand_colors);
+    if (error) return error;
+  }
+  if (body.social_hashtags !== undefined) {
+    const error = validateHashtags(body.social_hashtags);
+    if (error) return error;
+  }
+  return null;
+}
+
+// ENDPOINT: GET /admin/tenants
+app.get('/admin/tenants', async (req, res) => {
+  try {
+    const { limit, offset } = parsePagination(req.query);
+    const client = await pool.connect();
+    try {
+      const found = await client.query(`
+        SELECT *, COUNT(*) OVER() AS total FROM tenants
+        ORDER BY slug
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+
+      res.json({
+        tenants: found.rows.map(({ total, ...tenant }) => tenant),
+        total: found.rows.length ? parseInt(found.rows[0].total, 10) : 0,
+        limit,
+        offset
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List tenants error:', error);
+    res.status(500).json({ error: 'Failed to list tenants' });
+  }
+});
+
+// ENDPOINT: GET /admin/tenants/:id
+// By ID or slug
+app.get('/admin/tenants/:id', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const tenant = await findTenant(client, req.params.id);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      res.json({ tenant });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get tenant error:', error);
+    res.status(500).json({ error: 'Failed to get tenant' });
+  }
+});
+
+// ENDPOINT: POST /admin/tenants
+app.post('/admin/tenants', async (req, res) => {
+  try {
+    if (!req.body.slug || !req.body.name) {
+      return res.status(400).json({ error: 'slug and name are required' });
+    }
+    const invalid = checkTenantFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { columns, placeholders, values } = buildInsert(req.body, TENANT_COLUMNS);
+      const created = await client.query(`
+        INSERT INTO tenants (${columns}) VALUES (${placeholders}) RETURNING *
+      `, values);
+
+      res.status(201).json({ tenant: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create tenant error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A tenant with this slug already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create tenant' });
+  }
+});
+
+// ENDPOINT: PATCH /admin/tenants/:id
+// brand_colors and social_hashtags replace the stored overrides as a whole
+app.patch('/admin/tenants/:id', async (req, res) => {
+  try {
+    const invalid = checkTenantFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const { assignments, values } = buildUpdate(req.body, TENANT_COLUMNS, 1);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(TENANT_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      const tenant = await findTenant(client, req.params.id);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      if (req.body.slug !== undefined && req.body.slug !== tenant.slug && tenant.slug === tenants.defaultTenant) {
+        return res.status(409).json({ error: `The ${tenant.slug} tenant can't be renamed; set DEFAULT_TENANT first` });
+      }
+      const updated = await client.query(`
+        UPDATE tenants SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *
+      `, [tenant.id, ...values]);
+
+      res.json({ tenant: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update tenant error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A tenant with this slug already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update tenant' });
+  }
+});
+
+// ENDPOINT: DELETE /admin/tenants/:id
+// Deletes everything the tenant owns, its API keys included (ON DELETE CASCADE)
+app.delete('/admin/tenants/:id', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const tenant = await findTenant(client, req.params.id);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      if (tenant.slug === tenants.defaultTenant) {
+        return res.status(409).json({ error: `The ${tenant.slug} tenant serves platform keys and can't be deleted` });
+      }
+      await client.query('DELETE FROM tenants WHERE id = $1', [tenant.id]);
+
+      res.json({ deleted: true, id: tenant.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete tenant error:', error);
+    res.status(500).json({ error: 'Failed to delete tenant' });
+  }
+});
+
+// NEWS SOURCES: RSS and Atom feeds that supply candidate articles
+
+const SOURCE_COLUMNS = {
+  name: true,
+  feed_url: true,
+  topic: true,
+  enabled: true
+};
+
+// An error message for a feed URL the server won't fetch, or null. Internal
+// addresses are refused here and again on every fetch (see lib/feeds.js).
+async function checkFeedUrl(feedUrl) {
+  const refused = await checkFeedTarget(feedUrl, { unresolved: 'allow' });
+  return refused && `feed_url ${refused}`;
+}
+
+// Fetches and parses one source. Conditional requests send the stored ETag
+// and Last-Modified, so an unchanged feed comes back as not_modified.
+async function fetchSource(source, { conditional }) {
+  try {
+    const fetched = await feedFetcher.fetch(
+      source.feed_url,
+      conditional ? { etag: source.etag, lastModified: source.last_modified } : {}
+    );
+    if (fetched.notModified) {
+      return { status: 'not_modified', http_status: fetched.status, articles: [], etag: fetched.etag, lastModified: fetched.lastModified };
+    }
+    const feed = parseFeed(fetched.body, { baseUrl: source.feed_url });
+    return {
+      status: 'ok',
+      http_status: fetched.status,
+      feed_title: feed.title,
+      articles: toArticles(feed.items, source),
+      etag: fetched.etag,
+      lastModified: fetched.lastModified
+    };
+  } catch (error) {
+    return { status: 'error', http_status: error.status || null, error: error.message, articles: [] };
+  }
+}
+
+// Stores the outcome of a fetch; the validators only when `saveValidators`,
+// so that a preview doesn't hide the items from the next real fetch
+async function recordFetch(client, source, result, { saveValidators }) {
+  const updated = await client.query(`
+    UPDATE news_sources SET
+      last_fetched_at = NOW(),
+      last_status = $2::text,
+      last_http_status = $3,
+      last_error = $4,
+      last_item_count = $5,
+      last_success_at = CASE WHEN $2::text = 'error' THEN last_success_at ELSE NOW() END,
+      consecutive_failures = CASE WHEN $2::text = 'error' THEN consecutive_failures + 1 ELSE 0 END,
+      feed_title = COALESCE($6, feed_title),
+      etag = CASE WHEN $7 AND $2::text = 'ok' THEN $8 ELSE etag END,
+      last_modified = CASE WHEN $7 AND $2::text = 'ok' THEN $9 ELSE last_modified END,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    source.id,
+    result.status,
+    result.http_status,
+    result.error || null,
+    result.status === 'ok' ? result.articles.length : null,
+    result.feed_title ? result.feed_title.slice(0, 500) : null,
+    saveValidators,
+    result.etag || null,
+    result.lastModified || null
+  ]);
+  return updated.rows[0];
+}
+
+// ENDPOINT: GET /knowledge/sources
+app.get('/knowledge/sources', async (req, res) => {
+  try {
+    const { topic } = req.query;
+    const enabled = req.query.enabled === undefined ? null : String(req.query.enabled) === 'true';
+    const { limit, offset } = parsePagination(req.query);
+
+    const client = await pool.connect();
+    try {
+      const sources = await client.query(`
+        SELECT *, COUNT(*) OVER() AS total FROM news_sources
+        WHERE tenant_id = $1
+          AND ($2::text IS NULL OR topic = $2)
+          AND ($3::boolean IS NULL OR enabled = $3)
+        ORDER BY name
+        LIMIT $4 OFFSET $5
+      `, [req.tenant.id, topic || null, enabled, limit, offset]);
+
+      res.json({
+        sources: sources.rows.map(({ total, ...source }) => source),
+        total: sources.rows.length ? parseInt(sources.rows[0].total, 10) : 0,
+        limit,
+        offset
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List news sources error:', error);
+    res.status(500).json({ error: 'Failed to list news sources' });
+  }
+});
+
+// ENDPOINT: GET /knowledge/sources/:id
+app.get('/knowledge/sources/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const source = await client.query(
+        'SELECT * FROM news_sources WHERE id = $1 AND tenant_id = $2',
+        [req.params.id, req.tenant.id]
+      );
+      if (source.rowCount === 0) {
+        return res.status(404).json({ error: 'News source not found' });
+      }
+      res.json({ source: source.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Get news source error:', error);
+    res.status(500).json({ error: 'Failed to get news source' });
+  }
+});
+
+// ENDPOINT: POST /knowledge/sources
+app.post('/knowledge/sources', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.feed_url) {
+      return res.status(400).json({ error: 'name and feed_url are required' });
+    }
+    const invalidUrl = await checkFeedUrl(req.body.feed_url);
+    if (invalidUrl) {
+      return res.status(400).json({ error: invalidUrl });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { columns, placeholders, values } = buildInsert(req.body, SOURCE_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO news_sources (${columns}) VALUES (${placeholders}) RETURNING *
+      `, values);
+
+      res.status(201).json({ source: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create news source error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A news source with this feed_url already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create news source' });
+  }
+});
+
+// ENDPOINT: PATCH /knowledge/sources/:id
+// A new feed_url starts over without the old feed's ETag and Last-Modified
+app.patch('/knowledge/sources/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+    if (req.body.feed_url !== undefined) {
+      const invalidUrl = await checkFeedUrl(req.body.feed_url);
+      if (invalidUrl) {
+        return res.status(400).json({ error: invalidUrl });
+      }
+    }
+    const { assignments, values } = buildUpdate(req.body, SOURCE_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(SOURCE_COLUMNS) });
+    }
+    if (req.body.feed_url !== undefined) {
+      assignments.push('etag = NULL', 'last_modified = NULL');
+    }
+
+    const client = await pool.connect();
+    try {
+      const updated = await client.query(`
+        UPDATE news_sources SET ${assignments.join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING *
+      `, [req.params.id, req.tenant.id, ...values]);
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'News source not found' });
+      }
+      res.json({ source: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update news source error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A news source with this feed_url already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update news source' });
+  }
+});
+
+// ENDPOINT: DELETE /knowledge/sources/:id
+app.delete('/knowledge/sources/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'News source not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM news_sources WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'News source not found' });
+      }
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete news source error:', error);
+    res.status(500).json({ error: 'Failed to delete news source' });
+  }
+});
+
+// ENDPOINT: POST /knowledge/sources/fetch
+// Fetches the enabled sources (or the ones named) and returns only the items
+// that aren't duplicates of processed articles, each source's items checked
+// within its topic. With commit the new items are registered and the feeds'
+// validators saved, so the next fetch skips unchanged feeds entirely;
+// without it this is a preview that can be repeated.
+app.post('/knowledge/sources/fetch', async (req, res) => {
+  try {
+    const {
+      source_ids,
+      topic,
+      lookback_days = 30,
+      similarity_threshold = DEFAULT_SIMILARITY_THRESHOLD,
+      scope = 'topic',
+      commit = false
+    } = req.body;
+    if (source_ids !== undefined && (!Array.isArray(source_ids) || !source_ids.every(isUuid))) {
+      return res.status(400).json({ error: 'source_ids must be a list of news source IDs' });
+    }
+    const threshold = Number(similarity_threshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+      return res.status(400).json({ error: 'similarity_threshold must be a number between 0 and 1' });
+    }
+
+    // Feeds are fetched without holding a connection
+    const listed = await pool.query(`
+      SELECT * FROM news_sources
+      WHERE tenant_id = $1
+        AND ($2::uuid[] IS NULL OR id = ANY($2))
+        AND ($2::uuid[] IS NOT NULL OR enabled)
+        AND ($3::text IS NULL OR topic = $3)
+      ORDER BY name
+    `, [req.tenant.id, source_ids || null, topic || null]);
+    if (source_ids && listed.rowCount < new Set(source_ids).size) {
+      const found = new Set(listed.rows.map(source => source.id));
+      return res.status(404).json({ error: 'News source not found', missing: source_ids.filter(id => !found.has(id)) });
+    }
+
+    const fetched = [];
+    for (const source of listed.rows) {
+      fetched.push({ source, result: await fetchSource(source, { conditional: commit }) });
+    }
+
+    const client = await pool.connect();
+    try {
+      const sources = [];
+      const candidates = [];
+      const filteredOut = [];
+      const registered = [];
+      const skipped = [];
+      const seen = new Map();
+
+      for (const { source, result } of fetched) {
+        const stored = await recordFetch(client, source, result, { saveValidators: commit });
+
+        // The same story listed twice in this fetch only counts once
+        const fresh = [];
+        for (const article of result.articles) {
+          const canonicalUrl = canonicalizeUrl(article.url);
+          const first = seen.get(canonicalUrl);
+          if (first) {
+            filteredOut.push({
+              title: article.title,
+              url: article.url,
+              source: article.source,
+              reason: 'Listed more than once in this fetch',
+              similar_to: { title: first.title, url: first.url, source: first.source }
+            });
+          } else {
+            seen.set(canonicalUrl, article);
+            fresh.push(article);
+          }
+        }
+
+        const { filtered_articles, filtered_out, accepted } = await dedupeArticles(client, req.tenant.id, fresh, {
+          topic: source.topic,
+          lookbackDays: lookback_days,
+          threshold,
+          scope
+        });
+        candidates.push(...filtered_articles);
+        filteredOut.push(...filtered_out.map(item => ({ ...item, source: { id: source.id, name: source.name } })));
+
+        if (commit) {
+          const registration = await registerAccepted(client, req.tenant.id, accepted, source.topic);
+          registered.push(...registration.registered);
+          skipped.push(...registration.skipped.map(item => ({ ...item, source: { id: source.id, name: source.name } })));
+        }
+
+        sources.push({
+          id: source.id,
+          name: source.name,
+          topic: source.topic,
+          status: result.status,
+          http_status: result.http_status,
+          error: result.error || null,
+          items: result.articles.length,
+          new_candidates: filtered_articles.length,
+          consecutive_failures: stored.consecutive_failures
+        });
+      }
+
+      res.json({
+        candidates,
+        filtered_out: filteredOut,
+        sources,
+        statistics: {
+          sources_fetched: sources.length,
+          not_modified: sources.filter(source => source.status === 'not_modified').length,
+          failed: sources.filter(source => source.status === 'error').length,
+          items_fetched: sources.reduce((sum, source) => sum + source.items, 0),
+          duplicates_removed: filteredOut.length,
+          new_candidates: candidates.length,
+          similarity_threshold: threshold,
+          scope,
+          registered: registered.length,
+          already_registered: skipped.length
+        },
+        ...(commit && { registered_articles: registered, skipped_articles: skipped })
+      });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Fetch news sources error:', error);
+    res.status(500).json({ error: 'Failed to fetch news sources' });
+  }
+});
+
+// CONTENT PLANNING: monthly coverage targets, the coverage report and the content calendar
+
+const TARGET_COLUMNS = {
+  dimension: true,
+  value: true,
+  monthly_target: true,
+  notes: true
+};
+
+const CALENDAR_DAYS = 28;
+const POSTS_PER_WEEK = parseFloat(process.env.CONTENT_POSTS_PER_WEEK) || 3;
+
+function startOfTomorrow(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+async function coverageReport(client, tenantId, period, now = new Date()) {
+  const targets = await loadTargets(client, tenantId);
+  const rows = await loadCoverage(client, tenantId, { ...period, now });
+  return buildCoverageReport(rows, targets, period, now);
+}
+
+// Posts proposed for the `days` from `start`, with the coverage of every
+// month the window touches and the posts already scheduled in it
+async function contentCalendar(client, tenantId, { start, days, postsPerWeek, dimensions, now = new Date() }) {
+  const end = new Date(start.getTime() + days * DAY_MS);
+  const reports = {};
+  for (let period = parseMonth(monthKey(start)); period.from < end; period = parseMonth(monthKey(period.to))) {
+    reports[period.month] = await coverageReport(client, tenantId, period, now);
+  }
+  const booked = await client.query(`
+    SELECT id, title, scheduled_for, primary_topic, primary_theme FROM blog_content
+    WHERE tenant_id = $1 AND status = 'scheduled' AND scheduled_for >= $2 AND scheduled_for < $3
+    ORDER BY scheduled_for
+  `, [tenantId, start, end]);
+  return planCalendar(reports, { start, days, postsPerWeek, booked: booked.rows, dimensions, now });
+}
+
+// How a new post's or analysis's topic, themes and impact area stand this
+// month, the biggest gaps and the next posts the calendar proposes
+async function coverageInsights(client, tenantId, values) {
+  const now = new Date();
+  const report = await coverageReport(client, tenantId, parseMonth(null, now), now);
+  const coverage = COVERAGE_DIMENSIONS.flatMap(dimension => [...new Set((values[dimension] || []).filter(Boolean))]
+    .map(value => report[`${dimension}s`].find(entry => coverageKey(entry.value) === coverageKey(value)))
+    .filter(Boolean)
+    .map(entry => ({ dimension, ...entry, description: describeCoverage(entry, dimension) })));
+  const underCovered = COVERAGE_DIMENSIONS
+    .flatMap(dimension => report[`${dimension}s`]
+      .filter(entry => entry.status === 'under_covered')
+      .map(entry => ({ dimension, value: entry.value, target: entry.target, posts: entry.posts, remaining: entry.remaining })))
+    .sort((a, b) => b.remaining - a.remaining)
+    .slice(0, 3);
+  const calendar = await contentCalendar(client, tenantId, {
+    start: startOfTomorrow(now), days: CALENDAR_DAYS, postsPerWeek: POSTS_PER_WEEK, now
+  });
+
+  return {
+    month: report.month,
+    coverage,
+    under_covered: underCovered,
+    calendar_suggestions: calendar.slots
+      .filter(slot => slot.value)
+      .slice(0, 3)
+      .map(slot => `${slot.date.toISOString().slice(0, 10)}: ${slot.value} (${slot.dimension.replace('_', ' ')}) - ${slot.reason}`)
+  };
+}
+
+function checkTargetFields(body) {
+  if (body.dimension !== undefined && !COVERAGE_DIMENSIONS.includes(body.dimension)) {
+    return `dimension must be one of: ${COVERAGE_DIMENSIONS.join(', ')}`;
+  }
+  if (body.value !== undefined && !String(body.value).trim()) {
+    return 'value must not be empty';
+  }
+  if (body.monthly_target !== undefined && !(Number.isInteger(body.monthly_target) && body.monthly_target > 0)) {
+    return 'monthly_target must be a positive integer';
+  }
+  return null;
+}
+
+// ENDPOINT: GET /content/coverage-targets
+app.get('/content/coverage-targets', async (req, res) => {
+  try {
+    const { dimension } = req.query;
+    if (dimension && !COVERAGE_DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({ error: `dimension must be one of: ${COVERAGE_DIMENSIONS.join(', ')}` });
+    }
+    const client = await pool.connect();
+    try {
+      const targets = await client.query(`
+        SELECT * FROM coverage_targets
+        WHERE tenant_id = $1 AND ($2::text IS NULL OR dimension = $2)
+        ORDER BY dimension, LOWER(value)
+      `, [req.tenant.id, dimension || null]);
+      res.json({ targets: targets.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List coverage targets error:', error);
+    res.status(500).json({ error: 'Failed to list coverage targets' });
+  }
+});
+
+// ENDPOINT: POST /content/coverage-targets
+app.post('/content/coverage-targets', async (req, res) => {
+  try {
+    if (!req.body.dimension || !req.body.value || req.body.monthly_target === undefined) {
+      return res.status(400).json({ error: 'dimension, value and monthly_target are required' });
+    }
+    const invalid = checkTargetFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const client = await pool.connect();
+    try {
+      const body = { ...req.body, value: req.body.value.trim() };
+      const { columns, placeholders, values } = buildInsert(body, TARGET_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO coverage_targets (${columns}) VALUES (${placeholders}) RETURNING *
+      `, values);
+
+      res.status(201).json({ target: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create coverage target error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A target for this dimension and value already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create coverage target' });
+  }
+});
+
+// ENDPOINT: PATCH /content/coverage-targets/:id
+app.patch('/content/coverage-targets/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Coverage target not found' });
+    }
+    const invalid = checkTargetFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const body = req.body.value === undefined ? req.body : { ...req.body, value: String(req.body.value).trim() };
+    const { assignments, values } = buildUpdate(body, TARGET_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(TARGET_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      const updated = await client.query(`
+        UPDATE coverage_targets SET ${assignments.join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING *
+      `, [req.params.id, req.tenant.id, ...values]);
+      if (updated.rowCount === 0) {
+        return res.status(404).json({ error: 'Coverage target not found' });
+      }
+      res.json({ target: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update coverage target error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A target for this dimension and value already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update coverage target' });
+  }
+});
+
+// ENDPOINT: DELETE /content/coverage-targets/:id
+app.delete('/content/coverage-targets/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Coverage target not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM coverage_targets WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'Coverage target not found' });
+      }
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete coverage target error:', error);
+    res.status(500).json({ error: 'Failed to delete coverage target' });
+  }
+});
+
+// ENDPOINT: GET /content/coverage
+// Posts and analyses per topic, theme and impact area for one month against
+// the monthly targets: under- and over-covered values and how long since
+// each was last published
+app.get('/content/coverage', async (req, res) => {
+  try {
+    const period = parseMonth(req.query.month);
+    if (!period) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+    const dimensions = parseList(req.query.dimensions) || COVERAGE_DIMENSIONS;
+    const unknown = dimensions.filter(dimension => !COVERAGE_DIMENSIONS.includes(dimension));
+    if (unknown.length) {
+      return res.status(400).json({ error: `dimensions must be among: ${COVERAGE_DIMENSIONS.join(', ')}` });
+    }
+
+    const client = await pool.connect();
+    try {
+      const report = await coverageReport(client, req.tenant.id, period);
+      for (const dimension of COVERAGE_DIMENSIONS.filter(name => !dimensions.includes(name))) {
+        delete report[`${dimension}s`];
+      }
+      res.json(report);
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Coverage report error:', error);
+    res.status(500).json({ error: 'Failed to build coverage report' });
+  }
+});
+
+// ENDPOINT: GET /content/calendar
+// Upcoming posting slots, evenly spread at posts_per_week, each proposing
+// the topic or theme furthest behind its monthly target (or, with every
+// target met, the one that has gone longest without a post). Posts already
+// scheduled in the window take their slots.
+app.get('/content/calendar', async (req, res) => {
+  try {
+    const start = req.query.start ? new Date(req.query.start) : startOfTomorrow();
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({ error: 'start must be an ISO date' });
+    }
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || CALENDAR_DAYS, 1), 92);
+    const postsPerWeek = Math.min(Math.max(Number(req.query.posts_per_week) || POSTS_PER_WEEK, 0.25), 21);
+    const dimensions = parseList(req.query.dimensions) || ['topic', 'theme'];
+    const unknown = dimensions.filter(dimension => !COVERAGE_DIMENSIONS.includes(dimension));
+    if (unknown.length) {
+      return res.status(400).json({ error: `dimensions must be among: ${COVERAGE_DIMENSIONS.join(', ')}` });
+    }
+
+    const client = await pool.connect();
+    try {
+      const calendar = await contentCalendar(client, req.tenant.id, { start, days, postsPerWeek, dimensions });
+      res.json({ dimensions, ...calendar });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Content calendar error:', error);
+    res.status(500).json({ error: 'Failed to build content calendar' });
+  }
+});
+
+// STATIC EXPORT: Markdown, HTML, feeds and sitemap for static site deploys
+
+// Directory exports are written under EXPORT_DIR/<tenant slug>/<directory>;
+// without EXPORT_DIR only the JSON and tarball forms are available
+const EXPORT_DIR = process.env.EXPORT_DIR || null;
+const EXPORT_DIRECTORY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+const EXPORT_POST_COLUMNS = `
+  id, title, content, status, word_count, estimated_read_time, primary_topic, primary_theme,
+  primary_keywords, publication_date, scheduled_for, created_at, updated_at
+`;
+
+// Site settings from the request, falling back to BLOG_SITE_URL, the tenant's name and BLOG_DESCRIPTION
+function exportSite(options, tenant) {
+  const url = normalizeSiteUrl(options.site_url || process.env.BLOG_SITE_URL || '');
+  if (!url) return null;
+  return {
+    url,
+    title: options.site_title || process.env.BLOG_TITLE || tenant.name,
+    description: options.site_description || process.env.BLOG_DESCRIPTION || null
+  };
+}
+
+// The tenant's published posts, or exactly the posts asked for whatever
+// their status; { missing } when some don't exist
+async function loadExportPosts(client, tenantId, blogIds) {
+  if (!blogIds) {
+    const published = await client.query(
+      `SELECT ${EXPORT_POST_COLUMNS} FROM blog_content WHERE tenant_id = $1 AND status = 'published'`,
+      [tenantId]
+    );
+    return { posts: published.rows };
+  }
+  const selected = await client.query(
+    `SELECT ${EXPORT_POST_COLUMNS} FROM blog_content WHERE tenant_id = $1 AND id = ANY($2::uuid[])`,
+    [tenantId, blogIds]
+  );
+  const found = new Set(selected.rows.map(post => post.id));
+  const missing = blogIds.filter(id => !found.has(id));
+  return missing.length ? { missing } : { posts: selected.rows };
+}
+
+// Validated export options from a body or query string, or { error }
+function exportOptions(options, tenant) {
+  const blogIds = parseList(options.blog_ids);
+  if (blogIds && !blogIds.every(isUuid)) {
+    return { error: 'blog_ids must be blog post IDs' };
+  }
+  const site = exportSite(options, tenant);
+  if (!site) {
+    return { error: 'site_url (an http or https URL without query string) is required unless BLOG_SITE_URL is set' };
+  }
+  return { blogIds: blogIds && [...new Set(blogIds)], site };
+}
+
+// ENDPOINT: GET /content/blogs/:id/export
+// One post as Markdown with front matter and as sanitized HTML
+app.get('/content/blogs/:id/export', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    // Without a site URL the post is exported without its public URL
+    const requestedSiteUrl = req.query.site_url || process.env.BLOG_SITE_URL;
+    const siteUrl = requestedSiteUrl ? normalizeSiteUrl(requestedSiteUrl) : null;
+    if (requestedSiteUrl && !siteUrl) {
+      return res.status(400).json({ error: 'site_url must be an http or https URL without query string' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { posts } = await loadExportPosts(client, req.tenant.id, [req.params.id]);
+      if (!posts) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      res.json(exportPost(posts[0], { siteUrl }));
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Export blog post error:', error);
+    res.status(500).json({ error: 'Failed to export blog post' });
+  }
+});
+
+// ENDPOINT: POST /export/blog
+// Builds the static bundle; returns every file's content, or with
+// `directory` writes the bundle there (under EXPORT_DIR) and returns the
+// manifest only
+app.post('/export/blog', async (req, res) => {
+  try {
+    const { blogIds, site, error } = exportOptions(req.body, req.tenant);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { directory } = req.body;
+    if (directory !== undefined) {
+      if (!EXPORT_DIR) {
+        return res.status(400).json({ error: 'Directory exports are disabled; set EXPORT_DIR on the server' });
+      }
+      if (!EXPORT_DIRECTORY_PATTERN.test(directory) || !exportDirectory(EXPORT_DIR, req.tenant.slug, directory)) {
+        return res.status(400).json({ error: 'directory must be a single folder name (letters, digits, ".", "_" or "-")' });
+      }
+    }
+
+    const client = await pool.connect();
+    let bundle;
+    try {
+      const { posts, missing } = await loadExportPosts(client, req.tenant.id, blogIds);
+      if (missing) {
+        return res.status(404).json({ error: 'Blog post not found', missing });
+      }
+      bundle = buildBundle(posts, site);
+    } finally {
+      client.release();
+    }
+
+    const files = bundle.files.map(file => ({
+      path: file.path,
+      size: file.size,
+      sha256: file.sha256,
+      ...(directory === undefined && { content: file.content.toString('utf8') })
+    }));
+    const written = directory === undefined ? null : exportDirectory(EXPORT_DIR, req.tenant.slug, directory);
+    if (written) {
+      writeBundle(bundle.files, written);
+    }
+
+    res.json({
+      site,
+      updated: bundle.updated,
+      posts: bundle.posts,
+      files,
+      ...(written && { directory: written })
+    });
+
+  } catch (error) {
+    console.error('Export blog error:', error);
+    res.status(500).json({ error: 'Failed to export blog' });
+  }
+});
+
+// ENDPOINT: GET /export/blog.tar.gz
+// The same bundle as a gzipped tarball, for deploys to download and unpack
+app.get('/export/blog.tar.gz', async (req, res) => {
+  try {
+    const { blogIds, site, error } = exportOptions(req.query, req.tenant);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const client = await pool.connect();
+    let bundle;
+    try {
+      const { posts, missing } = await loadExportPosts(client, req.tenant.id, blogIds);
+      if (missing) {
+        return res.status(404).json({ error: 'Blog post not found', missing });
+      }
+      bundle = buildBundle(posts, site);
+    } finally {
+      client.release();
+    }
+
+    const tarball = createTarball(bundle.files, { mtime: bundle.updated });
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${req.tenant.slug}-blog.tar.gz"`,
+      ETag: bundle.etag
+    });
+    res.send(tarball);
+
+  } catch (error) {
+    console.error('Export blog tarball error:', error);
+    res.status(500).json({ error: 'Failed to export blog' });
+  }
+});
+
+// CMS PUBLISHING: push blog posts to WordPress and Ghost sites and keep them in sync
+
+const CONNECTION_COLUMNS = {
+  name: true,
+  adapter: true,
+  base_url: true,
+  credentials: 'json',
+  enabled: true
+};
+
+// Credentials are write-only
+const PUBLIC_CONNECTION_COLUMNS = 'id, tenant_id, name, adapter, base_url, enabled, created_at, updated_at';
+
+// An error message for connection fields, checked against the stored
+// connection on update, or null. Internal base URLs are refused here and
+// again on every call to the CMS (see lib/publishers.js).
+async function checkConnectionFields(body, existing = null) {
+  if (body.adapter !== undefined && !PUBLISHER_ADAPTERS.includes(body.adapter)) {
+    return `adapter must be one of: ${PUBLISHER_ADAPTERS.join(', ')}`;
+  }
+  if (body.base_url !== undefined) {
+    const refused = await checkCmsTarget(body.base_url, { unresolved: 'allow' });
+    if (refused) return `base_url ${refused}`;
+  }
+  if (body.adapter !== undefined || body.credentials !== undefined) {
+    return checkCredentials(body.adapter || existing.adapter, body.credentials === undefined ? existing.credentials : body.credentials);
+  }
+  return null;
+}
+
+// A connection by ID or name, credentials included
+async function findConnection(client, tenantId, ref) {
+  const connection = await client.query(
+    `SELECT * FROM cms_connections WHERE tenant_id = $1 AND ${isUuid(ref) ? 'id = $2' : 'name = $2'}`,
+    [tenantId, ref]
+  );
+  return connection.rows[0] || null;
+}
+
+// The post's latest featured image that the CMS can fetch
+async function loadFeaturedImage(client, blogId) {
+  const image = await client.query(`
+    SELECT public_url, alt_text FROM blog_images
+    WHERE blog_content_id = $1 AND variant = 'featured' AND public_url ~* '^https?://'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [blogId]);
+  return image.rows[0] || null;
+}
+
+// The post's publication row for a connection, created on first use
+async function ensurePublication(client, tenantId, blogId, connectionId) {
+  await client.query(`
+    INSERT INTO cms_publications (tenant_id, blog_content_id, connection_id) VALUES ($1, $2, $3)
+    ON CONFLICT (blog_content_id, connection_id) DO NOTHING
+  `, [tenantId, blogId, connectionId]);
+  const publication = await client.query(
+    'SELECT * FROM cms_publications WHERE blog_content_id = $1 AND connection_id = $2',
+    [blogId, connectionId]
+  );
+  return publication.rows[0];
+}
+
+// Runs `work` holding a session advisory lock on the publication, so pushes
+// and unpublishes of it take turns without a transaction staying open (and
+// rows staying locked) while the CMS answers. Returns undefined, without
+// running `work`, when another request holds the lock.
+async function withPublicationLock(client, publicationId, work) {
+  const locked = await client.query(
+    "SELECT pg_try_advisory_lock(hashtext('cms_publications'), hashtext($1)) AS locked",
+    [publicationId]
+  );
+  if (!locked.rows[0].locked) return undefined;
+  try {
+    return await work();
+  } finally {
+    await client.query("SELECT pg_advisory_unlock(hashtext('cms_publications'), hashtext($1))", [publicationId]);
+  }
+}
+
+function publicationBusy(res, connection) {
+  return res.status(409).json({ error: `Another push or unpublish of this post on CMS connection ${connection.name} is in progress; try again shortly` });
+}
+
+// Creates or updates the post on the connection's CMS; call it with the
+// publication lock held and no transaction open. A version already pushed
+// isn't sent again, and a post with no remote ID yet is looked for on the
+// CMS first: a retry after a push whose outcome was lost adopts the remote
+// post instead of creating a second one. `featuredImage` overrides the
+// post's stored one (for images stored along with the push).
+async function pushPublication(client, publicationId, post, connection, { status, featuredImage }) {
+  const publication = (await client.query('SELECT * FROM cms_publications WHERE id = $1', [publicationId])).rows[0];
+  const payload = buildPost(post, { status, featuredImage: featuredImage || await loadFeaturedImage(client, post.id) });
+  const hash = payloadHash(payload);
+  if (publication.remote_id && publication.payload_hash === hash && publication.remote_status === status) {
+    const unchanged = await client.query(`
+      UPDATE cms_publications SET last_action = 'unchanged', last_error = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [publication.id]);
+    return unchanged.rows[0];
+  }
+
+  const publisher = createPublisher(connection);
+  let remoteId = publication.remote_id;
+  let action = remoteId ? 'updated' : 'created';
+  let pushed;
+  try {
+    if (!remoteId) {
+      const found = await publisher.find(payload);
+      const claimed = found && await client.query(
+        'SELECT 1 FROM cms_publications WHERE connection_id = $1 AND remote_id = $2',
+        [connection.id, found.id]
+      );
+      if (found && claimed.rowCount === 0) {
+        remoteId = found.id;
+        action = 'adopted';
+      }
+    }
+    const media = publication.featured_media_id
+      ? { url: publication.featured_image_url, id: publication.featured_media_id }
+      : null;
+    pushed = await publisher.publish(payload, { remoteId, media });
+  } catch (error) {
+    if (error instanceof PublisherError) await recordPublishError(client, publication.id, error);
+    throw error;
+  }
+
+  const updated = await client.query(`
+    UPDATE cms_publications SET
+      remote_id = $2,
+      remote_url = $3,
+      remote_status = $4::text,
+      featured_image_url = $5,
+      featured_media_id = $6,
+      payload_hash = $7,
+      last_action = $8,
+      last_error = NULL,
+      published_at = CASE WHEN $4::text = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END,
+      last_synced_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    publication.id,
+    pushed.remote.id,
+    pushed.remote.url,
+    status,
+    payload.featured_image ? payload.featured_image.url : null,
+    pushed.media ? pushed.media.id : null,
+    hash,
+    action
+  ]);
+  return updated.rows[0];
+}
 
-TWITTER (max 280 chars):
-- News-style headline
-- Key statistic or insight
-- Professional but engaging
-- Include blog URL
-- Hashtags: #RestaurantTech #FoodService
+// Keeps the CMS's answer to a failed push or unpublish on the publication
+async function recordPublishError(client, publicationId, error) {
+  await client.query(
+    'UPDATE cms_publications SET last_error = $2, updated_at = NOW() WHERE id = $1',
+    [publicationId, error.message]
+  );
+}
 
-LINKEDIN (max 500 chars):
-- Business professional tone
-- Industry insights focus
-- Thought leadership angle
-- Include blog URL
-- Hashtags: #RestaurantIndustry #HospitalityTech
+function connectionDisabled(res, connection) {
+  return res.status(409).json({ error: `CMS connection ${connection.name} is disabled` });
+}
 
-INSTAGRAM (max 300 chars):
-- Visual and engaging
-- More casual tone
-- Include relevant emoji
-- Include blog URL
-- Hashtags: #RestaurantLife #FoodTech #RestaurantOwner
+function publishFailed(res, error) {
+  return res.status(502).json({ error: 'The CMS rejected the request', details: { message: error.message, cms_status: error.status } });
+}
 
-Return as JSON with platform keys and optimized_text for each.`;
+// ENDPOINT: GET /publishing/connections
+app.get('/publishing/connections', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const connections = await client.query(
+        `SELECT ${PUBLIC_CONNECTION_COLUMNS} FROM cms_connections WHERE tenant_id = $1 ORDER BY name`,
+        [req.tenant.id]
+      );
+      res.json({ connections: connections.rows });
+    } finally {
+      client.release();
+    }
 
-    const result = await model.generateContent(socialPrompt);
-    const socialContent = JSON.parse(result.response.text());
-    
-    res.json({
-      platform_optimized_content: {
-        facebook: {
-          optimized_text: socialContent.facebook,
-          optimal_post_time: new Date(Date.now() + 14 * 60 * 60 * 1000).toISOString(), // 2 PM next day
-          hashtags: ["#RestaurantTech", "#RestaurantBusiness"]
-        },
-        twitter: {
-          optimized_text: socialContent.twitter,
-          thread_opportunity: socialContent.twitter.length > 240
-        },
-        linkedin: {
-          optimized_text: socialContent.linkedin,
-          discussion_starters: ["What's your experience with restaurant technology?", "How do you evaluate ROI for new systems?"]
-        },
-        instagram: {
-          optimized_text: socialContent.instagram,
-          visual_elements_needed: true
+  } catch (error) {
+    console.error('List CMS connections error:', error);
+    res.status(500).json({ error: 'Failed to list CMS connections' });
+  }
+});
+
+// ENDPOINT: POST /publishing/connections
+app.post('/publishing/connections', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.adapter || !req.body.base_url || req.body.credentials === undefined) {
+      return res.status(400).json({ error: 'name, adapter, base_url and credentials are required' });
+    }
+    const invalid = await checkConnectionFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const client = await pool.connect();
+    try {
+      const { columns, placeholders, values } = buildInsert(req.body, CONNECTION_COLUMNS, { tenant_id: req.tenant.id });
+      const created = await client.query(`
+        INSERT INTO cms_connections (${columns}) VALUES (${placeholders}) RETURNING ${PUBLIC_CONNECTION_COLUMNS}
+      `, values);
+
+      res.status(201).json({ connection: created.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create CMS connection error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A CMS connection with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create CMS connection' });
+  }
+});
+
+// ENDPOINT: PATCH /publishing/connections/:id
+app.patch('/publishing/connections/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'CMS connection not found' });
+    }
+    const { assignments, values } = buildUpdate(req.body, CONNECTION_COLUMNS, 2);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided', updatable_fields: Object.keys(CONNECTION_COLUMNS) });
+    }
+
+    const client = await pool.connect();
+    try {
+      const existing = await findConnection(client, req.tenant.id, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'CMS connection not found' });
+      }
+      const invalid = await checkConnectionFields(req.body, existing);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      const updated = await client.query(`
+        UPDATE cms_connections SET ${assignments.join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING ${PUBLIC_CONNECTION_COLUMNS}
+      `, [req.params.id, req.tenant.id, ...values]);
+      res.json({ connection: updated.rows[0] });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update CMS connection error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A CMS connection with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update CMS connection' });
+  }
+});
+
+// ENDPOINT: DELETE /publishing/connections/:id
+// Forgets the connection's publications; the posts stay on the CMS
+app.delete('/publishing/connections/:id', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'CMS connection not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const deleted = await client.query(
+        'DELETE FROM cms_connections WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [req.params.id, req.tenant.id]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({ error: 'CMS connection not found' });
+      }
+      res.json({ deleted: true, id: req.params.id });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete CMS connection error:', error);
+    res.status(500).json({ error: 'Failed to delete CMS connection' });
+  }
+});
+
+// ENDPOINT: GET /content/blogs/:id/publications
+app.get('/content/blogs/:id/publications', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const publications = await client.query(`
+        SELECT p.*, c.name AS connection_name, c.adapter
+        FROM cms_publications p
+        JOIN cms_connections c ON c.id = p.connection_id
+        WHERE p.blog_content_id = $1 AND p.tenant_id = $2
+        ORDER BY c.name
+      `, [req.params.id, req.tenant.id]);
+      res.json({ publications: publications.rows });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('List CMS publications error:', error);
+    res.status(500).json({ error: 'Failed to list CMS publications' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/publications
+// Pushes the post's current version to a CMS: live if the post is
+// published, otherwise as a draft. Safe to retry.
+app.post('/content/blogs/:id/publications', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    if (!req.body.connection) {
+      return res.status(400).json({ error: 'connection (ID or name) is required' });
+    }
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      const connection = await findConnection(client, req.tenant.id, req.body.connection);
+      if (!connection) {
+        return res.status(404).json({ error: 'CMS connection not found' });
+      }
+      if (!connection.enabled) {
+        return connectionDisabled(res, connection);
+      }
+      const status = req.body.status || (post.status === 'published' ? 'published' : 'draft');
+      if (status === 'published' && post.status !== 'published') {
+        return res.status(409).json({ error: `Cannot publish a blog post that is ${post.status}; use /content/mark-published` });
+      }
+      const row = await ensurePublication(client, req.tenant.id, post.id, connection.id);
+      const publication = await withPublicationLock(client, row.id, () => (
+        pushPublication(client, row.id, post, connection, { status })
+      ));
+      if (publication === undefined) {
+        return publicationBusy(res, connection);
+      }
+      res.json({ publication });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Push CMS publication error:', error);
+    if (error instanceof PublisherError) {
+      return publishFailed(res, error);
+    }
+    res.status(500).json({ error: 'Failed to push blog post to CMS' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/publications/:publicationId/unpublish
+// Takes the post down on the CMS (back to a draft there); the local post is left as it is
+app.post('/content/blogs/:id/publications/:publicationId/unpublish', async (req, res) => {
+  try {
+    if (!isUuid(req.params.id) || !isUuid(req.params.publicationId)) {
+      return res.status(404).json({ error: 'CMS publication not found' });
+    }
+    const client = await pool.connect();
+    try {
+      const found = (await client.query(`
+        SELECT * FROM cms_publications WHERE id = $1 AND blog_content_id = $2 AND tenant_id = $3
+      `, [req.params.publicationId, req.params.id, req.tenant.id])).rows[0];
+      if (!found || !found.remote_id) {
+        return res.status(404).json({ error: 'CMS publication not found' });
+      }
+      if (found.remote_status === 'unpublished') {
+        return res.json({ publication: found });
+      }
+      const connection = await findConnection(client, req.tenant.id, found.connection_id);
+      if (!connection.enabled) {
+        return connectionDisabled(res, connection);
+      }
+      const publication = await withPublicationLock(client, found.id, async () => {
+        // Read again under the lock, after any push that held it
+        const current = (await client.query('SELECT * FROM cms_publications WHERE id = $1', [found.id])).rows[0];
+        if (current.remote_status === 'unpublished') return current;
+        let remote;
+        try {
+          remote = await createPublisher(connection).unpublish(current.remote_id);
+        } catch (error) {
+          if (error instanceof PublisherError) await recordPublishError(client, current.id, error);
+          throw error;
         }
-      },
-      cross_platform_strategy: {
-        posting_schedule: {
-          facebook: "2:00 PM",
-          twitter: "9:00 AM", 
-          linkedin: "8:00 AM",
-          instagram: "7:00 PM"
-        },
-        engagement_monitoring: ["Track click-through rates", "Monitor comments for engagement opportunities"]
+        const updated = await client.query(`
+          UPDATE cms_publications SET
+            remote_status = 'unpublished', remote_url = COALESCE($2, remote_url), last_action = 'unpublished',
+            last_error = NULL, last_synced_at = NOW(), updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [current.id, remote.url]);
+        return updated.rows[0];
+      });
+      if (publication === undefined) {
+        return publicationBusy(res, connection);
       }
-    });
-    
+      res.json({ publication });
+    } finally {
+      client.release();
+    }
+
   } catch (error) {
-    console.error('Social optimization error:', error);
-    res.status(500).json({ error: 'Failed to optimize social content' });
+    console.error('Unpublish CMS publication error:', error);
+    if (error instanceof PublisherError) {
+      return publishFailed(res, error);
+    }
+    res.status(500).json({ error: 'Failed to unpublish blog post from CMS' });
   }
 });
 
-// ENDPOINT 9: /analytics/track-publication
-app.post('/analytics/track-publication', async (req, res) => {
+// SEARCH: full-text search over articles, analyses, blog posts and entities
+
+// A search date: a day (YYYY-MM-DD) starts at midnight UTC, or ends there
+// when it is the end of the range; null when missing, undefined when invalid
+function parseSearchDate(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return undefined;
+  return new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS : time);
+}
+
+// ENDPOINT: GET /search
+// Ranked matches with highlighted snippets, and corrected queries for
+// words that match nothing
+app.get('/search', async (req, res) => {
   try {
-    const { blog_id, publication_date, platforms, topic } = req.body;
+    const text = String(req.query.q || '').trim();
+    if (!text) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    const types = parseList(req.query.types) || SEARCH_TYPES;
+    const unknownTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({ error: `types must be some of: ${SEARCH_TYPES.join(', ')}` });
+    }
+    const { status } = req.query;
+    if (status !== undefined && !BLOG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${BLOG_STATUSES.join(', ')}` });
+    }
+    const from = parseSearchDate(req.query.from);
+    const to = parseSearchDate(req.query.to, { endOfDay: true });
+    if (from === undefined || to === undefined || (from && to && from >= to)) {
+      return res.status(400).json({ error: 'from and to must be dates, with from before to' });
+    }
+    const { limit, offset } = parsePagination(req.query);
+
     const client = await pool.connect();
-    
-    // Store publication tracking
-    const tracking = await client.query(`
-      INSERT INTO publication_tracking (
-        blog_content_id, tracking_start_date, facebook_post_id, 
-        twitter_post_id, linkedin_post_id, instagram_post_id, instagram_story_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id
-    `, [
-      blog_id, publication_date,
-      platforms.facebook || null,
-      platforms.twitter || null, 
-      platforms.linkedin || null,
-      platforms.instagram_post || null,
-      platforms.instagram_story || null
-    ]);
-    
-    client.release();
-    
-    res.json({
-      tracking_initialized: {
-        tracking_id: tracking.rows[0].id,
-        monitoring_start: publication_date,
-        platforms_tracked: Object.keys(platforms).length
-      },
-      initial_performance_baseline: {
-        expected_24hr_metrics: {
-          blog_views: "50-100",
-          social_engagement: "10-25 interactions",
-          click_through_rate: "2-5%"
+    try {
+      const { results, total } = await searchDocuments(client, req.tenant.id, text, {
+        types,
+        topic: req.query.topic || null,
+        status: status || null,
+        entityType: req.query.entity_type || null,
+        from,
+        to,
+        limit,
+        offset
+      });
+      const suggestions = await suggestQueries(client, req.tenant.id, text);
+
+      res.json({ query: text, results, total, limit, offset, suggestions });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+// INTERNAL LINKS: links from drafts to related posts that are already published
+
+// Related posts by embedding need at least this similarity; set below the
+// duplicate threshold, since related is a much weaker claim than the same story
+const INTERNAL_LINK_SIMILARITY = process.env.INTERNAL_LINK_SIMILARITY
+  ? Number(process.env.INTERNAL_LINK_SIMILARITY)
+  : embedder.defaultThreshold - 0.15;
+
+// Embedding similarity between the post and each candidate. Posts without
+// an embedding from the current model, or edited since theirs, are embedded
+// again; with no embedding for the post itself the map is empty.
+async function postSimilarities(client, tenantId, post, candidates) {
+  const posts = [post, ...candidates];
+  const stored = await client.query(`
+    SELECT e.blog_content_id, e.embedding
+    FROM blog_embeddings e JOIN blog_content b ON b.id = e.blog_content_id
+    WHERE e.blog_content_id = ANY($1::uuid[]) AND e.tenant_id = $2 AND e.embedding_model = $3
+      AND e.updated_at >= COALESCE(b.updated_at, b.created_at)
+  `, [posts.map(entry => entry.id), tenantId, embedder.name]);
+  const embeddings = new Map(stored.rows.map(row => [row.blog_content_id, row.embedding]));
+
+  for (const entry of posts) {
+    if (embeddings.has(entry.id)) continue;
+    const embedding = await getEmbedding(postEmbeddingText(entry));
+    if (!embedding) {
+      if (entry === post) return new Map();
+      continue;
+    }
+    await client.query(`
+      INSERT INTO blog_embeddings (blog_content_id, tenant_id, embedding, embedding_model)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (blog_content_id) DO UPDATE SET
+        embedding = EXCLUDED.embedding, embedding_model = EXCLUDED.embedding_model, updated_at = NOW()
+    `, [entry.id, tenantId, embedding, embedder.name]);
+    embeddings.set(entry.id, embedding);
+  }
+
+  const own = embeddings.get(post.id);
+  return new Map(candidates
+    .filter(candidate => embeddings.has(candidate.id))
+    .map(candidate => [candidate.id, cosineSimilarity(own, embeddings.get(candidate.id))]));
+}
+
+// Works out the post's link suggestions and stores them in place of the
+// ones not yet applied, so each comes back with the ID to apply it by
+async function refreshLinkSuggestions(client, tenantId, post) {
+  const candidates = await loadLinkCandidates(client, tenantId, post.id);
+  const entities = await client.query('SELECT name FROM knowledge_entities WHERE tenant_id = $1', [tenantId]);
+  const similarities = candidates.length > 0
+    ? await postSimilarities(client, tenantId, post, candidates)
+    : new Map();
+  const result = suggestLinks(post, candidates, {
+    entities: entities.rows,
+    similarities,
+    similarityThreshold: INTERNAL_LINK_SIMILARITY
+  });
+
+  await client.query('BEGIN');
+  try {
+    await client.query(
+      "DELETE FROM blog_link_suggestions WHERE blog_content_id = $1 AND status = 'suggested'",
+      [post.id]
+    );
+    const suggestions = [];
+    for (const suggestion of result.suggestions) {
+      const stored = await client.query(`
+        INSERT INTO blog_link_suggestions (
+          tenant_id, blog_content_id, target_blog_id, target_url, anchor_text, context, score, reasons
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (blog_content_id, target_blog_id) DO UPDATE SET
+          target_url = EXCLUDED.target_url, anchor_text = EXCLUDED.anchor_text, context = EXCLUDED.context,
+          score = EXCLUDED.score, reasons = EXCLUDED.reasons, status = 'suggested',
+          created_at = NOW(), applied_at = NULL
+        RETURNING id
+      `, [
+        tenantId, post.id, suggestion.target_blog_id, suggestion.target_url, suggestion.anchor_text,
+        suggestion.context, suggestion.score, JSON.stringify(suggestion.reasons)
+      ]);
+      suggestions.push({ id: stored.rows[0].id, ...suggestion });
+    }
+    await client.query('COMMIT');
+    return { ...result, suggestions };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// ENDPOINT: GET /content/blogs/:id/link-suggestions
+// Works the suggestions out again against what is published now
+app.get('/content/blogs/:id/link-suggestions', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const post = await findBlogPost(client, req.tenant.id, req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      res.json({ blog_id: post.id, ...await refreshLinkSuggestions(client, req.tenant.id, post) });
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Link suggestions error:', error);
+    res.status(500).json({ error: 'Failed to suggest internal links' });
+  }
+});
+
+// ENDPOINT: POST /content/blogs/:id/links
+// Puts the accepted suggestions into the post as Markdown links, in the
+// order given, and saves the result as a new revision
+app.post('/content/blogs/:id/links', async (req, res) => {
+  try {
+    const { suggestion_ids, author } = req.body;
+    if (!Array.isArray(suggestion_ids) || suggestion_ids.length === 0) {
+      return res.status(400).json({ error: 'suggestion_ids must be a non-empty array' });
+    }
+    const ids = [...new Set(suggestion_ids)];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const post = await findBlogPost(client, req.tenant.id, req.params.id, { forUpdate: true });
+      if (!post) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+      if (!isEditable(post.status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Blog post is ${post.status} and can no longer be edited`,
+          status: post.status,
+          allowed_transitions: allowedTransitions(post.status)
+        });
+      }
+
+      const found = await client.query(`
+        SELECT * FROM blog_link_suggestions
+        WHERE id = ANY($1::uuid[]) AND blog_content_id = $2 AND tenant_id = $3
+      `, [ids.filter(isUuid), post.id, req.tenant.id]);
+      const byId = new Map(found.rows.map(row => [row.id, row]));
+      const missing = ids.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Link suggestions not found', missing });
+      }
+
+      // Targets must still be published, at the URL they have now
+      const candidates = await loadLinkCandidates(client, req.tenant.id, post.id);
+      const published = new Map(candidates.map(candidate => [candidate.id, candidate]));
+      const skipped = [];
+      const links = [];
+      for (const id of ids) {
+        const suggestion = byId.get(id);
+        const target = published.get(suggestion.target_blog_id);
+        if (!target) {
+          skipped.push({ id, reason: 'target_not_published' });
+        } else {
+          links.push({ id, anchor_text: suggestion.anchor_text, target_url: target.published_url });
         }
-      },
-      real_time_tracking_setup: {
-        automated_check_ins: [
-          { time: "24 hours", metrics: ["page_views", "social_clicks"] },
-          { time: "7 days", metrics: ["total_engagement", "newsletter_signups"] },
-          { time: "30 days", metrics: ["roi_analysis", "content_performance"] }
-        ]
-      },
-      learning_framework_activated: {
-        data_collection_focus: ["engagement_patterns", "content_themes", "platform_performance"],
-        hypothesis_testing: ["optimal_posting_times", "content_format_preferences", "audience_segments"]
       }
-    });
-    
+      const capacity = Math.max(MAX_LINKS_PER_POST - linkedCandidates(post.content, candidates).length, 0);
+      const result = applyLinks(post.content, links, { capacity });
+      skipped.push(...result.skipped);
+
+      let revision = null;
+      if (result.applied.length > 0) {
+        await client.query('UPDATE blog_content SET content = $1, updated_at = NOW() WHERE id = $2', [result.markdown, post.id]);
+        // Links don't change the wording, so the quality scores stand
+        revision = await saveBlogRevision(client, post.id, {
+          title: post.title,
+          content: result.markdown,
+          word_count: post.word_count,
+          overall_quality_score: post.overall_quality_score,
+          author,
+          change_note: `Added ${result.applied.length} internal link${result.applied.length === 1 ? '' : 's'}`
+        });
+        await client.query(`
+          UPDATE blog_link_suggestions SET status = 'applied', applied_at = NOW(), target_url = link.url
+          FROM unnest($1::uuid[], $2::text[]) AS link(id, url)
+          WHERE blog_link_suggestions.id = link.id
+        `, [result.applied.map(link => link.id), result.applied.map(link => link.target_url)]);
+      }
+      await client.query('COMMIT');
+
+      res.json({
+        blog_id: post.id,
+        applied: result.applied,
+        skipped,
+        revision: revision ? revision.revision_number : null,
+        content: result.markdown
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
   } catch (error) {
-    console.error('Analytics tracking error:', error);
-    res.status(500).json({ error: 'Failed to initialize tracking' });
+    console.error('Apply internal links error:', error);
+    res.status(500).json({ error: 'Failed to apply internal links' });
   }
 });
 
@@ -789,70 +5619,109 @@ app.post('/setup/populate-knowledge-base', async (req, res) => {
     
     // Insert restaurant companies
     const companyResult = await client.query(`
-      INSERT INTO knowledge_entities (name, type, description, industry_relevance, key_facts, strategic_importance) VALUES
+      INSERT INTO knowledge_entities (name, type, description, industry_relevance, key_facts, strategic_importance, tenant_id) VALUES
       ('Toast', 'company', 'Leading restaurant POS and management platform', 
        '{"restaurant_industry": "critical", "market_share": "high", "growth_rate": "rapid"}',
        '["$2.7B revenue 2023", "68,000+ restaurant locations", "IPO 2021", "Cloud-based platform"]',
-       'Platform play - POS + payments + analytics + delivery integration. Critical infrastructure for modern restaurants.'),
+       'Platform play - POS + payments + analytics + delivery integration. Critical infrastructure for modern restaurants.', $1),
       ('DoorDash', 'company', 'Dominant food delivery marketplace in US',
        '{"restaurant_industry": "critical", "market_share": "65%", "impact": "revenue_and_cost"}',
        '["65% US delivery market share", "27% commission rates", "500,000+ merchant partners"]',
-       'Love-hate relationship - necessary evil for most restaurants. High revenue potential but margin pressure.'),
+       'Love-hate relationship - necessary evil for most restaurants. High revenue potential but margin pressure.', $1),
       ('Square', 'company', 'Small business POS and payment processing',
        '{"restaurant_industry": "important", "segment": "small_business", "ease_of_use": "high"}',
        '["Simple setup", "Transparent pricing", "Hardware + software bundle"]',
-       'Popular with small cafes and quick-service restaurants. Easy entry point for technology adoption.')
+       'Popular with small cafes and quick-service restaurants. Easy entry point for technology adoption.', $1)
       ON CONFLICT DO NOTHING
       RETURNING id
-    `);
+    `, [req.tenant.id]);
     
     // Insert key technologies
     const techResult = await client.query(`
-      INSERT INTO knowledge_entities (name, type, description, industry_relevance, key_facts, strategic_importance) VALUES
+      INSERT INTO knowledge_entities (name, type, description, industry_relevance, key_facts, strategic_importance, tenant_id) VALUES
       ('POS Systems', 'technology', 'Point of sale and restaurant management platforms',
        '{"criticality": "essential", "adoption_rate": "universal", "cost_impact": "high"}',
        '["$50-200/month per terminal", "Core restaurant infrastructure", "Integration hub"]',
-       'Central nervous system of restaurant operations. Affects everything from orders to analytics.'),
+       'Central nervous system of restaurant operations. Affects everything from orders to analytics.', $1),
       ('Kitchen Display Systems', 'technology', 'Digital order management for kitchen operations',
        '{"efficiency_gain": "high", "labor_impact": "positive", "accuracy": "improved"}',
        '["15-30% faster ticket times", "Reduces paper waste", "Real-time order tracking"]',
-       'Modernizes kitchen workflow. Particularly valuable for high-volume operations and delivery integration.'),
+       'Modernizes kitchen workflow. Particularly valuable for high-volume operations and delivery integration.', $1),
       ('AI Kitchen Automation', 'technology', 'Automated cooking and food preparation systems',
        '{"adoption_stage": "early", "labor_savings": "20-30%", "investment": "high"}',
        '["$15,000-50,000 initial investment", "12-18 month ROI", "Consistency improvements"]',
-       'Addresses labor shortage directly. High upfront cost but significant ongoing savings for right operators.')
+       'Addresses labor shortage directly. High upfront cost but significant ongoing savings for right operators.', $1)
       ON CONFLICT DO NOTHING
       RETURNING id
-    `);
+    `, [req.tenant.id]);
     
     // Insert industry trends
     const trendResult = await client.query(`
-      INSERT INTO industry_trends (topic, trend_description, significance_level, timeline, impact_areas, relevant_keywords) VALUES
+      INSERT INTO industry_trends (topic, trend_description, significance_level, timeline, impact_areas, relevant_keywords, tenant_id) VALUES
       ('labor_shortage', 'Chronic staffing challenges across all restaurant segments with 75% of operators reporting difficulty hiring', 10, 'ongoing crisis', 
        '["operations", "customer_service", "profitability", "automation_adoption"]',
-       '["labor shortage", "staffing crisis", "wage inflation", "employee retention"]'),
+       '["labor shortage", "staffing crisis", "wage inflation", "employee retention"]', $1),
       ('delivery_transformation', 'Permanent shift toward off-premise dining with 60% of sales now takeout/delivery vs 40% pre-COVID', 9, 'permanent change',
        '["kitchen_design", "menu_optimization", "technology_stack", "profit_margins"]', 
-       '["delivery", "ghost kitchens", "off-premise", "third-party platforms"]'),
+       '["delivery", "ghost kitchens", "off-premise", "third-party platforms"]', $1),
       ('automation_adoption', 'Accelerating adoption of kitchen automation and AI to address labor shortage and improve consistency', 8, 'early adoption phase',
        '["kitchen_operations", "labor_costs", "food_quality", "training_requirements"]',
-       '["kitchen automation", "AI", "robotics", "labor replacement"]'),
+       '["kitchen automation", "AI", "robotics", "labor replacement"]', $1),
       ('inflation_pressure', 'Rising costs for labor, food, and rent squeezing already thin margins below 3% for many operators', 9, 'ongoing challenge',
        '["menu_pricing", "portion_control", "operational_efficiency", "customer_retention"]',
-       '["inflation", "food costs", "labor costs", "margin pressure"]')
+       '["inflation", "food costs", "labor costs", "margin pressure"]', $1)
       ON CONFLICT DO NOTHING
       RETURNING id
-    `);
+    `, [req.tenant.id]);
     
+    // Insert the default voice profile; its guidelines and phrases are only
+    // seeded along with it, so re-running setup doesn't duplicate them
+    const profile = DEFAULT_VOICE_PROFILE;
+    const profileResult = await client.query(`
+      INSERT INTO voice_profiles (name, display_name, tone, perspective, personality_traits, base_instructions, is_default, tenant_id)
+      SELECT $1, $2, $3, $4, $5, $6, NOT EXISTS (SELECT 1 FROM voice_profiles WHERE is_default AND tenant_id = $7), $7
+      ON CONFLICT (tenant_id, name) DO NOTHING
+      RETURNING id
+    `, [profile.name, profile.display_name, profile.tone, profile.perspective, profile.personality_traits, profile.base_instructions, req.tenant.id]);
+    const profileId = profileResult.rows[0]?.id;
+
     // Insert brand guidelines
-    const guidelineResult = await client.query(`
-  INSERT INTO brand_guidelines (guideline_category, guideline_name, guideline_description, priority_level) VALUES
-  ('voice_tone', 'Bill Bryson Conversational Style', 'Write from personal experience with warm, observational tone and self-deprecating humor', 1),
-  ('restaurant_context', 'Industry Reality Check', 'Always acknowledge the practical challenges restaurant operators face', 1),
-  ('financial_focus', 'ROI and Cost Impact', 'Lead with specific financial implications and realistic implementation timelines', 1)
+    let guidelinesAdded = 0;
+    let phrasesAdded = 0;
+    if (profileId) {
+      const guidelineResult = await client.query(`
+  INSERT INTO brand_guidelines (guideline_category, guideline_name, guideline_description, priority_level, voice_profile_id, tenant_id) VALUES
+  ('voice_tone', 'Bill Bryson Conversational Style', 'Write from personal experience with warm, observational tone and self-deprecating humor', 1, $1, $2),
+  ('restaurant_context', 'Industry Reality Check', 'Always acknowledge the practical challenges restaurant operators face', 1, $1, $2),
+  ('financial_focus', 'ROI and Cost Impact', 'Lead with specific financial implications and realistic implementation timelines', 1, $1, $2)
   ON CONFLICT DO NOTHING
   RETURNING id
-`);
+`, [profileId, req.tenant.id]);
+      guidelinesAdded += guidelineResult.rowCount;
+
+      for (const guideline of profile.guidelines) {
+        const added = await client.query(`
+          INSERT INTO brand_guidelines (
+            guideline_category, guideline_name, guideline_description,
+            do_examples, dont_examples, applies_to, priority_level, voice_profile_id, tenant_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          ON CONFLICT DO NOTHING
+        `, [
+          guideline.guideline_category, guideline.guideline_name, guideline.guideline_description,
+          guideline.do_examples, guideline.dont_examples, guideline.applies_to, guideline.priority_level, profileId,
+          req.tenant.id
+        ]);
+        guidelinesAdded += added.rowCount;
+      }
+
+      const phraseResult = await client.query(`
+        INSERT INTO forbidden_phrases (phrase, voice_profile_id, tenant_id)
+        SELECT UNNEST($1::text[]), $2, $3
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `, [profile.forbidden_phrases, profileId, req.tenant.id]);
+      phrasesAdded = phraseResult.rowCount;
+    }
     
     client.release();
     
@@ -862,31 +5731,227 @@ app.post('/setup/populate-knowledge-base', async (req, res) => {
         companies: companyResult.rowCount,
         technologies: techResult.rowCount,
         trends: trendResult.rowCount,
-        guidelines: guidelineResult.rowCount
+        voice_profiles: profileResult.rowCount,
+        guidelines: guidelinesAdded,
+        forbidden_phrases: phrasesAdded
       },
       message: 'Restaurant industry knowledge base populated successfully!'
     });
     
   } catch (error) {
     console.error('Knowledge base population error:', error);
-    res.status(500).json({ 
-      status: 'error',
-      message: error.message 
-    });
+    res.status(500).json({ error: 'Failed to populate knowledge base' });
+  }
+});
+// MCP SERVER: the endpoints above as tools, the knowledge base as resources
+// Runs as the MCP caller, so the route holds the call to the caller's scopes
+// and tenant
+async function callRouteTool(route, args, { principal, tenant }) {
+  const payload = { ...args };
+
+  let url = route.path;
+  for (const param of Object.keys(route.params?.properties || {})) {
+    url = url.replace(`:${param}`, encodeURIComponent(payload[param]));
+    delete payload[param];
+  }
+
+  const query = {};
+  for (const key of Object.keys(route.query?.properties || {})) {
+    if (payload[key] !== undefined) {
+      query[key] = payload[key];
+      delete payload[key];
+    }
+  }
+
+  const response = await inject(app, {
+    method: route.method,
+    url,
+    query,
+    body: route.body ? payload : undefined,
+    principal,
+    tenant
+  });
+
+  let result;
+  try {
+    result = response.json();
+  } catch (error) {
+    result = { body: response.payload.toString('utf8') };
+  }
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    structuredContent: result,
+    isError: response.statusCode >= 400
+  };
+}
+
+// Resources are reads of the knowledge base, so they need the read scope
+// like the routes that serve the same data
+function requireReadScope(principal) {
+  if (!hasScope(principal, 'read')) {
+    throw new JsonRpcError(FORBIDDEN, 'This API key lacks the read scope', { code: 'forbidden', required_scopes: ['read'] });
+  }
+}
+
+async function listMcpResources({ principal, tenant }) {
+  if (!hasScope(principal, 'read')) return [];
+  const client = await pool.connect();
+  try {
+    const entities = await client.query(`
+      SELECT id, name, type, description FROM knowledge_entities WHERE tenant_id = $1 ORDER BY name
+    `, [tenant.id]);
+    return [
+      {
+        uri: 'knowledge://entities',
+        name: 'Knowledge entities',
+        description: 'All restaurant industry companies, technologies and trends in the knowledge base',
+        mimeType: 'application/json'
+      },
+      {
+        uri: 'brand://guidelines',
+        name: 'Brand guidelines',
+        description: 'Brand voice guidelines ordered by priority',
+        mimeType: 'application/json'
+      },
+      ...entities.rows.map(entity => ({
+        uri: `knowledge://entities/${entity.id}`,
+        name: entity.name,
+        description: `${entity.type}: ${entity.description}`,
+        mimeType: 'application/json'
+      }))
+    ];
+  } finally {
+    client.release();
+  }
+}
+
+async function readMcpResource(uri, { principal, tenant }) {
+  requireReadScope(principal);
+  const client = await pool.connect();
+  try {
+    let data;
+    if (uri === 'knowledge://entities') {
+      data = (await client.query('SELECT * FROM knowledge_entities WHERE tenant_id = $1 ORDER BY name', [tenant.id])).rows;
+    } else if (uri.startsWith('knowledge://entities/')) {
+      const id = uri.slice('knowledge://entities/'.length);
+      const entity = await client.query(`
+        SELECT * FROM knowledge_entities WHERE id::text = $1 AND tenant_id = $2
+      `, [id, tenant.id]);
+      data = entity.rows[0];
+    } else if (uri === 'brand://guidelines') {
+      data = (await client.query(`
+        SELECT * FROM brand_guidelines WHERE tenant_id = $1 ORDER BY priority_level NULLS LAST, guideline_name
+      `, [tenant.id])).rows;
+    }
+    if (!data) return null;
+    return [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }];
+  } finally {
+    client.release();
   }
+}
+
+const mcpServer = createMcpServer({
+  name: 'restaurant-ai-mcp-server',
+  version,
+  instructions: 'Restaurant industry intelligence for the AI content pipeline: duplicate checks, industry context, writing guidelines, content storage and social/image optimization.',
+  // Only the tools the caller's key has the scopes (and, for tenant
+  // management, the platform grant) for
+  listTools: async ({ principal }) => routes
+    .filter(route => route.mcp !== false)
+    .filter(route => mayUseRoute(principal, route))
+    .filter(route => routeScopes(route).every(scope => hasScope(principal, scope)))
+    .map(route => ({
+      name: route.operation,
+      description: route.description,
+      inputSchema: toolInputSchema(route)
+    })),
+  callTool: (name, args, context) => callRouteTool(routes.find(route => route.operation === name), args, context),
+  listResources: listMcpResources,
+  listResourceTemplates: async () => [{
+    uriTemplate: 'knowledge://entities/{id}',
+    name: 'Knowledge entity',
+    description: 'A single knowledge entity by ID',
+    mimeType: 'application/json'
+  }],
+  readResource: readMcpResource
+});
+
+app.post('/mcp', mcpHttpHandler(mcpServer, { context: req => ({ principal: req.principal, tenant: req.tenant }) }));
+app.all('/mcp', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({ error: 'MCP endpoint only accepts POST' });
 });
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// API DOCUMENTATION: OpenAPI document and Swagger UI, generated from lib/schemas.js
+const openApiDocument = buildOpenApiDocument(routes, {
+  title: 'Restaurant AI MCP Server',
+  version,
+  description: 'Restaurant industry intelligence for the AI content pipeline. Every operation is also available as an MCP tool at POST /mcp.'
+});
+
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath()));
+app.get('/docs', (req, res) => {
+  res.type('html').send(docsPage({ title: 'Restaurant AI MCP Server API', specUrl: '/openapi.json', assetsPath: '/docs/assets' }));
+});
+
+app.use(notFound());
+app.use(errorHandler());
+
+// Whoever starts a stdio server is trusted as the local operator, unless
+// MCP_API_KEY names a key to act as
+async function stdioPrincipal() {
+  if (!auth.enabled || !process.env.MCP_API_KEY) {
+    return { id: null, name: 'local operator (stdio)', scopes: ['admin'], platform: true };
+  }
+  return auth.authenticate(process.env.MCP_API_KEY);
+}
+
 // Initialize database and start server
 async function startServer() {
+  if (useStdio) {
+    // stdout carries the protocol in stdio mode, so all logging goes to stderr
+    console.log = console.error;
+    await initializeDatabase();
+    const principal = await stdioPrincipal();
+    if (!principal) {
+      console.error('❌ MCP_API_KEY is not a valid API key');
+      process.exit(1);
+    }
+    // MCP_TENANT picks the tenant for platform keys, like the X-Tenant header
+    const { tenant, error } = await tenants.tenantFor(principal, process.env.MCP_TENANT);
+    if (!tenant) {
+      console.error(`❌ ${error}`);
+      process.exit(1);
+    }
+    serveStdio(mcpServer, { context: { principal, tenant }, onClose: () => process.exit(0) });
+    console.log('🔌 MCP Server listening on stdio');
+    return;
+  }
+
   await initializeDatabase();
+  if (process.env.JOBS_ENABLED !== 'false') {
+    await jobQueue.start();
+    console.log(`⏱️  Job worker ${jobQueue.workerId} handling ${jobQueue.types().join(', ')}`);
+    process.once('SIGTERM', async () => {
+      await jobQueue.stop();
+      process.exit(0);
+    });
+  }
   app.listen(port, () => {
     console.log(`🚀 MCP Server running on port ${port}`);
-    console.log(`🧠 Using Gemini 2.5 Flash for AI intelligence`);
-    console.log(`📊 PostgreSQL with pgvector for data storage`);
+    console.log(`🔌 MCP endpoint available at POST /mcp`);
+    console.log(`🧠 Using ${llm.name} for AI intelligence`);
+    console.log(auth.enabled ? '🔑 API keys required (Authorization: Bearer or X-API-Key)' : '⚠️  API_AUTH=off: every route is open');
+    console.log(`📊 PostgreSQL for data storage`);
   });
 }
 
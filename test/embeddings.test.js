@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createLocalEmbedder,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  articleEmbeddingText
+} = require('../lib/embeddings');
+
+const headline = 'Chipotle tests robotic kitchen assistant in California restaurants';
+const rewritten = 'Chipotle is testing a robotic kitchen assistant at California locations';
+const unrelated = 'Starbucks raises menu prices as coffee costs climb';
+
+test('the local embedder is deterministic and unit length', async () => {
+  const embedder = createLocalEmbedder();
+  const first = await embedder.embed(headline);
+  const second = await createLocalEmbedder().embed(headline);
+  assert.deepEqual(first, second);
+  assert.equal(first.length, 512);
+  const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+  assert.ok(Math.abs(norm - 1) < 1e-9);
+});
+
+test('the same story from another outlet clears the default threshold and another story does not', async () => {
+  const embedder = createLocalEmbedder();
+  const [a, b, c] = await Promise.all([headline, rewritten, unrelated].map(text => embedder.embed(text)));
+  assert.ok(cosineSimilarity(a, b) >= embedder.defaultThreshold);
+  assert.ok(cosineSimilarity(a, c) < embedder.defaultThreshold);
+});
+
+test('vectors of different sizes never match', async () => {
+  const small = await createLocalEmbedder({ dimensions: 64 }).embed(headline);
+  const large = await createLocalEmbedder().embed(headline);
+  assert.equal(cosineSimilarity(small, large), 0);
+  assert.equal(createLocalEmbedder({ dimensions: 64 }).name, 'local:hash-64');
+});
+
+test('text with no words embeds as the zero vector', async () => {
+  const vector = await createLocalEmbedder().embed('the of and');
+  assert.ok(vector.every(value => value === 0));
+  assert.equal(cosineSimilarity(vector, vector), 0);
+});
+
+test('EMBEDDING_PROVIDER=local needs no network', () => {
+  assert.equal(createEmbeddingProvider('local').name, 'local:hash-512');
+  assert.throws(() => createEmbeddingProvider('nope'), /Unknown embedding provider/);
+  assert.equal(articleEmbeddingText({ title: 'Title', description: 'Summary' }), 'Title\nSummary');
+});
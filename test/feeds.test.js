@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const {
+  FeedError,
+  checkFeedTarget,
+  parseFeed,
+  toArticles,
+  createHttpFetcher,
+  createFixtureFetcher
+} = require('../lib/feeds');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'feeds');
+const readFixture = file => fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+
+test('RSS 2.0: CDATA, entities and relative links; items without a link are dropped', () => {
+  const feed = parseFeed(readFixture('news.example.com/rss.xml'), { baseUrl: 'https://news.example.com/rss.xml' });
+  assert.equal(feed.format, 'rss');
+  assert.equal(feed.title, 'Restaurant Tech & Operations');
+  assert.equal(feed.items.length, 2);
+
+  const [robots, fees] = feed.items;
+  assert.deepEqual(robots, {
+    title: 'Chipotle tests robotic kitchen assistant in California restaurants',
+    url: 'https://news.example.com/2026/10/chipotle-robotic-kitchen?utm_source=rss',
+    description: 'The chain is piloting an automated prep station in 12 stores.',
+    published_date: '2026-10-12T14:30:00.000Z',
+    author: 'Dana Lee',
+    guid: 'news-4411'
+  });
+  // A permalink guid stands in for the link; a bad date is dropped
+  assert.equal(fees.url, 'https://news.example.com/2026/10/delivery-fees');
+  assert.equal(fees.description, 'Operators say fees now take 18% of each order — up from 15%.');
+  assert.equal(fees.published_date, null);
+});
+
+test('Atom: alternate links, HTML summaries and authors', () => {
+  const feed = parseFeed(readFixture('blog.example.org/atom.xml'), { baseUrl: 'https://blog.example.org/atom.xml' });
+  assert.equal(feed.format, 'atom');
+  assert.equal(feed.link, 'https://blog.example.org/');
+  assert.deepEqual(feed.items.map(item => item.url), [
+    'https://blog.example.org/posts/smaller-menus',
+    'https://blog.example.org/posts/digital-menu-boards'
+  ]);
+  assert.equal(feed.items[0].description, 'Fewer items, faster tickets and less waste.');
+  assert.equal(feed.items[0].author, 'Sam Ortiz');
+  assert.equal(feed.items[0].published_date, '2026-10-13T08:00:00.000Z');
+  assert.equal(feed.items[1].published_date, '2026-10-15T08:00:00.000Z');
+});
+
+test('RSS 1.0 (RDF) feeds parse too', () => {
+  const feed = parseFeed(readFixture('feeds.example.net/index.xml'));
+  assert.equal(feed.format, 'rss1');
+  assert.equal(feed.items[0].title, 'States set 2027 minimum wage increases');
+  assert.equal(feed.items[0].published_date, '2026-10-16T12:00:00.000Z');
+});
+
+test('anything else is not a feed', () => {
+  assert.throws(() => parseFeed('<html><body>Hello</body></html>'), FeedError);
+});
+
+test('items become articles tagged with their source', () => {
+  const { items } = parseFeed(readFixture('feeds.example.net/index.xml'));
+  const [article] = toArticles(items, { id: 'source-1', name: 'Labor Report', topic: 'labor' });
+  assert.equal(article.topic, 'labor');
+  assert.deepEqual(article.source, { id: 'source-1', name: 'Labor Report' });
+  assert.equal(article.url, 'https://feeds.example.net/minimum-wage-2027');
+});
+
+test('the fixture fetcher serves <dir>/<host>/<path> with ETags', async () => {
+  const fetcher = createFixtureFetcher({ fixturesDir });
+  const first = await fetcher.fetch('https://news.example.com/rss.xml');
+  assert.equal(first.status, 200);
+  assert.match(first.body, /<rss/);
+
+  const again = await fetcher.fetch('https://news.example.com/rss.xml', { etag: first.etag });
+  assert.equal(again.notModified, true);
+
+  const index = await fetcher.fetch('https://feeds.example.net/');
+  assert.match(index.body, /rdf:RDF/);
+
+  await assert.rejects(fetcher.fetch('https://news.example.com/missing.xml'), error => error instanceof FeedError && error.status === 404);
+});
+
+test('feed URLs on internal addresses are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1/feed',
+    'http://0x7f000001/feed',
+    'http://10.1.2.3/feed',
+    'http://172.20.0.1/feed',
+    'http://192.168.1.10/feed',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://100.64.0.1/feed',
+    'http://[::1]/feed',
+    'http://[fd12:3456::1]/feed',
+    'http://[fe80::1]/feed',
+    'http://[::ffff:127.0.0.1]/feed',
+    'http://localhost/feed'
+  ]) {
+    assert.match(await checkFeedTarget(url, { allowedHosts: [] }), /loopback, private or link-local/, url);
+  }
+  assert.equal(await checkFeedTarget('https://93.184.216.34/feed', { allowedHosts: [] }), null);
+  assert.equal(await checkFeedTarget('ftp://news.example.com/feed'), 'must be an http or https URL');
+  assert.equal(await checkFeedTarget('not a url'), 'must be an absolute URL');
+});
+
+test('allowed hosts pass by name, and unresolvable hosts only pass when asked to', async () => {
+  assert.equal(await checkFeedTarget('http://localhost:8080/feed', { allowedHosts: ['localhost'] }), null);
+  assert.match(await checkFeedTarget('http://feeds.invalid/rss', { allowedHosts: [] }), /could not be resolved/);
+  assert.equal(await checkFeedTarget('http://feeds.invalid/rss', { allowedHosts: [], unresolved: 'allow' }), null);
+});
+
+// A feed server on localhost, allowed by name; the paths it redirects to are
+// checked before they are requested
+async function withFeedServer(run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/rss.xml') {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"' });
+      return res.end(readFixture('news.example.com/rss.xml'));
+    }
+    if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/rss.xml' });
+      return res.end();
+    }
+    if (req.url === '/to-metadata') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      return res.end();
+    }
+    if (req.url.startsWith('/loop')) {
+      res.writeHead(302, { Location: `/loop${requests.length}` });
+      return res.end();
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  try {
+    await run(`http://localhost:${server.address().port}`, requests);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('the HTTP fetcher follows redirects and makes conditional requests', async () => {
+  await withFeedServer(async (origin) => {
+    const fetcher = createHttpFetcher({ allowedHosts: ['localhost'] });
+    const fetched = await fetcher.fetch(`${origin}/moved`);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.etag, '"v1"');
+    assert.equal(parseFeed(fetched.body, { baseUrl: `${origin}/rss.xml` }).items.length, 2);
+
+    const unchanged = await fetcher.fetch(`${origin}/rss.xml`, { etag: fetched.etag });
+    assert.equal(unchanged.notModified, true);
+  });
+});
+
+test('the HTTP fetcher refuses a redirect to an internal address before requesting it', async () => {
+  await withFeedServer(async (origin, requests) => {
+    const fetcher = createHttpFetcher({ allowedHosts: ['localhost'] });
+    await assert.rejects(
+      fetcher.fetch(`${origin}/to-metadata`),
+      error => error instanceof FeedError && /^Fetch refused: redirect to http:\/\/169\.254\.169\.254\//.test(error.message)
+    );
+    assert.deepEqual(requests, ['/to-metadata']);
+  });
+});
+
+test('the HTTP fetcher refuses internal feeds that are not allowed, and endless redirects', async () => {
+  await withFeedServer(async (origin, requests) => {
+    await assert.rejects(createHttpFetcher({ allowedHosts: [] }).fetch(`${origin}/rss.xml`), /^FeedError: Fetch refused/);
+    assert.equal(requests.length, 0);
+
+    await assert.rejects(
+      createHttpFetcher({ allowedHosts: ['localhost'] }).fetch(`${origin}/loop`),
+      /Fetch failed: more than 5 redirects/
+    );
+    assert.equal(requests.length, 6);
+  });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  LlmError,
+  createLlmClient,
+  createLlmProvider,
+  createFixtureProvider,
+  extractJson,
+  sampleFromSchema
+} = require('../lib/llm');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'llm');
+
+const INSIGHTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    primary_theme: { type: 'string' },
+    business_impact_area: { type: 'string' },
+    selection_reasoning: { type: 'string' },
+    analysis_quality_score: { type: 'integer', minimum: 1, maximum: 10 },
+    content_uniqueness_score: { type: 'integer', minimum: 1, maximum: 10 }
+  },
+  required: [
+    'primary_theme', 'business_impact_area', 'selection_reasoning',
+    'analysis_quality_score', 'content_uniqueness_score'
+  ]
+};
+
+const fixtureClient = () => createLlmClient(createFixtureProvider({ fixturesDir }), { retries: 0 });
+
+test('the fixture provider serves <task>.txt from LLM_FIXTURES_DIR', async () => {
+  const text = await fixtureClient().generateText('Provide context', { task: 'industry_context' });
+  assert.match(text, /^Labor costs and tight margins/);
+});
+
+test('fixture JSON goes through the same extraction and validation as model output', async () => {
+  const insights = await fixtureClient().generateJson('Extract insights', { task: 'analysis_insights', schema: INSIGHTS_SCHEMA });
+  assert.deepEqual(insights, {
+    primary_theme: 'automation',
+    business_impact_area: 'cost_reduction',
+    selection_reasoning: 'A national chain moving robotic prep past the pilot stage',
+    analysis_quality_score: 8,
+    content_uniqueness_score: 7
+  });
+});
+
+test('output that fails the schema gets one repair round-trip', async () => {
+  const insights = await fixtureClient().generateJson('Extract insights', { task: 'unscored_insights', schema: INSIGHTS_SCHEMA });
+  assert.equal(insights.selection_reasoning, 'Scores added on repair');
+});
+
+test('output that still fails after repair is an llm_output_invalid error', async () => {
+  const provider = { name: 'broken', generate: async () => '{"primary_theme": 3}' };
+  const client = createLlmClient(provider, { retries: 0 });
+  await assert.rejects(
+    client.generateJson('Extract insights', { task: 'analysis_insights', schema: INSIGHTS_SCHEMA }),
+    error => error instanceof LlmError && error.code === 'llm_output_invalid' && error.details.validation_errors.length > 0
+  );
+});
+
+test('without a fixture file the answer is derived from the schema, deterministically', async () => {
+  const provider = createFixtureProvider({ fixturesDir });
+  const first = await provider.generate('Titles please', { task: 'no_such_fixture', schema: INSIGHTS_SCHEMA });
+  const second = await provider.generate('Titles please', { task: 'no_such_fixture', schema: INSIGHTS_SCHEMA });
+  assert.equal(first, second);
+  const value = JSON.parse(first);
+  assert.equal(value.primary_theme, 'Fixture primary theme');
+  assert.equal(value.analysis_quality_score, 6);
+
+  const text = await provider.generate('\nSummarize the week\nmore', { task: 'weekly' });
+  assert.equal(text, 'Fixture response for weekly. Summarize the week');
+});
+
+test('sampleFromSchema honors defaults, enums, array sizes and string lengths', () => {
+  assert.deepEqual(sampleFromSchema({
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['draft', 'published'] },
+      tone: { type: 'string', default: 'friendly' },
+      hashtags: { type: 'array', minItems: 2, items: { type: 'string', maxLength: 7 } },
+      featured: { type: 'boolean' }
+    }
+  }), { status: 'draft', tone: 'friendly', hashtags: ['Fixture', 'Fixture'], featured: true });
+});
+
+test('extractJson copes with fences, prose and trailing commas', () => {
+  assert.deepEqual(extractJson('Sure!\n```json\n{"a": [1, 2,],}\n```'), { a: [1, 2] });
+  assert.deepEqual(extractJson('[{"b": true}] hope that helps'), [{ b: true }]);
+  assert.throws(() => extractJson('no json here'), SyntaxError);
+});
+
+test('LLM_PROVIDER=fixture needs no API key', () => {
+  assert.equal(createLlmProvider('fixture').name, 'fixture');
+  assert.throws(() => createLlmProvider('nope'), /Unknown LLM provider/);
+});
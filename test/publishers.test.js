@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+
+const {
+  PublisherError,
+  checkCmsTarget,
+  buildPost,
+  payloadHash,
+  ghostToken,
+  createPublisher
+} = require('../lib/publishers');
+const { WP_USER, WP_PASSWORD, GHOST_KEY, createMockCms } = require('../bin/mock-cms');
+
+const blog = {
+  id: 'b1',
+  title: 'Why smaller menus are winning',
+  content: '# Why smaller menus are winning\n\nFewer items mean faster tickets and less waste.',
+  primary_keywords: ['menu engineering', 'food waste', 'menu engineering'],
+  created_at: new Date('2026-10-12T09:00:00Z'),
+  updated_at: new Date('2026-10-13T09:00:00Z')
+};
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().once('error', reject);
+  probe.listen(0, 'localhost', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// A mock CMS on localhost, which the publishers are allowed to reach by name
+async function withMockCms(run) {
+  const port = await freePort();
+  const requests = [];
+  const server = createMockCms({ port, log: line => requests.push(line) });
+  await new Promise(resolve => server.listen(port, 'localhost', resolve));
+  try {
+    await run(`http://localhost:${port}`, requests);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const wordpress = (baseUrl, options = {}) => createPublisher({
+  adapter: 'wordpress',
+  base_url: baseUrl,
+  credentials: { username: WP_USER, application_password: WP_PASSWORD }
+}, { allowedHosts: ['localhost'], ...options });
+
+const ghost = (baseUrl, adminApiKey = GHOST_KEY) => createPublisher({
+  adapter: 'ghost',
+  base_url: baseUrl,
+  credentials: { admin_api_key: adminApiKey }
+}, { allowedHosts: ['localhost'] });
+
+test('a pushed version hashes the same until something the CMS shows changes', () => {
+  const image = { public_url: 'https://img.example.com/menu.png', alt_text: 'A short menu' };
+  const post = buildPost(blog, { status: 'draft', featuredImage: image });
+  assert.deepEqual(post.tags, ['menu engineering', 'food waste']);
+  assert.equal(post.slug, 'why-smaller-menus-are-winning');
+  assert.deepEqual(post.featured_image, { url: image.public_url, alt_text: 'A short menu' });
+
+  const hash = payloadHash(post);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(payloadHash(buildPost({ ...blog }, { status: 'draft', featuredImage: { ...image } })), hash);
+
+  assert.notEqual(payloadHash(buildPost(blog, { status: 'published', featuredImage: image })), hash);
+  assert.notEqual(payloadHash(buildPost({ ...blog, content: `${blog.content}\n\nOne more line.` }, { status: 'draft', featuredImage: image })), hash);
+  assert.notEqual(payloadHash(buildPost(blog, { status: 'draft', featuredImage: { ...image, alt_text: 'A long menu' } })), hash);
+  assert.notEqual(payloadHash(buildPost(blog, { status: 'draft' })), hash);
+});
+
+test('Ghost Admin API tokens are HS256 JWTs signed with the hex secret', () => {
+  const [id, secret] = GHOST_KEY.split(':');
+  const now = Date.UTC(2026, 9, 18, 12, 0, 0);
+  const token = ghostToken(GHOST_KEY, now);
+  const [header, payload, signature] = token.split('.');
+
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'HS256', typ: 'JWT', kid: id });
+  assert.deepEqual(JSON.parse(Buffer.from(payload, 'base64url')), { iat: now / 1000, exp: now / 1000 + 300, aud: '/admin/' });
+  const expected = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(`${header}.${payload}`).digest('base64url');
+  assert.equal(signature, expected);
+  assert.equal(ghostToken(GHOST_KEY, now), token);
+});
+
+test('WordPress: create, find, update with the uploaded image reused, and unpublish', async () => {
+  await withMockCms(async (baseUrl, requests) => {
+    const publisher = wordpress(baseUrl);
+    const post = buildPost(blog, { status: 'draft', featuredImage: { public_url: `${baseUrl}/images/menu.png`, alt_text: 'A short menu' } });
+
+    assert.equal(await publisher.find(post), null);
+    const created = await publisher.publish(post);
+    assert.equal(created.remote.status, 'draft');
+    assert.equal(created.media.url, post.featured_image.url);
+
+    // A retry whose answer was lost finds the post instead of creating another
+    assert.deepEqual(await publisher.find(post), created.remote);
+
+    const live = await publisher.publish({ ...post, status: 'published' }, { remoteId: created.remote.id, media: created.media });
+    assert.equal(live.remote.id, created.remote.id);
+    assert.equal(live.remote.status, 'published');
+    assert.equal(live.remote.url, `${baseUrl}/why-smaller-menus-are-winning/`);
+    assert.equal(requests.filter(line => line === 'GET /images/menu.png').length, 1);
+    assert.equal(requests.filter(line => line === 'POST /wp-json/wp/v2/media').length, 1);
+
+    const down = await publisher.unpublish(created.remote.id);
+    assert.equal(down.status, 'draft');
+  });
+});
+
+test('Ghost: the signed token is accepted, and edits carry updated_at', async () => {
+  await withMockCms(async (baseUrl) => {
+    const publisher = ghost(baseUrl);
+    const post = buildPost(blog, { status: 'published' });
+
+    const created = await publisher.publish(post);
+    assert.equal(created.remote.status, 'published');
+    assert.deepEqual(await publisher.find(post), created.remote);
+
+    const edited = await publisher.publish({ ...post, html: '<p>Edited</p>' }, { remoteId: created.remote.id });
+    assert.equal(edited.remote.id, created.remote.id);
+    assert.equal((await publisher.unpublish(created.remote.id)).status, 'draft');
+
+    const wrongSecret = `${GHOST_KEY.split(':')[0]}:${'ab'.repeat(32)}`;
+    await assert.rejects(
+      ghost(baseUrl, wrongSecret).publish(post),
+      error => error instanceof PublisherError && error.status === 401
+    );
+  });
+});
+
+test('featured images on internal addresses are refused before they are downloaded', async () => {
+  await withMockCms(async (baseUrl, requests) => {
+    const post = buildPost(blog, {
+      status: 'draft',
+      featuredImage: { public_url: 'http://169.254.169.254/latest/meta-data/iam/security-credentials/', alt_text: 'x' }
+    });
+    await assert.rejects(wordpress(baseUrl).publish(post), /^PublisherError: Featured image refused: host 169\.254\.169\.254/);
+    assert.equal(requests.filter(line => line.startsWith('POST')).length, 0);
+  });
+});
+
+test('a featured image that redirects to an internal address is refused at the redirect', async () => {
+  await withMockCms(async (baseUrl) => {
+    const fetched = [];
+    const fetch = async (url, init) => {
+      fetched.push(String(url));
+      if (String(url).endsWith('/images/moved.png')) {
+        return new Response(null, { status: 302, headers: { Location: 'http://10.0.0.5/secret.png' } });
+      }
+      return globalThis.fetch(url, init);
+    };
+    const post = buildPost(blog, { status: 'draft', featuredImage: { public_url: `${baseUrl}/images/moved.png`, alt_text: 'x' } });
+    await assert.rejects(
+      wordpress(baseUrl, { fetch }).publish(post),
+      /Featured image refused: redirect to http:\/\/10\.0\.0\.5\/secret\.png/
+    );
+    assert.ok(!fetched.some(url => url.includes('10.0.0.5')));
+  });
+});
+
+test('CMS base URLs on internal addresses are refused unless allowed by name', async () => {
+  assert.match(await checkCmsTarget('http://127.0.0.1:4010', { allowedHosts: [] }), /loopback, private or link-local/);
+  assert.match(await checkCmsTarget('http://[::ffff:169.254.169.254]', { allowedHosts: [] }), /loopback, private or link-local/);
+  assert.equal(await checkCmsTarget('http://localhost:4010', { allowedHosts: ['localhost'] }), null);
+  assert.equal(await checkCmsTarget('http://cms.invalid', { allowedHosts: [], unresolved: 'allow' }), null);
+
+  await withMockCms(async (baseUrl, requests) => {
+    const publisher = createPublisher({
+      adapter: 'ghost',
+      base_url: baseUrl,
+      credentials: { admin_api_key: GHOST_KEY }
+    }, { allowedHosts: [] });
+    await assert.rejects(publisher.find(buildPost(blog, { status: 'draft' })), /refused: host localhost is a loopback/);
+    assert.equal(requests.length, 0);
+  });
+});
+
+test('CMS API redirects are reported instead of followed', async () => {
+  const fetch = async () => new Response(null, { status: 301, headers: { Location: 'https://cms.example.com/wp-json/wp/v2/posts' } });
+  const publisher = createPublisher({
+    adapter: 'wordpress',
+    base_url: 'http://93.184.216.34',
+    credentials: { username: WP_USER, application_password: WP_PASSWORD }
+  }, { fetch, allowedHosts: [] });
+  await assert.rejects(
+    publisher.unpublish('7'),
+    error => error instanceof PublisherError && error.status === 301 && /redirected to https:\/\/cms\.example\.com/.test(error.message)
+  );
+});
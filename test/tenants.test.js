@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { routes } = require('../lib/schemas');
+const { routeScopes, hasScope } = require('../lib/auth');
+const { mayUseRoute, createTenantResolver } = require('../lib/tenants');
+const { createMcpServer } = require('../lib/mcp');
+const { inject } = require('../lib/inject');
+
+const brandA = { id: '7d3c1f4e-2a8b-4c6d-9e0f-1a2b3c4d5e6f', slug: 'brand-a', name: 'Brand A' };
+const tenantAdmin = { id: 'key-1', name: 'brand-a admin', scopes: ['admin'], tenant_id: brandA.id, platform: false };
+const platformAdmin = { id: 'key-2', name: 'platform admin', scopes: ['admin'], tenant_id: null, platform: true };
+
+// The tenant middleware in front of a stand-in for the tenant routes; the
+// pool only ever finds brand-a
+function tenantApp() {
+  const pool = { query: async () => ({ rows: [brandA] }) };
+  const app = express();
+  app.use(express.json());
+  createTenantResolver(pool).register(app, routes);
+  app.delete('/admin/tenants/:id', (req, res) => res.json({ deleted: req.params.id }));
+  app.get('/admin/tenants', (req, res) => res.json({ tenants: [brandA] }));
+  return app;
+}
+
+// The MCP layer as server.js wires it: tools are the routes the caller may
+// use, called in-process with the tenant the request already resolved to
+function mcpServer(app) {
+  const listTools = async ({ principal }) => routes
+    .filter(route => route.mcp !== false)
+    .filter(route => mayUseRoute(principal, route))
+    .filter(route => routeScopes(route).every(scope => hasScope(principal, scope)))
+    .map(route => ({ name: route.operation }));
+  return createMcpServer({
+    name: 'test',
+    version: '0.0.0',
+    listTools,
+    callTool: async (name, args, { principal, tenant }) => {
+      const route = routes.find(candidate => candidate.operation === name);
+      const response = await inject(app, {
+        method: route.method,
+        url: route.path.replace(':id', args.id),
+        principal,
+        tenant
+      });
+      return { status: response.statusCode, body: response.json() };
+    }
+  });
+}
+
+test('a tenant key cannot manage tenants over HTTP', async () => {
+  const response = await inject(tenantApp(), { method: 'DELETE', url: '/admin/tenants/brand-b', principal: tenantAdmin });
+  assert.equal(response.statusCode, 403);
+});
+
+test('a tenant key cannot manage tenants when the tenant is already resolved, as for MCP tool calls', async () => {
+  const response = await inject(tenantApp(), {
+    method: 'DELETE',
+    url: '/admin/tenants/brand-b',
+    principal: tenantAdmin,
+    tenant: brandA
+  });
+  assert.equal(response.statusCode, 403);
+});
+
+test('a platform key manages tenants either way', async () => {
+  const app = tenantApp();
+  const http = await inject(app, { method: 'DELETE', url: '/admin/tenants/brand-b', principal: platformAdmin });
+  const mcp = await inject(app, { method: 'DELETE', url: '/admin/tenants/brand-b', principal: platformAdmin, tenant: brandA });
+  assert.equal(http.statusCode, 200);
+  assert.equal(mcp.statusCode, 200);
+});
+
+test('tenant management tools are neither listed nor callable for a tenant key', async () => {
+  const server = mcpServer(tenantApp());
+  const context = { principal: tenantAdmin, tenant: brandA };
+
+  const listed = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, context);
+  const names = listed.result.tools.map(tool => tool.name);
+  assert.ok(!names.includes('delete_tenant'));
+  assert.ok(!names.includes('list_tenants'));
+  assert.ok(names.includes('create_api_key'));
+
+  const called = await server.handleMessage({
+    jsonrpc: '2.0',
+    id: 2,
+    method: 'tools/call',
+    params: { name: 'delete_tenant', arguments: { id: 'brand-b' } }
+  }, context);
+  assert.equal(called.error.code, -32602);
+});
+
+test('a platform key is offered the tenant management tools', async () => {
+  const server = mcpServer(tenantApp());
+  const context = { principal: platformAdmin, tenant: brandA };
+
+  const listed = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, context);
+  assert.ok(listed.result.tools.some(tool => tool.name === 'delete_tenant'));
+
+  const called = await server.handleMessage({
+    jsonrpc: '2.0',
+    id: 2,
+    method: 'tools/call',
+    params: { name: 'delete_tenant', arguments: { id: 'brand-b' } }
+  }, context);
+  assert.equal(called.result.status, 200);
+});